@@ -0,0 +1,159 @@
+// End-to-end walk through the app against the mock backend: the real
+// components, API service and socket manager, with HTTP answered by the mock
+// axios adapter and the game socket by MockWebSocket. The opponent, bob, is
+// driven straight through the engine.
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import App from './App';
+import { installMockBackend } from './services/apiService';
+import { createMockEngine, createDeck } from './mocks/mockEngine';
+import { createMockServer } from './mocks/mockServer';
+import { createMockAdapter } from './mocks/mockAdapter';
+import { createMockWebSocketClass } from './mocks/MockWebSocket';
+
+let mockBackend;
+
+const TABLE = { name: 'Integration Table', small_blind: 1, big_blind: 2, min_buy_in: 20, max_buy_in: 200, max_players: 6 };
+
+// bob is seated first and is dealt kings, alice gets aces, and the board
+// pairs neither
+const CARDS = ['KS', 'KH', 'AS', 'AH', '2C', '7D', '9S', 'JC', '3H'];
+
+const createTestBackend = () => {
+  const engine = createMockEngine({
+    shuffle: () => [...CARDS, ...createDeck().filter(card => !CARDS.includes(card))],
+    tables: [TABLE],
+  });
+  const server = createMockServer(engine);
+  return {
+    engine,
+    adapter: createMockAdapter(server),
+    WebSocket: createMockWebSocketClass(engine, server.getAccountForToken),
+  };
+};
+
+const SLOW = { timeout: 4000 };
+
+beforeEach(() => {
+  mockBackend = createTestBackend();
+  installMockBackend(mockBackend);
+  localStorage.clear();
+  window.history.pushState({}, '', '/login');
+  Element.prototype.scrollIntoView = jest.fn();
+  jest.spyOn(window, 'confirm').mockReturnValue(true);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('plays a hand from login and joining a table through to the game summary', async () => {
+  const { engine } = mockBackend;
+  const [table] = engine.listTables();
+  const bob = engine.getAccount('bob');
+  const { id: gameId } = engine.joinTable(table.id, bob, 100);
+  const currentPlayerId = () => engine.viewGame(gameId).current_player?.id;
+  const bobsTurn = () => waitFor(() => expect(currentPlayerId()).toBe(bob.id), SLOW);
+
+  // Log in
+  const { unmount } = render(<App />);
+  userEvent.type(screen.getByLabelText('Username'), 'alice');
+  userEvent.type(screen.getByLabelText('Password'), 'secret');
+  userEvent.click(screen.getByRole('button', { name: 'Login' }));
+
+  // Join the table with the minimum buy-in
+  expect(await screen.findByText('Integration Table', {}, SLOW)).toBeInTheDocument();
+  userEvent.click(screen.getByRole('button', { name: 'Join Table' }));
+  expect(screen.getByLabelText('Buy-in Amount ($):')).toHaveValue(20);
+  userEvent.clear(screen.getByLabelText('Buy-in Amount ($):'));
+  userEvent.type(screen.getByLabelText('Buy-in Amount ($):'), '100');
+  const [, confirmJoin] = screen.getAllByRole('button', { name: 'Join Table' });
+  jest.spyOn(console, 'error').mockImplementation(() => {}); // jsdom can't follow the full-page redirect
+  userEvent.click(confirmJoin);
+  await waitFor(() => expect(engine.viewGame(gameId).players).toHaveLength(2));
+  console.error.mockRestore();
+
+  // TableList sends the browser to the game with a full page load
+  unmount();
+  window.history.pushState({}, '', `/games/${gameId}`);
+  render(<App />);
+  const alice = engine.getAccount('alice');
+
+  // Start the game; bob has the button and acts first, so alice queues a check
+  userEvent.click(await screen.findByRole('button', { name: 'Start Game' }, SLOW));
+  userEvent.click(await screen.findByRole('button', { name: 'Check' }, SLOW));
+  expect(screen.getByText('⏳ Queued: CHECK')).toBeInTheDocument();
+
+  // bob calls and the queued check plays itself
+  engine.takeAction(gameId, bob, 'CALL');
+  await waitFor(() => expect(engine.viewGame(gameId).phase).toBe('FLOP'), SLOW);
+
+  // Flop: alice checks, bob bets and alice calls
+  await screen.findByText('🎯 Your Turn', {}, SLOW);
+  userEvent.click(screen.getByRole('button', { name: 'Check' }));
+  await bobsTurn();
+  engine.takeAction(gameId, bob, 'BET', 10);
+  userEvent.click(await screen.findByRole('button', { name: /^Call \$10$/ }, SLOW));
+  await waitFor(() => expect(engine.viewGame(gameId).phase).toBe('TURN'), SLOW);
+
+  // Turn and river are checked through to showdown
+  for (const street of ['RIVER', 'WAITING_FOR_PLAYERS']) {
+    await waitFor(() => expect(currentPlayerId()).toBe(alice.id), SLOW);
+    userEvent.click(await screen.findByRole('button', { name: 'Check' }, SLOW));
+    await bobsTurn();
+    engine.takeAction(gameId, bob, 'CHECK');
+    await waitFor(() => expect(engine.viewGame(gameId).phase).toBe(street), SLOW);
+  }
+
+  // The hand result shows alice winning the 24 pot
+  expect(await screen.findByText('alice', { selector: '.winner-name' }, SLOW)).toBeInTheDocument();
+  expect(screen.getByText('Pot: $24')).toBeInTheDocument();
+
+  // Both ready up and the next hand is dealt with alice on the button
+  userEvent.click(screen.getByRole('button', { name: '✅ Ready for Next Hand' }));
+  await waitFor(() => expect(screen.queryByRole('button', { name: '✅ Ready for Next Hand' })).not.toBeInTheDocument());
+  expect(engine.viewGame(gameId).players.find(p => p.player.id === alice.id).ready_for_next_hand).toBe(true);
+  engine.setReady(gameId, bob);
+  await waitFor(() => expect(currentPlayerId()).toBe(alice.id), SLOW);
+  expect(engine.viewGame(gameId).hand_count).toBe(2);
+
+  // alice folds, cashes out from the result, then bob cashes out and
+  // everyone is sent to the summary
+  userEvent.click(await screen.findByRole('button', { name: 'Fold' }, SLOW));
+  expect(await screen.findByText('bob', { selector: '.winner-name' }, SLOW)).toBeInTheDocument();
+  userEvent.click(screen.getByRole('button', { name: '💰 Cash Out' }));
+  await waitFor(() => expect(engine.viewGame(gameId).players.find(p => p.player.id === alice.id).cashed_out).toBe(true));
+  engine.cashOut(gameId, bob);
+
+  expect(await screen.findByText('🎮 Game Summary', {}, SLOW)).toBeInTheDocument();
+  expect(window.location.pathname).toBe(`/games/${gameId}/summary`);
+  expect(screen.getByText('Integration Table')).toBeInTheDocument();
+}, 30000);
+
+test('a queued check/fold folds to a bet and the result pops up', async () => {
+  const { engine } = mockBackend;
+  const [table] = engine.listTables();
+  const alice = engine.getAccount('alice');
+  const bob = engine.getAccount('bob');
+  const { id: gameId } = engine.joinTable(table.id, alice, 100);
+  engine.joinTable(table.id, bob, 100);
+
+  // alice has the button, so after the preflop call bob acts first on the flop
+  engine.startGame(gameId, alice);
+  engine.takeAction(gameId, alice, 'CALL');
+  engine.takeAction(gameId, bob, 'CHECK');
+
+  localStorage.setItem('accessToken', 'mock-access:alice');
+  localStorage.setItem('user', JSON.stringify({ id: alice.user.id, username: 'alice' }));
+  window.history.pushState({}, '', `/games/${gameId}`);
+  render(<App />);
+
+  userEvent.click(await screen.findByRole('button', { name: 'Check/Fold' }, SLOW));
+  expect(screen.getByText('⏳ Queued: CHECK_FOLD')).toBeInTheDocument();
+
+  engine.takeAction(gameId, bob, 'BET', 4);
+  expect(await screen.findByText('bob', { selector: '.winner-name' }, SLOW)).toBeInTheDocument();
+  expect(engine.viewGame(gameId).winner_info).toMatchObject({ type: 'fold', pot_amount: 8 });
+  expect(screen.getByRole('button', { name: '✅ Ready for Next Hand' })).toBeInTheDocument();
+}, 15000);
@@ -10,13 +10,21 @@ import TableDetail from './components/TableDetail';
 import CreateTable from './components/CreateTable';
 import PokerTable from './components/PokerTable';
 import GameSummary from './components/GameSummary';
+import HandReplayer from './components/HandReplayer';
 import MatchHistory from './components/MatchHistory';
+import AdminPanel from './components/AdminPanel';
+import BotManager from './components/BotManager';
+import MultiTableView from './components/MultiTableView';
 import PrivateRoute from './components/PrivateRoute';
+import RoleRoute from './components/RoleRoute';
+import { authService } from './services/apiService';
+import useSessionSync from './hooks/useSessionSync';
 import './App.css';
 
 function AppContent() {
   const location = useLocation();
   const [connectionStatus, setConnectionStatus] = useState(null);
+  useSessionSync();
 
   // Check if current route is a poker table view
   const isPokerTableView = location.pathname.match(/^\/games\/\d+$/);
@@ -60,6 +68,24 @@ function AppContent() {
             </PrivateRoute>
           } />
           
+          <Route path="/multi" element={
+            <PrivateRoute>
+              <MultiTableView />
+            </PrivateRoute>
+          } />
+
+          <Route path="/bots" element={
+            <PrivateRoute>
+              <BotManager />
+            </PrivateRoute>
+          } />
+
+          <Route path="/admin" element={
+            <RoleRoute role={authService.ROLES.ADMIN}>
+              <AdminPanel />
+            </RoleRoute>
+          } />
+          
           <Route path="/games/:id" element={
             <PrivateRoute>
               <PokerTable onConnectionStatusChange={setConnectionStatus} />
@@ -72,6 +98,12 @@ function AppContent() {
             </PrivateRoute>
           } />
           
+          <Route path="/games/:gameId/hands/:handNumber" element={
+            <PrivateRoute>
+              <HandReplayer />
+            </PrivateRoute>
+          } />
+          
           <Route path="/" element={<Navigate to="/tables" replace />} />
         </Routes>
       </main>
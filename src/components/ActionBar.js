@@ -0,0 +1,559 @@
+// src/components/ActionBar.js
+//
+// The current user's controls during a hand: balance and hole cards, turn
+// indicator and clock, Fold / Check / Call buttons (queued as pre-actions while
+// waiting for the turn), and the bet/raise panel with quick bets and a
+// custom amount slider. Quick bets are the user's per-street presets, and
+// everything can also be driven from the keyboard.
+
+import React, { useState, useEffect, useRef } from 'react';
+import Spinner from './Spinner';
+import PlayingCard from './PlayingCard';
+import { TurnClockLabel } from './TurnTimer';
+import { formatCurrency, formatCurrencyAbbr, abbreviateName, getPlayerCards } from '../utils/format';
+import { evaluateHand } from '../utils/handEvaluator';
+import { calculatePotOdds } from '../utils/equity';
+import { getPreference, setPreference } from '../utils/preferences';
+import { getShortcutBindings, formatShortcutKey, SHORTCUT_ACTIONS } from '../utils/shortcuts';
+import {
+  getBettingLimits,
+  getBettingStreet,
+  getPresetAmount,
+  getStreetPresets,
+  applyMinimum,
+  formatPresetLabel,
+} from '../utils/bettingMath';
+import BetPresetEditor from './BetPresetEditor';
+import useKeyboardShortcuts from '../hooks/useKeyboardShortcuts';
+
+/**
+ * @param {Object} game - Current game state
+ * @param {Object} currentPlayer - The user's game player entry
+ * @param {Object|null} user - Stored user, for the name display
+ * @param {boolean} isMyTurn - Whether the user is to act
+ * @param {string|null} preAction - Queued action, if any
+ * @param {number} preActionAmount - Amount for a queued bet/raise
+ * @param {Function} onQueuePreAction - Called with (action, amount) off-turn
+ * @param {Function} onAction - Called with (action, amount) on-turn
+ * @param {boolean} takingAction - Action request in flight
+ * @param {boolean} cashingOut - Cash out request in flight
+ * @param {Function} onCashOut - Cash out handler
+ * @param {number} [lastRaise] - Last full raise on this street, for the minimum raise
+ * @param {number} lastBetAmount - Previous bet, for the "Previous" quick bet
+ * @param {Function} onLastBetAmountChange - Records a new previous bet
+ * @param {Object|null} equity - Latest equity estimate from useEquity
+ * @param {boolean} calculatingEquity - Equity simulation in progress
+ * @param {Object|null} turnClock - The user's turn clock from useTurnTimer
+ * @param {boolean} autoActOnTimeout - Check/fold automatically when the clock runs out
+ * @param {Function} onAutoActOnTimeoutChange - Called with the new setting
+ */
+const ActionBar = ({
+  game,
+  currentPlayer,
+  user,
+  isMyTurn,
+  preAction,
+  preActionAmount,
+  onQueuePreAction,
+  onAction,
+  takingAction,
+  cashingOut,
+  onCashOut,
+  lastRaise,
+  lastBetAmount,
+  onLastBetAmountChange,
+  equity,
+  calculatingEquity,
+  turnClock,
+  autoActOnTimeout,
+  onAutoActOnTimeoutChange,
+}) => {
+  const [showBettingInterface, setShowBettingInterface] = useState(false);  // Show/hide betting controls
+  const [betSliderValue, setBetSliderValue] = useState(0);                  // Bet slider position
+  const [userModifiedSlider, setUserModifiedSlider] = useState(false);      // Track if user manually set slider
+  const [shortcutsEnabled, setShortcutsEnabled] = useState(
+    () => getPreference('keyboardShortcuts')
+  );                                                                        // Keyboard shortcuts on/off
+  const [shortcutBindings] = useState(
+    () => getShortcutBindings(getPreference('shortcutBindings'))
+  );                                                                        // Keys for each shortcut
+  const [showShortcuts, setShowShortcuts] = useState(false);                // Show the shortcut cheat sheet
+  const [betPresets, setBetPresets] = useState(() => getPreference('betPresets')); // Saved quick bets per street
+  const [editingPresets, setEditingPresets] = useState(false);              // Show the preset editor
+  const wasMyTurnRef = useRef(isMyTurn);
+
+  // Fix NaN issues with proper fallbacks and validation
+  const currentBet = parseFloat(game.current_bet || 0) || 0;
+  const playerBet = parseFloat(currentPlayer.current_bet || 0) || 0;
+  const playerStack = parseFloat(currentPlayer.stack || 0) || 0;
+  const minBet = parseFloat(game.table?.big_blind || 0) || 0;
+  const pot = parseFloat(game.pot || 0) || 0;
+  const limits = getBettingLimits({ currentBet, playerBet, playerStack, bigBlind: minBet, lastRaise });
+  const { callAmount, canCheck, allInToCall, canRaise, minAmount, maxAmount } = limits;
+  const betAction = limits.action;
+  const street = getBettingStreet(game);
+  const streetPresets = getStreetPresets(betPresets, street);
+
+  // Start the slider at the minimum legal bet unless the user has moved it
+  useEffect(() => {
+    if (!userModifiedSlider) {
+      setBetSliderValue(minAmount);
+    }
+  }, [minAmount, userModifiedSlider]);
+
+  // Close the betting panel once the user's turn is over
+  useEffect(() => {
+    if (wasMyTurnRef.current && !isMyTurn) {
+      setShowBettingInterface(false);
+      setUserModifiedSlider(false);
+    }
+    wasMyTurnRef.current = isMyTurn;
+  }, [isMyTurn]);
+
+  const handlePreAction = (action, amount = 0) => {
+    if (isMyTurn) {
+      // Execute immediately if it's player's turn
+      onAction(action, amount);
+    } else {
+      onQueuePreAction(action, amount);
+    }
+  };
+
+  const setSlider = (value) => {
+    setBetSliderValue(value);
+    setUserModifiedSlider(true);
+  };
+
+  // Pick a quick bet: move the slider there and act (or queue) at once
+  const quickBet = (action, amount) => {
+    setBetSliderValue(amount);
+    handlePreAction(action, amount);
+  };
+
+  // Bet the slider amount (the "Bet"/"Raise to" button, or Enter)
+  const confirmBet = () => {
+    if (betSliderValue < minAmount || betSliderValue > maxAmount) return;
+    handlePreAction(betAction, betSliderValue);
+    onLastBetAmountChange(betSliderValue);
+  };
+
+  // Quick bets in button order; number keys pick them by position
+  const quickBets = [
+    {
+      key: 'min',
+      label: currentBet === 0 ? 'Min Bet' : 'Min Raise',
+      amount: minAmount,
+      valid: minAmount <= maxAmount,
+    },
+    ...streetPresets.map((preset, index) => {
+      const amount = applyMinimum(
+        getPresetAmount(preset, { currentBet, playerBet, pot, bigBlind: minBet }),
+        limits
+      );
+      return {
+        key: `preset-${index}`,
+        label: formatPresetLabel(preset),
+        amount,
+        valid: amount > 0 && amount <= maxAmount,
+      };
+    }),
+    {
+      key: 'all-in',
+      label: 'All-In',
+      amount: maxAmount,
+      valid: canRaise,
+      className: 'all-in-btn',
+    },
+    ...(lastBetAmount > 0 ? [{
+      key: 'previous',
+      label: 'Previous',
+      amount: lastBetAmount,
+      valid: lastBetAmount >= minAmount && lastBetAmount <= maxAmount,
+    }] : []),
+  ];
+
+  const handleBetPresetsChange = (presets) => {
+    const saved = { ...(betPresets || {}), [street]: presets };
+    if (!presets) delete saved[street];
+    setBetPresets(saved);
+    setPreference('betPresets', saved);
+  };
+
+  // Returning false leaves the key to the browser
+  const handleShortcut = ({ type, index }) => {
+    if (takingAction) return false;
+
+    switch (type) {
+      case SHORTCUT_ACTIONS.FOLD:
+        handlePreAction('FOLD');
+        return true;
+      case SHORTCUT_ACTIONS.CHECK_CALL:
+        handlePreAction(canCheck ? 'CHECK' : 'CALL');
+        return true;
+      case SHORTCUT_ACTIONS.RAISE:
+        if (!canRaise) return false;
+        setShowBettingInterface(!showBettingInterface);
+        return true;
+      case SHORTCUT_ACTIONS.PRESET: {
+        const preset = quickBets[index];
+        if (!preset || !preset.valid) return false;
+        setShowBettingInterface(true);
+        setSlider(preset.amount);
+        return true;
+      }
+      case SHORTCUT_ACTIONS.CONFIRM:
+        if (!showBettingInterface) return false;
+        confirmBet();
+        return true;
+      case SHORTCUT_ACTIONS.CLEAR:
+        if (preAction) onQueuePreAction(null, 0);
+        setShowBettingInterface(false);
+        return true;
+      default:
+        return false;
+    }
+  };
+
+  useKeyboardShortcuts(shortcutBindings, handleShortcut, shortcutsEnabled && currentPlayer.is_active);
+
+  const handleShortcutsEnabledChange = (enabled) => {
+    setShortcutsEnabled(enabled);
+    setPreference('keyboardShortcuts', enabled);
+  };
+
+  const getActionButtonClass = (action) => {
+    let baseClass = 'action-btn';
+    if (preAction === action) baseClass += ' pre-selected';
+    if (!isMyTurn) baseClass += ' pre-action-mode';
+    return baseClass;
+  };
+
+  const holeCards = getPlayerCards(currentPlayer);
+
+  // Current made hand from hole cards plus the board
+  const getMadeHand = () => {
+    if (holeCards.length === 0) return null;
+    try {
+      return evaluateHand([...holeCards, ...(game.community_cards || [])]);
+    } catch (e) {
+      console.warn('Could not evaluate hand:', e);
+      return null;
+    }
+  };
+  const madeHand = getMadeHand();
+
+  // Equity vs. the price of calling, shown next to the Call button
+  const renderCallOdds = () => {
+    const requiredEquity = calculatePotOdds(callAmount, pot);
+    if (requiredEquity === 0) return null;
+
+    if (!equity) {
+      return calculatingEquity ? (
+        <span className="call-odds calculating">Calculating equity...</span>
+      ) : null;
+    }
+
+    const profitable = equity.equity >= requiredEquity;
+    return (
+      <span
+        className={`call-odds ${profitable ? 'profitable' : 'unprofitable'}`}
+        title={`Win ${(equity.win * 100).toFixed(0)}%, tie ${(equity.tie * 100).toFixed(0)}% over ${equity.iterations} run-outs`}
+      >
+        Equity {(equity.equity * 100).toFixed(0)}% · Need {(requiredEquity * 100).toFixed(0)}%
+      </span>
+    );
+  };
+
+  // If player has folded, show simplified interface
+  if (!currentPlayer.is_active) {
+    return (
+      <div className="enhanced-action-controls folded-player">
+        <div className="player-balance-info">
+          <div className="balance-display">
+            <span className="balance-label">Your Balance:</span>
+            <span className="balance-amount">{formatCurrencyAbbr(currentPlayer.stack || 0)}</span>
+          </div>
+
+          {user && (
+            <div className="player-name-display">
+              {abbreviateName(user.username)}
+            </div>
+          )}
+        </div>
+
+        <div className="turn-indicator">
+          <span className="folded-status">🗂️ You have folded</span>
+        </div>
+
+        {/* Only show cash out button */}
+        <div className="action-buttons-row">
+          <button
+            className="cash-out-btn"
+            onClick={onCashOut}
+            disabled={cashingOut}
+            title="Cash out and become a spectator"
+          >
+            {cashingOut && <Spinner size="small" />}
+            {cashingOut ? "Cashing Out..." : "💰 Cash Out"}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="enhanced-action-controls">
+      {/* Player Balance Info */}
+      <div className="player-balance-info">
+        <div className="balance-display">
+          <span className="balance-label">Your Balance:</span>
+          <span className="balance-amount">{formatCurrencyAbbr(currentPlayer.stack || 0)}</span>
+        </div>
+
+        {/* Current User's Hole Cards */}
+        <div className="user-hole-cards">
+          {holeCards.length === 0 ? (
+            <div className="no-cards-message">
+              Waiting for cards...
+            </div>
+          ) : (
+            holeCards.map((card, cardIndex) => (
+              <PlayingCard key={cardIndex} card={card} className="user-hole-card" />
+            ))
+          )}
+        </div>
+
+        {/* Live hand strength */}
+        {madeHand && (
+          <div className="hand-strength" title={madeHand.bestCards.join(' ')}>
+            {madeHand.description}
+          </div>
+        )}
+
+        {user && (
+          <div className="player-name-display">
+            {abbreviateName(user.username)}
+          </div>
+        )}
+      </div>
+
+      {/* Turn indicator */}
+      <div className="turn-indicator">
+        {isMyTurn ? (
+          <>
+            <span className="my-turn">🎯 Your Turn</span>
+            <TurnClockLabel clock={turnClock} />
+            {turnClock && <span className="turn-clock-local">local clock</span>}
+          </>
+        ) : (
+          <span className="waiting-turn">
+            {preAction ? `⏳ Queued: ${preAction}${preActionAmount > 0 ? ` $${preActionAmount}` : ''}` : '⏳ Waiting for your turn'}
+          </span>
+        )}
+        <label className="auto-action-toggle" title="Check if you can, otherwise fold, when your time runs out">
+          <input
+            type="checkbox"
+            checked={autoActOnTimeout}
+            onChange={(e) => onAutoActOnTimeoutChange(e.target.checked)}
+          />
+          Auto check/fold on timeout
+        </label>
+        <button
+          className="shortcuts-toggle-btn"
+          onClick={() => setShowShortcuts(!showShortcuts)}
+          title="Keyboard shortcuts"
+        >
+          ⌨️ Shortcuts
+        </button>
+      </div>
+
+      {showShortcuts && (
+        <div className="shortcut-cheat-sheet">
+          <label className="shortcut-enable-toggle">
+            <input
+              type="checkbox"
+              checked={shortcutsEnabled}
+              onChange={(e) => handleShortcutsEnabledChange(e.target.checked)}
+            />
+            Enable keyboard shortcuts
+          </label>
+          <ul className="shortcut-list">
+            <li><kbd>{formatShortcutKey(shortcutBindings.fold)}</kbd> Fold</li>
+            <li><kbd>{formatShortcutKey(shortcutBindings.checkCall)}</kbd> Check / Call</li>
+            <li><kbd>{formatShortcutKey(shortcutBindings.raise)}</kbd> Open bet / raise panel</li>
+            {quickBets.map((quickBetOption, index) => shortcutBindings.presets[index] && (
+              <li key={quickBetOption.key}>
+                <kbd>{formatShortcutKey(shortcutBindings.presets[index])}</kbd> {quickBetOption.label}
+              </li>
+            ))}
+            <li><kbd>{formatShortcutKey(shortcutBindings.confirm)}</kbd> Confirm bet</li>
+            <li><kbd>{formatShortcutKey(shortcutBindings.clear)}</kbd> Clear queued action</li>
+          </ul>
+        </div>
+      )}
+
+      {/* Always visible action buttons */}
+      <div className="action-buttons-row">
+        <button
+          className={getActionButtonClass('FOLD')}
+          onClick={() => handlePreAction('FOLD')}
+          disabled={takingAction}
+        >
+          {takingAction && <Spinner size="small" />}
+          {preAction === 'FOLD' ? '✅ ' : ''}Fold
+        </button>
+
+        {canCheck ? (
+          <button
+            className={getActionButtonClass('CHECK')}
+            onClick={() => handlePreAction('CHECK')}
+            disabled={takingAction}
+          >
+            {takingAction && <Spinner size="small" />}
+            {preAction === 'CHECK' ? '✅ ' : ''}Check
+          </button>
+        ) : (
+          <>
+            <button
+              className={getActionButtonClass('CALL')}
+              onClick={() => handlePreAction('CALL')}
+              disabled={takingAction}
+            >
+              {takingAction && <Spinner size="small" />}
+              {preAction === 'CALL' ? '✅ ' : ''}Call {formatCurrency(callAmount)}{allInToCall ? ' (All-In)' : ''}
+            </button>
+            {renderCallOdds()}
+          </>
+        )}
+
+        {/* Smart Check/Fold Button */}
+        {!isMyTurn && currentBet === 0 && (
+          <button
+            className={getActionButtonClass('CHECK_FOLD')}
+            onClick={() => handlePreAction('CHECK_FOLD')}
+            disabled={takingAction}
+            title="Will check if no bet is made, or fold if someone bets"
+          >
+            {takingAction && <Spinner size="small" />}
+            {preAction === 'CHECK_FOLD' ? '✅ ' : ''}Check/Fold
+          </button>
+        )}
+
+        <button
+          className="betting-toggle-btn"
+          onClick={() => setShowBettingInterface(!showBettingInterface)}
+          disabled={takingAction || !canRaise}
+        >
+          {currentBet === 0 ? '💰 Bet' : '⬆️ Raise'}
+        </button>
+      </div>
+
+      {showBettingInterface && (
+        <div className="betting-interface">
+          <div className="quick-bet-section">
+            <h4>
+              Quick Bets
+              <button
+                className="edit-presets-btn"
+                onClick={() => setEditingPresets(!editingPresets)}
+                title="Edit quick bets for this street"
+              >
+                ⚙️
+              </button>
+            </h4>
+            {editingPresets && (
+              <BetPresetEditor
+                street={street}
+                presets={streetPresets}
+                isDefault={!Array.isArray(betPresets?.[street])}
+                onChange={handleBetPresetsChange}
+              />
+            )}
+            <div className="quick-bet-buttons">
+              {quickBets.map((quickBetOption, index) => (
+                <button
+                  key={quickBetOption.key}
+                  className={`quick-bet-btn ${quickBetOption.className || ''}`}
+                  onClick={() => {
+                    if (quickBetOption.valid) quickBet(betAction, quickBetOption.amount);
+                  }}
+                  disabled={takingAction || !quickBetOption.valid}
+                  title={quickBetOption.title}
+                >
+                  {takingAction && <Spinner size="small" />}
+                  {quickBetOption.label} {isNaN(quickBetOption.amount) ? '$0' : formatCurrency(quickBetOption.amount)}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {/* Custom Bet Slider */}
+          <div className="custom-bet-section">
+            <h4>Custom Amount</h4>
+            <div className="bet-slider-container">
+              <div className="slider-info">
+                <span>Min: {formatCurrency(minAmount)}</span>
+                <span className="current-bet-display">
+                  {formatCurrency(betSliderValue)}
+                  {pot > 0 && (
+                    <small>({((betSliderValue / pot) * 100).toFixed(0)}% of pot)</small>
+                  )}
+                </span>
+                <span>Max: {formatCurrency(maxAmount)}</span>
+              </div>
+
+              <input
+                type="range"
+                className="bet-slider"
+                min={minAmount}
+                max={maxAmount}
+                step={Math.max(minBet / 4, 0.25)}
+                value={betSliderValue}
+                onChange={(e) => setSlider(parseFloat(e.target.value))}
+              />
+
+              <div className="slider-controls">
+                <button
+                  className="slider-adjust-btn"
+                  onClick={() => setSlider(Math.max(betSliderValue - minBet, minAmount))}
+                >
+                  -{formatCurrency(minBet)}
+                </button>
+
+                <input
+                  type="number"
+                  className="bet-input"
+                  min={minAmount}
+                  max={maxAmount}
+                  step="0.25"
+                  value={betSliderValue}
+                  data-shortcuts="allow"
+                  onChange={(e) => setSlider(parseFloat(e.target.value) || 0)}
+                />
+
+                <button
+                  className="slider-adjust-btn"
+                  onClick={() => setSlider(Math.min(betSliderValue + minBet, maxAmount))}
+                >
+                  +{formatCurrency(minBet)}
+                </button>
+              </div>
+
+              <button
+                className="execute-bet-btn"
+                onClick={confirmBet}
+                disabled={takingAction || betSliderValue < minAmount || betSliderValue > maxAmount}
+              >
+                {takingAction && <Spinner size="small" />}
+                {currentBet === 0 ? 'Bet' : 'Raise to'} {formatCurrency(betSliderValue)}
+                {preAction === betAction && preActionAmount === betSliderValue ? ' ✅' : ''}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ActionBar;
@@ -0,0 +1,218 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import ActionBar from './ActionBar';
+
+const user = { id: 100, username: 'alice' };
+
+const makeProps = (overrides = {}) => ({
+  game: {
+    current_bet: 0,
+    pot: 30,
+    community_cards: [],
+    table: { big_blind: 10 },
+  },
+  currentPlayer: {
+    id: 1,
+    stack: 500,
+    current_bet: 0,
+    is_active: true,
+    cards: { cards: ['AS', 'AD'] },
+  },
+  user,
+  isMyTurn: true,
+  preAction: null,
+  preActionAmount: 0,
+  onQueuePreAction: jest.fn(),
+  onAction: jest.fn(),
+  takingAction: false,
+  cashingOut: false,
+  onCashOut: jest.fn(),
+  lastBetAmount: 0,
+  onLastBetAmountChange: jest.fn(),
+  equity: null,
+  calculatingEquity: false,
+  turnClock: null,
+  autoActOnTimeout: true,
+  onAutoActOnTimeoutChange: jest.fn(),
+  ...overrides,
+});
+
+describe('ActionBar', () => {
+  test('offers check when there is nothing to call and acts on the user turn', () => {
+    const props = makeProps();
+    render(<ActionBar {...props} />);
+
+    expect(screen.getByText('🎯 Your Turn')).toBeInTheDocument();
+    expect(screen.getByText('Pair of Aces')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Check'));
+    expect(props.onAction).toHaveBeenCalledWith('CHECK', 0);
+    expect(props.onQueuePreAction).not.toHaveBeenCalled();
+  });
+
+  test('shows the call amount and the equity needed to call', () => {
+    const props = makeProps({
+      game: { current_bet: 20, pot: 60, community_cards: [], table: { big_blind: 10 } },
+      equity: { equity: 0.5, win: 0.48, tie: 0.04, iterations: 1000 },
+    });
+    render(<ActionBar {...props} />);
+
+    expect(screen.getByText('Call $20')).toBeInTheDocument();
+    expect(screen.getByText('Equity 50% · Need 25%')).toHaveClass('profitable');
+  });
+
+  test('queues actions as pre-actions while waiting for the turn', () => {
+    const props = makeProps({ isMyTurn: false });
+    render(<ActionBar {...props} />);
+
+    fireEvent.click(screen.getByText('Check/Fold'));
+
+    expect(props.onQueuePreAction).toHaveBeenCalledWith('CHECK_FOLD', 0);
+    expect(props.onAction).not.toHaveBeenCalled();
+  });
+
+  test('shows the queued pre-action', () => {
+    render(<ActionBar {...makeProps({ isMyTurn: false, preAction: 'CALL' })} />);
+
+    expect(screen.getByText('⏳ Queued: CALL')).toBeInTheDocument();
+  });
+
+  test('betting panel bets from quick bets and the custom amount', () => {
+    const props = makeProps();
+    render(<ActionBar {...props} />);
+
+    fireEvent.click(screen.getByText('💰 Bet'));
+    fireEvent.click(screen.getByText('Pot $30'));
+    expect(props.onAction).toHaveBeenCalledWith('BET', 30);
+
+    fireEvent.change(screen.getByRole('spinbutton'), { target: { value: '75' } });
+    fireEvent.click(screen.getByText('Bet $75'));
+    expect(props.onAction).toHaveBeenLastCalledWith('BET', 75);
+    expect(props.onLastBetAmountChange).toHaveBeenCalledWith(75);
+  });
+
+  test('the minimum raise follows the last raise', () => {
+    render(<ActionBar {...makeProps({
+      game: { current_bet: 30, pot: 45, phase: 'PREFLOP', community_cards: [], table: { big_blind: 10 } },
+      lastRaise: 20,
+    })} />);
+
+    fireEvent.click(screen.getByText('⬆️ Raise'));
+    expect(screen.getByText('Min Raise $50')).toBeInTheDocument();
+    // Pot-sized: call 30, then raise by the 75 in the pot
+    expect(screen.getByText('Pot $105')).toBeInTheDocument();
+  });
+
+  test('a short stack calls all-in', () => {
+    const props = makeProps({
+      game: { current_bet: 100, pot: 130, community_cards: [], table: { big_blind: 10 } },
+      currentPlayer: { id: 1, stack: 40, current_bet: 0, is_active: true, cards: [] },
+    });
+    render(<ActionBar {...props} />);
+
+    fireEvent.click(screen.getByText('Call $40 (All-In)'));
+    expect(props.onAction).toHaveBeenCalledWith('CALL', 0);
+    expect(screen.getByText('⬆️ Raise')).toBeDisabled();
+  });
+
+  test('saves edited quick bets for the street', () => {
+    localStorage.clear();
+    render(<ActionBar {...makeProps({
+      game: { current_bet: 0, pot: 60, phase: 'FLOP', community_cards: ['2C', '7D', 'KS'], table: { big_blind: 10 } },
+    })} />);
+
+    fireEvent.click(screen.getByText('💰 Bet'));
+    fireEvent.click(screen.getByTitle('Edit quick bets for this street'));
+    fireEvent.change(screen.getByLabelText('Preset size'), { target: { value: '40' } });
+    fireEvent.click(screen.getByText('Add'));
+
+    expect(screen.getByText('40% $24')).toBeInTheDocument();
+    expect(JSON.parse(localStorage.getItem('pokerPreferences')).betPresets.FLOP)
+      .toContainEqual({ type: 'pot', value: 0.4 });
+  });
+
+  test('a folded player only sees cash out', () => {
+    const props = makeProps({
+      currentPlayer: { id: 1, stack: 480, current_bet: 0, is_active: false, cards: [] },
+    });
+    render(<ActionBar {...props} />);
+
+    expect(screen.getByText('🗂️ You have folded')).toBeInTheDocument();
+    expect(screen.queryByText('Fold')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('💰 Cash Out'));
+    expect(props.onCashOut).toHaveBeenCalled();
+  });
+
+  test('shows the turn clock and time bank', () => {
+    const { rerender } = render(
+      <ActionBar {...makeProps({ turnClock: { phase: 'turn', remaining: 11.2, fraction: 0.4 } })} />
+    );
+    expect(screen.getByText('⏱ 12s')).toBeInTheDocument();
+    expect(screen.getByText('local clock')).toBeInTheDocument();
+
+    rerender(<ActionBar {...makeProps({ turnClock: { phase: 'bank', remaining: 40, fraction: 0.7 } })} />);
+    expect(screen.getByText('⏳ Time bank 40s')).toHaveClass('turn-clock', 'bank');
+  });
+
+  test('toggles auto check/fold on timeout', () => {
+    const props = makeProps();
+    render(<ActionBar {...props} />);
+
+    const toggle = screen.getByLabelText('Auto check/fold on timeout');
+    expect(toggle).toBeChecked();
+
+    fireEvent.click(toggle);
+    expect(props.onAutoActOnTimeoutChange).toHaveBeenCalledWith(false);
+  });
+
+  describe('keyboard shortcuts', () => {
+    beforeEach(() => localStorage.clear());
+
+    test('F folds and C checks', () => {
+      const props = makeProps();
+      render(<ActionBar {...props} />);
+
+      fireEvent.keyDown(window, { key: 'c' });
+      expect(props.onAction).toHaveBeenCalledWith('CHECK', 0);
+
+      fireEvent.keyDown(window, { key: 'F' });
+      expect(props.onAction).toHaveBeenLastCalledWith('FOLD', 0);
+    });
+
+    test('a number key picks a quick bet and Enter confirms it', () => {
+      const props = makeProps();
+      render(<ActionBar {...props} />);
+
+      fireEvent.keyDown(window, { key: '4' });
+      expect(screen.getByRole('spinbutton')).toHaveValue(30);
+      expect(props.onAction).not.toHaveBeenCalled();
+
+      fireEvent.keyDown(window, { key: 'Enter' });
+      expect(props.onAction).toHaveBeenCalledWith('BET', 30);
+      expect(props.onLastBetAmountChange).toHaveBeenCalledWith(30);
+    });
+
+    test('Esc clears a queued pre-action', () => {
+      const props = makeProps({ isMyTurn: false, preAction: 'CALL' });
+      render(<ActionBar {...props} />);
+
+      fireEvent.keyDown(window, { key: 'Escape' });
+      expect(props.onQueuePreAction).toHaveBeenCalledWith(null, 0);
+    });
+
+    test('can be turned off from the cheat sheet', () => {
+      const props = makeProps();
+      render(<ActionBar {...props} />);
+
+      fireEvent.click(screen.getByText('⌨️ Shortcuts'));
+      expect(screen.getByText('Fold', { selector: 'li' })).toBeInTheDocument();
+
+      fireEvent.click(screen.getByLabelText('Enable keyboard shortcuts'));
+      fireEvent.keyDown(window, { key: 'f' });
+
+      expect(props.onAction).not.toHaveBeenCalled();
+      expect(JSON.parse(localStorage.getItem('pokerPreferences')).keyboardShortcuts).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,306 @@
+// src/components/AdminPanel.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { tableService, gameService, botService } from '../services/apiService';
+import './AdminPanel.css';
+
+const GAME_STATUSES = ['WAITING', 'PLAYING', 'FINISHED'];
+
+// List endpoints answer with either a plain array or a DRF page
+const toList = (data) => {
+  if (data && Array.isArray(data.results)) return data.results;
+  return Array.isArray(data) ? data : [];
+};
+
+const botName = (bot) => bot.user?.username || bot.player?.user?.username || `Bot #${bot.id}`;
+
+/**
+ * Admin area: every game with its status, and the admin-only operations
+ * on games, tables and bots in one place. Each destructive operation asks
+ * for confirmation first.
+ */
+const AdminPanel = () => {
+  const [tables, setTables] = useState([]);
+  const [games, setGames] = useState([]);
+  const [bots, setBots] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('ALL');
+  const [message, setMessage] = useState(null); // {text, type}
+  const [confirm, setConfirm] = useState(null); // {title, text, label, success, run}
+  const [busy, setBusy] = useState(false);
+
+  const loadData = useCallback(async () => {
+    const [tablesResult, gamesResult, botsResult] = await Promise.allSettled([
+      tableService.getTables(),
+      gameService.getGames(),
+      botService.listAvailableBots(),
+    ]);
+
+    const failed = [];
+    if (tablesResult.status === 'fulfilled') setTables(toList(tablesResult.value.data));
+    else failed.push('tables');
+    if (gamesResult.status === 'fulfilled') setGames(toList(gamesResult.value.data));
+    else failed.push('games');
+    if (botsResult.status === 'fulfilled') setBots(toList(botsResult.value.data));
+    else failed.push('bots');
+
+    if (failed.length > 0) {
+      setMessage({ text: `Failed to load ${failed.join(', ')}`, type: 'error' });
+    }
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  // Run the confirmed operation; it may resolve to a message from the server
+  const runConfirmed = async () => {
+    const { run, success } = confirm;
+    setBusy(true);
+    try {
+      const result = await run();
+      setMessage({ text: `✅ ${result || success}`, type: 'success' });
+      await loadData();
+    } catch (err) {
+      console.error(`${confirm.title} failed:`, err);
+      setMessage({ text: `${confirm.title} failed: ${err.response?.data?.error || err.message}`, type: 'error' });
+    } finally {
+      setBusy(false);
+      setConfirm(null);
+    }
+  };
+
+  const confirmDeleteGame = (game) => setConfirm({
+    title: 'Delete Game',
+    text: `Delete game #${game.id} at "${game.table?.name}"? Everyone seated is removed, whatever its status.`,
+    label: 'Delete Game',
+    success: `Game #${game.id} deleted`,
+    run: async () => {
+      await gameService.deleteGame(game.id);
+    },
+  });
+
+  const confirmResetGame = (game) => setConfirm({
+    title: 'Reset Game State',
+    text: `Reset game #${game.id}? The hand in progress is abandoned and its bets are returned.`,
+    label: 'Reset Game',
+    success: `Game #${game.id} reset`,
+    run: async () => (await gameService.resetGameState(game.id)).data?.message,
+  });
+
+  const confirmDeleteTable = (table) => setConfirm({
+    title: 'Delete Table',
+    text: `Delete the table "${table.name}" and its games?`,
+    label: 'Delete Table',
+    success: `Table "${table.name}" deleted`,
+    run: async () => {
+      await tableService.deleteTable(table.id);
+    },
+  });
+
+  const confirmDeleteAllTables = () => setConfirm({
+    title: 'Delete All Tables',
+    text: `Delete ALL ${tables.length} tables? This will delete all tables, games, and kick out all players.`,
+    label: 'Delete All Tables',
+    success: 'All tables deleted',
+    run: async () => (await tableService.deleteAllTables()).data?.message,
+  });
+
+  const confirmDeleteBot = (bot) => setConfirm({
+    title: 'Delete Bot',
+    text: `Permanently delete ${botName(bot)}?`,
+    label: 'Delete Bot',
+    success: `${botName(bot)} deleted`,
+    run: async () => {
+      await botService.deleteBotPlayer(bot.id);
+    },
+  });
+
+  if (loading) {
+    return <div className="loading">Loading admin data...</div>;
+  }
+
+  const statusCounts = GAME_STATUSES.map((status) => ({
+    status,
+    count: games.filter((game) => game.status === status).length,
+  }));
+  const visibleGames = statusFilter === 'ALL' ? games : games.filter((game) => game.status === statusFilter);
+
+  return (
+    <div className="admin-panel">
+      <div className="admin-header">
+        <h2>🛠️ Admin</h2>
+        <button onClick={loadData} className="btn btn-secondary btn-sm" disabled={busy}>
+          Refresh
+        </button>
+      </div>
+
+      {message && (
+        <div className={`admin-message ${message.type}`} role="status">
+          {message.text}
+          <button onClick={() => setMessage(null)} className="admin-message-close" aria-label="Dismiss">×</button>
+        </div>
+      )}
+
+      <section className="admin-section">
+        <div className="admin-section-header">
+          <h3>Games ({games.length})</h3>
+          <label className="admin-filter">
+            Status
+            <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+              <option value="ALL">All</option>
+              {statusCounts.map(({ status, count }) => (
+                <option key={status} value={status}>{status} ({count})</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        {visibleGames.length === 0 ? (
+          <p className="admin-empty">No games</p>
+        ) : (
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Game</th>
+                <th>Table</th>
+                <th>Status</th>
+                <th>Phase</th>
+                <th>Hands</th>
+                <th>Players</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleGames.map((game) => {
+                const players = game.players || [];
+                const seated = players.filter((player) => !player.cashed_out).length;
+                return (
+                  <tr key={game.id}>
+                    <td>#{game.id}</td>
+                    <td>{game.table?.name}</td>
+                    <td>
+                      <span className={`game-status-badge ${(game.status || '').toLowerCase()}`}>{game.status}</span>
+                    </td>
+                    <td>{game.phase}</td>
+                    <td>{game.hand_count ?? 0}</td>
+                    <td>{seated} / {players.length}</td>
+                    <td className="admin-actions">
+                      <Link to={`/games/${game.id}`} className="btn btn-primary btn-sm">Open</Link>
+                      {game.status === 'PLAYING' && (
+                        <button onClick={() => confirmResetGame(game)} className="btn btn-secondary btn-sm">
+                          Reset
+                        </button>
+                      )}
+                      <button onClick={() => confirmDeleteGame(game)} className="btn btn-danger btn-sm">
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      <section className="admin-section">
+        <div className="admin-section-header">
+          <h3>Tables ({tables.length})</h3>
+          {tables.length > 0 && (
+            <button onClick={confirmDeleteAllTables} className="btn btn-danger btn-sm">
+              Delete All Tables
+            </button>
+          )}
+        </div>
+
+        {tables.length === 0 ? (
+          <p className="admin-empty">No tables</p>
+        ) : (
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Table</th>
+                <th>Blinds</th>
+                <th>Max Players</th>
+                <th>Games</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {tables.map((table) => (
+                <tr key={table.id}>
+                  <td>{table.name}</td>
+                  <td>${table.small_blind}/${table.big_blind}</td>
+                  <td>{table.max_players}</td>
+                  <td>{games.filter((game) => game.table?.id === table.id).length}</td>
+                  <td className="admin-actions">
+                    <button onClick={() => confirmDeleteTable(table)} className="btn btn-danger btn-sm">
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      <section className="admin-section">
+        <div className="admin-section-header">
+          <h3>Idle Bots ({bots.length})</h3>
+        </div>
+
+        {bots.length === 0 ? (
+          <p className="admin-empty">No bots outside of games</p>
+        ) : (
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Bot</th>
+                <th>Difficulty</th>
+                <th>Play Style</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {bots.map((bot) => (
+                <tr key={bot.id}>
+                  <td>🤖 {botName(bot)}</td>
+                  <td>{bot.difficulty ? botService.getDifficultyDisplayName(bot.difficulty) : '—'}</td>
+                  <td>{bot.play_style ? botService.getPlayStyleDisplayName(bot.play_style) : '—'}</td>
+                  <td className="admin-actions">
+                    <button onClick={() => confirmDeleteBot(bot)} className="btn btn-danger btn-sm">
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      {confirm && (
+        <div className="delete-modal-overlay">
+          <div className="delete-modal" role="dialog" aria-label={confirm.title}>
+            <h3>{confirm.title}</h3>
+            <p>{confirm.text}</p>
+            <p className="delete-warning">This action cannot be undone.</p>
+            <div className="delete-modal-actions">
+              <button onClick={() => setConfirm(null)} className="btn btn-secondary btn-sm" disabled={busy}>
+                Cancel
+              </button>
+              <button onClick={runConfirmed} className="btn btn-danger btn-sm" disabled={busy}>
+                {busy ? 'Working...' : confirm.label}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminPanel;
@@ -0,0 +1,117 @@
+import React from 'react';
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter } from 'react-router-dom';
+import AdminPanel from './AdminPanel';
+import { tableService, gameService, botService } from '../services/apiService';
+
+jest.mock('../services/apiService', () => ({
+  tableService: {
+    getTables: jest.fn(),
+    deleteTable: jest.fn(),
+    deleteAllTables: jest.fn(),
+  },
+  gameService: {
+    getGames: jest.fn(),
+    deleteGame: jest.fn(),
+    resetGameState: jest.fn(),
+  },
+  botService: {
+    listAvailableBots: jest.fn(),
+    deleteBotPlayer: jest.fn(),
+    getDifficultyDisplayName: difficulty => `difficulty:${difficulty}`,
+    getPlayStyleDisplayName: style => `style:${style}`,
+  },
+}));
+
+const table = { id: 1, name: 'High Rollers', small_blind: 5, big_blind: 10, max_players: 6 };
+const games = [
+  { id: 11, table, status: 'PLAYING', phase: 'FLOP', hand_count: 4, players: [{ cashed_out: false }, { cashed_out: true }] },
+  { id: 12, table, status: 'FINISHED', phase: 'WAITING_FOR_PLAYERS', hand_count: 9, players: [] },
+];
+const bot = { id: 30, user: { username: 'Bot 3' }, difficulty: 'BASIC', play_style: 'TIGHT_PASSIVE' };
+
+const renderPanel = async () => {
+  render(<MemoryRouter><AdminPanel /></MemoryRouter>);
+  await screen.findByText('Games (2)');
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  tableService.getTables.mockResolvedValue({ data: [table] });
+  gameService.getGames.mockResolvedValue({ data: { results: games } });
+  botService.listAvailableBots.mockResolvedValue({ data: [bot] });
+});
+
+describe('AdminPanel', () => {
+  test('lists every game with its status, and the tables and idle bots', async () => {
+    await renderPanel();
+
+    const rows = screen.getAllByRole('row');
+    expect(within(rows[1]).getByText('#11')).toBeInTheDocument();
+    expect(within(rows[1]).getByText('PLAYING')).toBeInTheDocument();
+    expect(within(rows[1]).getByText('1 / 2')).toBeInTheDocument();
+    expect(within(rows[2]).getByText('FINISHED')).toBeInTheDocument();
+    expect(screen.getByText('Tables (1)')).toBeInTheDocument();
+    expect(screen.getByText('🤖 Bot 3')).toBeInTheDocument();
+    expect(screen.getByText('difficulty:BASIC')).toBeInTheDocument();
+  });
+
+  test('filters games by status', async () => {
+    await renderPanel();
+
+    userEvent.selectOptions(screen.getByLabelText('Status'), 'FINISHED');
+
+    expect(screen.queryByText('#11')).not.toBeInTheDocument();
+    expect(screen.getByText('#12')).toBeInTheDocument();
+  });
+
+  test('deletes a game after confirmation and reloads', async () => {
+    gameService.deleteGame.mockResolvedValue({});
+    await renderPanel();
+
+    const [firstGameRow] = screen.getAllByRole('row').slice(1);
+    userEvent.click(within(firstGameRow).getByRole('button', { name: 'Delete' }));
+    expect(gameService.deleteGame).not.toHaveBeenCalled();
+    userEvent.click(within(screen.getByRole('dialog')).getByRole('button', { name: 'Delete Game' }));
+
+    expect(await screen.findByText('✅ Game #11 deleted')).toBeInTheDocument();
+    expect(gameService.deleteGame).toHaveBeenCalledWith(11);
+    expect(gameService.getGames).toHaveBeenCalledTimes(2);
+  });
+
+  test('resets only games in play and shows the server message', async () => {
+    gameService.resetGameState.mockResolvedValue({ data: { message: 'Game state reset' } });
+    await renderPanel();
+
+    expect(screen.getAllByRole('button', { name: 'Reset' })).toHaveLength(1);
+    userEvent.click(screen.getByRole('button', { name: 'Reset' }));
+    userEvent.click(screen.getByRole('button', { name: 'Reset Game' }));
+
+    expect(await screen.findByText('✅ Game state reset')).toBeInTheDocument();
+    expect(gameService.resetGameState).toHaveBeenCalledWith(11);
+  });
+
+  test('cancelling leaves everything alone', async () => {
+    await renderPanel();
+
+    userEvent.click(screen.getByRole('button', { name: 'Delete All Tables' }));
+    userEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+    expect(tableService.deleteAllTables).not.toHaveBeenCalled();
+  });
+
+  test('reports a failed operation with the server error', async () => {
+    botService.deleteBotPlayer.mockRejectedValue({ response: { data: { error: 'Bot is seated' } } });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await renderPanel();
+
+    const botRow = screen.getByRole('row', { name: /Bot 3/ });
+    userEvent.click(within(botRow).getByRole('button', { name: 'Delete' }));
+    userEvent.click(screen.getByRole('button', { name: 'Delete Bot' }));
+
+    await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent('Delete Bot failed: Bot is seated'));
+    console.error.mockRestore();
+  });
+});
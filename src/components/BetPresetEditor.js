@@ -0,0 +1,73 @@
+// src/components/BetPresetEditor.js
+import React, { useState } from 'react';
+import { formatPresetLabel, BET_PRESET_TYPES } from '../utils/bettingMath';
+
+/**
+ * Inline editor for one street's quick bet presets.
+ *
+ * @param {string} street - Street being edited, e.g. "FLOP"
+ * @param {Array<Object>} presets - The street's current presets
+ * @param {boolean} isDefault - Whether the presets are the built-in defaults
+ * @param {Function} onChange - Called with the new list, or null to restore the defaults
+ */
+const BetPresetEditor = ({ street, presets, isDefault, onChange }) => {
+  const [type, setType] = useState(BET_PRESET_TYPES.POT);
+  const [value, setValue] = useState('');
+
+  const parsed = parseFloat(value);
+  const canAdd = Number.isFinite(parsed) && parsed > 0;
+
+  const handleAdd = () => {
+    if (!canAdd) return;
+    // Pot sizes are typed as a percentage
+    const presetValue = type === BET_PRESET_TYPES.POT ? parsed / 100 : parsed;
+    onChange([...presets, { type, value: presetValue }]);
+    setValue('');
+  };
+
+  return (
+    <div className="bet-preset-editor">
+      <div className="bet-preset-street">{street.charAt(0) + street.slice(1).toLowerCase()} presets</div>
+
+      <div className="bet-preset-list">
+        {presets.map((preset, index) => (
+          <span key={index} className="bet-preset-chip">
+            {formatPresetLabel(preset)}
+            <button
+              className="remove-preset-btn"
+              onClick={() => onChange(presets.filter((_, i) => i !== index))}
+              title="Remove preset"
+            >
+              ✕
+            </button>
+          </span>
+        ))}
+        {presets.length === 0 && <span className="no-presets">No presets</span>}
+      </div>
+
+      <div className="bet-preset-add">
+        <input
+          type="number"
+          min="0"
+          step={type === BET_PRESET_TYPES.POT ? '1' : '0.5'}
+          value={value}
+          placeholder={type === BET_PRESET_TYPES.POT ? '33' : '2.5'}
+          onChange={(e) => setValue(e.target.value)}
+          aria-label="Preset size"
+        />
+        <select value={type} onChange={(e) => setType(e.target.value)} aria-label="Preset type">
+          <option value={BET_PRESET_TYPES.POT}>% of pot</option>
+          <option value={BET_PRESET_TYPES.MULTIPLE}>x bet / big blind</option>
+        </select>
+        <button onClick={handleAdd} disabled={!canAdd}>Add</button>
+        {!isDefault && (
+          <button className="reset-presets-btn" onClick={() => onChange(null)}>
+            Reset
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BetPresetEditor;
@@ -0,0 +1,33 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import BetPresetEditor from './BetPresetEditor';
+
+const presets = [{ type: 'pot', value: 0.5 }, { type: 'x', value: 2.5 }];
+
+describe('BetPresetEditor', () => {
+  test('lists and removes presets', () => {
+    const onChange = jest.fn();
+    render(<BetPresetEditor street="FLOP" presets={presets} isDefault onChange={onChange} />);
+
+    expect(screen.getByText('Flop presets')).toBeInTheDocument();
+    expect(screen.getByText('50%')).toBeInTheDocument();
+    expect(screen.queryByText('Reset')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getAllByTitle('Remove preset')[0]);
+    expect(onChange).toHaveBeenCalledWith([{ type: 'x', value: 2.5 }]);
+  });
+
+  test('adds a multiple of the bet', () => {
+    const onChange = jest.fn();
+    render(<BetPresetEditor street="PREFLOP" presets={[]} isDefault={false} onChange={onChange} />);
+
+    expect(screen.getByText('Add')).toBeDisabled();
+    fireEvent.change(screen.getByLabelText('Preset type'), { target: { value: 'x' } });
+    fireEvent.change(screen.getByLabelText('Preset size'), { target: { value: '3' } });
+    fireEvent.click(screen.getByText('Add'));
+    expect(onChange).toHaveBeenCalledWith([{ type: 'x', value: 3 }]);
+
+    fireEvent.click(screen.getByText('Reset'));
+    expect(onChange).toHaveBeenLastCalledWith(null);
+  });
+});
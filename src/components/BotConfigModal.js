@@ -1,15 +1,49 @@
 // src/components/BotConfigModal.js
 import React, { useState } from 'react';
 import { botService } from '../services/apiService';
+import { planBotFill } from '../utils/botFill';
 import './BotConfigModal.css';
 
-const BotConfigModal = ({ isOpen, onClose, onBotAdded, tableId, tableBuyInRange }) => {
+const DEFAULT_MIX_ENTRY = { difficulty: 'BASIC', playStyle: 'TIGHT_AGGRESSIVE' };
+
+/**
+ * Adds bots to a table, either one configured bot or, in "fill" mode,
+ * several at once with a mix of difficulties and play styles and
+ * optionally staggered buy-ins.
+ *
+ * @param {string} [initialMode] - 'single' or 'fill'
+ * @param {number} [freeSeats] - Open seats, the most bots fill mode adds
+ * @param {Function} onBotAdded - Called with the add response in single mode
+ * @param {Function} [onBotsAdded] - Called with the add responses after a
+ *   fill, including a partial one that stopped on an error
+ */
+const BotConfigModal = ({
+  isOpen,
+  onClose,
+  onBotAdded,
+  onBotsAdded,
+  tableId,
+  tableBuyInRange,
+  initialMode = 'single',
+  freeSeats = 1,
+}) => {
+  const [mode, setMode] = useState(initialMode);
   const [buyInAmount, setBuyInAmount] = useState(tableBuyInRange?.min || 100);
   const [difficulty, setDifficulty] = useState('BASIC');
   const [playStyle, setPlayStyle] = useState('TIGHT_AGGRESSIVE');
   const [isAdding, setIsAdding] = useState(false);
   const [error, setError] = useState('');
 
+  // Fill mode
+  const [botCount, setBotCount] = useState(Math.max(1, freeSeats));
+  const [mix, setMix] = useState([DEFAULT_MIX_ENTRY]);
+  const [stagger, setStagger] = useState(false);
+  const [staggerRange, setStaggerRange] = useState({
+    min: tableBuyInRange?.min || 100,
+    max: tableBuyInRange?.max || 100,
+  });
+  const [addedCount, setAddedCount] = useState(0);
+
   const handleAddBot = async (e) => {
     e.preventDefault();
     setIsAdding(true);
@@ -41,97 +75,297 @@ const BotConfigModal = ({ isOpen, onClose, onBotAdded, tableId, tableBuyInRange
     }
   };
 
+  const fillPlan = planBotFill({
+    count: botCount,
+    mix,
+    buyIn: buyInAmount,
+    stagger: stagger ? staggerRange : null,
+  });
+
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
+    setError('');
+  };
+
+  const updateMixEntry = (index, key, value) => {
+    setMix(entries => entries.map((entry, i) => (i === index ? { ...entry, [key]: value } : entry)));
+  };
+
+  const handleFillSeats = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (botCount < 1 || botCount > freeSeats) {
+      setError(`Choose between 1 and ${freeSeats} bots`);
+      return;
+    }
+    if (stagger && staggerRange.min > staggerRange.max) {
+      setError('The lowest buy-in must not be above the highest');
+      return;
+    }
+    if (tableBuyInRange && fillPlan.some(bot => bot.buyIn < tableBuyInRange.min || bot.buyIn > tableBuyInRange.max)) {
+      setError(`Buy-ins must be between $${tableBuyInRange.min} and $${tableBuyInRange.max}`);
+      return;
+    }
+
+    setIsAdding(true);
+    setAddedCount(0);
+    const added = [];
+    try {
+      // One at a time, so each bot takes the next open seat
+      for (const bot of fillPlan) {
+        const response = await botService.addBotToTable(tableId, bot.buyIn, bot.difficulty, bot.playStyle);
+        added.push(response.data);
+        setAddedCount(added.length);
+      }
+      onBotsAdded?.(added);
+      onClose();
+    } catch (err) {
+      console.error('Error filling seats:', err);
+      setError(`Added ${added.length} of ${fillPlan.length} bots: ${err.response?.data?.error || err.message}`);
+      if (added.length > 0) onBotsAdded?.(added);
+    } finally {
+      setIsAdding(false);
+    }
+  };
+
   if (!isOpen) return null;
 
+  const buyInField = (
+    <div className="bot-config-section">
+      <label className="bot-config-label">
+        Buy-in Amount
+        <div className="bot-input-container">
+          <span className="bot-currency-symbol">$</span>
+          <input
+            type="number"
+            value={buyInAmount}
+            onChange={(e) => setBuyInAmount(Number(e.target.value))}
+            min={tableBuyInRange?.min || 1}
+            max={tableBuyInRange?.max || 10000}
+            step="1"
+            className="bot-number-input"
+            required
+          />
+        </div>
+        {tableBuyInRange && (
+          <small className="bot-input-hint">
+            Range: ${tableBuyInRange.min} - ${tableBuyInRange.max}
+          </small>
+        )}
+      </label>
+    </div>
+  );
+
   return (
     <div className="bot-modal-overlay" onClick={onClose}>
       <div className="bot-modal-content" onClick={(e) => e.stopPropagation()}>
         <div className="bot-modal-header">
-          <h2>🤖 Add Bot Player</h2>
+          <h2>🤖 {mode === 'fill' ? 'Fill Empty Seats' : 'Add Bot Player'}</h2>
           <button className="bot-modal-close" onClick={onClose}>×</button>
         </div>
 
-        <form onSubmit={handleAddBot} className="bot-config-form">
-          {error && <div className="bot-error-message">{error}</div>}
+        <div className="bot-mode-tabs" role="tablist">
+          <button
+            type="button"
+            role="tab"
+            aria-selected={mode === 'single'}
+            className={`bot-mode-tab ${mode === 'single' ? 'active' : ''}`}
+            onClick={() => switchMode('single')}
+            disabled={isAdding}
+          >
+            One Bot
+          </button>
+          <button
+            type="button"
+            role="tab"
+            aria-selected={mode === 'fill'}
+            className={`bot-mode-tab ${mode === 'fill' ? 'active' : ''}`}
+            onClick={() => switchMode('fill')}
+            disabled={isAdding}
+          >
+            Fill Empty Seats
+          </button>
+        </div>
 
-          <div className="bot-config-section">
-            <label className="bot-config-label">
-              Buy-in Amount
-              <div className="bot-input-container">
-                <span className="bot-currency-symbol">$</span>
+        {mode === 'fill' ? (
+          <form onSubmit={handleFillSeats} className="bot-config-form">
+            {error && <div className="bot-error-message">{error}</div>}
+
+            <div className="bot-config-section">
+              <label className="bot-config-label">
+                Number of Bots
                 <input
                   type="number"
-                  value={buyInAmount}
-                  onChange={(e) => setBuyInAmount(Number(e.target.value))}
-                  min={tableBuyInRange?.min || 1}
-                  max={tableBuyInRange?.max || 10000}
+                  value={botCount}
+                  onChange={(e) => setBotCount(Number(e.target.value))}
+                  min="1"
+                  max={freeSeats}
                   step="1"
-                  className="bot-number-input"
+                  className="bot-number-input bot-count-input"
                   required
                 />
-              </div>
-              {tableBuyInRange && (
-                <small className="bot-input-hint">
-                  Range: ${tableBuyInRange.min} - ${tableBuyInRange.max}
-                </small>
-              )}
-            </label>
-          </div>
-
-          <div className="bot-config-section">
-            <label className="bot-config-label">
-              Difficulty Level
-              <select
-                value={difficulty}
-                onChange={(e) => setDifficulty(e.target.value)}
-                className="bot-select"
-              >
-                <option value="BASIC">Basic - Simple strategy</option>
-                <option value="INTERMEDIATE">Intermediate - Considers position & odds</option>
-                <option value="ADVANCED">Advanced - Complex strategy with bluffing</option>
-              </select>
-            </label>
-          </div>
-
-          <div className="bot-config-section">
-            <label className="bot-config-label">
-              Play Style
-              <select
-                value={playStyle}
-                onChange={(e) => setPlayStyle(e.target.value)}
-                className="bot-select"
-              >
-                <option value="TIGHT_AGGRESSIVE">Tight Aggressive - Few hands, aggressive betting</option>
-                <option value="TIGHT_PASSIVE">Tight Passive - Few hands, passive betting</option>
-                <option value="LOOSE_AGGRESSIVE">Loose Aggressive - Many hands, aggressive betting</option>
-                <option value="LOOSE_PASSIVE">Loose Passive - Many hands, passive betting</option>
-              </select>
-            </label>
-          </div>
-
-          <div className="bot-config-preview">
-            <h4>Bot Preview</h4>
-            <div className="bot-preview-card">
-              <div className="bot-preview-icon">🤖</div>
-              <div className="bot-preview-details">
-                <div className="bot-preview-name">Bot Player</div>
-                <div className="bot-preview-config">
-                  {botService.getDifficultyDisplayName(difficulty)} • {botService.getPlayStyleDisplayName(playStyle)}
+                <small className="bot-input-hint">{freeSeats} open {freeSeats === 1 ? 'seat' : 'seats'}</small>
+              </label>
+            </div>
+
+            <div className="bot-config-section">
+              <span className="bot-config-label">Bot Mix</span>
+              {mix.map((entry, index) => (
+                <div key={index} className="bot-mix-row">
+                  <select
+                    value={entry.difficulty}
+                    onChange={(e) => updateMixEntry(index, 'difficulty', e.target.value)}
+                    className="bot-select"
+                    aria-label={`Mix ${index + 1} difficulty`}
+                  >
+                    {botService.DIFFICULTIES.map(value => (
+                      <option key={value} value={value}>{botService.getDifficultyDisplayName(value)}</option>
+                    ))}
+                  </select>
+                  <select
+                    value={entry.playStyle}
+                    onChange={(e) => updateMixEntry(index, 'playStyle', e.target.value)}
+                    className="bot-select"
+                    aria-label={`Mix ${index + 1} play style`}
+                  >
+                    {botService.PLAY_STYLES.map(value => (
+                      <option key={value} value={value}>{botService.getPlayStyleDisplayName(value)}</option>
+                    ))}
+                  </select>
+                  {mix.length > 1 && (
+                    <button
+                      type="button"
+                      className="bot-mix-remove"
+                      onClick={() => setMix(entries => entries.filter((_, i) => i !== index))}
+                      aria-label={`Remove mix ${index + 1}`}
+                    >
+                      ×
+                    </button>
+                  )}
+                </div>
+              ))}
+              <button type="button" className="bot-mix-add" onClick={() => setMix(entries => [...entries, DEFAULT_MIX_ENTRY])}>
+                + Add to Mix
+              </button>
+              <small className="bot-input-hint">Bots take their difficulty and style from the mix in turn</small>
+            </div>
+
+            <div className="bot-config-section">
+              <label className="bot-config-label bot-checkbox-label">
+                <input type="checkbox" checked={stagger} onChange={(e) => setStagger(e.target.checked)} />
+                Stagger buy-ins
+              </label>
+              {stagger ? (
+                <div className="bot-stagger-range">
+                  <label className="bot-config-label">
+                    Lowest
+                    <input
+                      type="number"
+                      value={staggerRange.min}
+                      onChange={(e) => setStaggerRange(range => ({ ...range, min: Number(e.target.value) }))}
+                      step="1"
+                      className="bot-number-input"
+                      required
+                    />
+                  </label>
+                  <label className="bot-config-label">
+                    Highest
+                    <input
+                      type="number"
+                      value={staggerRange.max}
+                      onChange={(e) => setStaggerRange(range => ({ ...range, max: Number(e.target.value) }))}
+                      step="1"
+                      className="bot-number-input"
+                      required
+                    />
+                  </label>
+                </div>
+              ) : buyInField}
+            </div>
+
+            <div className="bot-config-preview">
+              <h4>Bots to Add</h4>
+              <ol className="bot-fill-preview">
+                {fillPlan.map((bot, index) => (
+                  <li key={index}>
+                    {botService.getDifficultyDisplayName(bot.difficulty)} • {botService.getPlayStyleDisplayName(bot.playStyle)}
+                    <span className="bot-preview-buyin">${bot.buyIn}</span>
+                  </li>
+                ))}
+              </ol>
+            </div>
+
+            <div className="bot-modal-actions">
+              <button type="button" className="bot-cancel-btn" onClick={onClose}>
+                Cancel
+              </button>
+              <button type="submit" className="bot-add-btn" disabled={isAdding}>
+                {isAdding ? `Adding ${addedCount + 1} of ${fillPlan.length}...` : `Add ${fillPlan.length} Bots`}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <form onSubmit={handleAddBot} className="bot-config-form">
+            {error && <div className="bot-error-message">{error}</div>}
+
+            {buyInField}
+
+            <div className="bot-config-section">
+              <label className="bot-config-label">
+                Difficulty Level
+                <select
+                  value={difficulty}
+                  onChange={(e) => setDifficulty(e.target.value)}
+                  className="bot-select"
+                >
+                  <option value="BASIC">Basic - Simple strategy</option>
+                  <option value="INTERMEDIATE">Intermediate - Considers position & odds</option>
+                  <option value="ADVANCED">Advanced - Complex strategy with bluffing</option>
+                </select>
+              </label>
+            </div>
+
+            <div className="bot-config-section">
+              <label className="bot-config-label">
+                Play Style
+                <select
+                  value={playStyle}
+                  onChange={(e) => setPlayStyle(e.target.value)}
+                  className="bot-select"
+                >
+                  <option value="TIGHT_AGGRESSIVE">Tight Aggressive - Few hands, aggressive betting</option>
+                  <option value="TIGHT_PASSIVE">Tight Passive - Few hands, passive betting</option>
+                  <option value="LOOSE_AGGRESSIVE">Loose Aggressive - Many hands, aggressive betting</option>
+                  <option value="LOOSE_PASSIVE">Loose Passive - Many hands, passive betting</option>
+                </select>
+              </label>
+            </div>
+
+            <div className="bot-config-preview">
+              <h4>Bot Preview</h4>
+              <div className="bot-preview-card">
+                <div className="bot-preview-icon">🤖</div>
+                <div className="bot-preview-details">
+                  <div className="bot-preview-name">Bot Player</div>
+                  <div className="bot-preview-config">
+                    {botService.getDifficultyDisplayName(difficulty)} • {botService.getPlayStyleDisplayName(playStyle)}
+                  </div>
+                  <div className="bot-preview-buyin">${buyInAmount} buy-in</div>
                 </div>
-                <div className="bot-preview-buyin">${buyInAmount} buy-in</div>
               </div>
             </div>
-          </div>
-
-          <div className="bot-modal-actions">
-            <button type="button" className="bot-cancel-btn" onClick={onClose}>
-              Cancel
-            </button>
-            <button type="submit" className="bot-add-btn" disabled={isAdding}>
-              {isAdding ? 'Adding Bot...' : 'Add Bot'}
-            </button>
-          </div>
-        </form>
+
+            <div className="bot-modal-actions">
+              <button type="button" className="bot-cancel-btn" onClick={onClose}>
+                Cancel
+              </button>
+              <button type="submit" className="bot-add-btn" disabled={isAdding}>
+                {isAdding ? 'Adding Bot...' : 'Add Bot'}
+              </button>
+            </div>
+          </form>
+        )}
       </div>
     </div>
   );
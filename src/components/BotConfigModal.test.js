@@ -0,0 +1,110 @@
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import BotConfigModal from './BotConfigModal';
+import { botService } from '../services/apiService';
+
+jest.mock('../services/apiService', () => ({
+  botService: {
+    addBotToTable: jest.fn(),
+    DIFFICULTIES: ['BASIC', 'ADVANCED'],
+    PLAY_STYLES: ['TIGHT_AGGRESSIVE', 'LOOSE_PASSIVE'],
+    getDifficultyDisplayName: difficulty => `difficulty:${difficulty}`,
+    getPlayStyleDisplayName: style => `style:${style}`,
+  },
+}));
+
+const renderModal = (props = {}) => {
+  const handlers = { onClose: jest.fn(), onBotAdded: jest.fn(), onBotsAdded: jest.fn() };
+  render(
+    <BotConfigModal
+      isOpen
+      tableId={5}
+      tableBuyInRange={{ min: 20, max: 200 }}
+      initialMode="fill"
+      freeSeats={3}
+      {...handlers}
+      {...props}
+    />
+  );
+  return handlers;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  let count = 0;
+  botService.addBotToTable.mockImplementation(() => {
+    count += 1;
+    return Promise.resolve({ data: { success: true, bot_id: count } });
+  });
+});
+
+describe('BotConfigModal fill mode', () => {
+  test('fills every open seat with a mix of bots', async () => {
+    const { onBotsAdded, onClose } = renderModal();
+
+    userEvent.click(screen.getByText('+ Add to Mix'));
+    userEvent.selectOptions(screen.getByLabelText('Mix 2 difficulty'), 'ADVANCED');
+    userEvent.selectOptions(screen.getByLabelText('Mix 2 play style'), 'LOOSE_PASSIVE');
+    userEvent.click(screen.getByRole('button', { name: 'Add 3 Bots' }));
+
+    await waitFor(() => expect(onClose).toHaveBeenCalled());
+    expect(botService.addBotToTable.mock.calls).toEqual([
+      [5, 20, 'BASIC', 'TIGHT_AGGRESSIVE'],
+      [5, 20, 'ADVANCED', 'LOOSE_PASSIVE'],
+      [5, 20, 'BASIC', 'TIGHT_AGGRESSIVE'],
+    ]);
+    expect(onBotsAdded).toHaveBeenCalledWith([
+      { success: true, bot_id: 1 },
+      { success: true, bot_id: 2 },
+      { success: true, bot_id: 3 },
+    ]);
+  });
+
+  test('staggers buy-ins across the chosen range', async () => {
+    const { onClose } = renderModal();
+
+    userEvent.click(screen.getByLabelText('Stagger buy-ins'));
+    userEvent.clear(screen.getByLabelText('Lowest'));
+    userEvent.type(screen.getByLabelText('Lowest'), '50');
+    userEvent.click(screen.getByRole('button', { name: 'Add 3 Bots' }));
+
+    await waitFor(() => expect(onClose).toHaveBeenCalled());
+    expect(botService.addBotToTable.mock.calls.map(call => call[1])).toEqual([50, 125, 200]);
+  });
+
+  test('refuses buy-ins outside the table range', () => {
+    renderModal();
+
+    userEvent.click(screen.getByLabelText('Stagger buy-ins'));
+    userEvent.clear(screen.getByLabelText('Highest'));
+    userEvent.type(screen.getByLabelText('Highest'), '500');
+    userEvent.click(screen.getByRole('button', { name: 'Add 3 Bots' }));
+
+    expect(screen.getByText('Buy-ins must be between $20 and $200')).toBeInTheDocument();
+    expect(botService.addBotToTable).not.toHaveBeenCalled();
+  });
+
+  test('reports the bots added before a failure', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    botService.addBotToTable
+      .mockResolvedValueOnce({ data: { success: true, bot_id: 1 } })
+      .mockRejectedValueOnce({ response: { data: { error: 'This table is full' } } });
+    const { onBotsAdded, onClose } = renderModal();
+
+    userEvent.click(screen.getByRole('button', { name: 'Add 3 Bots' }));
+
+    expect(await screen.findByText('Added 1 of 3 bots: This table is full')).toBeInTheDocument();
+    expect(onBotsAdded).toHaveBeenCalledWith([{ success: true, bot_id: 1 }]);
+    expect(onClose).not.toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+
+  test('switches between one bot and filling seats', () => {
+    renderModal({ initialMode: 'single' });
+    expect(screen.getByRole('button', { name: 'Add Bot' })).toBeInTheDocument();
+
+    userEvent.click(screen.getByRole('tab', { name: 'Fill Empty Seats' }));
+    expect(screen.getByRole('button', { name: 'Add 3 Bots' })).toBeInTheDocument();
+  });
+});
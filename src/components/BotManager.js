@@ -0,0 +1,339 @@
+// src/components/BotManager.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { tableService, botService } from '../services/apiService';
+import { formatCurrency } from '../utils/format';
+import './BotManager.css';
+
+const DEFAULT_CONFIG = {
+  difficulty: 'BASIC',
+  playStyle: 'TIGHT_AGGRESSIVE',
+  aggressionFactor: 0.5,
+  bluffFrequency: 0.1,
+};
+
+// List endpoints answer with either a plain array or a DRF page
+const toList = (data) => {
+  if (data && Array.isArray(data.results)) return data.results;
+  return Array.isArray(data) ? data : [];
+};
+
+const botName = (bot) => bot.user?.username || bot.player?.user?.username || `Bot #${bot.id}`;
+const asPercent = (value) => `${Math.round(value * 100)}%`;
+
+/**
+ * Bot management: create bots with custom tuning, browse the bots that
+ * aren't playing, see how each has done and seat one at a table. Seated
+ * bots are managed from the table itself (BotPanel).
+ */
+const BotManager = () => {
+  const [bots, setBots] = useState([]);
+  const [tables, setTables] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState(null); // {text, type}
+  const [config, setConfig] = useState(DEFAULT_CONFIG);
+  const [creating, setCreating] = useState(false);
+  const [stats, setStats] = useState({}); // bot id -> stats, or {error}
+  const [openStats, setOpenStats] = useState(null);
+  const [seating, setSeating] = useState(null); // {botId, tableId, buyIn}
+  const [seatBusy, setSeatBusy] = useState(false);
+
+  const loadData = useCallback(async () => {
+    const [botsResult, tablesResult] = await Promise.allSettled([
+      botService.listAvailableBots(),
+      tableService.getTables(),
+    ]);
+
+    const failed = [];
+    if (botsResult.status === 'fulfilled') setBots(toList(botsResult.value.data));
+    else failed.push('bots');
+    if (tablesResult.status === 'fulfilled') setTables(toList(tablesResult.value.data));
+    else failed.push('tables');
+
+    if (failed.length > 0) {
+      setMessage({ text: `Failed to load ${failed.join(', ')}`, type: 'error' });
+    }
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  const updateConfig = (key, value) => setConfig(prev => ({ ...prev, [key]: value }));
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    try {
+      const response = await botService.createBot(config);
+      setMessage({ text: `✅ ${botName(response.data)} created`, type: 'success' });
+      setConfig(DEFAULT_CONFIG);
+      await loadData();
+    } catch (err) {
+      console.error('Error creating bot:', err);
+      setMessage({ text: `Failed to create bot: ${err.response?.data?.error || err.message}`, type: 'error' });
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const toggleStats = async (bot) => {
+    if (openStats === bot.id) {
+      setOpenStats(null);
+      return;
+    }
+    setOpenStats(bot.id);
+    try {
+      const response = await botService.getBotStats(bot.id);
+      setStats(prev => ({ ...prev, [bot.id]: response.data }));
+    } catch (err) {
+      setStats(prev => ({ ...prev, [bot.id]: { error: err.response?.data?.error || err.message } }));
+    }
+  };
+
+  const startSeating = (bot) => {
+    const table = tables[0];
+    setSeating({ botId: bot.id, tableId: table?.id ?? '', buyIn: table?.min_buy_in ?? '' });
+  };
+
+  const chooseTable = (tableId) => {
+    const table = tables.find(t => String(t.id) === tableId);
+    setSeating(prev => ({ ...prev, tableId, buyIn: table ? table.min_buy_in : prev.buyIn }));
+  };
+
+  const handleSeat = async (e, bot) => {
+    e.preventDefault();
+    const table = tables.find(t => String(t.id) === String(seating.tableId));
+    // The list may have changed under the form, or there was no table to pick
+    if (!table) {
+      setMessage({ text: 'Choose a table to seat the bot at', type: 'error' });
+      return;
+    }
+    const buyIn = Number(seating.buyIn);
+    if (buyIn < table.min_buy_in || buyIn > table.max_buy_in) {
+      setMessage({ text: `Buy-in must be between $${table.min_buy_in} and $${table.max_buy_in}`, type: 'error' });
+      return;
+    }
+
+    setSeatBusy(true);
+    try {
+      await botService.seatBot(table.id, bot.id, buyIn);
+      setMessage({ text: `✅ ${botName(bot)} seated at "${table.name}"`, type: 'success' });
+      setSeating(null);
+      await loadData();
+    } catch (err) {
+      console.error('Error seating bot:', err);
+      setMessage({ text: `Failed to seat ${botName(bot)}: ${err.response?.data?.error || err.message}`, type: 'error' });
+    } finally {
+      setSeatBusy(false);
+    }
+  };
+
+  const renderStats = (bot) => {
+    const botStats = stats[bot.id];
+    if (!botStats) return <p className="bot-stats-loading">Loading stats...</p>;
+    if (botStats.error) return <p className="bot-stats-error">Couldn't load stats: {botStats.error}</p>;
+    if (botStats.hands_played === 0) return <p className="bot-stats-empty">No hands played yet</p>;
+
+    return (
+      <dl className="bot-stats">
+        <div><dt>Hands</dt><dd>{botStats.hands_played}</dd></div>
+        <div><dt>VPIP</dt><dd>{botStats.vpip}%</dd></div>
+        <div><dt>Win Rate</dt><dd>{botStats.win_rate}%</dd></div>
+        <div>
+          <dt>Net</dt>
+          <dd className={botStats.net_winnings >= 0 ? 'positive' : 'negative'}>
+            {botStats.net_winnings >= 0 ? '+' : '-'}{formatCurrency(Math.abs(botStats.net_winnings))}
+          </dd>
+        </div>
+      </dl>
+    );
+  };
+
+  const renderSeatForm = (bot) => {
+    if (tables.length === 0) {
+      return (
+        <p className="bot-stats-empty">
+          No tables to seat it at. <Link to="/tables/create">Create a table</Link> first.
+        </p>
+      );
+    }
+
+    return (
+      <form onSubmit={(e) => handleSeat(e, bot)} className="bot-seat-form">
+        <label>
+          Table
+          <select value={seating.tableId} onChange={(e) => chooseTable(e.target.value)}>
+            {tables.map(table => (
+              <option key={table.id} value={table.id}>
+                {table.name} (${table.small_blind}/${table.big_blind})
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Buy-in
+          <input
+            type="number"
+            value={seating.buyIn}
+            onChange={(e) => setSeating(prev => ({ ...prev, buyIn: e.target.value }))}
+            step="1"
+            required
+          />
+        </label>
+        <button type="button" onClick={() => setSeating(null)} className="btn btn-secondary btn-sm" disabled={seatBusy}>
+          Cancel
+        </button>
+        <button type="submit" className="btn btn-primary btn-sm" disabled={seatBusy}>
+          {seatBusy ? 'Seating...' : 'Seat Bot'}
+        </button>
+      </form>
+    );
+  };
+
+  if (loading) {
+    return <div className="loading">Loading bots...</div>;
+  }
+
+  return (
+    <div className="bot-manager">
+      <div className="bot-manager-header">
+        <h2>🤖 Bots</h2>
+        <button onClick={loadData} className="btn btn-secondary btn-sm">Refresh</button>
+      </div>
+
+      {message && (
+        <div className={`bot-manager-message ${message.type}`} role="status">
+          {message.text}
+          <button onClick={() => setMessage(null)} className="bot-manager-message-close" aria-label="Dismiss">×</button>
+        </div>
+      )}
+
+      <section className="bot-manager-section">
+        <h3>Create a Bot</h3>
+        <form onSubmit={handleCreate} className="bot-create-form">
+          <div className="form-group">
+            <label htmlFor="bot-difficulty">Difficulty</label>
+            <select
+              id="bot-difficulty"
+              value={config.difficulty}
+              onChange={(e) => updateConfig('difficulty', e.target.value)}
+            >
+              {botService.DIFFICULTIES.map(difficulty => (
+                <option key={difficulty} value={difficulty}>{botService.getDifficultyDisplayName(difficulty)}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="bot-play-style">Play Style</label>
+            <select
+              id="bot-play-style"
+              value={config.playStyle}
+              onChange={(e) => updateConfig('playStyle', e.target.value)}
+            >
+              {botService.PLAY_STYLES.map(style => (
+                <option key={style} value={style}>{botService.getPlayStyleDisplayName(style)}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="bot-aggression">Aggression: {asPercent(config.aggressionFactor)}</label>
+            <input
+              id="bot-aggression"
+              type="range"
+              min="0"
+              max="1"
+              step="0.05"
+              value={config.aggressionFactor}
+              onChange={(e) => updateConfig('aggressionFactor', Number(e.target.value))}
+            />
+            <small className="bot-input-hint">How often it bets and raises rather than calls</small>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="bot-bluff">Bluff Frequency: {asPercent(config.bluffFrequency)}</label>
+            <input
+              id="bot-bluff"
+              type="range"
+              min="0"
+              max="0.5"
+              step="0.05"
+              value={config.bluffFrequency}
+              onChange={(e) => updateConfig('bluffFrequency', Number(e.target.value))}
+            />
+            <small className="bot-input-hint">How often it bets with a weak hand</small>
+          </div>
+
+          <button type="submit" className="btn btn-success" disabled={creating}>
+            {creating ? 'Creating...' : 'Create Bot'}
+          </button>
+        </form>
+      </section>
+
+      <section className="bot-manager-section">
+        <h3>Idle Bots ({bots.length})</h3>
+
+        {bots.length === 0 ? (
+          <p className="bot-stats-empty">Every bot is playing. Create one above.</p>
+        ) : (
+          <table className="bot-manager-table">
+            <thead>
+              <tr>
+                <th>Bot</th>
+                <th>Difficulty</th>
+                <th>Play Style</th>
+                <th>Aggression</th>
+                <th>Bluffing</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {bots.map(bot => (
+                <React.Fragment key={bot.id}>
+                  <tr>
+                    <td>🤖 {botName(bot)}</td>
+                    <td>{bot.difficulty ? botService.getDifficultyDisplayName(bot.difficulty) : '—'}</td>
+                    <td>{bot.play_style ? botService.getPlayStyleDisplayName(bot.play_style) : '—'}</td>
+                    <td>{bot.aggression_factor != null ? asPercent(bot.aggression_factor) : '—'}</td>
+                    <td>{bot.bluff_frequency != null ? asPercent(bot.bluff_frequency) : '—'}</td>
+                    <td className="bot-manager-actions">
+                      <button
+                        onClick={() => toggleStats(bot)}
+                        className="btn btn-secondary btn-sm"
+                        aria-expanded={openStats === bot.id}
+                      >
+                        Stats
+                      </button>
+                      <button
+                        onClick={() => startSeating(bot)}
+                        className="btn btn-primary btn-sm"
+                        disabled={seating?.botId === bot.id}
+                      >
+                        Seat
+                      </button>
+                    </td>
+                  </tr>
+                  {openStats === bot.id && (
+                    <tr className="bot-manager-detail">
+                      <td colSpan="6">{renderStats(bot)}</td>
+                    </tr>
+                  )}
+                  {seating?.botId === bot.id && (
+                    <tr className="bot-manager-detail">
+                      <td colSpan="6">{renderSeatForm(bot)}</td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default BotManager;
@@ -0,0 +1,135 @@
+import React from 'react';
+import { render, screen, waitFor, within, fireEvent } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter } from 'react-router-dom';
+import BotManager from './BotManager';
+import { tableService, botService } from '../services/apiService';
+
+jest.mock('../services/apiService', () => ({
+  tableService: {
+    getTables: jest.fn(),
+  },
+  botService: {
+    listAvailableBots: jest.fn(),
+    createBot: jest.fn(),
+    getBotStats: jest.fn(),
+    seatBot: jest.fn(),
+    DIFFICULTIES: ['BASIC', 'ADVANCED'],
+    PLAY_STYLES: ['TIGHT_AGGRESSIVE', 'LOOSE_PASSIVE'],
+    getDifficultyDisplayName: difficulty => `difficulty:${difficulty}`,
+    getPlayStyleDisplayName: style => `style:${style}`,
+  },
+}));
+
+const tables = [
+  { id: 1, name: 'Micro', small_blind: 1, big_blind: 2, min_buy_in: 40, max_buy_in: 200 },
+  { id: 2, name: 'High Rollers', small_blind: 5, big_blind: 10, min_buy_in: 200, max_buy_in: 1000 },
+];
+const bot = {
+  id: 30,
+  user: { username: 'Bot 3' },
+  difficulty: 'ADVANCED',
+  play_style: 'LOOSE_PASSIVE',
+  aggression_factor: 0.7,
+  bluff_frequency: 0.2,
+};
+
+const renderManager = async () => {
+  render(<MemoryRouter><BotManager /></MemoryRouter>);
+  await screen.findByText('Idle Bots (1)');
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  tableService.getTables.mockResolvedValue({ data: tables });
+  botService.listAvailableBots.mockResolvedValue({ data: [bot] });
+});
+
+describe('BotManager', () => {
+  test('lists idle bots with their tuning', async () => {
+    await renderManager();
+
+    const row = screen.getByRole('row', { name: /Bot 3/ });
+    expect(within(row).getByText('difficulty:ADVANCED')).toBeInTheDocument();
+    expect(within(row).getByText('style:LOOSE_PASSIVE')).toBeInTheDocument();
+    expect(within(row).getByText('70%')).toBeInTheDocument();
+    expect(within(row).getByText('20%')).toBeInTheDocument();
+  });
+
+  test('creates a bot with the chosen difficulty, style and tuning', async () => {
+    botService.createBot.mockResolvedValue({ data: { id: 31, user: { username: 'Bot 4' } } });
+    await renderManager();
+
+    userEvent.selectOptions(screen.getByLabelText('Difficulty'), 'ADVANCED');
+    userEvent.selectOptions(screen.getByLabelText('Play Style'), 'LOOSE_PASSIVE');
+    // Sliders don't take typed input
+    fireEvent.change(screen.getByLabelText(/Aggression/), { target: { value: '0' } });
+    userEvent.click(screen.getByRole('button', { name: 'Create Bot' }));
+
+    expect(await screen.findByRole('status')).toHaveTextContent('Bot 4 created');
+    expect(botService.createBot).toHaveBeenCalledWith({
+      difficulty: 'ADVANCED',
+      playStyle: 'LOOSE_PASSIVE',
+      aggressionFactor: 0,
+      bluffFrequency: 0.1,
+    });
+    expect(botService.listAvailableBots).toHaveBeenCalledTimes(2);
+  });
+
+  test('shows a bot\'s stats', async () => {
+    botService.getBotStats.mockResolvedValue({
+      data: { bot_id: 30, hands_played: 40, hands_won: 9, vpip: 32.5, win_rate: 22.5, net_winnings: -12.5 },
+    });
+    await renderManager();
+
+    userEvent.click(screen.getByRole('button', { name: 'Stats' }));
+
+    expect(await screen.findByText('32.5%')).toBeInTheDocument();
+    expect(screen.getByText('40')).toBeInTheDocument();
+    expect(screen.getByText('22.5%')).toBeInTheDocument();
+    expect(screen.getByText('-$12.50')).toBeInTheDocument();
+    expect(botService.getBotStats).toHaveBeenCalledWith(30);
+  });
+
+  test('seats a bot at the chosen table with that table\'s minimum buy-in', async () => {
+    botService.seatBot.mockResolvedValue({ data: { success: true } });
+    await renderManager();
+
+    userEvent.click(screen.getByRole('button', { name: 'Seat' }));
+    userEvent.selectOptions(screen.getByLabelText('Table'), '2');
+    expect(screen.getByLabelText('Buy-in')).toHaveValue(200);
+    userEvent.click(screen.getByRole('button', { name: 'Seat Bot' }));
+
+    expect(await screen.findByRole('status')).toHaveTextContent('Bot 3 seated at "High Rollers"');
+    expect(botService.seatBot).toHaveBeenCalledWith(2, 30, 200);
+  });
+
+  test('refuses a buy-in outside the table\'s range', async () => {
+    await renderManager();
+
+    userEvent.click(screen.getByRole('button', { name: 'Seat' }));
+    const buyIn = screen.getByLabelText('Buy-in');
+    userEvent.clear(buyIn);
+    userEvent.type(buyIn, '500');
+    userEvent.click(screen.getByRole('button', { name: 'Seat Bot' }));
+
+    await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent('Buy-in must be between $40 and $200'));
+    expect(botService.seatBot).not.toHaveBeenCalled();
+  });
+
+  test('asks for a table again when the chosen one is gone after a refresh', async () => {
+    botService.createBot.mockResolvedValue({ data: { id: 31, user: { username: 'Bot 4' } } });
+    await renderManager();
+
+    userEvent.click(screen.getByRole('button', { name: 'Seat' }));
+    // Creating a bot reloads the tables, and Micro has closed meanwhile
+    tableService.getTables.mockResolvedValue({ data: [tables[1]] });
+    userEvent.click(screen.getByRole('button', { name: 'Create Bot' }));
+    await waitFor(() => expect(tableService.getTables).toHaveBeenCalledTimes(2));
+
+    userEvent.click(screen.getByRole('button', { name: 'Seat Bot' }));
+
+    await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent('Choose a table to seat the bot at'));
+    expect(botService.seatBot).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,91 @@
+// src/components/BotPanel.js
+import React from 'react';
+import { botService } from '../services/apiService';
+import { getBotConfig } from '../utils/format';
+
+/**
+ * Bot seats at a waiting table, with add/remove controls.
+ *
+ * @param {Array<Object>} botPlayers - Game players that are bots
+ * @param {boolean} canAddBot - Whether there is a free seat and the game hasn't started
+ * @param {boolean} addingBot - Add request in flight
+ * @param {Function} onAddBot - Opens the bot configuration modal
+ * @param {Function} [onFillSeats] - Opens the modal in fill-empty-seats mode
+ * @param {Function} onRemoveBot - Called with (botId, botName)
+ * @param {number|null} [autoBalanceMinPlayers] - Set when the table keeps
+ *   itself at this many players with bots; manual adds are hidden then, as
+ *   auto-balance would take any extra bots straight back off
+ */
+const BotPanel = ({
+  botPlayers,
+  canAddBot,
+  addingBot = false,
+  onAddBot,
+  onFillSeats,
+  onRemoveBot,
+  autoBalanceMinPlayers = null,
+}) => {
+  const showAddControls = canAddBot && !autoBalanceMinPlayers;
+
+  return (
+    <div className="bot-controls">
+      <h3>🤖 Bot Players</h3>
+      {autoBalanceMinPlayers && (
+        <p className="bot-auto-balance-note">
+          ⚖️ Auto-balance is on: bots fill in below {autoBalanceMinPlayers} players and leave as humans join
+        </p>
+      )}
+      <div className="bot-controls-buttons">
+        {showAddControls && (
+          <button
+            className="add-bot-btn"
+            onClick={onAddBot}
+            disabled={addingBot}
+          >
+            🤖 Add Bot
+          </button>
+        )}
+        {showAddControls && onFillSeats && (
+          <button
+            className="add-bot-btn"
+            onClick={onFillSeats}
+            disabled={addingBot}
+          >
+            🪑 Fill Empty Seats
+          </button>
+        )}
+        {botPlayers.map(botPlayer => {
+          const botConfig = getBotConfig(botPlayer);
+          return (
+            <div key={botPlayer.id} className="bot-player-info">
+              <span className="bot-name">
+                🤖 {botPlayer.player.user.username}
+              </span>
+              {botConfig && (
+                <span className="bot-config-text">
+                  {botService.getDifficultyDisplayName(botConfig.difficulty)} •
+                  {botService.getPlayStyleDisplayName(botConfig.play_style)}
+                </span>
+              )}
+              <button
+                className="remove-bot-btn"
+                onClick={() => onRemoveBot(
+                  botConfig?.id || botPlayer.id,
+                  botPlayer.player.user.username
+                )}
+                title="Remove bot"
+              >
+                ✕
+              </button>
+            </div>
+          );
+        })}
+        {botPlayers.length === 0 && (
+          <p className="no-bots-message">No bots at the table</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BotPanel;
@@ -0,0 +1,76 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import BotPanel from './BotPanel';
+
+jest.mock('../services/apiService', () => ({
+  botService: {
+    getDifficultyDisplayName: difficulty => `difficulty:${difficulty}`,
+    getPlayStyleDisplayName: style => `style:${style}`,
+  },
+}));
+
+const bot = {
+  id: 7,
+  player: {
+    user: { username: 'RoboRay' },
+    is_bot: true,
+    bot_config: { id: 42, difficulty: 'HARD', play_style: 'AGGRESSIVE' },
+  },
+};
+
+describe('BotPanel', () => {
+  test('lists bots with their configuration', () => {
+    render(<BotPanel botPlayers={[bot]} canAddBot onAddBot={jest.fn()} onRemoveBot={jest.fn()} />);
+
+    expect(screen.getByText('🤖 RoboRay')).toBeInTheDocument();
+    expect(screen.getByText(/difficulty:HARD/)).toBeInTheDocument();
+    expect(screen.getByText(/style:AGGRESSIVE/)).toBeInTheDocument();
+  });
+
+  test('remove passes the bot config id and name', () => {
+    const onRemoveBot = jest.fn();
+    render(<BotPanel botPlayers={[bot]} canAddBot={false} onAddBot={jest.fn()} onRemoveBot={onRemoveBot} />);
+
+    fireEvent.click(screen.getByTitle('Remove bot'));
+
+    expect(onRemoveBot).toHaveBeenCalledWith(42, 'RoboRay');
+  });
+
+  test('add button only shows when a seat is free', () => {
+    const onAddBot = jest.fn();
+    const { rerender } = render(
+      <BotPanel botPlayers={[]} canAddBot={false} onAddBot={onAddBot} onRemoveBot={jest.fn()} />
+    );
+    expect(screen.queryByText('🤖 Add Bot')).not.toBeInTheDocument();
+    expect(screen.getByText('No bots at the table')).toBeInTheDocument();
+
+    rerender(<BotPanel botPlayers={[]} canAddBot onAddBot={onAddBot} onRemoveBot={jest.fn()} />);
+    fireEvent.click(screen.getByText('🤖 Add Bot'));
+    expect(onAddBot).toHaveBeenCalled();
+  });
+
+  test('offers to fill empty seats alongside adding one bot', () => {
+    const onFillSeats = jest.fn();
+    render(<BotPanel botPlayers={[]} canAddBot onAddBot={jest.fn()} onFillSeats={onFillSeats} onRemoveBot={jest.fn()} />);
+
+    fireEvent.click(screen.getByText('🪑 Fill Empty Seats'));
+    expect(onFillSeats).toHaveBeenCalled();
+  });
+
+  test('notes when the table balances itself with bots', () => {
+    const { rerender } = render(<BotPanel botPlayers={[]} canAddBot onAddBot={jest.fn()} onRemoveBot={jest.fn()} />);
+    expect(screen.queryByText(/Auto-balance is on/)).not.toBeInTheDocument();
+
+    rerender(<BotPanel botPlayers={[]} canAddBot onAddBot={jest.fn()} onRemoveBot={jest.fn()} autoBalanceMinPlayers={4} />);
+    expect(screen.getByText(/bots fill in below 4 players/)).toBeInTheDocument();
+  });
+
+  test('hides manual adds while auto-balance manages the bots', () => {
+    render(
+      <BotPanel botPlayers={[]} canAddBot onAddBot={jest.fn()} onFillSeats={jest.fn()} onRemoveBot={jest.fn()} autoBalanceMinPlayers={4} />
+    );
+
+    expect(screen.queryByText('🤖 Add Bot')).not.toBeInTheDocument();
+    expect(screen.queryByText('🪑 Fill Empty Seats')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,117 @@
+// src/components/BuyInDialog.js
+import React, { useState } from 'react';
+
+/**
+ * Modal for buying in: back in after cashing out, or into an open seat
+ * while spectating.
+ *
+ * @param {Object|null} table - game.table, with min_buy_in / max_buy_in
+ * @param {string} gameStatus - game.status; finished games can't be rejoined
+ * @param {Function} onConfirm - Called with the chosen amount
+ * @param {Function} onClose - Called when the dialog is dismissed
+ * @param {string} [title] - Dialog heading
+ */
+const BuyInDialog = ({ table, gameStatus, onConfirm, onClose, title = '💵 Buy Back In' }) => {
+  const [buyInAmount, setBuyInAmount] = useState(0);
+
+  if (!table || gameStatus === 'FINISHED') {
+    return (
+      <div className="buy-in-overlay">
+        <div className="buy-in-dialog">
+          <div className="buy-in-header">
+            <h2>❌ Cannot Buy Back In</h2>
+          </div>
+          <div className="buy-in-content">
+            <p>
+              {gameStatus === 'FINISHED'
+                ? 'This game has finished. You cannot buy back in.'
+                : 'Table information not available. Please refresh the page.'}
+            </p>
+            <button
+              className="buy-in-cancel-btn"
+              onClick={onClose}
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="buy-in-overlay">
+      <div className="buy-in-dialog">
+        <div className="buy-in-header">
+          <h2>{title}</h2>
+        </div>
+
+        <div className="buy-in-content">
+          <p>Enter the amount you want to buy back in with:</p>
+
+          <div className="buy-in-limits">
+            <div>Min: ${table.min_buy_in}</div>
+            <div>Max: ${table.max_buy_in}</div>
+          </div>
+
+          <div className="buy-in-input-group">
+            <label htmlFor="buyInAmount">Amount:</label>
+            <input
+              id="buyInAmount"
+              type="number"
+              min={table.min_buy_in}
+              max={table.max_buy_in}
+              step="0.01"
+              value={buyInAmount}
+              onChange={(e) => setBuyInAmount(parseFloat(e.target.value) || 0)}
+              placeholder={`Enter amount (min: $${table.min_buy_in})`}
+              autoFocus
+            />
+          </div>
+
+          <div className="buy-in-buttons">
+            <button
+              className="buy-in-confirm-btn"
+              onClick={() => onConfirm(buyInAmount)}
+              disabled={!buyInAmount || buyInAmount < table.min_buy_in || buyInAmount > table.max_buy_in}
+            >
+              💵 Buy In for ${buyInAmount || 0}
+            </button>
+            <button
+              className="buy-in-cancel-btn"
+              onClick={onClose}
+            >
+              Cancel
+            </button>
+          </div>
+
+          <div className="buy-in-quick-amounts">
+            <p>Quick amounts:</p>
+            <div className="quick-amount-buttons">
+              <button
+                className="quick-amount-btn"
+                onClick={() => setBuyInAmount(table.min_buy_in)}
+              >
+                ${table.min_buy_in}
+              </button>
+              <button
+                className="quick-amount-btn"
+                onClick={() => setBuyInAmount(table.min_buy_in * 2)}
+              >
+                ${table.min_buy_in * 2}
+              </button>
+              <button
+                className="quick-amount-btn"
+                onClick={() => setBuyInAmount(table.max_buy_in)}
+              >
+                ${table.max_buy_in}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BuyInDialog;
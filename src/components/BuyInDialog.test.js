@@ -0,0 +1,53 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import BuyInDialog from './BuyInDialog';
+
+const table = { min_buy_in: 100, max_buy_in: 500 };
+
+describe('BuyInDialog', () => {
+  test('confirm stays disabled until the amount is within the table limits', () => {
+    render(<BuyInDialog table={table} gameStatus="PLAYING" onConfirm={jest.fn()} onClose={jest.fn()} />);
+    const input = screen.getByLabelText('Amount:');
+
+    expect(screen.getByText('💵 Buy In for $0')).toBeDisabled();
+
+    fireEvent.change(input, { target: { value: '50' } });
+    expect(screen.getByText('💵 Buy In for $50')).toBeDisabled();
+
+    fireEvent.change(input, { target: { value: '250' } });
+    expect(screen.getByText('💵 Buy In for $250')).toBeEnabled();
+  });
+
+  test('quick amounts fill the input and confirm passes the amount', () => {
+    const onConfirm = jest.fn();
+    render(<BuyInDialog table={table} gameStatus="PLAYING" onConfirm={onConfirm} onClose={jest.fn()} />);
+
+    fireEvent.click(screen.getByText('$200'));
+    fireEvent.click(screen.getByText('💵 Buy In for $200'));
+
+    expect(onConfirm).toHaveBeenCalledWith(200);
+  });
+
+  test('uses the given title', () => {
+    render(<BuyInDialog table={table} gameStatus="WAITING" onConfirm={jest.fn()} onClose={jest.fn()} title="🪑 Take a Seat" />);
+
+    expect(screen.getByText('🪑 Take a Seat')).toBeInTheDocument();
+    expect(screen.queryByText('💵 Buy Back In')).not.toBeInTheDocument();
+  });
+
+  test('cancel closes the dialog', () => {
+    const onClose = jest.fn();
+    render(<BuyInDialog table={table} gameStatus="PLAYING" onConfirm={jest.fn()} onClose={onClose} />);
+
+    fireEvent.click(screen.getByText('Cancel'));
+
+    expect(onClose).toHaveBeenCalled();
+  });
+
+  test('explains why a finished game cannot be rejoined', () => {
+    render(<BuyInDialog table={table} gameStatus="FINISHED" onConfirm={jest.fn()} onClose={jest.fn()} />);
+
+    expect(screen.getByText('❌ Cannot Buy Back In')).toBeInTheDocument();
+    expect(screen.getByText('This game has finished. You cannot buy back in.')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,117 @@
+// src/components/CommunityBoard.js
+//
+// Center of the felt: the pot with any side pots (or everyone's cards at
+// showdown) and the community cards.
+
+import React from 'react';
+import PlayingCard from './PlayingCard';
+import { SUIT_SYMBOLS, abbreviateName, formatCurrency, getBotDisplayName, isBot, splitCard } from '../utils/format';
+import { getWinnerData, isWinningCard } from '../utils/handResult';
+import { getPotLabel } from '../utils/sidePots';
+
+const SUIT_COLORS = { H: "#e74c3c", D: "#e74c3c", S: "#2c3e50", C: "#2c3e50" };
+
+// Cards of every player who reached showdown, winners marked
+const ShowdownCards = ({ players, handResult }) => {
+  // Get all players who were active (didn't fold) during the hand
+  const activePlayers = players.filter(p => p.is_active && !p.cashed_out && p.cards?.cards);
+  if (activePlayers.length <= 1) return null; // Only show if there was actual showdown
+
+  return (
+    <div className="winner-cards-display">
+      <div className="winner-cards-title">🃏 Showdown Cards</div>
+      <div className="winner-cards-container">
+        {activePlayers.map((player, playerIndex) => {
+          const winnerData = getWinnerData(handResult, player.player.user.username);
+
+          return (
+            <div key={playerIndex} className="winner-player-cards">
+              <div className={`winner-name ${isBot(player) ? 'bot-player' : ''}`}>
+                {getBotDisplayName(player)}
+                {winnerData && " 🏆"}
+              </div>
+              <div className="winner-cards">
+                {player.cards.cards.map((cardString, cardIndex) => {
+                  const { rank, suit } = splitCard(cardString);
+
+                  return (
+                    <div
+                      key={cardIndex}
+                      className={winnerData ? "table-winner-card" : "table-player-card"}
+                      style={{ color: SUIT_COLORS[suit] }}
+                    >
+                      <div className="table-card-rank">{rank}</div>
+                      <div className="table-card-suit">{SUIT_SYMBOLS[suit]}</div>
+                    </div>
+                  );
+                })}
+              </div>
+              {winnerData?.hand_name && (
+                <div className="winner-hand-name">{winnerData.hand_name}</div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+// Main and side pots with who can still win each
+const SidePotList = ({ pots }) => (
+  <div className="side-pots">
+    {pots.map((pot, index) => {
+      const names = pot.eligible.map(player => player.name);
+      const uncalled = names.length === 1;
+
+      return (
+        <div key={index} className={`side-pot ${uncalled ? 'uncalled' : ''}`} title={names.join(', ')}>
+          <span className="side-pot-label">{uncalled ? 'Uncalled' : getPotLabel(index)}</span>
+          <span className="side-pot-amount">{formatCurrency(pot.amount)}</span>
+          <span className="side-pot-players">{names.map(abbreviateName).join(' · ')}</span>
+        </div>
+      );
+    })}
+  </div>
+);
+
+/**
+ * @param {Object} game - Current game state
+ * @param {Object|null} handResult - Last completed hand, for highlighting
+ * @param {Array<Object>|null} [sidePots] - Pots from getLiveSidePots, when
+ *   someone is all-in
+ * @param {boolean} [hideShowdown] - Skip the showdown cards (e.g. once the
+ *   user is ready for the next hand on mobile)
+ */
+const CommunityBoard = ({ game, handResult, sidePots = null, hideShowdown = false }) => {
+  const isShowdownOrWaiting = game.phase === "SHOWDOWN" || game.phase === "WAITING_FOR_PLAYERS";
+  const communityCards = game.community_cards || [];
+
+  return (
+    <>
+      {isShowdownOrWaiting ? (
+        !hideShowdown && <ShowdownCards players={game.players || []} handResult={handResult} />
+      ) : (
+        <div className="pot-display">
+          Pot: {formatCurrency(parseFloat(game.pot || 0))}
+          {sidePots && <SidePotList pots={sidePots} />}
+        </div>
+      )}
+
+      {communityCards.length > 0 && (
+        <div className="community-cards">
+          {communityCards.map((card, index) => (
+            <PlayingCard
+              key={index}
+              card={card}
+              className="card community-card visible"
+              winning={isWinningCard(handResult, card)}
+            />
+          ))}
+        </div>
+      )}
+    </>
+  );
+};
+
+export default CommunityBoard;
@@ -0,0 +1,66 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import CommunityBoard from './CommunityBoard';
+
+const makePlayer = (id, username, cards) => ({
+  id,
+  player: { id: id * 10, user: { id: id * 100, username } },
+  is_active: true,
+  cashed_out: false,
+  cards: { cards },
+});
+
+describe('CommunityBoard', () => {
+  test('shows the pot and community cards during a hand', () => {
+    const game = { phase: 'TURN', pot: '75.50', community_cards: ['2H', '7S', 'JD', '10C'], players: [] };
+    render(<CommunityBoard game={game} handResult={null} />);
+
+    expect(screen.getByText('Pot: $75.50')).toBeInTheDocument();
+    expect(screen.getAllByText(/^(2|7|J|10)$/, { selector: '.community-card .card-rank' })).toHaveLength(4);
+  });
+
+  test('lists side pots with the players eligible for each', () => {
+    const game = { phase: 'TURN', pot: 450, community_cards: [], players: [] };
+    const sidePots = [
+      { amount: 150, eligible: [{ id: 1, name: 'alice' }, { id: 2, name: 'bob' }, { id: 3, name: 'carol' }] },
+      { amount: 300, eligible: [{ id: 2, name: 'bob' }, { id: 3, name: 'carol' }] },
+    ];
+    render(<CommunityBoard game={game} handResult={null} sidePots={sidePots} />);
+
+    expect(screen.getByText('Main pot')).toBeInTheDocument();
+    expect(screen.getByText('$150')).toBeInTheDocument();
+    expect(screen.getByText('Side pot 1')).toBeInTheDocument();
+    expect(screen.getByText('bob · carol')).toBeInTheDocument();
+  });
+
+  test('replaces the pot with showdown cards and marks winners', () => {
+    const game = {
+      phase: 'SHOWDOWN',
+      pot: 0,
+      community_cards: ['2H', '7S', 'JD'],
+      players: [makePlayer(1, 'alice', ['AS', 'AD']), makePlayer(2, 'bob', ['KS', 'KD'])],
+    };
+    const handResult = {
+      winners: [{ player_name: 'alice', hand_name: 'Pair of Aces', best_hand_cards: ['AS', 'AD', 'JD'] }],
+    };
+    render(<CommunityBoard game={game} handResult={handResult} />);
+
+    expect(screen.queryByText(/Pot:/)).not.toBeInTheDocument();
+    expect(screen.getByText('🃏 Showdown Cards')).toBeInTheDocument();
+    expect(screen.getByText('alice 🏆')).toBeInTheDocument();
+    expect(screen.getByText('Pair of Aces')).toBeInTheDocument();
+    expect(screen.getByText('J', { selector: '.community-card.winning-card .card-rank' })).toBeInTheDocument();
+    expect(screen.getByText('7', { selector: '.community-card:not(.winning-card) .card-rank' })).toBeInTheDocument();
+  });
+
+  test('skips showdown cards when asked to hide them', () => {
+    const game = {
+      phase: 'WAITING_FOR_PLAYERS',
+      community_cards: [],
+      players: [makePlayer(1, 'alice', ['AS', 'AD']), makePlayer(2, 'bob', ['KS', 'KD'])],
+    };
+    render(<CommunityBoard game={game} handResult={null} hideShowdown />);
+
+    expect(screen.queryByText('🃏 Showdown Cards')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,245 @@
+// src/components/CompactTable.js
+//
+// One tile of the multi-table view: a small read-out of a game (board, pot,
+// stacks and the user's cards) with Fold / Check / Call / Bet controls. Each
+// tile keeps its own socket through useLiveGame, and only the focused tile
+// answers the action bar's keyboard shortcuts.
+
+import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { gameService } from '../services/apiService';
+import PlayingCard from './PlayingCard';
+import useLiveGame from '../hooks/useLiveGame';
+import useCurrentPlayer from '../hooks/useCurrentPlayer';
+import useKeyboardShortcuts from '../hooks/useKeyboardShortcuts';
+import { getBettingLimits } from '../utils/bettingMath';
+import { STREET_NAMES } from '../utils/actionLog';
+import { formatCurrency, getPlayerCards, isBot } from '../utils/format';
+import { getPreference } from '../utils/preferences';
+import { getShortcutBindings, SHORTCUT_ACTIONS } from '../utils/shortcuts';
+
+/**
+ * @param {number} gameId - Game shown in this tile
+ * @param {boolean} focused - Whether keyboard shortcuts go to this tile
+ * @param {Function} onFocus - Called with gameId when the tile is clicked
+ * @param {Function} onTurnChange - Called with (gameId, isMyTurn) as the turn moves
+ * @param {Function} onClose - Called with gameId to drop the tile from the view
+ */
+const CompactTable = ({ gameId, focused, onFocus, onTurnChange, onClose }) => {
+  const { game, lastRaise, error } = useLiveGame(gameId);
+  const { currentPlayer, isMyTurn, isUser } = useCurrentPlayer(game);
+  const [betAmount, setBetAmount] = useState('');                          // Bet input; blank means the minimum
+  const [takingAction, setTakingAction] = useState(false);                  // Action request in flight
+  const [actionError, setActionError] = useState(null);                     // Last failed action
+  const amountInputRef = useRef(null);                                      // Bet input, focused by the raise shortcut
+  const [shortcutsEnabled] = useState(
+    () => getPreference('keyboardShortcuts')
+  );                                                                        // Keyboard shortcuts on/off
+  const [shortcutBindings] = useState(
+    () => getShortcutBindings(getPreference('shortcutBindings'))
+  );                                                                        // Keys for each shortcut
+
+  useEffect(() => {
+    onTurnChange(gameId, isMyTurn);
+  }, [gameId, isMyTurn, onTurnChange]);
+
+  // Start each turn from the minimum bet
+  const handCount = game?.hand_count;
+  const phase = game?.phase;
+  useEffect(() => {
+    setBetAmount('');
+  }, [isMyTurn, handCount, phase]);
+
+  const limits = game && currentPlayer
+    ? getBettingLimits({
+      currentBet: game.current_bet,
+      playerBet: currentPlayer.current_bet,
+      playerStack: currentPlayer.stack,
+      bigBlind: game.table?.big_blind,
+      lastRaise,
+    })
+    : null;
+  const amount = betAmount === '' ? limits?.minAmount ?? 0 : Number(betAmount);
+  const validAmount = !!limits && amount >= limits.minAmount && amount <= limits.maxAmount;
+
+  const inHand = !!currentPlayer && game?.status === 'PLAYING' && phase !== 'WAITING_FOR_PLAYERS' &&
+    currentPlayer.is_active && !currentPlayer.cashed_out;
+  const canAct = inHand && isMyTurn && !takingAction;
+  const awaitingReady = !!currentPlayer && phase === 'WAITING_FOR_PLAYERS' && game?.status === 'PLAYING' &&
+    !currentPlayer.ready_for_next_hand && !currentPlayer.cashed_out;
+
+  const runRequest = async (request) => {
+    setTakingAction(true);
+    setActionError(null);
+    try {
+      await request();
+    } catch (err) {
+      console.error('Multi-table action failed:', err);
+      setActionError(err.response?.data?.error || err.message);
+    } finally {
+      setTakingAction(false);
+    }
+  };
+
+  const act = (actionType, actionAmount = 0) => {
+    if (!canAct) return;
+    runRequest(() => gameService.takeAction(gameId, actionType, actionAmount));
+  };
+
+  const checkOrCall = () => act(limits.canCheck ? 'CHECK' : 'CALL');
+  const betOrRaise = () => {
+    if (!limits.canRaise || !validAmount) return;
+    act(limits.action, amount);
+  };
+
+  // Returning false leaves the key to the browser
+  const handleShortcut = ({ type }) => {
+    switch (type) {
+      case SHORTCUT_ACTIONS.FOLD:
+        act('FOLD');
+        return true;
+      case SHORTCUT_ACTIONS.CHECK_CALL:
+        checkOrCall();
+        return true;
+      // Like the action bar, the raise key only opens the amount; Enter in
+      // the amount sends it
+      case SHORTCUT_ACTIONS.RAISE:
+        if (!limits.canRaise || !amountInputRef.current) return false;
+        amountInputRef.current.focus();
+        amountInputRef.current.select();
+        return true;
+      case SHORTCUT_ACTIONS.CONFIRM:
+        if (!limits.canRaise || document.activeElement !== amountInputRef.current) return false;
+        betOrRaise();
+        return true;
+      case SHORTCUT_ACTIONS.CLEAR:
+        setBetAmount('');
+        return true;
+      default:
+        return false;
+    }
+  };
+
+  useKeyboardShortcuts(shortcutBindings, handleShortcut, shortcutsEnabled && focused && canAct);
+
+  const title = game?.table?.name || `Game #${gameId}`;
+  const className = `compact-table ${focused ? 'focused' : ''} ${isMyTurn && inHand ? 'my-turn' : ''}`;
+
+  const renderStatus = () => {
+    if (!game) return error || 'Loading...';
+    if (game.status !== 'PLAYING') return game.status === 'WAITING' ? 'Waiting to start' : 'Game over';
+    if (isMyTurn && inHand) return '⏰ Your turn';
+    return STREET_NAMES[phase] || phase;
+  };
+
+  return (
+    <div
+      className={className}
+      role="region"
+      aria-label={title}
+      aria-current={focused ? 'true' : undefined}
+      onClick={() => onFocus(gameId)}
+    >
+      <div className="compact-table-header">
+        <h3>{title}</h3>
+        <span className="compact-table-status">{renderStatus()}</span>
+        <Link to={`/games/${gameId}`} className="compact-table-open">Open</Link>
+        <button
+          className="compact-table-close"
+          onClick={(e) => {
+            e.stopPropagation();
+            onClose(gameId);
+          }}
+          aria-label={`Close ${title}`}
+        >
+          ✕
+        </button>
+      </div>
+
+      {game && (
+        <>
+          <div className="compact-board">
+            <span className="compact-pot">Pot {formatCurrency(game.pot)}</span>
+            {(game.community_cards || []).map(card => (
+              <PlayingCard key={card} card={card} className="compact-card" />
+            ))}
+          </div>
+
+          <ul className="compact-players">
+            {(game.players || []).filter(player => !player.cashed_out).map(player => (
+              <li
+                key={player.id}
+                className={[
+                  isUser(player) ? 'hero' : '',
+                  player.is_active ? '' : 'folded',
+                  game.current_player?.id === player.player.id ? 'to-act' : '',
+                ].join(' ')}
+              >
+                <span className="compact-player-name">
+                  {isBot(player) && '🤖 '}{player.player.user.username}
+                </span>
+                <span>{formatCurrency(player.stack)}</span>
+                {parseFloat(player.current_bet) > 0 && (
+                  <span className="compact-player-bet">bet {formatCurrency(player.current_bet)}</span>
+                )}
+              </li>
+            ))}
+          </ul>
+
+          {currentPlayer && (
+            <div className="compact-hero">
+              {getPlayerCards(currentPlayer).map(card => (
+                <PlayingCard key={card} card={card} className="compact-card" />
+              ))}
+            </div>
+          )}
+
+          {inHand && (
+            <div className="compact-actions">
+              <button onClick={() => act('FOLD')} disabled={!canAct}>Fold</button>
+              <button onClick={checkOrCall} disabled={!canAct}>
+                {limits.canCheck ? 'Check' : `Call ${formatCurrency(limits.callAmount)}`}
+              </button>
+              {limits.canRaise && (
+                <>
+                  <input
+                    ref={amountInputRef}
+                    type="number"
+                    aria-label={`${title} bet amount`}
+                    value={betAmount === '' ? limits.minAmount : betAmount}
+                    min={limits.minAmount}
+                    max={limits.maxAmount}
+                    step="0.01"
+                    onChange={(e) => setBetAmount(e.target.value)}
+                    data-shortcuts="allow"
+                    disabled={!canAct}
+                  />
+                  <button onClick={betOrRaise} disabled={!canAct || !validAmount}>
+                    {limits.action === 'BET' ? 'Bet' : 'Raise to'}
+                  </button>
+                </>
+              )}
+            </div>
+          )}
+
+          {awaitingReady && (
+            <div className="compact-actions">
+              <button
+                onClick={() => runRequest(() => gameService.setPlayerReady(gameId))}
+                disabled={takingAction}
+              >
+                Deal Me In
+              </button>
+            </div>
+          )}
+
+          {(actionError || (game && error)) && (
+            <div className="compact-table-error">{actionError || error}</div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CompactTable;
@@ -3,6 +3,8 @@ import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { tableService } from '../services/apiService';
 import Spinner from './Spinner';
+import { DEFAULT_TURN_TIME, DEFAULT_TIME_BANK } from '../utils/turnTimer';
+import { saveTableSettings } from '../utils/tableSettings';
 
 const CreateTable = () => {
   const navigate = useNavigate();
@@ -12,16 +14,20 @@ const CreateTable = () => {
     small_blind: '1',
     big_blind: '2',
     min_buy_in: '20',
-    max_buy_in: '200'
+    max_buy_in: '200',
+    turn_time_limit: String(DEFAULT_TURN_TIME),
+    time_bank: String(DEFAULT_TIME_BANK),
+    auto_balance_bots: false,
+    auto_balance_min_players: '4'
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
   const handleChange = (e) => {
-    const { name, value } = e.target;
+    const { name, value, type, checked } = e.target;
     setFormData({
       ...formData,
-      [name]: value
+      [name]: type === 'checkbox' ? checked : value
     });
   };
 
@@ -37,13 +43,18 @@ const CreateTable = () => {
       return;
     }
 
-    // Convert string values to numbers
+    // Convert string values to numbers. Auto-balance isn't part of the table
+    // API, so it is kept in this browser instead of being sent
+    const { auto_balance_bots: autoBalance, auto_balance_min_players: autoBalanceMinPlayers, ...tableFields } = formData;
+    const minPlayers = parseInt(autoBalanceMinPlayers, 10);
     const tableData = {
-      ...formData,
+      ...tableFields,
       small_blind: parseFloat(formData.small_blind),
       big_blind: parseFloat(formData.big_blind),
       min_buy_in: parseFloat(formData.min_buy_in),
-      max_buy_in: parseFloat(formData.max_buy_in)
+      max_buy_in: parseFloat(formData.max_buy_in),
+      turn_time_limit: parseInt(formData.turn_time_limit, 10),
+      time_bank: parseInt(formData.time_bank, 10)
     };
 
     // Validate numeric values
@@ -71,6 +82,25 @@ const CreateTable = () => {
       return;
     }
 
+    if (isNaN(tableData.turn_time_limit) || tableData.turn_time_limit < 0) {
+      setError('Turn time must be zero or a positive number of seconds');
+      setLoading(false);
+      return;
+    }
+
+    if (isNaN(tableData.time_bank) || tableData.time_bank < 0) {
+      setError('Time bank must be zero or a positive number of seconds');
+      setLoading(false);
+      return;
+    }
+
+    if (autoBalance &&
+        (isNaN(minPlayers) || minPlayers < 2 || minPlayers > parseInt(tableData.max_players, 10))) {
+      setError('Auto-balance needs a minimum of 2 players, up to the number of seats');
+      setLoading(false);
+      return;
+    }
+
     // Validate relationships between values
     if (tableData.big_blind < tableData.small_blind) {
       setError('Big blind must be greater than or equal to small blind');
@@ -91,7 +121,10 @@ const CreateTable = () => {
     }
 
     try {
-      await tableService.createTable(tableData);
+      const response = await tableService.createTable(tableData);
+      if (autoBalance) {
+        saveTableSettings(response.data.id, { autoBalanceMinPlayers: minPlayers });
+      }
       // Navigate back to the tables list to see the new table
       navigate('/tables');
     } catch (err) {
@@ -196,6 +229,67 @@ const CreateTable = () => {
           </div>
         </div>
         <div className="form-help-text">Minimum should be at least 10x the big blind</div>
+
+        <div className="form-group-row">
+          <div className="form-group">
+            <label>Turn Time (seconds)</label>
+            <input
+              type="number"
+              name="turn_time_limit"
+              min="0"
+              max="300"
+              step="1"
+              value={formData.turn_time_limit}
+              onChange={handleChange}
+              required
+              placeholder="30"
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Time Bank (seconds)</label>
+            <input
+              type="number"
+              name="time_bank"
+              min="0"
+              max="600"
+              step="1"
+              value={formData.time_bank}
+              onChange={handleChange}
+              required
+              placeholder="60"
+            />
+          </div>
+        </div>
+        <div className="form-help-text">Set turn time to 0 for no limit. The time bank is extra time each player can use over the whole game; it refills if they reload the page. The clock is local: each player's browser counts it down and can check or fold for them, the server doesn't enforce it, and it only appears if the server keeps these two settings on the table</div>
+
+        <div className="form-group checkbox-input">
+          <label>
+            <input
+              type="checkbox"
+              name="auto_balance_bots"
+              checked={formData.auto_balance_bots}
+              onChange={handleChange}
+            />
+            Auto-balance with bots
+          </label>
+        </div>
+        {formData.auto_balance_bots && (
+          <div className="form-group">
+            <label>Minimum Players</label>
+            <input
+              type="number"
+              name="auto_balance_min_players"
+              min="2"
+              max={formData.max_players}
+              step="1"
+              value={formData.auto_balance_min_players}
+              onChange={handleChange}
+              required
+            />
+            <div className="form-help-text">When fewer humans than this are seated, bots fill in; a bot gives up its seat when a human joins. Balancing is done by this browser while it has the table open</div>
+          </div>
+        )}
         
         <button type="submit" disabled={loading}>
           {loading && <Spinner size="small" />}
@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { gameService } from '../services/apiService';
+import { extractHands } from '../utils/handReplay';
 import './GameSummary.css';
 
 const GameSummary = () => {
@@ -9,6 +10,7 @@ const GameSummary = () => {
   const [gameData, setGameData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [hands, setHands] = useState([]);
 
   const fetchGameSummary = useCallback(async () => {
     try {
@@ -23,9 +25,33 @@ const GameSummary = () => {
     }
   }, [gameId]);
 
+  // Hand history is optional - the summary still renders without it
+  const fetchHandHistory = useCallback(async () => {
+    try {
+      const response = await gameService.getHandHistory(gameId);
+      setHands(extractHands(response.data));
+    } catch (error) {
+      console.warn('Hand history not available:', error);
+      setHands([]);
+    }
+  }, [gameId]);
+
   useEffect(() => {
     fetchGameSummary();
-  }, [fetchGameSummary]);
+    fetchHandHistory();
+  }, [fetchGameSummary, fetchHandHistory]);
+
+  const getHandWinners = (hand) => {
+    let winnerInfo = hand.winner_info;
+    if (typeof winnerInfo === 'string') {
+      try {
+        winnerInfo = JSON.parse(winnerInfo);
+      } catch (e) {
+        winnerInfo = null;
+      }
+    }
+    return winnerInfo?.winners || hand.winners || [];
+  };
 
   const calculateSettlements = (players) => {
     if (!players || players.length === 0) return [];
@@ -205,6 +231,49 @@ const GameSummary = () => {
           </div>
         )}
 
+        {/* Hand Replays */}
+        {hands.length > 0 && (
+          <div className="hand-replays-section">
+            <h3>🎬 Hand Replays</h3>
+            <div className="results-table">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Hand</th>
+                    <th>Winner</th>
+                    <th>Pot</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {hands.map((hand) => {
+                    const winners = getHandWinners(hand);
+                    return (
+                      <tr key={hand.hand_number}>
+                        <td>#{hand.hand_number}</td>
+                        <td>
+                          {winners.length > 0
+                            ? winners.map(w => w.hand_name ? `${w.player_name} (${w.hand_name})` : w.player_name).join(', ')
+                            : '—'}
+                        </td>
+                        <td>{formatCurrency(hand.pot || hand.pot_amount || 0)}</td>
+                        <td>
+                          <button
+                            onClick={() => navigate(`/games/${gameId}/hands/${hand.hand_number}`)}
+                            className="btn-secondary btn-small"
+                          >
+                            Replay
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
         {/* Action Buttons */}
         <div className="summary-actions">
           <button 
@@ -0,0 +1,274 @@
+// src/components/HandReplayer.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { gameService } from '../services/apiService';
+import { extractHands, buildReplaySteps, getReplayPlayers } from '../utils/handReplay';
+import './HandReplayer.css';
+
+// Delay between steps while playing, in milliseconds
+const PLAYBACK_SPEEDS = [
+  { label: '0.5x', delay: 3000 },
+  { label: '1x', delay: 1500 },
+  { label: '2x', delay: 750 },
+];
+
+const SUIT_SYMBOLS = { S: '♠', H: '♥', D: '♦', C: '♣' };
+
+const HandReplayer = () => {
+  const { gameId, handNumber } = useParams();
+  const navigate = useNavigate();
+  const [hands, setHands] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [stepIndex, setStepIndex] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speedIndex, setSpeedIndex] = useState(1);
+
+  const fetchHandHistory = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await gameService.getHandHistory(gameId);
+      setHands(extractHands(response.data));
+    } catch (error) {
+      console.error('Error fetching hand history:', error);
+      setError('Failed to load hand history');
+    } finally {
+      setLoading(false);
+    }
+  }, [gameId]);
+
+  useEffect(() => {
+    fetchHandHistory();
+  }, [fetchHandHistory]);
+
+  const handIndex = hands.findIndex(h => String(h.hand_number) === String(handNumber));
+  const hand = handIndex >= 0 ? hands[handIndex] : null;
+  const steps = buildReplaySteps(hand);
+  const players = getReplayPlayers(hand);
+  const step = steps[Math.min(stepIndex, Math.max(steps.length - 1, 0))];
+  const atEnd = stepIndex >= steps.length - 1;
+
+  // Restart the replay whenever a different hand is selected
+  useEffect(() => {
+    setStepIndex(0);
+    setPlaying(false);
+  }, [handNumber]);
+
+  // Advance one step at a time while playing
+  useEffect(() => {
+    if (!playing) return;
+    if (atEnd) {
+      setPlaying(false);
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      setStepIndex(index => index + 1);
+    }, PLAYBACK_SPEEDS[speedIndex].delay);
+
+    return () => clearTimeout(timer);
+  }, [playing, atEnd, stepIndex, speedIndex]);
+
+  const goToHand = (number) => {
+    navigate(`/games/${gameId}/hands/${number}`);
+  };
+
+  const formatCurrency = (amount) => {
+    const num = parseFloat(amount) || 0;
+    return num % 1 === 0 ? `$${num}` : `$${num.toFixed(2)}`;
+  };
+
+  const isWinningCard = (card) => {
+    if (!step || !step.winners) return false;
+    return step.winners.some(winner => winner.best_hand_cards && winner.best_hand_cards.includes(card));
+  };
+
+  const renderCard = (card, key) => {
+    const rank = card.slice(0, -1);
+    const suit = card.slice(-1);
+    return (
+      <div
+        key={key}
+        className={`replay-card ${isWinningCard(card) ? 'winning-card' : ''}`}
+        data-suit={suit}
+      >
+        <div className="replay-card-rank">{rank}</div>
+        <div className="replay-card-suit">{SUIT_SYMBOLS[suit]}</div>
+      </div>
+    );
+  };
+
+  if (loading) {
+    return (
+      <div className="hand-replayer-container">
+        <div className="loading-spinner">Loading hand history...</div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="hand-replayer-container">
+        <div className="error-message">
+          <h2>Error</h2>
+          <p>{error}</p>
+          <button onClick={() => navigate(`/games/${gameId}/summary`)} className="btn-primary">
+            Back to Summary
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (!hand) {
+    return (
+      <div className="hand-replayer-container">
+        <div className="error-message">
+          <h2>Hand Not Found</h2>
+          <p>Hand #{handNumber} was not recorded for this game.</p>
+          {hands.length > 0 && (
+            <div className="replay-hand-picker">
+              {hands.map(h => (
+                <Link key={h.hand_number} to={`/games/${gameId}/hands/${h.hand_number}`} className="btn-secondary btn-small">
+                  Hand #{h.hand_number}
+                </Link>
+              ))}
+            </div>
+          )}
+          <button onClick={() => navigate(`/games/${gameId}/summary`)} className="btn-primary">
+            Back to Summary
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const winnerNames = (step?.winners || []).map(w => w.player_name);
+
+  return (
+    <div className="hand-replayer-container">
+      <div className="hand-replayer-header">
+        <h1>🎬 Hand #{hand.hand_number}</h1>
+        <div className="replay-hand-nav">
+          <button
+            className="btn-secondary btn-small"
+            onClick={() => goToHand(hands[handIndex - 1].hand_number)}
+            disabled={handIndex <= 0}
+          >
+            ← Previous Hand
+          </button>
+          <span className="replay-hand-count">{handIndex + 1} of {hands.length}</span>
+          <button
+            className="btn-secondary btn-small"
+            onClick={() => goToHand(hands[handIndex + 1].hand_number)}
+            disabled={handIndex >= hands.length - 1}
+          >
+            Next Hand →
+          </button>
+        </div>
+      </div>
+
+      <div className="replay-table">
+        <div className="replay-street">{step?.street}</div>
+        <div className="replay-board">
+          {step && step.board.length > 0
+            ? step.board.map((card, index) => renderCard(card, `board-${index}`))
+            : <div className="replay-board-empty">No community cards</div>}
+        </div>
+        <div className="replay-pot">Pot: {formatCurrency(step?.pot)}</div>
+        <div className="replay-description">{step?.description}</div>
+      </div>
+
+      <div className="replay-players">
+        {players.map(player => {
+          const isFolded = step?.folded.includes(player.name);
+          const isActing = step?.action?.player === player.name;
+          const isWinner = winnerNames.includes(player.name);
+          const winnerData = step?.winners?.find(w => w.player_name === player.name);
+
+          return (
+            <div
+              key={player.name}
+              className={`replay-player ${isFolded ? 'folded' : ''} ${isActing ? 'acting' : ''} ${isWinner ? 'winner' : ''}`}
+            >
+              <div className="replay-player-name">
+                {player.name}{isWinner && ' 🏆'}
+              </div>
+              <div className="replay-player-cards">
+                {player.cards.length > 0
+                  ? player.cards.map((card, index) => renderCard(card, `${player.name}-${index}`))
+                  : <span className="replay-cards-unknown">Cards not shown</span>}
+              </div>
+              <div className="replay-player-invested">
+                In pot: {formatCurrency(step?.contributions[player.name] || 0)}
+              </div>
+              {winnerData?.hand_name && (
+                <div className="replay-player-hand">{winnerData.hand_name}</div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="replay-controls">
+        <button onClick={() => { setPlaying(false); setStepIndex(0); }} disabled={stepIndex === 0} title="First step">
+          ⏮
+        </button>
+        <button onClick={() => { setPlaying(false); setStepIndex(Math.max(0, stepIndex - 1)); }} disabled={stepIndex === 0} title="Step back">
+          ◀
+        </button>
+        <button
+          className="replay-play-btn"
+          onClick={() => {
+            if (atEnd) setStepIndex(0);
+            setPlaying(!playing);
+          }}
+          title={playing ? 'Pause' : 'Play'}
+        >
+          {playing ? '⏸ Pause' : '▶ Play'}
+        </button>
+        <button onClick={() => { setPlaying(false); setStepIndex(Math.min(steps.length - 1, stepIndex + 1)); }} disabled={atEnd} title="Step forward">
+          ▶
+        </button>
+        <button onClick={() => { setPlaying(false); setStepIndex(steps.length - 1); }} disabled={atEnd} title="Last step">
+          ⏭
+        </button>
+        <select
+          value={speedIndex}
+          onChange={(e) => setSpeedIndex(Number(e.target.value))}
+          className="replay-speed-select"
+        >
+          {PLAYBACK_SPEEDS.map((speed, index) => (
+            <option key={speed.label} value={index}>{speed.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="replay-action-list">
+        <h3>Actions</h3>
+        <ol>
+          {steps.map((s, index) => (
+            <li
+              key={index}
+              className={`${index === stepIndex ? 'current' : ''} ${index > stepIndex ? 'upcoming' : ''}`}
+              onClick={() => { setPlaying(false); setStepIndex(index); }}
+            >
+              {s.description}
+            </li>
+          ))}
+        </ol>
+      </div>
+
+      <div className="replay-actions">
+        <button onClick={() => navigate(`/games/${gameId}/summary`)} className="btn-secondary">
+          Back to Summary
+        </button>
+        <button onClick={() => navigate('/history')} className="btn-primary">
+          Match History
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default HandReplayer;
@@ -0,0 +1,127 @@
+import React from 'react';
+import { render, screen, act } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import HandReplayer from './HandReplayer';
+import { gameService } from '../services/apiService';
+
+jest.mock('../services/apiService', () => ({
+  gameService: { getHandHistory: jest.fn() },
+}));
+
+const hands = [
+  {
+    hand_number: 1,
+    community_cards: [],
+    player_cards: { alice: ['AH', 'QC'], bob: ['KS', 'JD'] },
+    actions: [
+      { player_name: 'alice', action_type: 'bet', amount: 4, phase: 'PREFLOP' },
+      { player_name: 'bob', action_type: 'fold', amount: 0, phase: 'PREFLOP' },
+    ],
+    winner_info: { winners: [{ player_name: 'alice', winning_amount: 4 }] },
+  },
+  { hand_number: 2, community_cards: [], actions: [] },
+];
+
+const renderReplayer = async (handNumber = 1) => {
+  gameService.getHandHistory.mockResolvedValue({ data: { hands } });
+  render(
+    <MemoryRouter initialEntries={[`/games/7/hands/${handNumber}`]}>
+      <Routes>
+        <Route path="/games/:gameId/hands/:handNumber" element={<HandReplayer />} />
+      </Routes>
+    </MemoryRouter>
+  );
+  await screen.findByText('🎬 Hand #' + handNumber);
+};
+
+// The description of the step on screen
+const currentStep = () => screen.getByText((content, element) => element.classList.contains('replay-description'));
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('HandReplayer', () => {
+  test('steps forward and back through the hand', async () => {
+    await renderReplayer();
+    expect(currentStep()).toHaveTextContent('Hand #1 dealt');
+    expect(screen.getByTitle('Step back')).toBeDisabled();
+
+    userEvent.click(screen.getByTitle('Step forward'));
+    expect(currentStep()).toHaveTextContent('alice bets $4');
+    expect(screen.getByText('Pot: $4')).toBeInTheDocument();
+
+    userEvent.click(screen.getByTitle('Last step'));
+    expect(currentStep()).toHaveTextContent('alice wins $4');
+    expect(screen.getByText('alice 🏆')).toBeInTheDocument();
+    expect(screen.getByTitle('Step forward')).toBeDisabled();
+
+    userEvent.click(screen.getByTitle('Step back'));
+    expect(currentStep()).toHaveTextContent('bob folds');
+
+    userEvent.click(screen.getByTitle('First step'));
+    expect(currentStep()).toHaveTextContent('Hand #1 dealt');
+  });
+
+  test('plays through the steps and can be paused', async () => {
+    await renderReplayer();
+    jest.useFakeTimers();
+
+    userEvent.click(screen.getByRole('button', { name: '▶ Play' }));
+    act(() => jest.advanceTimersByTime(1500));
+    expect(currentStep()).toHaveTextContent('alice bets $4');
+
+    userEvent.click(screen.getByRole('button', { name: '⏸ Pause' }));
+    act(() => jest.advanceTimersByTime(5000));
+    expect(currentStep()).toHaveTextContent('alice bets $4');
+
+    userEvent.click(screen.getByRole('button', { name: '▶ Play' }));
+    act(() => jest.advanceTimersByTime(1500));
+    expect(currentStep()).toHaveTextContent('bob folds');
+    act(() => jest.advanceTimersByTime(1500));
+    expect(currentStep()).toHaveTextContent('alice wins $4');
+    // Playback stops on the last step
+    expect(screen.getByRole('button', { name: '▶ Play' })).toBeInTheDocument();
+  });
+
+  test('plays faster at a higher speed', async () => {
+    await renderReplayer();
+    jest.useFakeTimers();
+
+    userEvent.selectOptions(screen.getByRole('combobox'), '2x');
+    userEvent.click(screen.getByRole('button', { name: '▶ Play' }));
+    act(() => jest.advanceTimersByTime(750));
+    expect(currentStep()).toHaveTextContent('alice bets $4');
+  });
+
+  test('jumps to a step from the action list', async () => {
+    await renderReplayer();
+
+    userEvent.click(screen.getByText('bob folds'));
+    expect(currentStep()).toHaveTextContent('bob folds');
+  });
+
+  test('moves between hands', async () => {
+    await renderReplayer();
+
+    expect(screen.getByRole('button', { name: '← Previous Hand' })).toBeDisabled();
+    userEvent.click(screen.getByRole('button', { name: 'Next Hand →' }));
+    expect(await screen.findByText('🎬 Hand #2')).toBeInTheDocument();
+    expect(currentStep()).toHaveTextContent('Hand #2 dealt');
+  });
+
+  test('offers the recorded hands when the hand is missing', async () => {
+    gameService.getHandHistory.mockResolvedValue({ data: { hands } });
+    render(
+      <MemoryRouter initialEntries={['/games/7/hands/9']}>
+        <Routes>
+          <Route path="/games/:gameId/hands/:handNumber" element={<HandReplayer />} />
+        </Routes>
+      </MemoryRouter>
+    );
+
+    expect(await screen.findByText('Hand #9 was not recorded for this game.')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Hand #2' })).toHaveAttribute('href', '/games/7/hands/2');
+  });
+});
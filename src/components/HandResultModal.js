@@ -0,0 +1,137 @@
+// src/components/HandResultModal.js
+//
+// Between-hands panels: the result of the hand just played with Ready /
+// Cash Out buttons, and the mobile "waiting for players" status shown once
+// the user is ready.
+
+import React from 'react';
+import Spinner from './Spinner';
+import { formatCurrency, getBotDisplayName, getShortDisplayName, isBot } from '../utils/format';
+import { getPotLabel } from '../utils/sidePots';
+
+// Who won the main pot and each side pot
+const PotResults = ({ pots }) => (
+  <div className="pot-results">
+    {pots.map((pot, index) => (
+      <div key={index} className={`pot-result ${pot.returned ? 'returned' : ''}`}>
+        <span className="pot-result-label">{pot.returned ? 'Returned' : getPotLabel(index)}</span>
+        <span className="pot-result-amount">{formatCurrency(pot.amount)}</span>
+        <span className="pot-result-winners">
+          {pot.returned ? `to ${pot.winners[0]}` : `→ ${pot.winners.join(' & ')}`}
+          {pot.winners.length > 1 && ' (split)'}
+        </span>
+      </div>
+    ))}
+  </div>
+);
+
+/**
+ * @param {Object} handResult - Completed hand ({ winners, potAmount, pots, ... })
+ * @param {Array<Object>} players - Current game.players, for readiness
+ * @param {Function} isUser - Returns true for the logged-in user's player
+ * @param {Function} onReady - "Ready for Next Hand" handler
+ * @param {Function} onCashOut - "Cash Out" handler
+ * @param {boolean} cashingOut - Cash out request in flight
+ */
+const HandResultModal = ({ handResult, players, isUser, onReady, onCashOut, cashingOut }) => {
+  const winners = handResult?.winners || [];
+
+  return (
+    <div className="poker-action-area hand-end-actions">
+      <div className="hand-end-info">
+        <div className="pot-won">Pot: {formatCurrency(handResult?.potAmount || 0)}</div>
+
+        {/* Display winner information prominently */}
+        {winners.length > 0 && (
+          <div className="winner-announcement">
+            {winners.length === 1 ? (
+              <div className="single-winner">
+                <div className="winner-text">🏆 Winner: <span className="winner-name">{winners[0].player_name}</span></div>
+                {winners[0].hand_name && (
+                  <div className="winning-hand-type">with {winners[0].hand_name}</div>
+                )}
+              </div>
+            ) : (
+              <div className="split-pot">
+                <div className="split-pot-text">🤝 Split Pot ({winners.length} winners)</div>
+                <div className="split-winners">
+                  {winners.map((winner, index) => (
+                    <div key={index} className="split-winner">
+                      <span className="winner-name">{winner.player_name}</span>
+                      {winner.hand_name && <span className="winner-hand"> ({winner.hand_name})</span>}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        {handResult?.pots?.length > 1 && <PotResults pots={handResult.pots} />}
+      </div>
+
+      <div className="hand-end-buttons">
+        <button
+          className="ready-btn primary-action"
+          onClick={onReady}
+        >
+          ✅ Ready for Next Hand
+        </button>
+        <button
+          className="cash-out-btn secondary-action"
+          onClick={onCashOut}
+          disabled={cashingOut}
+        >
+          {cashingOut && <Spinner size="small" />}
+          {cashingOut ? "Cashing Out..." : "💰 Cash Out"}
+        </button>
+      </div>
+
+      {/* Show readiness status */}
+      {players && (
+        <div className="readiness-status">
+          <div className="status-header">Player Status:</div>
+          <div className="players-ready-grid">
+            {players.map(player => {
+              const isReady = player.ready_for_next_hand || false;
+
+              return (
+                <div key={player.id} className={`player-ready-item ${isReady ? 'ready' : 'not-ready'} ${isUser(player) ? 'current-user' : ''}`}>
+                  <span className={`player-name ${isBot(player) ? 'bot-player' : ''}`}>
+                    {getBotDisplayName(player)}
+                  </span>
+                  <span className="ready-icon">{isReady ? '✅' : '⏳'}</span>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Mobile-only list of who is ready for the next hand.
+ */
+export const MobileWaitingStatus = ({ players, isUser }) => (
+  <div className="mobile-waiting-status">
+    <div className="waiting-header">Waiting for Players</div>
+    <div className="waiting-players-grid">
+      {players.map(player => {
+        const isReady = player.ready_for_next_hand || false;
+
+        return (
+          <div key={player.id} className={`waiting-player-item ${isReady ? 'ready' : 'waiting'} ${isUser(player) ? 'current-user' : ''}`}>
+            <span className={`waiting-player-name ${isBot(player) ? 'bot-player' : ''}`}>
+              {getShortDisplayName(player)}
+            </span>
+            <span className="waiting-status-icon">{isReady ? '✅' : '🕐'}</span>
+          </div>
+        );
+      })}
+    </div>
+  </div>
+);
+
+export default HandResultModal;
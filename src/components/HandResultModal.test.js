@@ -0,0 +1,94 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import HandResultModal, { MobileWaitingStatus } from './HandResultModal';
+
+const players = [
+  { id: 1, player: { user: { id: 100, username: 'alice' } }, ready_for_next_hand: true },
+  { id: 2, player: { user: { id: 200, username: 'bob' } }, ready_for_next_hand: false },
+];
+const isUser = player => player.id === 1;
+
+describe('HandResultModal', () => {
+  test('announces a single winner with their hand', () => {
+    const handResult = { potAmount: 80, winners: [{ player_name: 'bob', hand_name: 'Flush' }] };
+    render(
+      <HandResultModal handResult={handResult} players={players} isUser={isUser}
+        onReady={jest.fn()} onCashOut={jest.fn()} cashingOut={false} />
+    );
+
+    expect(screen.getByText('Pot: $80')).toBeInTheDocument();
+    expect(screen.getByText('bob', { selector: '.winner-name' })).toBeInTheDocument();
+    expect(screen.getByText('with Flush')).toBeInTheDocument();
+  });
+
+  test('lists every winner of a split pot', () => {
+    const handResult = {
+      potAmount: 100,
+      winners: [{ player_name: 'alice', hand_name: 'Straight' }, { player_name: 'bob', hand_name: 'Straight' }],
+    };
+    render(
+      <HandResultModal handResult={handResult} players={players} isUser={isUser}
+        onReady={jest.fn()} onCashOut={jest.fn()} cashingOut={false} />
+    );
+
+    expect(screen.getByText('🤝 Split Pot (2 winners)')).toBeInTheDocument();
+    expect(screen.getAllByText('(Straight)')).toHaveLength(2);
+  });
+
+  test('shows who won each pot', () => {
+    const handResult = {
+      potAmount: 450,
+      winners: [{ player_name: 'alice' }, { player_name: 'bob' }],
+      pots: [
+        { amount: 150, winners: ['alice'], returned: false },
+        { amount: 300, winners: ['bob', 'carol'], returned: false },
+        { amount: 40, winners: ['bob'], returned: true },
+      ],
+    };
+    render(
+      <HandResultModal handResult={handResult} players={players} isUser={isUser}
+        onReady={jest.fn()} onCashOut={jest.fn()} cashingOut={false} />
+    );
+
+    expect(screen.getByText('Main pot')).toBeInTheDocument();
+    expect(screen.getByText('→ alice')).toBeInTheDocument();
+    expect(screen.getByText('→ bob & carol (split)')).toBeInTheDocument();
+    expect(screen.getByText('Returned')).toBeInTheDocument();
+    expect(screen.getByText('to bob')).toBeInTheDocument();
+  });
+
+  test('shows readiness and wires up the buttons', () => {
+    const onReady = jest.fn();
+    const onCashOut = jest.fn();
+    render(
+      <HandResultModal handResult={{ potAmount: 0, winners: [] }} players={players} isUser={isUser}
+        onReady={onReady} onCashOut={onCashOut} cashingOut={false} />
+    );
+
+    expect(screen.getByText('alice', { selector: '.ready.current-user .player-name' })).toBeInTheDocument();
+    expect(screen.getByText('bob', { selector: '.not-ready .player-name' })).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('✅ Ready for Next Hand'));
+    fireEvent.click(screen.getByText('💰 Cash Out'));
+    expect(onReady).toHaveBeenCalled();
+    expect(onCashOut).toHaveBeenCalled();
+  });
+
+  test('disables cash out while the request is in flight', () => {
+    render(
+      <HandResultModal handResult={{ potAmount: 0, winners: [] }} players={players} isUser={isUser}
+        onReady={jest.fn()} onCashOut={jest.fn()} cashingOut />
+    );
+
+    expect(screen.getByRole('button', { name: /Cashing Out/ })).toBeDisabled();
+  });
+});
+
+describe('MobileWaitingStatus', () => {
+  test('marks who is ready', () => {
+    render(<MobileWaitingStatus players={players} isUser={isUser} />);
+
+    expect(screen.getByText('alice', { selector: '.ready .waiting-player-name' })).toBeInTheDocument();
+    expect(screen.getByText('bob', { selector: '.waiting .waiting-player-name' })).toBeInTheDocument();
+  });
+});
@@ -60,6 +60,10 @@ const MatchHistory = () => {
     navigate(`/games/${gameId}/summary`);
   };
 
+  const handleReplayHands = (gameId) => {
+    navigate(`/games/${gameId}/hands/1`);
+  };
+
   if (loading) {
     return (
       <div className="match-history-container">
@@ -163,12 +167,22 @@ const MatchHistory = () => {
                           Rejoin Game
                         </button>
                       ) : (
-                        <button 
-                          onClick={() => handleViewSummary(game.game_id)}
-                          className="btn-secondary btn-small"
-                        >
-                          View Summary
-                        </button>
+                        <div className="history-row-actions">
+                          <button 
+                            onClick={() => handleViewSummary(game.game_id)}
+                            className="btn-secondary btn-small"
+                          >
+                            View Summary
+                          </button>
+                          {game.total_hands > 0 && (
+                            <button 
+                              onClick={() => handleReplayHands(game.game_id)}
+                              className="btn-secondary btn-small"
+                            >
+                              Replay Hands
+                            </button>
+                          )}
+                        </div>
                       )}
                     </td>
                   </tr>
@@ -0,0 +1,170 @@
+// src/components/MultiTableView.js
+//
+// Play several games in one view: pick 2-4 of the user's games and they are
+// tiled as CompactTables, each with its own socket. The table where it's the
+// user's turn is highlighted and takes keyboard focus, so shortcuts act on
+// the table that is waiting.
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { gameService } from '../services/apiService';
+import CompactTable from './CompactTable';
+import Spinner from './Spinner';
+import { getStoredUser, findUserPlayer } from '../hooks/useCurrentPlayer';
+import { parseGameIds, formatGameIds, pickFocusedTable, MIN_TABLES, MAX_TABLES } from '../utils/multiTable';
+import './MultiTableView.css';
+
+// Games the user is still playing in
+const getOpenSeats = (games) => {
+  const user = getStoredUser();
+  return games.filter(game => {
+    const seat = findUserPlayer(game.players, user);
+    return seat && !seat.cashed_out && game.status !== 'FINISHED';
+  });
+};
+
+const MultiTableView = () => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const gameIds = parseGameIds(location.search);
+
+  const [editing, setEditing] = useState(false);                            // Show the table picker over the tiles
+  const [games, setGames] = useState(null);                                 // The user's games, for the picker
+  const [selected, setSelected] = useState(gameIds);                        // Picker selection
+  const [loadError, setLoadError] = useState(null);
+  const [focusedId, setFocusedId] = useState(null);                         // Table the user last clicked
+  const [turnIds, setTurnIds] = useState([]);                               // Tables where it's the user's turn
+
+  const picking = editing || gameIds.length < MIN_TABLES;
+
+  useEffect(() => {
+    if (!picking) return;
+
+    const fetchGames = async () => {
+      try {
+        const response = await gameService.getGames();
+        const data = Array.isArray(response.data?.results) ? response.data.results : response.data;
+        setGames(getOpenSeats(Array.isArray(data) ? data : []));
+      } catch (err) {
+        console.error('Failed to load games:', err);
+        setLoadError('Failed to load your games');
+      }
+    };
+
+    fetchGames();
+  }, [picking]);
+
+  const handleTurnChange = useCallback((gameId, isMyTurn) => {
+    setTurnIds(ids => {
+      const without = ids.filter(id => id !== gameId);
+      return isMyTurn ? [...without, gameId] : without;
+    });
+  }, []);
+
+  const openTables = (ids) => {
+    setEditing(false);
+    setTurnIds(current => current.filter(id => ids.includes(id)));
+    navigate(`/multi${formatGameIds(ids)}`);
+  };
+
+  const handleClose = (gameId) => {
+    const remaining = gameIds.filter(id => id !== gameId);
+    setSelected(remaining);
+    openTables(remaining);
+  };
+
+  const toggleSelected = (gameId) => {
+    setSelected(ids => ids.includes(gameId)
+      ? ids.filter(id => id !== gameId)
+      : [...ids, gameId]);
+  };
+
+  if (picking) {
+    const tooMany = selected.length > MAX_TABLES;
+    const tooFew = selected.length < MIN_TABLES;
+
+    return (
+      <div className="multi-table-picker">
+        <h2>Multi-Table</h2>
+        <p>Choose {MIN_TABLES} to {MAX_TABLES} of your games to play side by side.</p>
+
+        {loadError && <div className="error-message">{loadError}</div>}
+        {!games && !loadError && <Spinner color="#3498db" />}
+        {games && games.length === 0 && (
+          <p className="multi-table-empty">You aren't seated in any games. Join a few tables first.</p>
+        )}
+
+        {games && games.length > 0 && (
+          <ul className="multi-table-options">
+            {games.map(game => (
+              <li key={game.id}>
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(game.id)}
+                    onChange={() => toggleSelected(game.id)}
+                  />
+                  {game.table?.name || `Game #${game.id}`}
+                  <span className="multi-table-option-status">{game.status}</span>
+                </label>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {tooMany && <p className="multi-table-hint">Pick at most {MAX_TABLES} tables.</p>}
+        <div className="multi-table-picker-actions">
+          {editing && (
+            <button className="btn btn-secondary btn-sm" onClick={() => setEditing(false)}>
+              Cancel
+            </button>
+          )}
+          <button
+            className="btn btn-success btn-sm"
+            onClick={() => openTables(selected)}
+            disabled={tooFew || tooMany}
+          >
+            Open {selected.length} Tables
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const activeId = pickFocusedTable(gameIds, focusedId, turnIds);
+  const waiting = turnIds.filter(id => gameIds.includes(id)).length;
+
+  return (
+    <div className="multi-table-view">
+      <div className="multi-table-toolbar">
+        <h2>Multi-Table</h2>
+        <span className="multi-table-waiting">
+          {waiting > 0 ? `⏰ ${waiting} ${waiting === 1 ? 'table needs' : 'tables need'} you` : 'Waiting on opponents'}
+        </span>
+        <button
+          className="btn btn-secondary btn-sm"
+          onClick={() => {
+            setSelected(gameIds);
+            setEditing(true);
+          }}
+        >
+          Change Tables
+        </button>
+      </div>
+      <div className={`multi-table-grid tables-${gameIds.length}`}>
+        {gameIds.map(gameId => (
+          <CompactTable
+            key={gameId}
+            gameId={gameId}
+            focused={gameId === activeId}
+            onFocus={setFocusedId}
+            onTurnChange={handleTurnChange}
+            onClose={handleClose}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default MultiTableView;
@@ -0,0 +1,143 @@
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import MultiTableView from './MultiTableView';
+import { gameService } from '../services/apiService';
+import { setPreference } from '../utils/preferences';
+
+jest.mock('../services/apiService', () => ({
+  gameService: {
+    getGames: jest.fn(),
+    getGame: jest.fn(),
+    takeAction: jest.fn(),
+    setPlayerReady: jest.fn(),
+    isWebSocketSupported: () => false,
+  },
+}));
+
+const seat = (id, username, extra = {}) => ({
+  id,
+  player: { id, user: { id, username }, is_bot: false },
+  stack: 100,
+  current_bet: 0,
+  is_active: true,
+  cashed_out: false,
+  cards: [],
+  ...extra,
+});
+
+// Alice (id 1) against Bob; toAct is the player.id whose turn it is
+const makeGame = (id, toAct, extra = {}) => ({
+  id,
+  status: 'PLAYING',
+  phase: 'FLOP',
+  hand_count: 1,
+  pot: 20,
+  current_bet: 10,
+  community_cards: ['AS', 'KD', '7C'],
+  current_player: { id: toAct },
+  table: { id, name: `Table ${id}`, big_blind: 2 },
+  players: [
+    seat(1, 'alice', { cards: ['QH', 'QS'] }),
+    seat(2, 'bob', { current_bet: 10, stack: 90 }),
+  ],
+  ...extra,
+});
+
+const renderView = (url, games) => {
+  gameService.getGame.mockImplementation(id => Promise.resolve({ data: games[id] }));
+  gameService.getGames.mockResolvedValue({ data: Object.values(games) });
+  render(
+    <MemoryRouter initialEntries={[url]}>
+      <Routes>
+        <Route path="/multi" element={<MultiTableView />} />
+      </Routes>
+    </MemoryRouter>
+  );
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  localStorage.setItem('user', JSON.stringify({ id: 1, username: 'alice' }));
+  gameService.takeAction.mockResolvedValue({ data: {} });
+});
+
+afterEach(() => {
+  localStorage.clear();
+});
+
+describe('MultiTableView', () => {
+  test('highlights the table waiting on you and sends shortcuts there', async () => {
+    renderView('/multi?games=1,2', { 1: makeGame(1, 2), 2: makeGame(2, 1) });
+
+    expect(await screen.findByText('⏰ Your turn')).toBeInTheDocument();
+    await waitFor(() =>
+      expect(screen.getByRole('region', { name: 'Table 2' })).toHaveAttribute('aria-current', 'true')
+    );
+    expect(screen.getByText('⏰ 1 table needs you')).toBeInTheDocument();
+
+    userEvent.keyboard('c');
+    await waitFor(() => expect(gameService.takeAction).toHaveBeenCalledWith(2, 'CALL', 0));
+    expect(gameService.takeAction).toHaveBeenCalledTimes(1);
+  });
+
+  test('the raise key opens the amount and Enter sends it', async () => {
+    renderView('/multi?games=1,2', { 1: makeGame(1, 2), 2: makeGame(2, 1) });
+
+    const amountInput = await screen.findByLabelText('Table 2 bet amount');
+    await waitFor(() =>
+      expect(screen.getByRole('region', { name: 'Table 2' })).toHaveAttribute('aria-current', 'true')
+    );
+    userEvent.keyboard('r');
+    expect(amountInput).toHaveFocus();
+    expect(gameService.takeAction).not.toHaveBeenCalled();
+
+    userEvent.type(amountInput, '30{enter}', { initialSelectionStart: 0, initialSelectionEnd: 2 });
+    await waitFor(() => expect(gameService.takeAction).toHaveBeenCalledWith(2, 'RAISE', 30));
+    expect(gameService.takeAction).toHaveBeenCalledTimes(1);
+  });
+
+  test('leaves the keys alone when shortcuts are turned off', async () => {
+    setPreference('keyboardShortcuts', false);
+    renderView('/multi?games=1,2', { 1: makeGame(1, 2), 2: makeGame(2, 1) });
+
+    expect(await screen.findByText('⏰ Your turn')).toBeInTheDocument();
+    await waitFor(() =>
+      expect(screen.getByRole('region', { name: 'Table 2' })).toHaveAttribute('aria-current', 'true')
+    );
+    userEvent.keyboard('f');
+    expect(gameService.takeAction).not.toHaveBeenCalled();
+  });
+
+  test('clicking a table moves the keyboard there', async () => {
+    renderView('/multi?games=1,2', { 1: makeGame(1, 1), 2: makeGame(2, 1) });
+
+    expect(await screen.findAllByText('⏰ Your turn')).toHaveLength(2);
+    expect(screen.getByRole('region', { name: 'Table 1' })).toHaveAttribute('aria-current', 'true');
+
+    userEvent.click(screen.getByRole('region', { name: 'Table 2' }));
+    userEvent.keyboard('f');
+    await waitFor(() => expect(gameService.takeAction).toHaveBeenCalledWith(2, 'FOLD', 0));
+    expect(gameService.takeAction).toHaveBeenCalledTimes(1);
+  });
+
+  test('picks tables from the games you are seated in', async () => {
+    renderView('/multi', {
+      1: makeGame(1, 2),
+      2: makeGame(2, 2),
+      3: makeGame(3, 2, { players: [seat(2, 'bob'), seat(3, 'carol')] }),
+    });
+
+    expect(await screen.findByLabelText(/Table 1/)).toBeInTheDocument();
+    expect(screen.queryByLabelText(/Table 3/)).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Open 0 Tables' })).toBeDisabled();
+
+    userEvent.click(screen.getByLabelText(/Table 1/));
+    userEvent.click(screen.getByLabelText(/Table 2/));
+    userEvent.click(screen.getByRole('button', { name: 'Open 2 Tables' }));
+
+    expect(await screen.findByRole('region', { name: 'Table 1' })).toBeInTheDocument();
+    expect(screen.getByRole('region', { name: 'Table 2' })).toBeInTheDocument();
+  });
+});
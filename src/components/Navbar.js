@@ -7,6 +7,7 @@ const Navbar = ({ connectionStatus }) => {
   const navigate = useNavigate();
   const isAuthenticated = authService.isAuthenticated();
   const user = isAuthenticated ? JSON.parse(localStorage.getItem('user')) : null;
+  const isAdmin = authService.isAdmin();
 
   const handleLogout = () => {
     authService.logout();
@@ -20,10 +21,20 @@ const Navbar = ({ connectionStatus }) => {
     const statusColors = {
       connected: "#4caf50",
       connecting: "#ff9800", 
+      reconnecting: "#ff9800",
       disconnected: "#f44336",
+      failed: "#f44336",
       error: "#f44336",
     };
 
+    const statusTitles = {
+      connected: "Live updates connected",
+      connecting: "Connecting...",
+      reconnecting: "Connection lost, reconnecting...",
+      disconnected: "Disconnected",
+      failed: "Unable to reconnect - falling back to polling",
+    };
+
     return (
       <div 
         className="connection-status"
@@ -36,7 +47,7 @@ const Navbar = ({ connectionStatus }) => {
           display: "flex",
           alignItems: "center"
         }}
-        title={connectionStatus} // Show status on hover
+        title={statusTitles[connectionStatus] || connectionStatus} // Show status on hover
       />
     );
   };
@@ -51,8 +62,11 @@ const Navbar = ({ connectionStatus }) => {
         {isAuthenticated && (
           <div className="navbar-nav">
             <Link to="/tables" className="nav-link">Tables</Link>
+            <Link to="/multi" className="nav-link">Multi-Table</Link>
+            <Link to="/bots" className="nav-link">Bots</Link>
             <Link to="/history" className="nav-link">Match History</Link>
             <Link to="/profile" className="nav-link">Profile</Link>
+            {isAdmin && <Link to="/admin" className="nav-link">Admin</Link>}
           </div>
         )}
       </div>
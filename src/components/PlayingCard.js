@@ -0,0 +1,35 @@
+// src/components/PlayingCard.js
+import React from 'react';
+import { SUIT_SYMBOLS, splitCard } from '../utils/format';
+
+/**
+ * A single card face (or back when hidden), styled by PokerTable.css.
+ *
+ * @param {string} card - Card string such as "AS" or "10H"
+ * @param {boolean} [hidden] - Render the card back instead of the face
+ * @param {boolean} [winning] - Highlight as part of the winning hand
+ * @param {string} [className] - Base class for the face ("card visible" by default)
+ */
+const PlayingCard = ({ card, hidden = false, winning = false, className = 'card visible' }) => {
+  if (hidden) {
+    return (
+      <div className="card hidden">
+        <div className="card-back"></div>
+      </div>
+    );
+  }
+
+  const { rank, suit } = splitCard(card);
+
+  return (
+    <div
+      className={`${className} ${winning ? 'winning-card' : ''}`}
+      data-suit={suit}
+    >
+      <div className="card-rank">{rank}</div>
+      <div className="card-suit">{SUIT_SYMBOLS[suit]}</div>
+    </div>
+  );
+};
+
+export default PlayingCard;
@@ -0,0 +1,91 @@
+// src/components/PracticeCoach.js
+//
+// Hint overlay for practice tables: the advisor's read of the user's spot
+// while it's their turn, and a review of the last hand that calls out where
+// they went against the advice.
+
+import React from 'react';
+import { STREET_NAMES } from '../utils/actionLog';
+import { formatCurrency } from '../utils/format';
+
+const ACTION_LABELS = { FOLD: 'Fold', CHECK: 'Check', CALL: 'Call', BET: 'Bet', RAISE: 'Raise' };
+
+const percent = (fraction) => `${Math.round(fraction * 100)}%`;
+
+const describeAction = ({ action, amount }) => {
+  const verbs = { FOLD: 'folded', CHECK: 'checked', CALL: 'called', BET: 'bet', RAISE: 'raised to' };
+  return ['BET', 'RAISE'].includes(action) && amount > 0
+    ? `${verbs[action]} ${formatCurrency(amount)}`
+    : verbs[action] || action.toLowerCase();
+};
+
+/**
+ * @param {Object|null} advice - From usePracticeCoach, while it's the user's turn
+ * @param {boolean} showHints - Whether hints are on
+ * @param {Function} onShowHintsChange - Called with the new setting
+ * @param {Object|null} review - Last hand's review from usePracticeCoach
+ * @param {Function} onDismissReview
+ */
+const PracticeCoach = ({ advice, showHints, onShowHintsChange, review, onDismissReview }) => {
+  return (
+    <div className="practice-coach" role="region" aria-label="Practice coach">
+      <div className="practice-coach-header">
+        <h4>🎓 Practice</h4>
+        <label className="practice-hints-toggle">
+          <input
+            type="checkbox"
+            checked={showHints}
+            onChange={(e) => onShowHintsChange(e.target.checked)}
+          />
+          Show hints
+        </label>
+      </div>
+
+      {showHints && advice && (
+        <div className="practice-hint">
+          <dl className="practice-hint-facts">
+            <div><dt>Hand</dt><dd>{advice.strength}</dd></div>
+            <div><dt>Win chance</dt><dd>~{percent(advice.winChance)}</dd></div>
+            <div>
+              <dt>Pot odds</dt>
+              <dd>{advice.potOdds > 0 ? `Need ${percent(advice.potOdds)} to call` : 'Nothing to call'}</dd>
+            </div>
+          </dl>
+          <p className="practice-suggestion">
+            <strong>Suggested: {ACTION_LABELS[advice.action]}</strong> - {advice.reason}
+          </p>
+        </div>
+      )}
+
+      {showHints && !advice && !review && (
+        <p className="practice-idle">Hints appear here when it's your turn.</p>
+      )}
+
+      {review && (
+        <div className="practice-review">
+          <h5>Hand #{review.handCount} review</h5>
+          <p className="practice-review-summary">
+            {review.deviations === 0
+              ? 'You followed the advisor on every decision.'
+              : `You went against the advisor on ${review.deviations} of ${review.entries.length} decisions.`}
+          </p>
+          <ol className="practice-review-list">
+            {review.entries.map((entry, index) => (
+              <li key={index} className={entry.followed ? 'followed' : 'deviated'}>
+                {entry.followed ? '✅' : '❌'} {STREET_NAMES[entry.street] || entry.street}: you {describeAction(entry)}
+                {!entry.followed && (
+                  <span className="practice-review-advice">
+                    Advisor: {ACTION_LABELS[entry.advice.action]} - {entry.advice.reason}
+                  </span>
+                )}
+              </li>
+            ))}
+          </ol>
+          <button className="practice-btn" onClick={onDismissReview}>Close</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PracticeCoach;
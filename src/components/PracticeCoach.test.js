@@ -0,0 +1,71 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import PracticeCoach from './PracticeCoach';
+
+const advice = {
+  action: 'CALL',
+  reason: 'Calling needs 25% and you win about 40%, so the price is right',
+  strength: 'Pair of Jacks',
+  winChance: 0.4,
+  potOdds: 0.25,
+};
+
+const review = {
+  handCount: 3,
+  deviations: 1,
+  entries: [
+    { street: 'PREFLOP', action: 'CALL', amount: 0, followed: true, advice },
+    {
+      street: 'FLOP',
+      action: 'BET',
+      amount: 10,
+      followed: false,
+      advice: { ...advice, action: 'CHECK', reason: "Checking is free, and your hand isn't strong enough to bet" },
+    },
+  ],
+};
+
+const renderCoach = (props = {}) => render(
+  <PracticeCoach
+    advice={null}
+    showHints
+    onShowHintsChange={jest.fn()}
+    review={null}
+    onDismissReview={jest.fn()}
+    {...props}
+  />
+);
+
+describe('PracticeCoach', () => {
+  test('shows the hand strength, odds and suggested action on your turn', () => {
+    renderCoach({ advice });
+
+    expect(screen.getByText('Pair of Jacks')).toBeInTheDocument();
+    expect(screen.getByText('~40%')).toBeInTheDocument();
+    expect(screen.getByText('Need 25% to call')).toBeInTheDocument();
+    expect(screen.getByText('Suggested: Call')).toBeInTheDocument();
+  });
+
+  test('hides hints when they are turned off', () => {
+    const onShowHintsChange = jest.fn();
+    renderCoach({ advice, showHints: false, onShowHintsChange });
+
+    expect(screen.queryByText('Suggested: Call')).not.toBeInTheDocument();
+    userEvent.click(screen.getByLabelText('Show hints'));
+    expect(onShowHintsChange).toHaveBeenCalledWith(true);
+  });
+
+  test('reviews the last hand and points out deviations', () => {
+    const onDismissReview = jest.fn();
+    renderCoach({ review, onDismissReview });
+
+    expect(screen.getByText('Hand #3 review')).toBeInTheDocument();
+    expect(screen.getByText('You went against the advisor on 1 of 2 decisions.')).toBeInTheDocument();
+    expect(screen.getByText(/Flop: you bet \$10/)).toBeInTheDocument();
+    expect(screen.getByText(/Advisor: Check/)).toBeInTheDocument();
+
+    userEvent.click(screen.getByRole('button', { name: 'Close' }));
+    expect(onDismissReview).toHaveBeenCalled();
+  });
+});
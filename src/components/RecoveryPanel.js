@@ -0,0 +1,111 @@
+// src/components/RecoveryPanel.js
+//
+// Guided reset for a stuck or inconsistent game, shown to admins and the
+// table host: what looks wrong, a confirmation explaining what a reset does,
+// then what the reset changed.
+
+import React, { useState } from 'react';
+import Spinner from './Spinner';
+
+const issuesKey = (issues) => issues.map(issue => issue.type).join(',');
+
+/**
+ * @param {Array<{type: string, message: string}>} issues - From useGameHealth
+ * @param {Function} onReset - Resets the game; resolves to { changes } with
+ *   rows from describeStateChanges
+ */
+const RecoveryPanel = ({ issues, onReset }) => {
+  const [step, setStep] = useState('alert'); // 'alert' | 'confirm' | 'done'
+  const [resetting, setResetting] = useState(false);
+  const [error, setError] = useState(null);
+  const [changes, setChanges] = useState([]);
+  const [dismissedKey, setDismissedKey] = useState(null);
+
+  const handleReset = async () => {
+    setResetting(true);
+    setError(null);
+    try {
+      const result = await onReset();
+      setChanges(result.changes);
+      setStep('done');
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setResetting(false);
+    }
+  };
+
+  const close = () => {
+    setStep('alert');
+    setError(null);
+    setChanges([]);
+  };
+
+  if (step === 'done') {
+    return (
+      <div className="recovery-panel" role="region" aria-label="Game recovery">
+        <h4>✅ Game state reset</h4>
+        {changes.length === 0 ? (
+          <p>The reset didn't change anything visible.</p>
+        ) : (
+          <table className="recovery-diff">
+            <thead>
+              <tr>
+                <th></th>
+                <th>Before</th>
+                <th>After</th>
+              </tr>
+            </thead>
+            <tbody>
+              {changes.map(change => (
+                <tr key={change.label}>
+                  <td>{change.label}</td>
+                  <td className="recovery-before">{change.before}</td>
+                  <td className="recovery-after">{change.after}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        <div className="recovery-actions">
+          <button className="recovery-btn" onClick={close}>Close</button>
+        </div>
+      </div>
+    );
+  }
+
+  if (issues.length === 0 || dismissedKey === issuesKey(issues)) return null;
+
+  return (
+    <div className="recovery-panel" role="region" aria-label="Game recovery">
+      <h4>⚠️ This game looks stuck</h4>
+      <ul className="recovery-issues">
+        {issues.map(issue => <li key={issue.type}>{issue.message}</li>)}
+      </ul>
+
+      {step === 'confirm' ? (
+        <>
+          <p className="recovery-warning">
+            Resetting abandons the hand in progress and returns its bets to the players.
+            Everyone then readies up for a fresh hand.
+          </p>
+          {error && <p className="recovery-error">Reset failed: {error}</p>}
+          <div className="recovery-actions">
+            <button className="recovery-btn" onClick={close} disabled={resetting}>Cancel</button>
+            <button className="recovery-btn danger" onClick={handleReset} disabled={resetting}>
+              {resetting && <Spinner size="small" />}
+              {resetting ? 'Resetting...' : 'Reset Game State'}
+            </button>
+          </div>
+        </>
+      ) : (
+        <div className="recovery-actions">
+          <button className="recovery-btn" onClick={() => setDismissedKey(issuesKey(issues))}>Not now</button>
+          <button className="recovery-btn danger" onClick={() => setStep('confirm')}>Recover…</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecoveryPanel;
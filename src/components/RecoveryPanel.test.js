@@ -0,0 +1,68 @@
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import RecoveryPanel from './RecoveryPanel';
+
+const issues = [
+  { type: 'stuck_phase', message: 'No action on the turn for 7 minutes' },
+  { type: 'pot_mismatch', message: 'The pot is $35 but players have put in $20' },
+];
+
+describe('RecoveryPanel', () => {
+  test('stays hidden while the game is healthy', () => {
+    render(<RecoveryPanel issues={[]} onReset={jest.fn()} />);
+    expect(screen.queryByRole('region', { name: 'Game recovery' })).not.toBeInTheDocument();
+  });
+
+  test('lists the problems and only resets after confirmation', () => {
+    const onReset = jest.fn();
+    render(<RecoveryPanel issues={issues} onReset={onReset} />);
+
+    expect(screen.getByText('No action on the turn for 7 minutes')).toBeInTheDocument();
+    userEvent.click(screen.getByRole('button', { name: 'Recover…' }));
+    expect(screen.getByText(/returns its bets to the players/)).toBeInTheDocument();
+    expect(onReset).not.toHaveBeenCalled();
+
+    userEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+    expect(screen.getByRole('button', { name: 'Recover…' })).toBeInTheDocument();
+  });
+
+  test('shows what the reset changed', async () => {
+    const onReset = jest.fn().mockResolvedValue({
+      changes: [{ label: 'Phase', before: 'TURN', after: 'WAITING_FOR_PLAYERS' }],
+    });
+    const { rerender } = render(<RecoveryPanel issues={issues} onReset={onReset} />);
+
+    userEvent.click(screen.getByRole('button', { name: 'Recover…' }));
+    userEvent.click(screen.getByRole('button', { name: 'Reset Game State' }));
+    expect(await screen.findByText('✅ Game state reset')).toBeInTheDocument();
+
+    // The diff stays up after the problems clear
+    rerender(<RecoveryPanel issues={[]} onReset={onReset} />);
+    expect(screen.getByRole('row', { name: 'Phase TURN WAITING_FOR_PLAYERS' })).toBeInTheDocument();
+
+    userEvent.click(screen.getByRole('button', { name: 'Close' }));
+    expect(screen.queryByRole('region', { name: 'Game recovery' })).not.toBeInTheDocument();
+  });
+
+  test('reports a failed reset and lets the user retry', async () => {
+    const onReset = jest.fn().mockRejectedValue({ response: { data: { error: 'Only admins can do that' } } });
+    render(<RecoveryPanel issues={issues} onReset={onReset} />);
+
+    userEvent.click(screen.getByRole('button', { name: 'Recover…' }));
+    userEvent.click(screen.getByRole('button', { name: 'Reset Game State' }));
+
+    expect(await screen.findByText('Reset failed: Only admins can do that')).toBeInTheDocument();
+    await waitFor(() => expect(screen.getByRole('button', { name: 'Reset Game State' })).toBeEnabled());
+  });
+
+  test('"Not now" hides it until the problems change', () => {
+    const { rerender } = render(<RecoveryPanel issues={issues} onReset={jest.fn()} />);
+
+    userEvent.click(screen.getByRole('button', { name: 'Not now' }));
+    expect(screen.queryByRole('region', { name: 'Game recovery' })).not.toBeInTheDocument();
+
+    rerender(<RecoveryPanel issues={[issues[0]]} onReset={jest.fn()} />);
+    expect(screen.getByRole('region', { name: 'Game recovery' })).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,33 @@
+// src/components/RoleRoute.js
+import React from 'react';
+import { Link, Navigate } from 'react-router-dom';
+import { authService } from '../services/apiService';
+
+/**
+ * Route guard for pages that need a role as well as a login. Signed-out
+ * visitors go to the login page; signed-in users without the role are told
+ * so instead of seeing a page whose requests would all be refused.
+ *
+ * @param {Object} props
+ * @param {string} props.role - One of authService.ROLES
+ * @param {React.ReactNode} props.children
+ */
+const RoleRoute = ({ role, children }) => {
+  if (!authService.isAuthenticated()) {
+    return <Navigate to="/login" />;
+  }
+
+  if (!authService.hasRole(role)) {
+    return (
+      <div className="access-denied">
+        <h2>🚫 Access Denied</h2>
+        <p>You need the {role} role to view this page.</p>
+        <Link to="/tables" className="btn btn-primary btn-sm">Back to Tables</Link>
+      </div>
+    );
+  }
+
+  return children;
+};
+
+export default RoleRoute;
@@ -0,0 +1,48 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import RoleRoute from './RoleRoute';
+import { authService } from '../services/apiService';
+
+jest.mock('../services/apiService', () => ({
+  authService: {
+    isAuthenticated: jest.fn(),
+    hasRole: jest.fn(),
+  },
+}));
+
+const renderAdminRoute = () => render(
+  <MemoryRouter initialEntries={['/admin']}>
+    <Routes>
+      <Route path="/login" element={<div>Login page</div>} />
+      <Route path="/admin" element={<RoleRoute role="admin"><div>Admin page</div></RoleRoute>} />
+    </Routes>
+  </MemoryRouter>
+);
+
+describe('RoleRoute', () => {
+  test('sends signed-out visitors to the login page', () => {
+    authService.isAuthenticated.mockReturnValue(false);
+    renderAdminRoute();
+
+    expect(screen.getByText('Login page')).toBeInTheDocument();
+  });
+
+  test('turns away users without the role', () => {
+    authService.isAuthenticated.mockReturnValue(true);
+    authService.hasRole.mockReturnValue(false);
+    renderAdminRoute();
+
+    expect(screen.getByText('🚫 Access Denied')).toBeInTheDocument();
+    expect(screen.queryByText('Admin page')).not.toBeInTheDocument();
+    expect(authService.hasRole).toHaveBeenCalledWith('admin');
+  });
+
+  test('shows the page to users with the role', () => {
+    authService.isAuthenticated.mockReturnValue(true);
+    authService.hasRole.mockReturnValue(true);
+    renderAdminRoute();
+
+    expect(screen.getByText('Admin page')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,293 @@
+// src/components/Seat.js
+//
+// Per-player pieces of the poker table: the name plate around the table
+// (desktop), the hole cards and bet on the felt, and the compact card used
+// in the mobile player grid. Seats are placed on the ellipse computed by
+// utils/seatLayout.
+
+import React from 'react';
+import PlayingCard from './PlayingCard';
+import TurnTimerRing, { TurnClockLabel } from './TurnTimer';
+import {
+  formatCurrency,
+  formatCurrencyAbbr,
+  getPlayerCards,
+  getShortDisplayName,
+  isBot,
+} from '../utils/format';
+import { getWinnerData, isWinningPlayerCard } from '../utils/handResult';
+import { SEAT_RADII, toPercentPosition } from '../utils/seatLayout';
+import { POSITION_NAMES } from '../utils/positions';
+
+const CARD_HEIGHT = 56;    // Same as community cards
+
+const isShowdownPhase = (game) =>
+  game.phase === "SHOWDOWN" || game.phase === "WAITING_FOR_PLAYERS";
+
+// Centre an element on its point of the seat ellipse
+const getEllipseStyle = (point, radii) => ({
+  position: "absolute",
+  ...toPercentPosition(point, radii),
+  transform: "translate(-50%, -50%)",
+});
+
+// Short status shown under a player's stack
+const getStatusText = (player, isTurn) => {
+  if (player.cashed_out) return 'Out';
+  if (!player.is_active) return 'Folded';
+  if (isTurn) return 'Turn';
+  return '';
+};
+
+/**
+ * Dealer button and blind markers for a seat, plus its position label when
+ * the markers don't already say it (UTG, HJ, CO, ...).
+ *
+ * @param {number} seat - Seat number
+ * @param {Object} blindSeats - Result of getBlindSeats
+ * @param {string} [position] - Label from getTablePositions
+ */
+export const SeatButtons = ({ seat, blindSeats, position }) => {
+  const buttons = [];
+  if (blindSeats) {
+    if (seat === blindSeats.dealer) buttons.push({ label: 'D', className: 'dealer', title: 'Dealer' });
+    if (seat === blindSeats.smallBlind) buttons.push({ label: 'SB', className: 'small-blind', title: POSITION_NAMES.SB });
+    if (seat === blindSeats.bigBlind) buttons.push({ label: 'BB', className: 'big-blind', title: POSITION_NAMES.BB });
+  }
+  if (position && !['BTN', 'SB', 'BB'].includes(position)) {
+    buttons.push({ label: position, className: 'position', title: POSITION_NAMES[position] });
+  }
+
+  return buttons.map(button => (
+    <span key={button.label} className={`seat-button ${button.className}`} title={button.title}>
+      {button.label}
+    </span>
+  ));
+};
+
+/**
+ * Opponent name plate positioned around the table (desktop).
+ *
+ * @param {Object} player - Game player entry
+ * @param {Object} game - Current game state
+ * @param {Object} point - The player's seat from computeSeatLayout
+ * @param {Object} blindSeats - Result of getBlindSeats
+ * @param {string} [position] - Label from getTablePositions
+ * @param {Object|null} [turnClock] - Result of useTurnTimer
+ * @param {Object|null} handResult - Last completed hand, for winner badges
+ */
+const Seat = ({ player, game, point, blindSeats, position, turnClock, handResult }) => {
+  const isTurn = !!(game.current_player && game.current_player.id === player.player.id);
+  const clock = isTurn && turnClock?.playerId === player.player.id ? turnClock : null;
+  const playerStatus = player.cashed_out ? 'cashed-out' : (player.is_active ? 'active' : 'inactive');
+  const winnerData = getWinnerData(handResult, player.player.user.username);
+  const statusText = getStatusText(player, isTurn);
+
+  return (
+    <div
+      className={`player-name-display ${playerStatus} ${isTurn ? "active-turn" : ""} ${winnerData ? "winner" : ""}`}
+      style={getEllipseStyle(point, SEAT_RADII.plate)}
+    >
+      <TurnTimerRing clock={clock} />
+      <div className={`player-name-text ${isBot(player) ? 'bot-player' : ''}`}>
+        {getShortDisplayName(player)}
+        <SeatButtons seat={player.seat_position} blindSeats={blindSeats} position={position} />
+      </div>
+      <div className="player-name-stack">
+        {formatCurrencyAbbr(player.stack)}
+        {player.cashed_out && <span className="stack-note"> (Out)</span>}
+      </div>
+      {player.current_bet > 0 && (
+        <div className="player-name-bet">
+          Bet: {formatCurrencyAbbr(player.current_bet)}
+        </div>
+      )}
+      {statusText && (
+        <div className="player-name-status">
+          {clock ? <TurnClockLabel clock={clock} /> : statusText}
+        </div>
+      )}
+      {winnerData && (
+        <div className="player-name-winner-info">
+          <div className="winner-amount">+{formatCurrency(winnerData.winning_amount)}</div>
+          {winnerData.hand_name && <div className="winner-hand">{winnerData.hand_name}</div>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Placeholder for an open seat (desktop).
+ *
+ * @param {Object} point - The seat from computeSeatLayout
+ */
+export const EmptySeat = ({ point }) => (
+  <div className="empty-seat" style={getEllipseStyle(point, SEAT_RADII.plate)}>
+    <div className="empty-seat-number">Seat {point.seat + 1}</div>
+    <div className="empty-seat-label">Open</div>
+  </div>
+);
+
+/**
+ * An opponent's hole cards and current bet on the felt. Cards stay face
+ * down until showdown, and folded players' cards are hidden entirely.
+ * Face-down cards are turned to face their owner; the bet sits further in,
+ * toward the pot.
+ */
+export const SeatCards = ({ player, game, point, handResult }) => {
+  const playerCards = getPlayerCards(player);
+  const showdown = isShowdownPhase(game);
+
+  if (playerCards.length === 0) return null;
+  if (!player.is_active && !showdown) return null;
+
+  const showCards = showdown && player.is_active;
+  const cardStyle = {
+    position: "relative",
+    transform: `rotate(${showdown ? 0 : point.angle - 90}deg)`,
+  };
+
+  return (
+    <>
+      <div style={getEllipseStyle(point, SEAT_RADII.cards)}>
+        <div
+          className={`player-cards-on-table other-player-cards ${showdown ? "showdown-mode" : ""}`}
+          style={cardStyle}
+        >
+          {playerCards.map((card, cardIndex) => (
+            <PlayingCard
+              key={cardIndex}
+              card={card}
+              hidden={!showCards}
+              winning={isWinningPlayerCard(handResult, card, player.player.user.username)}
+            />
+          ))}
+        </div>
+      </div>
+
+      {player.current_bet > 0 && (
+        <div className="player-bet-display" style={getEllipseStyle(point, SEAT_RADII.bet)}>
+          {formatCurrency(player.current_bet)}
+        </div>
+      )}
+    </>
+  );
+};
+
+/**
+ * The current user's cards and bet at the front edge of the table. Shown
+ * face down during play (the faces are in the action bar) and face up at
+ * showdown, with the user's dealer/blind markers and position beside them.
+ */
+export const HeroCards = ({ player, game, blindSeats, position, handResult }) => {
+  const playerCards = getPlayerCards(player);
+  const hasCards = playerCards.length > 0 && player.is_active;
+
+  const showdown = isShowdownPhase(game);
+  const betDistance = 20; // Gap between the bet and the cards, toward the center
+
+  const cardStyle = {
+    position: "absolute",
+    left: "50%",
+    bottom: "20px", // At the front edge of table
+    transform: "translateX(-50%)",
+  };
+
+  const betStyle = {
+    position: "absolute",
+    left: "50%",
+    bottom: `${20 + CARD_HEIGHT + betDistance}px`,
+    transform: "translateX(-50%)",
+  };
+
+  const buttonStyle = {
+    position: "absolute",
+    left: "calc(50% + 70px)", // Beside the cards
+    bottom: "20px",
+  };
+
+  return (
+    <div>
+      {hasCards && player.current_bet > 0 && (
+        <div className="player-bet-display current-user-bet" style={betStyle}>
+          {formatCurrency(player.current_bet)}
+        </div>
+      )}
+
+      {hasCards && (
+        <div
+          className={`player-cards-on-table current-user-cards ${showdown ? "showdown-mode" : ""}`}
+          style={cardStyle}
+        >
+          {playerCards.map((card, cardIndex) => (
+            <PlayingCard
+              key={cardIndex}
+              card={card}
+              hidden={!showdown}
+              winning={isWinningPlayerCard(handResult, card, player.player.user.username)}
+            />
+          ))}
+        </div>
+      )}
+
+      <div className="hero-seat-buttons" style={buttonStyle}>
+        <SeatButtons seat={player.seat_position} blindSeats={blindSeats} position={position} />
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Compact opponent card for the mobile player grid.
+ */
+export const MobileSeat = ({ player, game, blindSeats, position, turnClock }) => {
+  const isDealer = player.seat_position === blindSeats?.dealer;
+  const isTurn = !!(game.current_player && game.current_player.id === player.player.id);
+  const clock = isTurn && turnClock?.playerId === player.player.id ? turnClock : null;
+  const statusText = getStatusText(player, isTurn);
+
+  let statusClass = '';
+  if (player.cashed_out) {
+    statusClass = 'cashed-out';
+  } else if (!player.is_active) {
+    statusClass = 'folded';
+  } else if (isTurn) {
+    statusClass = 'active-turn';
+  }
+
+  // Show card indicators if player is active and game is in progress
+  const hasCards = player.is_active && !player.cashed_out && game.status === 'PLAYING';
+
+  return (
+    <div className={`mobile-player-card ${statusClass} ${isDealer ? 'dealer' : ''}`}>
+      <div className="mobile-player-info">
+        <div className={`mobile-player-name ${isBot(player) ? 'bot-player' : ''}`}>
+          {getShortDisplayName(player)}
+          <SeatButtons seat={player.seat_position} blindSeats={blindSeats} position={position} />
+          {hasCards && (
+            <div className="mobile-card-indicators">
+              <div className="mobile-card"></div>
+              <div className="mobile-card"></div>
+            </div>
+          )}
+        </div>
+        <div className="mobile-player-stack">
+          {formatCurrencyAbbr(player.stack)}
+        </div>
+        {player.current_bet > 0 && (
+          <div className="mobile-player-bet">
+            Bet: {formatCurrencyAbbr(player.current_bet)}
+          </div>
+        )}
+        {(clock || statusText) && (
+          <div className="mobile-player-status">
+            {clock ? <TurnClockLabel clock={clock} /> : statusText}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Seat;
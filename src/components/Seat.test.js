@@ -0,0 +1,166 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import Seat, { SeatCards, HeroCards, EmptySeat, MobileSeat } from './Seat';
+import { computeSeatLayout } from '../utils/seatLayout';
+
+const makePlayer = (id, username, overrides = {}) => ({
+  id,
+  player: { id: id * 10, user: { id: id * 100, username } },
+  seat_position: id,
+  stack: 500,
+  current_bet: 0,
+  is_active: true,
+  cashed_out: false,
+  cards: { cards: ['AS', 'KD'] },
+  ...overrides,
+});
+
+const baseGame = {
+  phase: 'FLOP',
+  dealer_position: 1,
+  current_player: null,
+};
+
+const layout = computeSeatLayout(9, 0);
+
+describe('Seat', () => {
+  const point = layout[4];
+
+  test('shows name, stack, bet and dealer button', () => {
+    const player = makePlayer(1, 'alice', { current_bet: 20 });
+    const blindSeats = { dealer: 1, smallBlind: 2, bigBlind: 3 };
+    render(<Seat player={player} game={baseGame} point={layout[1]} blindSeats={blindSeats} handResult={null} />);
+
+    expect(screen.getByText('alice')).toBeInTheDocument();
+    expect(screen.getByText('$500')).toBeInTheDocument();
+    expect(screen.getByText('Bet: $20')).toBeInTheDocument();
+    expect(screen.getByText('D')).toHaveClass('seat-button', 'dealer');
+    expect(screen.queryByText('SB')).not.toBeInTheDocument();
+  });
+
+  test('shows the position label unless a blind marker covers it', () => {
+    const blindSeats = { dealer: 1, smallBlind: 2, bigBlind: 3 };
+    const { rerender } = render(
+      <Seat player={makePlayer(5, 'carol')} game={baseGame} point={layout[5]} blindSeats={blindSeats} position="CO" handResult={null} />
+    );
+    expect(screen.getByText('CO')).toHaveAttribute('title', 'Cutoff');
+
+    rerender(
+      <Seat player={makePlayer(3, 'dave')} game={baseGame} point={layout[3]} blindSeats={blindSeats} position="BB" handResult={null} />
+    );
+    expect(screen.getAllByText('BB')).toHaveLength(1);
+  });
+
+  test('heads-up the button also shows the small blind', () => {
+    const blindSeats = { dealer: 1, smallBlind: 1, bigBlind: 2 };
+    render(<Seat player={makePlayer(1, 'alice')} game={baseGame} point={layout[1]} blindSeats={blindSeats} handResult={null} />);
+
+    expect(screen.getByText('D')).toBeInTheDocument();
+    expect(screen.getByText('SB')).toBeInTheDocument();
+  });
+
+  test('marks the player whose turn it is', () => {
+    const player = makePlayer(2, 'bob');
+    const game = { ...baseGame, current_player: { id: 20 } };
+    render(<Seat player={player} game={game} point={point} handResult={null} />);
+
+    expect(screen.getByText('bob', { selector: '.active-turn .player-name-text' })).toBeInTheDocument();
+    expect(screen.getByText('Turn')).toBeInTheDocument();
+  });
+
+  test('shows the turn clock on the acting seat', () => {
+    const game = { ...baseGame, current_player: { id: 20 } };
+    const turnClock = { playerId: 20, phase: 'turn', remaining: 8, fraction: 0.3 };
+    render(<Seat player={makePlayer(2, 'bob')} game={game} point={point} turnClock={turnClock} handResult={null} />);
+
+    expect(screen.getByText('⏱ 8s')).toBeInTheDocument();
+    expect(screen.queryByText('Turn')).not.toBeInTheDocument();
+  });
+
+  test('shows folded and cashed-out status', () => {
+    const { rerender } = render(
+      <Seat player={makePlayer(2, 'bob', { is_active: false })} game={baseGame} point={point} handResult={null} />
+    );
+    expect(screen.getByText('Folded')).toBeInTheDocument();
+
+    rerender(
+      <Seat player={makePlayer(2, 'bob', { cashed_out: true })} game={baseGame} point={point} handResult={null} />
+    );
+    expect(screen.getByText('Out')).toBeInTheDocument();
+  });
+
+  test('shows winnings from the last hand', () => {
+    const handResult = { winners: [{ player_name: 'bob', winning_amount: 120, hand_name: 'Two Pair' }] };
+    render(<Seat player={makePlayer(2, 'bob')} game={baseGame} point={point} handResult={handResult} />);
+
+    expect(screen.getByText('+$120')).toBeInTheDocument();
+    expect(screen.getByText('Two Pair')).toBeInTheDocument();
+  });
+});
+
+describe('SeatCards', () => {
+  const point = layout[2];
+
+  test('keeps opponent cards face down during play', () => {
+    render(<SeatCards player={makePlayer(2, 'bob')} game={baseGame} point={point} handResult={null} />);
+
+    expect(screen.queryByText('A')).not.toBeInTheDocument();
+    expect(screen.queryByText('K')).not.toBeInTheDocument();
+  });
+
+  test('reveals cards at showdown', () => {
+    const game = { ...baseGame, phase: 'SHOWDOWN' };
+    render(<SeatCards player={makePlayer(2, 'bob')} game={game} point={point} handResult={null} />);
+
+    expect(screen.getByText('A')).toBeInTheDocument();
+    expect(screen.getByText('K')).toBeInTheDocument();
+  });
+
+  test('renders nothing for a folded player mid-hand', () => {
+    const { container } = render(
+      <SeatCards player={makePlayer(2, 'bob', { is_active: false })} game={baseGame} point={point} handResult={null} />
+    );
+
+    expect(container).toBeEmptyDOMElement();
+  });
+});
+
+describe('HeroCards', () => {
+  test('shows the bet next to the user cards', () => {
+    render(<HeroCards player={makePlayer(1, 'alice', { current_bet: 40 })} game={baseGame} handResult={null} />);
+
+    expect(screen.getByText('$40')).toBeInTheDocument();
+  });
+
+  test('keeps the blind marker after the user folds', () => {
+    const blindSeats = { dealer: 3, smallBlind: 1, bigBlind: 2 };
+    render(<HeroCards player={makePlayer(1, 'alice', { is_active: false })} game={baseGame} blindSeats={blindSeats} handResult={null} />);
+
+    expect(screen.getByText('SB')).toBeInTheDocument();
+  });
+});
+
+describe('EmptySeat', () => {
+  test('labels the open seat by number', () => {
+    render(<EmptySeat point={layout[6]} />);
+
+    expect(screen.getByText('Seat 7')).toBeInTheDocument();
+    expect(screen.getByText('Open')).toBeInTheDocument();
+  });
+});
+
+describe('MobileSeat', () => {
+  test('shows the dealer button and position in the grid', () => {
+    const blindSeats = { dealer: 2, smallBlind: 3, bigBlind: 4 };
+    const { rerender } = render(
+      <MobileSeat player={makePlayer(2, 'bob')} game={{ status: 'PLAYING' }} blindSeats={blindSeats} position="BTN" />
+    );
+    expect(screen.getByText('D')).toBeInTheDocument();
+    expect(screen.queryByText('BTN')).not.toBeInTheDocument();
+
+    rerender(
+      <MobileSeat player={makePlayer(6, 'erin')} game={{ status: 'PLAYING' }} blindSeats={blindSeats} position="UTG" />
+    );
+    expect(screen.getByText('UTG')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,31 @@
+// src/components/SpectatorBar.js
+import React from 'react';
+
+/**
+ * Bottom bar for users watching a game they aren't seated at.
+ *
+ * @param {number|null} spectatorCount - People watching, when the server reports it
+ * @param {boolean} canTakeSeat - Whether there is an open seat to buy into
+ * @param {Function} onTakeSeat - Opens the buy-in dialog
+ */
+const SpectatorBar = ({ spectatorCount, canTakeSeat, onTakeSeat }) => (
+  <div className="poker-action-area spectator-bar">
+    <div className="spectator-status">
+      <span className="spectator-label">👀 Spectating</span>
+      {spectatorCount > 0 && (
+        <span className="spectator-count">
+          {spectatorCount} {spectatorCount === 1 ? 'spectator' : 'spectators'}
+        </span>
+      )}
+    </div>
+    {canTakeSeat ? (
+      <button className="take-seat-btn primary-action" onClick={onTakeSeat}>
+        🪑 Take a Seat
+      </button>
+    ) : (
+      <span className="table-full-note">No open seats</span>
+    )}
+  </div>
+);
+
+export default SpectatorBar;
@@ -0,0 +1,22 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import SpectatorBar from './SpectatorBar';
+
+describe('SpectatorBar', () => {
+  test('shows the spectator count and opens the buy-in flow', () => {
+    const onTakeSeat = jest.fn();
+    render(<SpectatorBar spectatorCount={3} canTakeSeat onTakeSeat={onTakeSeat} />);
+
+    expect(screen.getByText('3 spectators')).toBeInTheDocument();
+    fireEvent.click(screen.getByText('🪑 Take a Seat'));
+    expect(onTakeSeat).toHaveBeenCalled();
+  });
+
+  test('hides the count when unknown and says when the table is full', () => {
+    render(<SpectatorBar spectatorCount={null} canTakeSeat={false} onTakeSeat={jest.fn()} />);
+
+    expect(screen.queryByText(/spectator$|spectators$/)).not.toBeInTheDocument();
+    expect(screen.getByText('No open seats')).toBeInTheDocument();
+    expect(screen.queryByText('🪑 Take a Seat')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,112 @@
+// src/components/TableChat.js
+import React, { useState, useEffect, useRef } from 'react';
+import { isMutedMessage, CHAT_KINDS, MAX_CHAT_LENGTH } from '../utils/chat';
+
+/**
+ * Collapsible chat panel: player messages, dealer announcements and a
+ * message box. Other players can be muted from their messages.
+ *
+ * @param {Array<Object>} messages - From useTableChat
+ * @param {Array<string>} mutedPlayers - Muted usernames
+ * @param {string|null} username - The user's name; null hides the message box
+ * @param {boolean} connected - Whether the game socket is open
+ * @param {Function} onSend - Called with the typed text; returns false if it wasn't sent
+ * @param {Function} onToggleMute - Called with a username
+ */
+const TableChat = ({ messages, mutedPlayers, username, connected, onSend, onToggleMute }) => {
+  const [open, setOpen] = useState(true);
+  const [draft, setDraft] = useState('');
+  const [sendFailed, setSendFailed] = useState(false);
+  const endRef = useRef(null);
+
+  const visibleMessages = messages.filter(message => !isMutedMessage(message, mutedPlayers));
+
+  // Keep the newest message in view
+  useEffect(() => {
+    if (open && endRef.current) {
+      endRef.current.scrollIntoView({ block: 'nearest' });
+    }
+  }, [visibleMessages.length, open]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!draft.trim()) return;
+
+    const sent = onSend(draft) !== false;
+    setSendFailed(!sent);
+    if (sent) setDraft('');
+  };
+
+  return (
+    <div className={`table-chat-card ${open ? '' : 'collapsed'}`}>
+      <h3 className="table-chat-header" onClick={() => setOpen(!open)}>
+        💬 Table Chat {open ? '▾' : '▸'}
+      </h3>
+
+      {open && (
+        <>
+          <div className="chat-messages" role="log">
+            {visibleMessages.length === 0 && (
+              <div className="chat-empty">No messages yet</div>
+            )}
+            {visibleMessages.map(message => (
+              message.kind === CHAT_KINDS.DEALER ? (
+                <div key={message.id} className="chat-message chat-dealer">
+                  <span className="chat-author">Dealer:</span> {message.text}
+                </div>
+              ) : (
+                <div key={message.id} className="chat-message">
+                  <span className="chat-author">{message.username}:</span> {message.text}
+                  {message.username !== username && (
+                    <button
+                      className="chat-mute-btn"
+                      onClick={() => onToggleMute(message.username)}
+                      title={`Mute ${message.username}`}
+                    >
+                      🔇
+                    </button>
+                  )}
+                </div>
+              )
+            ))}
+            <div ref={endRef} />
+          </div>
+
+          {mutedPlayers.length > 0 && (
+            <div className="chat-muted-list">
+              Muted:
+              {mutedPlayers.map(name => (
+                <button
+                  key={name}
+                  className="chat-unmute-btn"
+                  onClick={() => onToggleMute(name)}
+                  title={`Unmute ${name}`}
+                >
+                  {name} ✕
+                </button>
+              ))}
+            </div>
+          )}
+
+          {username && (
+            <form className="chat-form" onSubmit={handleSubmit}>
+              <input
+                type="text"
+                value={draft}
+                maxLength={MAX_CHAT_LENGTH}
+                placeholder={connected ? 'Say something...' : 'Chat is offline'}
+                disabled={!connected}
+                onChange={(e) => setDraft(e.target.value)}
+                aria-label="Chat message"
+              />
+              <button type="submit" disabled={!connected || !draft.trim()}>Send</button>
+            </form>
+          )}
+          {sendFailed && <div className="chat-error">Message not sent - reconnecting</div>}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TableChat;
@@ -0,0 +1,79 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import TableChat from './TableChat';
+import { CHAT_KINDS } from '../utils/chat';
+
+const messages = [
+  { id: '1', kind: CHAT_KINDS.DEALER, text: 'bob joins the table with $100' },
+  { id: '2', kind: CHAT_KINDS.PLAYER, username: 'bob', text: 'hi all' },
+  { id: '3', kind: CHAT_KINDS.PLAYER, username: 'alice', text: 'hey bob' },
+];
+
+const renderChat = (props = {}) => {
+  const handlers = { onSend: jest.fn(() => true), onToggleMute: jest.fn() };
+  render(
+    <TableChat
+      messages={messages}
+      mutedPlayers={[]}
+      username="alice"
+      connected
+      {...handlers}
+      {...props}
+    />
+  );
+  return handlers;
+};
+
+beforeAll(() => {
+  Element.prototype.scrollIntoView = jest.fn();
+});
+
+describe('TableChat', () => {
+  test('shows dealer and player messages and mutes other players', () => {
+    const { onToggleMute } = renderChat();
+
+    expect(screen.getByText('bob joins the table with $100')).toBeInTheDocument();
+    expect(screen.getByText('hi all')).toBeInTheDocument();
+    expect(screen.queryByTitle('Mute alice')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByTitle('Mute bob'));
+    expect(onToggleMute).toHaveBeenCalledWith('bob');
+  });
+
+  test('hides muted players and lets them be unmuted', () => {
+    const { onToggleMute } = renderChat({ mutedPlayers: ['bob'] });
+
+    expect(screen.queryByText('hi all')).not.toBeInTheDocument();
+    expect(screen.getByText('bob joins the table with $100')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByTitle('Unmute bob'));
+    expect(onToggleMute).toHaveBeenCalledWith('bob');
+  });
+
+  test('sends the typed message and clears the box', () => {
+    const { onSend } = renderChat();
+    const input = screen.getByLabelText('Chat message');
+
+    fireEvent.change(input, { target: { value: 'nice hand' } });
+    fireEvent.click(screen.getByText('Send'));
+
+    expect(onSend).toHaveBeenCalledWith('nice hand');
+    expect(input).toHaveValue('');
+  });
+
+  test('keeps the draft when the message could not be sent', () => {
+    renderChat({ onSend: jest.fn(() => false) });
+    const input = screen.getByLabelText('Chat message');
+
+    fireEvent.change(input, { target: { value: 'gg' } });
+    fireEvent.click(screen.getByText('Send'));
+
+    expect(input).toHaveValue('gg');
+    expect(screen.getByText('Message not sent - reconnecting')).toBeInTheDocument();
+  });
+
+  test('is read-only while offline', () => {
+    renderChat({ connected: false });
+    expect(screen.getByLabelText('Chat message')).toBeDisabled();
+  });
+});
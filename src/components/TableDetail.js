@@ -3,6 +3,7 @@ import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { tableService, playerService } from '../services/apiService';
 import Spinner from './Spinner';
+import { getTurnTimeLimits } from '../utils/turnTimer';
 
 const TableDetail = () => {
   const { id } = useParams();
@@ -70,6 +71,8 @@ const TableDetail = () => {
     return <div className="error">Table not found</div>;
   }
 
+  const turnLimits = getTurnTimeLimits(table);
+
   return (
     <div className="table-detail">
       <h2>{table.name}</h2>
@@ -101,6 +104,11 @@ const TableDetail = () => {
             <span className="label">Max Players:</span>
             <span className="value">{table.max_players}</span>
           </div>
+
+          <div className="spec-item">
+            <span className="label">Turn Time:</span>
+            <span className="value">{turnLimits ? `${turnLimits.turnTime}s + ${turnLimits.timeBank}s bank` : 'No limit'}</span>
+          </div>
         </div>
       </div>
       
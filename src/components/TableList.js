@@ -1,19 +1,31 @@
 // src/components/TableList.js
 import React, { useState, useEffect } from "react";
 import { Link } from "react-router-dom";
-import { tableService, gameService, authService } from "../services/apiService";
+import { tableService, gameService, authService, botService } from "../services/apiService";
+import { saveTableSettings, isPracticeTable } from "../utils/tableSettings";
+
+// Heads-up practice table settings; the user and the bot both buy in for the
+// maximum, and with both seats taken nobody else can sit down
+const PRACTICE_TABLE = {
+  small_blind: 1,
+  big_blind: 2,
+  min_buy_in: 40,
+  max_buy_in: 200,
+  max_players: 2,
+};
 
 const TableList = () => {
   const [tables, setTables] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [activeGames, setActiveGames] = useState([]);
-  const [deleteConfirm, setDeleteConfirm] = useState(null); // {tableId, tableName}
-  const [deleteAllConfirm, setDeleteAllConfirm] = useState(false);
   const [joinTableId, setJoinTableId] = useState(null);
   const [buyInAmount, setBuyInAmount] = useState('');
   const [isRefreshing, setIsRefreshing] = useState(false);
-  const isAdmin = authService.isAdmin();
+  const [showPractice, setShowPractice] = useState(false);
+  const [practiceDifficulty, setPracticeDifficulty] = useState('BASIC');
+  const [practiceStyle, setPracticeStyle] = useState('TIGHT_AGGRESSIVE');
+  const [startingPractice, setStartingPractice] = useState(false);
 
   useEffect(() => {
     const fetchTables = async (isRefresh = false) => {
@@ -103,10 +115,6 @@ const TableList = () => {
     );
   };
 
-  const handleDeleteClick = (table) => {
-    setDeleteConfirm({ tableId: table.id, tableName: table.name });
-  };
-
   const refreshDataAfterOperation = async () => {
     try {
       const [tablesResponse, gamesResponse] = await Promise.all([
@@ -139,63 +147,6 @@ const TableList = () => {
     }
   };
 
-  const handleDeleteConfirm = async () => {
-    if (!deleteConfirm) return;
-
-    try {
-      setError(null);
-      await tableService.deleteTable(deleteConfirm.tableId);
-      setDeleteConfirm(null);
-      
-      // Refresh data to get updated list
-      await refreshDataAfterOperation();
-      
-      // Show success message briefly
-      setError("✅ Table deleted successfully");
-      setTimeout(() => setError(null), 3000);
-    } catch (err) {
-      console.error("Failed to delete table:", err);
-      setError(
-        `Failed to delete table: ${err.response?.data?.error || err.message}`
-      );
-      setDeleteConfirm(null);
-    }
-  };
-
-  const handleDeleteCancel = () => {
-    setDeleteConfirm(null);
-  };
-
-
-  const handleDeleteAllClick = () => {
-    setDeleteAllConfirm(true);
-  };
-
-  const handleDeleteAllConfirm = async () => {
-    try {
-      setError(null);
-      const response = await tableService.deleteAllTables();
-      setDeleteAllConfirm(false);
-      
-      // Refresh data to get updated list
-      await refreshDataAfterOperation();
-      
-      // Show success message
-      setError(`✅ ${response.data.message}`);
-      setTimeout(() => setError(null), 3000);
-    } catch (err) {
-      console.error("Failed to delete all tables:", err);
-      setError(
-        `Failed to delete all tables: ${err.response?.data?.error || err.message}`
-      );
-      setDeleteAllConfirm(false);
-    }
-  };
-
-  const handleDeleteAllCancel = () => {
-    setDeleteAllConfirm(false);
-  };
-
   const handleJoinTableClick = (table) => {
     setJoinTableId(table.id);
     setBuyInAmount(table.min_buy_in.toString());
@@ -236,6 +187,44 @@ const TableList = () => {
     setBuyInAmount('');
   };
 
+  // Practice mode: a heads-up table against one bot, with hints
+  const handleStartPractice = async () => {
+    setStartingPractice(true);
+    let table = null;
+    try {
+      setError(null);
+      const username = authService.getCurrentUser()?.username || 'Player';
+      const response = await tableService.createTable({
+        ...PRACTICE_TABLE,
+        name: `Practice (${username}) ${new Date().toLocaleTimeString()}`,
+      });
+      table = response.data;
+      saveTableSettings(table.id, { practice: true });
+      const { data: game } = await tableService.joinTable(table.id, table.max_buy_in);
+      await botService.addBotToTable(table.id, table.max_buy_in, practiceDifficulty, practiceStyle);
+      await gameService.startGame(game.id);
+
+      window.location.href = `/games/${game.id}`;
+    } catch (err) {
+      console.error("Failed to start practice:", err);
+      let errorMessage = `Failed to start practice: ${err.response?.data?.error || err.message}`;
+
+      // Don't leave a half set up table behind
+      if (table) {
+        try {
+          await tableService.deleteTable(table.id);
+        } catch (cleanupErr) {
+          console.warn("Failed to remove the practice table:", cleanupErr);
+          errorMessage += `. The table "${table.name}" is still open on the table list.`;
+        }
+      }
+
+      setError(errorMessage);
+      setShowPractice(false);
+      setStartingPractice(false);
+    }
+  };
+
 
   return (
     <div className="table-list">
@@ -255,14 +244,12 @@ const TableList = () => {
           <Link to="/tables/create" className="btn btn-success btn-sm create-table-btn">
             Create New Table
           </Link>
-          {isAdmin && tables.length > 0 && (
-            <button
-              onClick={handleDeleteAllClick}
-              className="btn btn-danger btn-sm delete-all-btn"
-            >
-              Delete All Tables
-            </button>
-          )}
+          <button
+            onClick={() => setShowPractice(true)}
+            className="btn btn-primary btn-sm"
+          >
+            🎓 Practice
+          </button>
         </div>
       </div>
 
@@ -281,7 +268,10 @@ const TableList = () => {
 
             return (
               <div key={table.id} className="table-card">
-                <h3>{table.name}</h3>
+                <h3>
+                  {table.name}
+                  {isPracticeTable(table.id) && <span className="practice-badge">🎓 Practice</span>}
+                </h3>
                 <div className="table-info">
                   <p>
                     <strong>Blinds:</strong> ${table.small_blind}/$
@@ -316,14 +306,6 @@ const TableList = () => {
                       >
                         Return to Game
                       </Link>
-                      {isAdmin && (
-                        <button
-                          onClick={() => handleDeleteClick(table)}
-                          className="btn btn-danger btn-sm delete-table-btn"
-                        >
-                          Delete Table
-                        </button>
-                      )}
                     </>
                   ) : (
                     // User is not in the game or no active game - show Join Table
@@ -334,14 +316,6 @@ const TableList = () => {
                       >
                         Join Table
                       </button>
-                      {isAdmin && (
-                        <button
-                          onClick={() => handleDeleteClick(table)}
-                          className="btn btn-danger btn-sm delete-table-btn"
-                        >
-                          Delete Table
-                        </button>
-                      )}
                     </>
                   )}
                 </div>
@@ -351,59 +325,54 @@ const TableList = () => {
         </div>
       )}
 
-      {/* Delete Confirmation Modal */}
-      {deleteConfirm && (
-        <div className="delete-modal-overlay">
-          <div className="delete-modal">
-            <h3>Delete Table</h3>
-            <p>
-              Are you sure you want to delete the table "{deleteConfirm.tableName}"?
-            </p>
-            <p className="delete-warning">
-              This action cannot be undone.
-            </p>
-            <div className="delete-modal-actions">
-              <button
-                onClick={handleDeleteCancel}
-                className="btn btn-secondary btn-sm"
+      {/* Practice Modal */}
+      {showPractice && (
+        <div className="join-modal-overlay">
+          <div className="join-modal" role="dialog" aria-label="Practice mode">
+            <h3>🎓 Practice Mode</h3>
+            <p>Play heads-up against a bot, with hints on every decision and a review after each hand.</p>
+            <div className="join-table-form">
+              <label htmlFor="practiceDifficulty">Bot Difficulty:</label>
+              <select
+                id="practiceDifficulty"
+                value={practiceDifficulty}
+                onChange={(e) => setPracticeDifficulty(e.target.value)}
+                className="form-input"
               >
-                Cancel
-              </button>
-              <button
-                onClick={handleDeleteConfirm}
-                className="btn btn-danger btn-sm"
+                {botService.DIFFICULTIES.map(difficulty => (
+                  <option key={difficulty} value={difficulty}>
+                    {botService.getDifficultyDisplayName(difficulty)}
+                  </option>
+                ))}
+              </select>
+              <label htmlFor="practiceStyle">Bot Play Style:</label>
+              <select
+                id="practiceStyle"
+                value={practiceStyle}
+                onChange={(e) => setPracticeStyle(e.target.value)}
+                className="form-input"
               >
-                Delete Table
-              </button>
+                {botService.PLAY_STYLES.map(style => (
+                  <option key={style} value={style}>
+                    {botService.getPlayStyleDisplayName(style)}
+                  </option>
+                ))}
+              </select>
             </div>
-          </div>
-        </div>
-      )}
-
-
-      {/* Delete All Tables Confirmation Modal */}
-      {deleteAllConfirm && (
-        <div className="delete-modal-overlay">
-          <div className="delete-modal">
-            <h3>Delete All Tables</h3>
-            <p>
-              Are you sure you want to delete ALL {tables.length} tables?
-            </p>
-            <p className="delete-warning">
-              This will delete all tables, games, and kick out all players. This action cannot be undone.
-            </p>
-            <div className="delete-modal-actions">
+            <div className="join-modal-actions">
               <button
-                onClick={handleDeleteAllCancel}
+                onClick={() => setShowPractice(false)}
                 className="btn btn-secondary btn-sm"
+                disabled={startingPractice}
               >
                 Cancel
               </button>
               <button
-                onClick={handleDeleteAllConfirm}
-                className="btn btn-danger btn-sm"
+                onClick={handleStartPractice}
+                className="btn btn-success btn-sm"
+                disabled={startingPractice}
               >
-                Delete All Tables
+                {startingPractice ? 'Starting...' : 'Start Practice'}
               </button>
             </div>
           </div>
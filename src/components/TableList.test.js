@@ -0,0 +1,76 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter } from 'react-router-dom';
+import TableList from './TableList';
+import { tableService, gameService, botService } from '../services/apiService';
+
+jest.mock('../services/apiService', () => ({
+  tableService: {
+    getTables: jest.fn(),
+    createTable: jest.fn(),
+    joinTable: jest.fn(),
+    deleteTable: jest.fn(),
+  },
+  gameService: {
+    getGames: jest.fn(),
+    startGame: jest.fn(),
+  },
+  authService: {
+    getCurrentUser: () => ({ id: 1, username: 'alice' }),
+  },
+  botService: {
+    DIFFICULTIES: ['BASIC'],
+    PLAY_STYLES: ['TIGHT_AGGRESSIVE'],
+    getDifficultyDisplayName: (difficulty) => difficulty,
+    getPlayStyleDisplayName: (style) => style,
+    addBotToTable: jest.fn(),
+  },
+}));
+
+const practiceTable = { id: 9, name: 'Practice (alice)', max_buy_in: 200 };
+
+const startPractice = async () => {
+  render(
+    <MemoryRouter>
+      <TableList />
+    </MemoryRouter>
+  );
+  userEvent.click(await screen.findByRole('button', { name: '🎓 Practice' }));
+  userEvent.click(screen.getByRole('button', { name: 'Start Practice' }));
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  tableService.getTables.mockResolvedValue({ data: [] });
+  gameService.getGames.mockResolvedValue({ data: [] });
+  tableService.createTable.mockResolvedValue({ data: practiceTable });
+  tableService.joinTable.mockResolvedValue({ data: { id: 4 } });
+  botService.addBotToTable.mockRejectedValue(new Error('No bots available'));
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+  console.warn.mockRestore();
+  localStorage.clear();
+});
+
+describe('TableList practice mode', () => {
+  test('removes the practice table when setting it up fails', async () => {
+    tableService.deleteTable.mockResolvedValue({});
+    await startPractice();
+
+    expect(await screen.findByText('Failed to start practice: No bots available')).toBeInTheDocument();
+    expect(tableService.deleteTable).toHaveBeenCalledWith(9);
+    expect(gameService.startGame).not.toHaveBeenCalled();
+  });
+
+  test('points to the table if it could not be removed', async () => {
+    tableService.deleteTable.mockRejectedValue(new Error('Table has players'));
+    await startPractice();
+
+    expect(await screen.findByText(/The table "Practice \(alice\)" is still open on the table list/)).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,59 @@
+// src/components/TurnTimer.js
+import React from 'react';
+import { TURN_PHASES } from '../utils/turnTimer';
+
+// The clock is counted by each browser; the server doesn't time turns
+const LOCAL_CLOCK_NOTE = 'Local clock: counted in your browser, not enforced by the server';
+
+/**
+ * Seconds left on a turn, flagged when the player is into their time bank.
+ *
+ * @param {Object} clock - Result of useTurnTimer
+ */
+export const TurnClockLabel = ({ clock }) => {
+  if (!clock) return null;
+
+  return (
+    <span
+      className={`turn-clock ${clock.phase}`}
+      title={clock.phase === TURN_PHASES.BANK ? `${LOCAL_CLOCK_NOTE}. The time bank refills on reload` : LOCAL_CLOCK_NOTE}
+    >
+      {clock.phase === TURN_PHASES.BANK ? '⏳ Time bank ' : '⏱ '}
+      {Math.ceil(clock.remaining)}s
+    </span>
+  );
+};
+
+/**
+ * Countdown ring drawn around the acting seat's name plate. It empties as
+ * the turn runs down and refills in a warning colour for the time bank.
+ *
+ * @param {Object} clock - Result of useTurnTimer
+ */
+const TurnTimerRing = ({ clock }) => {
+  if (!clock) return null;
+
+  const urgent = clock.phase !== TURN_PHASES.TURN || clock.fraction < 0.25;
+
+  return (
+    <svg
+      className={`turn-timer-ring ${clock.phase} ${urgent ? 'urgent' : ''}`}
+      viewBox="0 0 100 100"
+      preserveAspectRatio="none"
+      aria-hidden="true"
+    >
+      <rect
+        x="1"
+        y="1"
+        width="98"
+        height="98"
+        rx="8"
+        pathLength="100"
+        strokeDasharray={`${clock.fraction * 100} 100`}
+        vectorEffect="non-scaling-stroke"
+      />
+    </svg>
+  );
+};
+
+export default TurnTimerRing;
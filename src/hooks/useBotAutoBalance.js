@@ -0,0 +1,56 @@
+// src/hooks/useBotAutoBalance.js
+import { useEffect, useRef } from "react";
+import { botService } from "../services/apiService";
+import { planAutoBalance } from "../utils/botFill";
+
+/**
+ * Keeps an auto-balanced table at its minimum player count by adding and
+ * removing bots, one step per game update. Only one client should run it,
+ * or two clients would add bots for the same gap; the setting is kept in the
+ * browser that created the table (see tableSettings), so that one does.
+ *
+ * Each step is tried once for a given set of seated players; a failed step
+ * waits for the seating to change rather than retrying on every update.
+ *
+ * @param {Object|null} game - Current game state
+ * @param {Object} options
+ * @param {number|null} options.minPlayers - Auto-balance minimum, null when off
+ * @param {Function} options.onResult - Called with (message, type)
+ */
+const useBotAutoBalance = (game, { minPlayers, onResult }) => {
+  const attemptedRef = useRef(null);
+  const plan = planAutoBalance(game, minPlayers);
+
+  const action = plan?.action ?? null;
+  const botId = plan?.botId ?? null;
+  const botName = plan?.name ?? null;
+  const tableId = game?.table?.id;
+  const buyIn = game?.table?.min_buy_in;
+  const seatsKey = (game?.players || []).map((player) => `${player.id}:${player.cashed_out ? 0 : 1}`).join(",");
+
+  useEffect(() => {
+    if (!action) return;
+    const key = `${action}:${botId ?? ""}:${seatsKey}`;
+    if (attemptedRef.current === key) return;
+    attemptedRef.current = key;
+
+    const balance = async () => {
+      try {
+        if (action === "add") {
+          await botService.addBotToTable(tableId, buyIn);
+          onResult(`🤖 Added a bot to keep the table at ${minPlayers} players`, "info");
+        } else {
+          await botService.removeBotFromTable(tableId, botId);
+          onResult(`🤖 ${botName} gave up a seat to a human player`, "info");
+        }
+      } catch (err) {
+        console.error("Bot auto-balance failed:", err);
+        onResult(`Bot auto-balance failed: ${err.response?.data?.error || err.message}`, "error");
+      }
+    };
+
+    balance();
+  }, [action, botId, botName, tableId, buyIn, minPlayers, seatsKey, onResult]);
+};
+
+export default useBotAutoBalance;
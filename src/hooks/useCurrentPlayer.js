@@ -0,0 +1,71 @@
+// src/hooks/useCurrentPlayer.js
+import { useCallback } from "react";
+
+// Logged-in user as stored by authService, or null
+export const getStoredUser = () => {
+  try {
+    const userStr = localStorage.getItem("user");
+    return userStr ? JSON.parse(userStr) : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+// Match by user id first, falling back to username
+export const isUserPlayer = (user, player) => {
+  if (!user || !player) return false;
+  return (
+    (!!user.id && player.player.user.id === user.id) ||
+    (!!user.username && player.player.user.username === user.username)
+  );
+};
+
+/**
+ * Find the logged-in user's seat in a list of game players.
+ *
+ * @param {Array<Object>} players - game.players
+ * @param {Object} user - Stored user ({ id, username })
+ * @returns {Object|null} Game player entry, or null when not seated
+ */
+export const findUserPlayer = (players, user) => {
+  if (!players || !user) return null;
+  if (user.id) {
+    const byId = players.find((p) => p.player.user.id === user.id);
+    if (byId) return byId;
+  }
+  if (user.username) {
+    const byUsername = players.find((p) => p.player.user.username === user.username);
+    if (byUsername) return byUsername;
+  }
+  return null;
+};
+
+/**
+ * The logged-in user and their seat at the given game.
+ *
+ * @param {Object|null} game - Current game state
+ * @returns {{user: Object|null, currentPlayer: Object|null,
+ *   isMyTurn: boolean, isUser: Function}} isUser stays the same function
+ *   while the logged-in user does
+ */
+const useCurrentPlayer = (game) => {
+  const user = getStoredUser();
+  const currentPlayer = findUserPlayer(game?.players, user);
+  const isMyTurn = !!(
+    currentPlayer &&
+    game?.current_player &&
+    game.current_player.id === currentPlayer.player.id
+  );
+
+  // The stored user is parsed afresh each render, so key on its fields
+  const userId = user?.id;
+  const username = user?.username;
+  const isUser = useCallback(
+    (player) => isUserPlayer({ id: userId, username }, player),
+    [userId, username]
+  );
+
+  return { user, currentPlayer, isMyTurn, isUser };
+};
+
+export default useCurrentPlayer;
@@ -0,0 +1,93 @@
+// src/hooks/useEquity.js
+import { useState, useEffect, useRef } from "react";
+import { DEFAULT_ITERATIONS } from "../utils/equity";
+
+/**
+ * Estimate the hero's equity in a background Web Worker whenever the hole
+ * cards, board or number of live opponents change.
+ *
+ * @param {Object} params
+ * @param {Array<string>} params.holeCards - Hero's hole cards
+ * @param {Array<string>} params.board - Community cards dealt so far
+ * @param {number} params.opponents - Opponents still in the hand
+ * @param {boolean} [params.enabled] - Skip the simulation when false
+ * @returns {{equity: Object|null, calculating: boolean}} Latest result of
+ *   estimateEquity, or null when unavailable
+ */
+const useEquity = ({ holeCards, board, opponents, enabled = true }) => {
+  const [equity, setEquity] = useState(null);
+  const [calculating, setCalculating] = useState(false);
+  const workerRef = useRef(null);
+  const requestIdRef = useRef(0);
+
+  // A stable key so the simulation only reruns when its inputs change
+  const key = enabled && holeCards && holeCards.length === 2 && opponents > 0
+    ? `${holeCards.join(",")}|${(board || []).join(",")}|${opponents}`
+    : null;
+
+  useEffect(() => {
+    if (!key || typeof Worker === "undefined") {
+      setEquity(null);
+      setCalculating(false);
+      return;
+    }
+
+    const [hole, boardCards, opponentCount] = key.split("|");
+    const requestId = ++requestIdRef.current;
+    let cancelled = false;
+    // The last street's estimate no longer applies while this one runs
+    setEquity(null);
+    setCalculating(true);
+
+    const run = async () => {
+      if (!workerRef.current) {
+        const { default: createEquityWorker } = await import("../workers/createEquityWorker");
+        if (cancelled) return;
+        workerRef.current = createEquityWorker();
+      }
+
+      workerRef.current.onmessage = (event) => {
+        // Ignore results for inputs that have since changed
+        if (event.data.requestId !== requestIdRef.current) return;
+        setCalculating(false);
+        if (event.data.error) {
+          console.warn("Equity calculation failed:", event.data.error);
+          setEquity(null);
+        } else {
+          setEquity(event.data.result);
+        }
+      };
+
+      workerRef.current.postMessage({
+        requestId,
+        holeCards: hole.split(","),
+        board: boardCards ? boardCards.split(",") : [],
+        opponents: parseInt(opponentCount, 10),
+        iterations: DEFAULT_ITERATIONS,
+      });
+    };
+
+    run().catch((error) => {
+      console.warn("Equity worker unavailable:", error);
+      setCalculating(false);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [key]);
+
+  // Stop the worker when the table unmounts
+  useEffect(() => {
+    return () => {
+      if (workerRef.current) {
+        workerRef.current.terminate();
+        workerRef.current = null;
+      }
+    };
+  }, []);
+
+  return { equity, calculating };
+};
+
+export default useEquity;
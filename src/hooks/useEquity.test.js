@@ -0,0 +1,64 @@
+import { renderHook, act, waitFor } from '@testing-library/react';
+import useEquity from './useEquity';
+
+// Stand-in for the equity Web Worker that answers when told to
+const mockWorker = { postMessage: jest.fn(), terminate: jest.fn(), onmessage: null };
+jest.mock('../workers/createEquityWorker', () => ({
+  __esModule: true,
+  default: () => mockWorker,
+}));
+
+const respond = (result) => {
+  const { requestId } = mockWorker.postMessage.mock.calls[mockWorker.postMessage.mock.calls.length - 1][0];
+  act(() => mockWorker.onmessage({ data: { requestId, result } }));
+};
+
+beforeAll(() => {
+  global.Worker = function Worker() {};
+});
+
+afterAll(() => {
+  delete global.Worker;
+});
+
+beforeEach(() => {
+  mockWorker.postMessage.mockClear();
+});
+
+describe('useEquity', () => {
+  test('clears the previous estimate while the next street is calculated', async () => {
+    const { result, rerender } = renderHook(props => useEquity(props), {
+      initialProps: { holeCards: ['AS', 'AH'], board: [], opponents: 1 },
+    });
+
+    await waitFor(() => expect(mockWorker.postMessage).toHaveBeenCalledTimes(1));
+    respond({ equity: 0.85 });
+    expect(result.current).toEqual({ equity: { equity: 0.85 }, calculating: false });
+
+    rerender({ holeCards: ['AS', 'AH'], board: ['KD', 'QC', '2S'], opponents: 1 });
+    expect(result.current).toEqual({ equity: null, calculating: true });
+
+    await waitFor(() => expect(mockWorker.postMessage).toHaveBeenCalledTimes(2));
+    respond({ equity: 0.8 });
+    expect(result.current.equity).toEqual({ equity: 0.8 });
+  });
+
+  test('ignores a late result for inputs that have changed', async () => {
+    const { result, rerender } = renderHook(props => useEquity(props), {
+      initialProps: { holeCards: ['AS', 'AH'], board: [], opponents: 1 },
+    });
+    await waitFor(() => expect(mockWorker.postMessage).toHaveBeenCalledTimes(1));
+    const { requestId: staleId } = mockWorker.postMessage.mock.calls[0][0];
+
+    rerender({ holeCards: ['AS', 'AH'], board: [], opponents: 2 });
+    await waitFor(() => expect(mockWorker.postMessage).toHaveBeenCalledTimes(2));
+    act(() => mockWorker.onmessage({ data: { requestId: staleId, result: { equity: 0.85 } } }));
+
+    expect(result.current).toEqual({ equity: null, calculating: true });
+  });
+
+  test('has no estimate when disabled', () => {
+    const { result } = renderHook(() => useEquity({ holeCards: ['AS', 'AH'], board: [], opponents: 1, enabled: false }));
+    expect(result.current).toEqual({ equity: null, calculating: false });
+  });
+});
@@ -0,0 +1,37 @@
+// src/hooks/useGameHealth.js
+import { useState, useEffect, useMemo } from "react";
+import { checkGameHealth, getProgressKey } from "../utils/gameHealth";
+
+const CHECK_INTERVAL = 15000; // ms between re-checks while nothing changes
+
+/**
+ * Problems with the game that a reset would fix. Time-based checks need
+ * the game to sit unchanged, so they are re-run on a timer.
+ *
+ * @param {Object|null} game - Current game state
+ * @param {Object|null} handStart - From the game reducer
+ * @returns {Array<{type: string, message: string}>} See checkGameHealth
+ */
+const useGameHealth = (game, handStart) => {
+  const progressKey = getProgressKey(game);
+  const [since, setSince] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  // Restart the stuck timers whenever the game moves on
+  useEffect(() => {
+    const changedAt = Date.now();
+    setSince(progressKey === null ? null : changedAt);
+    setNow(changedAt);
+    if (progressKey === null) return;
+
+    const timer = setInterval(() => setNow(Date.now()), CHECK_INTERVAL);
+    return () => clearInterval(timer);
+  }, [progressKey]);
+
+  return useMemo(
+    () => (game ? checkGameHealth(game, { handStart, since, now }) : []),
+    [game, handStart, since, now]
+  );
+};
+
+export default useGameHealth;
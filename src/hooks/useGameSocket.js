@@ -0,0 +1,81 @@
+// src/hooks/useGameSocket.js
+import { useState, useEffect, useRef, useCallback } from "react";
+import { gameService } from "../services/apiService";
+import { SOCKET_STATUS } from "../services/socketManager";
+import { createMessageDispatcher } from "../services/gameProtocol";
+
+/**
+ * Keep a managed WebSocket open for a game while the component is mounted.
+ * Incoming frames are validated against the game protocol and delivered to
+ * whoever subscribed to their type; malformed or unknown frames are dropped
+ * with a console warning. Handlers are read through refs, so passing fresh
+ * closures every render does not reconnect the socket.
+ *
+ * @param {string|number} gameId - Game to subscribe to
+ * @param {Object} handlers
+ * @param {Function} [handlers.onError] - Called with a human-readable error
+ * @param {Function} [handlers.onStatusChange] - Called with each SOCKET_STATUS
+ * @param {Function} [handlers.onUnsupported] - Called if the browser has no WebSocket
+ * @returns {{connectionStatus: string, isHealthy: Function, reconnect: Function,
+ *   send: Function, subscribe: Function}} subscribe(type, handler) takes one of
+ *   MESSAGE_TYPES and returns an unsubscribe function; isHealthy() is false
+ *   once a heartbeat goes unanswered, which connectionStatus doesn't show
+ */
+const useGameSocket = (gameId, { onError, onStatusChange, onUnsupported }) => {
+  const [connectionStatus, setConnectionStatus] = useState(SOCKET_STATUS.DISCONNECTED);
+  const managerRef = useRef(null);
+  const handlersRef = useRef({});
+  handlersRef.current = { onError, onStatusChange, onUnsupported };
+
+  const [dispatcher] = useState(() => {
+    const warnedTypes = new Set();
+    return createMessageDispatcher({
+      onInvalid: (reason, frame) => console.warn(`Dropped invalid game message (${reason})`, frame),
+      onUnknown: (type) => {
+        if (warnedTypes.has(type)) return;
+        warnedTypes.add(type);
+        console.warn(`Ignoring unknown game message type: ${type}`);
+      },
+    });
+  });
+
+  useEffect(() => {
+    if (!gameService.isWebSocketSupported()) {
+      if (handlersRef.current.onUnsupported) handlersRef.current.onUnsupported();
+      return;
+    }
+
+    const manager = gameService.connectToGameSocket(gameId, {
+      onMessage: dispatcher.dispatch,
+      onStatusChange: (status) => {
+        setConnectionStatus(status);
+        if (handlersRef.current.onStatusChange) handlersRef.current.onStatusChange(status);
+      },
+      onError: (errorMessage) => {
+        if (handlersRef.current.onError) handlersRef.current.onError(errorMessage);
+      },
+    });
+    managerRef.current = manager;
+
+    return () => {
+      manager.close();
+      managerRef.current = null;
+    };
+  }, [gameId, dispatcher]);
+
+  const reconnect = useCallback(() => {
+    if (managerRef.current) managerRef.current.reconnect();
+  }, []);
+
+  const isHealthy = useCallback(() => {
+    return managerRef.current ? managerRef.current.isHealthy() : false;
+  }, []);
+
+  const send = useCallback((data) => {
+    return managerRef.current ? managerRef.current.send(data) : false;
+  }, []);
+
+  return { connectionStatus, isHealthy, reconnect, send, subscribe: dispatcher.subscribe };
+};
+
+export default useGameSocket;
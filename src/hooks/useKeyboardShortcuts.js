@@ -0,0 +1,34 @@
+// src/hooks/useKeyboardShortcuts.js
+import { useEffect, useRef } from "react";
+import { getShortcutAction } from "../utils/shortcuts";
+
+/**
+ * Listen for shortcut keys on the window while enabled. The handler is read
+ * through a ref, so it can close over fresh state every render; returning
+ * false from it lets the key through (no preventDefault).
+ *
+ * @param {Object} bindings - Result of getShortcutBindings (keep it stable)
+ * @param {Function} onShortcut - Called with { type, index? }
+ * @param {boolean} [enabled=true]
+ */
+const useKeyboardShortcuts = (bindings, onShortcut, enabled = true) => {
+  const handlerRef = useRef(onShortcut);
+  handlerRef.current = onShortcut;
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const handleKeyDown = (event) => {
+      const shortcut = getShortcutAction(event, bindings);
+      if (!shortcut) return;
+      if (handlerRef.current(shortcut) !== false) {
+        event.preventDefault();
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [bindings, enabled]);
+};
+
+export default useKeyboardShortcuts;
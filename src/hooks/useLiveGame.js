@@ -0,0 +1,122 @@
+// src/hooks/useLiveGame.js
+import { useState, useEffect, useReducer, useRef } from "react";
+import { gameService } from "../services/apiService";
+import { MESSAGE_TYPES } from "../services/gameProtocol";
+import { gameReducer, initialGameState, GAME_ACTIONS } from "../state/gameReducer";
+import useGameSocket from "./useGameSocket";
+
+/**
+ * Keep a game up to date: the initial fetch, live updates over the game's
+ * socket, and polling while the socket is down or missing heartbeats. Shared by PokerTable and the
+ * compact tables of the multi-table view; anything else on the socket (chat,
+ * spectators, popups) is left to the caller through subscribe.
+ *
+ * @param {string|number} gameId
+ * @param {Object} [handlers] - Read through a ref, like useGameSocket's
+ * @param {Function} [handlers.onError] - Called with socket connection errors
+ * @param {Function} [handlers.onLoadError] - Called with the error if the initial fetch fails
+ * @param {Function} [handlers.onStatusChange] - Called with each SOCKET_STATUS
+ * @param {Function} [handlers.onUnsupported] - Called if the browser has no WebSocket
+ * @returns {{gameState: Object, dispatchGame: Function, game: Object|null,
+ *   lastRaise: number|undefined, loading: boolean, error: string|null,
+ *   connectionStatus: string, reconnect: Function, send: Function,
+ *   subscribe: Function}} gameState and dispatchGame are the gameReducer's
+ */
+const useLiveGame = (gameId, { onError, onLoadError, onStatusChange, onUnsupported } = {}) => {
+  const [gameState, dispatchGame] = useReducer(gameReducer, initialGameState);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const handlersRef = useRef({});
+  handlersRef.current = { onError, onLoadError };
+
+  const { connectionStatus, isHealthy, reconnect, send, subscribe } = useGameSocket(gameId, {
+    onError: (errorMessage) => {
+      setError(errorMessage);
+      if (handlersRef.current.onError) handlersRef.current.onError(errorMessage);
+    },
+    onStatusChange,
+    onUnsupported,
+  });
+
+  useEffect(() => {
+    // The reducer drops stale updates and keeps hole cards the socket omits
+    const gameUpdated = (action) => {
+      dispatchGame({ ...action, receivedAt: Date.now() });
+      setError(null);
+    };
+
+    const unsubscribers = [
+      subscribe(MESSAGE_TYPES.SNAPSHOT, ({ game }) => gameUpdated({ type: GAME_ACTIONS.DELTA, game })),
+      subscribe(MESSAGE_TYPES.DELTA, ({ changes }) => gameUpdated({ type: GAME_ACTIONS.PATCH, changes })),
+      subscribe(MESSAGE_TYPES.HAND_RESULT, ({ hand_count, winner_info }) => dispatchGame({
+        type: GAME_ACTIONS.HAND_RESULT,
+        handCount: hand_count,
+        winnerInfo: winner_info,
+      })),
+      // All players cashed out
+      subscribe(MESSAGE_TYPES.SUMMARY_AVAILABLE, () => dispatchGame({ type: GAME_ACTIONS.SUMMARY_AVAILABLE })),
+      subscribe(MESSAGE_TYPES.ERROR, ({ message }) => setError(message)),
+    ];
+
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }, [subscribe]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchGame = async () => {
+      try {
+        const response = await gameService.getGame(gameId);
+        if (cancelled) return;
+        dispatchGame({ type: GAME_ACTIONS.SNAPSHOT, game: response.data });
+      } catch (err) {
+        if (cancelled) return;
+        setError(err.response?.status === 404 ? "Game not found" : "Failed to load game");
+        if (handlersRef.current.onLoadError) handlersRef.current.onLoadError(err);
+      }
+      setLoading(false);
+    };
+
+    fetchGame();
+    return () => {
+      cancelled = true;
+    };
+  }, [gameId]);
+
+  // Poll as a backup unless the socket is connected and answering its
+  // heartbeat. A missed heartbeat leaves the status at CONNECTED until the
+  // socket manager gives up on it, so health is checked on every tick.
+  const hasGame = !!gameState.game;
+  useEffect(() => {
+    if (!hasGame) return;
+
+    const pollInterval = setInterval(async () => {
+      if (isHealthy()) return;
+      try {
+        // The reducer ignores a poll that was overtaken by a socket update
+        const requestedAt = Date.now();
+        const response = await gameService.getGame(gameId);
+        dispatchGame({ type: GAME_ACTIONS.SNAPSHOT, game: response.data, requestedAt });
+      } catch (err) {
+        console.warn("Polling update failed:", err);
+      }
+    }, 3000);
+
+    return () => clearInterval(pollInterval);
+  }, [gameId, hasGame, isHealthy]);
+
+  return {
+    gameState,
+    dispatchGame,
+    game: gameState.game,
+    lastRaise: gameState.betting?.lastRaise,
+    loading,
+    error,
+    connectionStatus,
+    reconnect,
+    send,
+    subscribe,
+  };
+};
+
+export default useLiveGame;
@@ -0,0 +1,56 @@
+import { renderHook, act, waitFor } from '@testing-library/react';
+import useLiveGame from './useLiveGame';
+import { gameService } from '../services/apiService';
+import { SOCKET_STATUS } from '../services/socketManager';
+
+// Stand-in for the socket manager; the test decides whether it is healthy
+const mockManager = { close: jest.fn(), reconnect: jest.fn(), send: jest.fn(), isHealthy: jest.fn() };
+jest.mock('../services/apiService', () => ({
+  gameService: {
+    getGame: jest.fn(),
+    isWebSocketSupported: () => true,
+    connectToGameSocket: jest.fn(),
+  },
+}));
+
+let setSocketStatus;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  gameService.getGame.mockResolvedValue({ data: { id: 7, status: 'PLAYING', players: [] } });
+  gameService.connectToGameSocket.mockImplementation((gameId, { onStatusChange }) => {
+    setSocketStatus = onStatusChange;
+    return mockManager;
+  });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+const renderLiveGame = async () => {
+  jest.useFakeTimers();
+  const { result } = renderHook(() => useLiveGame(7));
+  await waitFor(() => expect(result.current.game).not.toBeNull());
+  act(() => setSocketStatus(SOCKET_STATUS.CONNECTED));
+  return result;
+};
+
+describe('useLiveGame', () => {
+  test('does not poll while the socket is healthy', async () => {
+    mockManager.isHealthy.mockReturnValue(true);
+    await renderLiveGame();
+
+    act(() => jest.advanceTimersByTime(9000));
+    expect(gameService.getGame).toHaveBeenCalledTimes(1);
+  });
+
+  test('polls a connected socket that has missed its heartbeat', async () => {
+    mockManager.isHealthy.mockReturnValue(true);
+    await renderLiveGame();
+
+    mockManager.isHealthy.mockReturnValue(false);
+    act(() => jest.advanceTimersByTime(3000));
+    expect(gameService.getGame).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,94 @@
+// src/hooks/usePracticeCoach.js
+import { useState, useEffect, useRef, useCallback } from "react";
+import { getAdvice, reviewDecisions } from "../utils/advisor";
+import { getBettingLimits } from "../utils/bettingMath";
+import { getPlayerCards } from "../utils/format";
+
+/**
+ * Practice-mode coaching: the advisor's suggestion while it's the user's
+ * turn, and a review of the user's decisions once each hand is over.
+ *
+ * @param {Object|null} game - Current game state
+ * @param {Object} options
+ * @param {boolean} options.enabled - Practice table
+ * @param {Object|null} options.currentPlayer - The user's game player entry
+ * @param {boolean} options.isMyTurn
+ * @param {Object|null} options.equity - From useEquity
+ * @param {number} options.opponents - Opponents still in the hand
+ * @param {number} [options.lastRaise] - Last full raise this street
+ * @returns {{advice: Object|null, captureDecision: Function,
+ *   recordDecision: Function, review: Object|null, dismissReview: Function}}
+ *   captureDecision(action, amount) snapshots the spot as the user acts, and
+ *   recordDecision(decision) keeps it once the server has accepted the
+ *   action; review is reviewDecisions output plus the hand number
+ */
+const usePracticeCoach = (game, { enabled, currentPlayer, isMyTurn, equity, opponents, lastRaise }) => {
+  const [review, setReview] = useState(null);
+  const decisionsRef = useRef([]);
+  const spotRef = useRef(null);
+
+  let advice = null;
+  if (enabled && isMyTurn && game && currentPlayer?.is_active) {
+    const limits = getBettingLimits({
+      currentBet: parseFloat(game.current_bet) || 0,
+      playerBet: parseFloat(currentPlayer.current_bet) || 0,
+      playerStack: parseFloat(currentPlayer.stack) || 0,
+      bigBlind: parseFloat(game.table?.big_blind) || 0,
+      lastRaise,
+    });
+    advice = getAdvice({
+      holeCards: getPlayerCards(currentPlayer),
+      board: game.community_cards || [],
+      equity,
+      opponents,
+      callAmount: limits.callAmount,
+      pot: parseFloat(game.pot) || 0,
+      canCheck: limits.canCheck,
+      canRaise: limits.canRaise,
+    });
+  }
+
+  // The spot the user is acting in, for captureDecision
+  const handCount = game?.hand_count;
+  const street = game?.phase;
+  useEffect(() => {
+    spotRef.current = advice ? { advice, handCount, street } : null;
+  });
+
+  // Captured before the action is sent, while the turn is still the user's
+  const captureDecision = useCallback((action, amount = 0) => (
+    spotRef.current ? { ...spotRef.current, action, amount } : null
+  ), []);
+
+  // Review a hand's decisions once it's over, or once the next one starts
+  // if the end of the hand was never seen
+  const handOver = street === "WAITING_FOR_PLAYERS";
+  const positionRef = useRef({ handCount, handOver });
+  positionRef.current = { handCount, handOver };
+
+  const reviewFinished = useCallback(() => {
+    const { handCount: currentHand, handOver: over } = positionRef.current;
+    const finished = decisionsRef.current.filter((decision) => over || decision.handCount !== currentHand);
+    if (finished.length === 0) return;
+
+    decisionsRef.current = decisionsRef.current.filter((decision) => !finished.includes(decision));
+    setReview({ handCount: finished[0].handCount, ...reviewDecisions(finished) });
+  }, []);
+
+  useEffect(() => {
+    reviewFinished();
+  }, [handCount, handOver, reviewFinished]);
+
+  // The hand may already be over by the time the server confirms the action
+  const recordDecision = useCallback((decision) => {
+    if (!decision) return;
+    decisionsRef.current.push(decision);
+    reviewFinished();
+  }, [reviewFinished]);
+
+  const dismissReview = useCallback(() => setReview(null), []);
+
+  return { advice, captureDecision, recordDecision, review, dismissReview };
+};
+
+export default usePracticeCoach;
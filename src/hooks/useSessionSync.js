@@ -0,0 +1,32 @@
+// src/hooks/useSessionSync.js
+import { useEffect, useRef } from "react";
+import { useNavigate, useLocation } from "react-router-dom";
+import { tokenManager } from "../services/apiService";
+import { TOKEN_EVENTS } from "../services/tokenManager";
+
+const SIGNED_OUT_PATHS = ["/login", "/register"];
+
+/**
+ * Keep the page in step with the session: back to the login page when it
+ * ends (logged out here or in another tab, or the refresh token expired),
+ * and on to the tables when another tab logs in.
+ */
+const useSessionSync = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const pathnameRef = useRef(location.pathname);
+  pathnameRef.current = location.pathname;
+
+  useEffect(() => {
+    return tokenManager.subscribe((event, { fromOtherTab }) => {
+      const signedOutPage = SIGNED_OUT_PATHS.includes(pathnameRef.current);
+      if (event === TOKEN_EVENTS.LOGOUT && !signedOutPage) {
+        navigate("/login");
+      } else if (event === TOKEN_EVENTS.LOGIN && fromOtherTab && signedOutPage) {
+        navigate("/tables");
+      }
+    });
+  }, [navigate]);
+};
+
+export default useSessionSync;
@@ -0,0 +1,44 @@
+// src/hooks/useTableChat.js
+import { useState, useCallback } from "react";
+import { parseChatMessage, getDealerMessages, MAX_CHAT_MESSAGES } from "../utils/chat";
+import { getPreference, setPreference } from "../utils/preferences";
+
+/**
+ * Chat history for a table and the user's muted players. Sending is left to
+ * the caller, which owns the socket.
+ *
+ * @returns {{messages: Array<Object>, mutedPlayers: Array<string>,
+ *   receiveMessage: Function, addDealerMessages: Function, toggleMute: Function}}
+ */
+const useTableChat = () => {
+  const [messages, setMessages] = useState([]);
+  const [mutedPlayers, setMutedPlayers] = useState(() => getPreference("mutedPlayers"));
+
+  const append = useCallback((newMessages) => {
+    if (newMessages.length === 0) return;
+    setMessages((current) => [...current, ...newMessages].slice(-MAX_CHAT_MESSAGES));
+  }, []);
+
+  // An incoming chat_message frame
+  const receiveMessage = useCallback((data) => {
+    const message = parseChatMessage(data);
+    if (message) append([message]);
+  }, [append]);
+
+  // Dealer lines for new action log entries
+  const addDealerMessages = useCallback((entries) => {
+    append(getDealerMessages(entries));
+  }, [append]);
+
+  const toggleMute = useCallback((username) => {
+    const next = mutedPlayers.includes(username)
+      ? mutedPlayers.filter((name) => name !== username)
+      : [...mutedPlayers, username];
+    setMutedPlayers(next);
+    setPreference("mutedPlayers", next);
+  }, [mutedPlayers]);
+
+  return { messages, mutedPlayers, receiveMessage, addDealerMessages, toggleMute };
+};
+
+export default useTableChat;
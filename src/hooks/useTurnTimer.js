@@ -0,0 +1,87 @@
+// src/hooks/useTurnTimer.js
+import { useState, useEffect, useRef } from "react";
+import { computeTurnClock, getTurnTimeLimits, TURN_PHASES } from "../utils/turnTimer";
+
+const TICK_INTERVAL = 250; // ms between clock updates
+
+// Server timestamp for the start of the turn, if the backend sends one
+const parseTurnStart = (value) => {
+  const time = value ? Date.parse(value) : NaN;
+  return isNaN(time) ? null : time;
+};
+
+/**
+ * Clock for whoever is acting in a game. A new turn starts whenever the
+ * acting player, street, hand or bet to call changes. Each player's time
+ * bank is tracked by this client for as long as the table is open,
+ * shrinking by whatever they dip into; it isn't part of the game state, so
+ * it starts full again after a reload.
+ *
+ * @param {Object|null} game - Current game state
+ * @returns {{key: string, playerId: number, phase: string, remaining: number,
+ *   fraction: number, expired: boolean}|null} Null when nobody is acting or
+ *   the table has no time limit
+ */
+const useTurnTimer = (game) => {
+  const limits = getTurnTimeLimits(game?.table);
+  const turnTime = limits?.turnTime ?? 0;
+  const timeBank = limits?.timeBank ?? 0;
+  const actingId = game?.status === "PLAYING" ? game?.current_player?.id ?? null : null;
+  const turnKey = actingId !== null
+    ? `${game.hand_count}:${game.phase}:${actingId}:${game.current_bet}`
+    : null;
+  const turnStartedAt = parseTurnStart(game?.turn_started_at);
+
+  const [turn, setTurn] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const turnRef = useRef(null);
+  const banksRef = useRef({}); // Player id -> seconds left in their time bank
+
+  useEffect(() => {
+    const previous = turnRef.current;
+    if (previous?.key === turnKey) return;
+
+    // Charge the player who just acted for any time bank they used
+    if (previous) {
+      const elapsed = (Date.now() - previous.startedAt) / 1000;
+      const { bankUsed } = computeTurnClock(elapsed, turnTime, previous.bank);
+      banksRef.current[previous.playerId] = previous.bank - bankUsed;
+    }
+
+    if (turnKey === null) {
+      turnRef.current = null;
+      setTurn(null);
+      return;
+    }
+
+    turnRef.current = {
+      key: turnKey,
+      playerId: actingId,
+      startedAt: turnStartedAt ?? Date.now(),
+      bank: banksRef.current[actingId] ?? timeBank,
+    };
+    setTurn(turnRef.current);
+    setNow(Date.now());
+  }, [turnKey, actingId, turnStartedAt, turnTime, timeBank]);
+
+  useEffect(() => {
+    if (!turn || turnTime <= 0) return;
+
+    const interval = setInterval(() => setNow(Date.now()), TICK_INTERVAL);
+    return () => clearInterval(interval);
+  }, [turn, turnTime]);
+
+  if (!turn || turnTime <= 0) return null;
+
+  const elapsed = Math.max(0, (now - turn.startedAt) / 1000);
+  const clock = computeTurnClock(elapsed, turnTime, turn.bank);
+
+  return {
+    key: turn.key,
+    playerId: turn.playerId,
+    ...clock,
+    expired: clock.phase === TURN_PHASES.EXPIRED,
+  };
+};
+
+export default useTurnTimer;
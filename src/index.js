@@ -3,14 +3,26 @@ import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
 import reportWebVitals from './reportWebVitals';
+import { installMockBackend } from './services/apiService';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
+const renderApp = () => root.render(
   <React.StrictMode>
     <App />
   </React.StrictMode>
 );
 
+// The mock backend is only loaded when asked for, so it stays out of
+// production builds
+if (process.env.REACT_APP_USE_MOCKS === 'true') {
+  import('./mocks').then(({ getMockBackend }) => {
+    installMockBackend(getMockBackend());
+    renderApp();
+  });
+} else {
+  renderApp();
+}
+
 // If you want to start measuring performance in your app, pass a function
 // to log results or send to an analytics endpoint. Learn more: https://bit.ly/CRA-vitals
 reportWebVitals();
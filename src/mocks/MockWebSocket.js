@@ -0,0 +1,134 @@
+// src/mocks/MockWebSocket.js
+//
+// A WebSocket stand-in for the game socket, fed by the mock engine. It
+// accepts the same URLs as the real one (".../game/<id>/?token=..."), sends a
+// snapshot on connect and after every change, answers heartbeats, relays
+// chat to everyone at the game and reports how many people are watching.
+
+import { MESSAGE_TYPES, PROTOCOL_VERSION } from "../services/gameProtocol";
+import { cleanChatText } from "../utils/chat";
+
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSED = 3;
+
+const envelope = (type, data) => JSON.stringify({ type, version: PROTOCOL_VERSION, data });
+
+/**
+ * Create a WebSocket class bound to a mock engine.
+ *
+ * @param {Object} engine - From createMockEngine
+ * @param {Function} getAccountForToken - From createMockServer
+ * @returns {Function} Constructor with the WebSocket interface used by socketManager
+ */
+export const createMockWebSocketClass = (engine, getAccountForToken) => {
+  const sockets = new Set();
+  let nextChatId = 1;
+
+  const socketsFor = (gameId) => [...sockets].filter((socket) => socket.gameId === gameId);
+
+  const isSeated = (gameId, account) =>
+    engine.viewGame(gameId).players.some((player) => player.player.id === account.id);
+
+  const broadcastSpectators = (gameId) => {
+    const watching = socketsFor(gameId);
+    const count = watching.filter((socket) => !isSeated(gameId, socket.account)).length;
+    watching.forEach((socket) => socket.deliver(envelope(MESSAGE_TYPES.SPECTATOR_COUNT, { count })));
+  };
+
+  return class MockWebSocket {
+    constructor(url) {
+      this.url = url;
+      this.readyState = CONNECTING;
+      this.onopen = null;
+      this.onmessage = null;
+      this.onerror = null;
+      this.onclose = null;
+
+      const { pathname, searchParams } = new URL(url);
+      const match = pathname.match(/\/game\/([^/]+)\/?$/);
+      this.gameId = match ? match[1] : null;
+      this.account = getAccountForToken(searchParams.get("token"));
+
+      // Like a real socket, the connection opens after the constructor returns
+      setTimeout(() => this.connect(), 0);
+    }
+
+    connect() {
+      if (this.readyState !== CONNECTING) return;
+      if (!this.account) {
+        this.finish(4001);
+        return;
+      }
+      try {
+        this.unsubscribe = engine.subscribe(this.gameId, (event) => this.handleEvent(event));
+      } catch (error) {
+        this.finish(4004);
+        return;
+      }
+
+      this.readyState = OPEN;
+      sockets.add(this);
+      if (this.onopen) this.onopen();
+      this.sendSnapshot();
+      broadcastSpectators(this.gameId);
+    }
+
+    handleEvent(event) {
+      if (event.type === "summary") {
+        this.deliver(envelope(MESSAGE_TYPES.SUMMARY_AVAILABLE, {}));
+        return;
+      }
+      this.sendSnapshot();
+    }
+
+    sendSnapshot() {
+      this.deliver(envelope(MESSAGE_TYPES.SNAPSHOT, { game: engine.viewGame(this.gameId, this.account) }));
+    }
+
+    // Messages arrive asynchronously, after the request that caused them
+    deliver(data) {
+      setTimeout(() => {
+        if (this.readyState === OPEN && this.onmessage) this.onmessage({ data });
+      }, 0);
+    }
+
+    send(data) {
+      if (this.readyState !== OPEN) throw new Error("WebSocket is not open");
+      const frame = JSON.parse(data);
+
+      if (frame.type === "ping") {
+        this.deliver(JSON.stringify({ type: "pong", timestamp: frame.timestamp }));
+        return;
+      }
+
+      if (frame.type === MESSAGE_TYPES.CHAT) {
+        const message = cleanChatText(frame.message || "");
+        if (!message) return;
+        const chat = envelope(MESSAGE_TYPES.CHAT, {
+          id: nextChatId++,
+          message,
+          username: this.account.user.username,
+          user_id: this.account.user.id,
+          timestamp: new Date().toISOString(),
+        });
+        socketsFor(this.gameId).forEach((socket) => socket.deliver(chat));
+      }
+    }
+
+    close(code = 1000) {
+      if (this.readyState === CLOSED) return;
+      this.finish(code);
+    }
+
+    finish(code) {
+      const wasOpen = sockets.delete(this);
+      this.readyState = CLOSED;
+      if (this.unsubscribe) this.unsubscribe();
+      if (wasOpen) broadcastSpectators(this.gameId);
+      setTimeout(() => {
+        if (this.onclose) this.onclose({ code });
+      }, 0);
+    }
+  };
+};
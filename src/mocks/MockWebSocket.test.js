@@ -0,0 +1,92 @@
+import { createMockEngine } from './mockEngine';
+import { createMockServer } from './mockServer';
+import { createMockWebSocketClass } from './MockWebSocket';
+
+const setup = () => {
+  const engine = createMockEngine({ seed: 3 });
+  const server = createMockServer(engine);
+  const MockWebSocket = createMockWebSocketClass(engine, server.getAccountForToken);
+  const [table] = engine.listTables();
+  const alice = engine.getAccount('alice');
+  const game = engine.joinTable(table.id, alice, 100);
+  return { engine, MockWebSocket, alice, table, gameId: game.id };
+};
+
+// Open a socket and record everything it receives
+const connect = (MockWebSocket, gameId, username) => {
+  const socket = new MockWebSocket(`ws://localhost/ws/game/${gameId}/?token=mock-access:${username}`);
+  const received = [];
+  socket.onmessage = (event) => received.push(JSON.parse(event.data));
+  socket.onclose = jest.fn();
+  return { socket, received };
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('MockWebSocket', () => {
+  test('opens asynchronously and sends a snapshot of the game', () => {
+    const { MockWebSocket, gameId } = setup();
+    const { socket, received } = connect(MockWebSocket, gameId, 'alice');
+    socket.onopen = jest.fn();
+    expect(socket.readyState).toBe(0);
+
+    jest.runAllTimers();
+    expect(socket.onopen).toHaveBeenCalled();
+    expect(received[0]).toMatchObject({ type: 'snapshot', version: 1, data: { game: { id: gameId } } });
+  });
+
+  test('sends a new snapshot when the game changes', () => {
+    const { engine, MockWebSocket, table, gameId } = setup();
+    const { received } = connect(MockWebSocket, gameId, 'alice');
+    jest.runAllTimers();
+
+    engine.joinTable(table.id, engine.getAccount('bob'), 100);
+    jest.runAllTimers();
+    const snapshots = received.filter(frame => frame.type === 'snapshot');
+    expect(snapshots[snapshots.length - 1].data.game.players).toHaveLength(2);
+  });
+
+  test('answers pings and relays chat to everyone at the game', () => {
+    const { MockWebSocket, gameId } = setup();
+    const alice = connect(MockWebSocket, gameId, 'alice');
+    const watcher = connect(MockWebSocket, gameId, 'carol');
+    jest.runAllTimers();
+
+    alice.socket.send(JSON.stringify({ type: 'ping', timestamp: 1 }));
+    alice.socket.send(JSON.stringify({ type: 'chat_message', message: ' hi all ' }));
+    jest.runAllTimers();
+
+    expect(alice.received).toContainEqual({ type: 'pong', timestamp: 1 });
+    expect(watcher.received).toContainEqual(expect.objectContaining({
+      type: 'chat_message',
+      data: expect.objectContaining({ message: 'hi all', username: 'alice' }),
+    }));
+  });
+
+  test('counts connected people who are not seated as spectators', () => {
+    const { MockWebSocket, gameId } = setup();
+    const alice = connect(MockWebSocket, gameId, 'alice');
+    connect(MockWebSocket, gameId, 'carol');
+    jest.runAllTimers();
+
+    const counts = alice.received.filter(frame => frame.type === 'spectator_count');
+    expect(counts[counts.length - 1].data.count).toBe(1);
+  });
+
+  test('closes with the backend\'s codes for a bad token or game', () => {
+    const { MockWebSocket, gameId } = setup();
+    const anonymous = new MockWebSocket(`ws://localhost/ws/game/${gameId}/?token=nope`);
+    anonymous.onclose = jest.fn();
+    const missing = connect(MockWebSocket, 999, 'alice');
+    jest.runAllTimers();
+
+    expect(anonymous.onclose).toHaveBeenCalledWith({ code: 4001 });
+    expect(missing.socket.onclose).toHaveBeenCalledWith({ code: 4004 });
+  });
+});
@@ -0,0 +1,56 @@
+// src/mocks/index.js
+//
+// Local mock backend for offline development. Start the app with
+// REACT_APP_USE_MOCKS=true and src/index.js loads this module, so every API
+// request and game socket is served in the browser by a scripted poker
+// engine. Its state is kept in
+// localStorage so page reloads don't lose the game; remove the
+// "mockBackendState" key to start over.
+
+import { createMockEngine } from "./mockEngine";
+import { createMockServer } from "./mockServer";
+import { createMockAdapter } from "./mockAdapter";
+import { createMockWebSocketClass } from "./MockWebSocket";
+
+const STORAGE_KEY = "mockBackendState";
+const BOT_DELAY = 800; // ms between bot actions, so the table can show each one
+const LATENCY = 100;   // ms per request
+
+const loadState = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+  } catch (error) {
+    console.warn("Ignoring unreadable mock backend state:", error);
+    return null;
+  }
+};
+
+let backend = null;
+
+/**
+ * The shared mock backend, created on first use.
+ *
+ * @returns {{engine: Object, server: Object, adapter: Function, WebSocket: Function}}
+ *   adapter is an axios adapter; WebSocket is a socketManager WebSocketImpl
+ */
+export const getMockBackend = () => {
+  if (backend) return backend;
+
+  let engine = null;
+  engine = createMockEngine({
+    botDelay: BOT_DELAY,
+    state: loadState(),
+    onChange: () => {
+      if (engine) localStorage.setItem(STORAGE_KEY, JSON.stringify(engine.exportState()));
+    },
+  });
+  const server = createMockServer(engine);
+
+  backend = {
+    engine,
+    server,
+    adapter: createMockAdapter(server, { latency: LATENCY }),
+    WebSocket: createMockWebSocketClass(engine, server.getAccountForToken),
+  };
+  return backend;
+};
@@ -0,0 +1,66 @@
+// src/mocks/mockAdapter.js
+//
+// An axios adapter that answers requests from the mock server instead of the
+// network. Installed as axios.defaults.adapter it covers the shared API
+// client and the components that call axios directly.
+
+// Path relative to the API root: everything after "/api", or the whole
+// path for URLs without it
+const getApiPath = (config) => {
+  const url = /^https?:\/\//.test(config.url || "")
+    ? config.url
+    : `${config.baseURL || ""}${config.url || ""}`;
+  const { pathname } = new URL(url, "http://mock.local");
+  const apiIndex = pathname.indexOf("/api/");
+  return apiIndex === -1 ? pathname : pathname.slice(apiIndex + "/api".length);
+};
+
+const getBearerToken = (headers = {}) => {
+  const header = headers.Authorization || headers.authorization || "";
+  return header.startsWith("Bearer ") ? header.slice("Bearer ".length) : null;
+};
+
+const parseBody = (data) => {
+  if (!data) return {};
+  if (typeof data !== "string") return data;
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * Create an axios adapter backed by a mock server.
+ *
+ * @param {Object} server - From createMockServer
+ * @param {Object} [options]
+ * @param {number} [options.latency=0] - Milliseconds to wait before answering
+ * @returns {Function} axios adapter: config => Promise<response>
+ */
+export const createMockAdapter = (server, { latency = 0 } = {}) => async (config) => {
+  if (latency > 0) {
+    await new Promise((resolve) => setTimeout(resolve, latency));
+  }
+
+  const { status, data } = await server.handleRequest({
+    method: config.method || "get",
+    path: getApiPath(config),
+    body: parseBody(config.data),
+    token: getBearerToken(config.headers),
+  });
+
+  const response = { data, status, statusText: String(status), headers: {}, config, request: {} };
+  const validateStatus = config.validateStatus || ((code) => code >= 200 && code < 300);
+  if (validateStatus(status)) return response;
+
+  // Same fields as an AxiosError, which is what callers inspect
+  const error = new Error(`Request failed with status code ${status}`);
+  error.name = "AxiosError";
+  error.isAxiosError = true;
+  error.code = status >= 500 ? "ERR_BAD_RESPONSE" : "ERR_BAD_REQUEST";
+  error.config = config;
+  error.request = response.request;
+  error.response = response;
+  throw error;
+};
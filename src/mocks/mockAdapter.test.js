@@ -0,0 +1,44 @@
+import { createMockAdapter } from './mockAdapter';
+
+const createServer = (response) => ({
+  handleRequest: jest.fn().mockResolvedValue(response),
+});
+
+describe('createMockAdapter', () => {
+  test('passes the API path, body and token to the server', async () => {
+    const server = createServer({ status: 200, data: { ok: true } });
+    const adapter = createMockAdapter(server);
+
+    const response = await adapter({
+      method: 'post',
+      baseURL: 'https://example.com/api',
+      url: '/games/3/action/',
+      data: JSON.stringify({ action_type: 'CALL' }),
+      headers: { Authorization: 'Bearer abc' },
+    });
+
+    expect(server.handleRequest).toHaveBeenCalledWith({
+      method: 'post',
+      path: '/games/3/action/',
+      body: { action_type: 'CALL' },
+      token: 'abc',
+    });
+    expect(response).toMatchObject({ status: 200, data: { ok: true } });
+  });
+
+  test('handles absolute URLs from components that call axios directly', async () => {
+    const server = createServer({ status: 200, data: {} });
+    await createMockAdapter(server)({ method: 'get', url: 'http://localhost:8000/api/tables/1/', headers: {} });
+    expect(server.handleRequest.mock.calls[0][0]).toMatchObject({ path: '/tables/1/', token: null });
+  });
+
+  test('rejects error statuses the way axios does', async () => {
+    const server = createServer({ status: 400, data: { error: 'Not your turn' } });
+    const error = await createMockAdapter(server)({ method: 'post', url: '/api/games/1/action/', headers: {} })
+      .catch(e => e);
+
+    expect(error.isAxiosError).toBe(true);
+    expect(error.message).toBe('Request failed with status code 400');
+    expect(error.response).toMatchObject({ status: 400, data: { error: 'Not your turn' } });
+  });
+});
@@ -0,0 +1,967 @@
+// src/mocks/mockEngine.js
+//
+// A small scripted Texas Hold'em engine behind the mock backend. Tables,
+// games and players live in memory and every game is kept in the same shape
+// the real API returns, so the table renders it unchanged. Bots are
+// scripted: they check when they can and call otherwise, whatever their
+// tuning says.
+//
+// Simplifications: raises are "raise to" totals like the real API, an
+// incomplete all-in raise still reopens the betting, and there is no turn
+// clock.
+
+import { evaluateHand, findWinners } from "../utils/handEvaluator";
+import { calculateSidePots } from "../utils/sidePots";
+
+const RANKS = ["2", "3", "4", "5", "6", "7", "8", "9", "10", "J", "Q", "K", "A"];
+const SUITS = ["S", "H", "D", "C"];
+
+// Community cards dealt when each street starts
+const STREETS = [
+  { phase: "PREFLOP", deal: 0 },
+  { phase: "FLOP", deal: 3 },
+  { phase: "TURN", deal: 1 },
+  { phase: "RIVER", deal: 1 },
+];
+
+const DEFAULT_TABLES = [
+  { name: "Beginner's Table", small_blind: 1, big_blind: 2, min_buy_in: 40, max_buy_in: 200, max_players: 6 },
+  { name: "High Rollers", small_blind: 5, big_blind: 10, min_buy_in: 200, max_buy_in: 1000, max_players: 9 },
+];
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+const sameAmount = (a, b) => Math.abs(a - b) < 0.005;
+
+const DEFAULT_BOT_CONFIG = {
+  difficulty: "BASIC",
+  play_style: "TIGHT_AGGRESSIVE",
+  aggression_factor: 0.5,
+  bluff_frequency: 0.1,
+};
+
+const percent = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : 0);
+
+/**
+ * Error with the HTTP status the mock server should answer with.
+ *
+ * @param {number} status - HTTP status code
+ * @param {string} message - Sent to the client as { error }
+ * @returns {Error}
+ */
+export const mockError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Seeded pseudo-random source (mulberry32) so a mock session can be replayed.
+ *
+ * @param {number} seed
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * A full 52-card deck in a fixed order.
+ *
+ * @returns {Array<string>} Cards such as "AS" or "10H"
+ */
+export const createDeck = () => RANKS.flatMap((rank) => SUITS.map((suit) => `${rank}${suit}`));
+
+const shuffleWith = (random) => (deck) => {
+  const cards = [...deck];
+  for (let i = cards.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [cards[i], cards[j]] = [cards[j], cards[i]];
+  }
+  return cards;
+};
+
+/**
+ * Create an in-memory poker backend.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.seed] - Seed for the shuffle
+ * @param {Function} [options.shuffle] - Returns a shuffled copy of a deck;
+ *   cards are dealt from the front. Overrides the seed.
+ * @param {number} [options.botDelay=0] - Milliseconds before each bot acts;
+ *   0 plays bots synchronously
+ * @param {Array<Object>} [options.tables] - Tables to start with
+ * @param {Object} [options.state] - Output of exportState() to resume from
+ * @param {Function} [options.onChange] - Called after anything changes
+ * @returns {Object} Engine API, see the returned object
+ */
+export const createMockEngine = ({
+  seed = Date.now(),
+  shuffle = null,
+  botDelay = 0,
+  tables: initialTables = DEFAULT_TABLES,
+  state = null,
+  onChange = null,
+} = {}) => {
+  const shuffleDeck = shuffle || shuffleWith(createRandom(seed));
+  let nextId = state ? state.nextId : 1;
+  const newId = () => nextId++;
+
+  const accounts = new Map(state ? state.accounts : []); // username -> account
+  const tables = new Map(state ? state.tables : []);     // table id -> table
+  // game id -> { game, hand, ledger, summary, listeners, botTimer }
+  const records = new Map(state ? state.games.map(([id, saved]) =>
+    [id, { ...saved, listeners: new Set(), botTimer: null }]) : []);
+  let botCount = state ? state.botCount : 0;
+  // account id -> { hands_played, vpip_hands, hands_won, net }
+  const stats = new Map(state && state.stats ? state.stats : []);
+
+  const changed = () => {
+    if (onChange) onChange();
+  };
+
+  // --- Accounts --------------------------------------------------------
+
+  /**
+   * The account for a username, created on first use. Any password works.
+   *
+   * @param {string} username
+   * @param {Object} [options]
+   * @param {boolean} [options.bot=false]
+   * @returns {{id: number, user: Object, is_bot: boolean}} Player profile
+   */
+  const getAccount = (username, { bot = false } = {}) => {
+    if (!accounts.has(username)) {
+      const admin = username === "admin";
+      accounts.set(username, {
+        id: newId(),
+        user: {
+          id: newId(),
+          username,
+          email: bot ? "" : `${username}@example.com`,
+          is_superuser: admin,
+          is_staff: admin,
+        },
+        is_bot: bot,
+      });
+    }
+    return accounts.get(username);
+  };
+
+  const findAccount = (username) => accounts.get(username) || null;
+
+  const createBotAccount = (config = {}) => {
+    botCount += 1;
+    const account = getAccount(`Bot ${botCount}`, { bot: true });
+    Object.keys(DEFAULT_BOT_CONFIG).forEach((key) => {
+      account[key] = config[key] ?? DEFAULT_BOT_CONFIG[key];
+    });
+    return account;
+  };
+
+  const findBot = (botId) => {
+    const bot = [...accounts.values()].find((account) => account.is_bot && account.id === Number(botId));
+    if (!bot) throw mockError(404, "Bot not found");
+    return bot;
+  };
+
+  // --- Tables ----------------------------------------------------------
+
+  const createTable = (data = {}) => {
+    const name = String(data.name || "").trim();
+    const numbers = ["small_blind", "big_blind", "min_buy_in", "max_buy_in", "max_players"]
+      .reduce((values, field) => ({ ...values, [field]: Number(data[field]) }), {});
+
+    if (!name) throw mockError(400, "Table name is required");
+    if (Object.values(numbers).some((value) => !Number.isFinite(value) || value <= 0)) {
+      throw mockError(400, "Blinds, buy-ins and seats must be positive numbers");
+    }
+    if (numbers.big_blind < numbers.small_blind) throw mockError(400, "Big blind must be at least the small blind");
+    if (numbers.max_buy_in < numbers.min_buy_in) throw mockError(400, "Maximum buy-in must be at least the minimum");
+    if (numbers.max_players < 2 || numbers.max_players > 10) throw mockError(400, "Tables seat 2 to 10 players");
+
+    const table = {
+      id: newId(),
+      name,
+      ...numbers,
+      turn_time_limit: Number(data.turn_time_limit) || 0,
+      time_bank: Number(data.time_bank) || 0,
+      created_at: new Date().toISOString(),
+    };
+    tables.set(table.id, table);
+    changed();
+    return table;
+  };
+
+  const getTable = (tableId) => {
+    const table = tables.get(Number(tableId));
+    if (!table) throw mockError(404, "Table not found");
+    return table;
+  };
+
+  const listTables = () => [...tables.values()];
+
+  const deleteTable = (tableId) => {
+    const table = getTable(tableId);
+    tables.delete(table.id);
+    records.forEach((record, gameId) => {
+      if (record.game.table.id === table.id) records.delete(gameId);
+    });
+    changed();
+  };
+
+  // --- Game helpers ----------------------------------------------------
+
+  const getRecord = (gameId) => {
+    const record = records.get(Number(gameId));
+    if (!record) throw mockError(404, "Game not found");
+    return record;
+  };
+
+  const findSeat = (game, account) =>
+    game.players.find((player) => player.player.id === account.id) || null;
+
+  const requireSeat = (game, account) => {
+    const player = findSeat(game, account);
+    if (!player) throw mockError(403, "You are not seated at this game");
+    return player;
+  };
+
+  const playerName = (player) => player.player.user.username;
+
+  const notify = (record, event = { type: "update" }) => {
+    changed();
+    record.listeners.forEach((listener) => listener(event));
+  };
+
+  // Players still in the hand who have chips left to bet
+  const canAct = (player) => player.is_active && player.stack > 0;
+
+  // Players in seat order, starting with the first seat after the given one
+  const seatOrderAfter = (game, seat, filter) => {
+    const sorted = [...game.players].filter(filter).sort((a, b) => a.seat_position - b.seat_position);
+    const start = sorted.findIndex((player) => player.seat_position > seat);
+    return start <= 0 ? sorted : [...sorted.slice(start), ...sorted.slice(0, start)];
+  };
+
+  const pay = (record, player, amount) => {
+    const paid = roundCents(Math.min(amount, player.stack));
+    player.stack = roundCents(player.stack - paid);
+    player.current_bet = roundCents(player.current_bet + paid);
+    record.hand.committed[player.id] = roundCents((record.hand.committed[player.id] || 0) + paid);
+    record.game.pot = roundCents(record.game.pot + paid);
+  };
+
+  const setTurn = (record) => {
+    const { game, hand } = record;
+    const next = game.players.find((player) => player.id === hand.toAct[0]);
+    game.current_player = next ? { id: next.player.id } : null;
+  };
+
+  // --- Hands -----------------------------------------------------------
+
+  const startHand = (record) => {
+    const { game } = record;
+    const seated = game.players.filter((player) => !player.cashed_out && player.stack > 0);
+    if (seated.length < 2) return false;
+
+    const inHand = (player) => seated.includes(player);
+    const previousDealer = game.dealer_position ?? -1;
+    const [dealer] = seatOrderAfter(game, previousDealer, inHand);
+    const order = seatOrderAfter(game, dealer.seat_position, inHand);
+    // Heads-up the button posts the small blind
+    const [smallBlind, bigBlind] = seated.length === 2 ? [dealer, order[0]] : [order[0], order[1]];
+
+    record.hand = {
+      deck: shuffleDeck(createDeck()),
+      committed: {},
+      lastRaise: game.table.big_blind,
+      toAct: [],
+      revealed: [],
+      voluntary: [],
+    };
+    game.players.forEach((player) => {
+      player.cards = inHand(player) ? [record.hand.deck.shift(), record.hand.deck.shift()] : [];
+      player.current_bet = 0;
+      player.is_active = inHand(player);
+      player.ready_for_next_hand = false;
+    });
+
+    Object.assign(game, {
+      status: "PLAYING",
+      phase: "PREFLOP",
+      hand_count: game.hand_count + 1,
+      dealer_position: dealer.seat_position,
+      community_cards: [],
+      pot: 0,
+      current_bet: 0,
+      winner_info: null,
+    });
+
+    pay(record, smallBlind, game.table.small_blind);
+    pay(record, bigBlind, game.table.big_blind);
+    game.current_bet = Math.max(smallBlind.current_bet, bigBlind.current_bet);
+
+    record.hand.toAct = seatOrderAfter(game, bigBlind.seat_position, canAct).map((player) => player.id);
+    advance(record);
+    return true;
+  };
+
+  const dealStreet = (record) => {
+    const { game, hand } = record;
+    const index = STREETS.findIndex((street) => street.phase === game.phase);
+    const next = STREETS[index + 1];
+
+    game.phase = next.phase;
+    game.community_cards = [...game.community_cards, ...hand.deck.splice(0, next.deal)];
+    game.current_bet = 0;
+    hand.lastRaise = game.table.big_blind;
+    game.players.forEach((player) => { player.current_bet = 0; });
+    hand.toAct = seatOrderAfter(game, game.dealer_position, canAct).map((player) => player.id);
+  };
+
+  // Move play on after an action: next player, next street or the end of the hand
+  const advance = (record) => {
+    const { game, hand } = record;
+    const live = game.players.filter((player) => player.is_active);
+    if (live.length === 1) {
+      finishHand(record, "fold");
+      return;
+    }
+
+    const byId = (id) => game.players.find((player) => player.id === id);
+    hand.toAct = hand.toAct.filter((id) => byId(id) && canAct(byId(id)));
+    if (hand.toAct.length > 0) {
+      setTurn(record);
+      return;
+    }
+
+    // Betting is closed: deal on, running the board out once fewer than two
+    // players can still bet
+    while (game.phase !== "RIVER") {
+      dealStreet(record);
+      if (hand.toAct.length >= 2) {
+        setTurn(record);
+        return;
+      }
+    }
+    finishHand(record, "showdown");
+  };
+
+  const recordStats = (record, winnings) => {
+    const { game, hand } = record;
+    game.players
+      .filter((player) => player.cards.length > 0)
+      .forEach((player) => {
+        const entry = stats.get(player.player.id) || { hands_played: 0, vpip_hands: 0, hands_won: 0, net: 0 };
+        const won = winnings[player.id] || 0;
+        entry.hands_played += 1;
+        if ((hand.voluntary || []).includes(player.id)) entry.vpip_hands += 1;
+        if (won > 0) entry.hands_won += 1;
+        entry.net = roundCents(entry.net + won - (hand.committed[player.id] || 0));
+        stats.set(player.player.id, entry);
+      });
+  };
+
+  const finishHand = (record, type) => {
+    const { game, hand } = record;
+    const live = game.players.filter((player) => player.is_active);
+    const board = game.community_cards;
+    const winnings = {};
+    const award = (playerId, amount) => {
+      winnings[playerId] = roundCents((winnings[playerId] || 0) + amount);
+    };
+
+    if (type === "fold") {
+      award(live[0].id, game.pot);
+    } else {
+      const contributions = game.players
+        .filter((player) => hand.committed[player.id] > 0)
+        .map((player) => ({
+          id: player.id,
+          name: playerName(player),
+          amount: hand.committed[player.id],
+          folded: !player.is_active,
+          allIn: player.is_active && player.stack === 0,
+        }));
+
+      calculateSidePots(contributions).forEach((pot) => {
+        const ids = pot.eligible.map((entry) => entry.id);
+        const winners = ids.length === 1 ? ids : findWinners(ids.map((id) => ({
+          id,
+          cards: [...game.players.find((player) => player.id === id).cards, ...board],
+        })));
+        // Odd cents go to the first winner
+        const share = Math.floor((pot.amount / winners.length) * 100) / 100;
+        winners.forEach((id, i) => award(id, i === 0 ? pot.amount - share * (winners.length - 1) : share));
+      });
+      hand.revealed = live.map((player) => player.id);
+    }
+
+    const winners = Object.keys(winnings).map((id) => {
+      const player = game.players.find((entry) => entry.id === Number(id));
+      player.stack = roundCents(player.stack + winnings[id]);
+      const result = type === "showdown" ? evaluateHand([...player.cards, ...board]) : null;
+      return {
+        player_name: playerName(player),
+        winning_amount: winnings[id],
+        hand_name: result ? result.name : null,
+        best_hand_cards: result ? result.bestCards : [],
+      };
+    });
+
+    recordStats(record, winnings);
+    game.winner_info = { winners, pot_amount: game.pot, type };
+    game.phase = "WAITING_FOR_PLAYERS";
+    game.pot = 0;
+    game.current_bet = 0;
+    game.current_player = null;
+    hand.toAct = [];
+    game.players.forEach((player) => {
+      player.current_bet = 0;
+      player.ready_for_next_hand = player.player.is_bot && player.stack > 0;
+    });
+  };
+
+  // Deal the next hand once every human with chips has clicked ready. A
+  // table of bots alone waits, so they never play each other forever.
+  const maybeStartNextHand = (record) => {
+    const { game } = record;
+    if (game.status !== "PLAYING" || game.phase !== "WAITING_FOR_PLAYERS") return;
+
+    const waiting = game.players.filter((player) => !player.cashed_out && player.stack > 0);
+    if (waiting.length >= 2 &&
+        waiting.some((player) => !player.player.is_bot) &&
+        waiting.every((player) => player.ready_for_next_hand)) {
+      startHand(record);
+    }
+  };
+
+  // --- Actions ---------------------------------------------------------
+
+  const applyAction = (record, player, actionType, amount) => {
+    const { game, hand } = record;
+    const toCall = roundCents(game.current_bet - player.current_bet);
+
+    switch (actionType) {
+      case "FOLD":
+        player.is_active = false;
+        break;
+      case "CHECK":
+        if (toCall > 0) throw mockError(400, `Cannot check - ${toCall} to call`);
+        break;
+      case "CALL":
+        if (toCall <= 0) throw mockError(400, "There is nothing to call");
+        pay(record, player, toCall);
+        break;
+      case "BET":
+      case "RAISE": {
+        if (actionType === "BET" && game.current_bet > 0) throw mockError(400, "There is already a bet - raise instead");
+        if (actionType === "RAISE" && game.current_bet === 0) throw mockError(400, "There is no bet to raise");
+
+        const total = roundCents(Number(amount) || 0);
+        const allIn = roundCents(player.current_bet + player.stack);
+        const minimum = roundCents(game.current_bet + hand.lastRaise);
+        if (total > allIn + 0.005) throw mockError(400, "Not enough chips");
+        if (total <= game.current_bet) throw mockError(400, `Raise to more than ${game.current_bet}`);
+        if (total < minimum - 0.005 && !sameAmount(total, allIn)) {
+          throw mockError(400, `Minimum ${actionType === "BET" ? "bet" : "raise"} is ${minimum}`);
+        }
+
+        hand.lastRaise = Math.max(hand.lastRaise, roundCents(total - game.current_bet));
+        pay(record, player, total - player.current_bet);
+        game.current_bet = total;
+        // Everyone else acts again, in order after the raiser
+        hand.toAct = seatOrderAfter(game, player.seat_position, (other) => other !== player && canAct(other))
+          .map((other) => other.id);
+        break;
+      }
+      default:
+        throw mockError(400, `Unknown action type: ${actionType}`);
+    }
+
+    // Money put in voluntarily before the flop, for VPIP
+    const voluntary = actionType !== "FOLD" && actionType !== "CHECK";
+    if (game.phase === "PREFLOP" && voluntary && !hand.voluntary.includes(player.id)) {
+      hand.voluntary.push(player.id);
+    }
+    hand.toAct = hand.toAct.filter((id) => id !== player.id);
+    advance(record);
+  };
+
+  const botToAct = (record) => {
+    const { game } = record;
+    if (game.status !== "PLAYING" || !game.current_player) return null;
+    const player = game.players.find((entry) => entry.player.id === game.current_player.id);
+    return player && player.player.is_bot ? player : null;
+  };
+
+  const playBot = (record, bot) => {
+    const toCall = record.game.current_bet - bot.current_bet;
+    applyAction(record, bot, toCall > 0 ? "CALL" : "CHECK", 0);
+  };
+
+  // Let bots act until it is a human's turn, one action per update when
+  // there is a delay so the table can show each of them
+  const runBots = (record) => {
+    if (!botDelay) {
+      let bot = botToAct(record);
+      while (bot) {
+        playBot(record, bot);
+        bot = botToAct(record);
+      }
+      return;
+    }
+
+    clearTimeout(record.botTimer);
+    const bot = botToAct(record);
+    if (!bot) return;
+    record.botTimer = setTimeout(() => {
+      if (botToAct(record) !== bot) return;
+      playBot(record, bot);
+      notify(record);
+      runBots(record);
+    }, botDelay);
+  };
+
+  // Apply a change to a game, then let bots respond and tell listeners
+  const update = (record, change) => {
+    const result = change();
+    runBots(record);
+    notify(record);
+    return result;
+  };
+
+  // --- Ledger and summary ----------------------------------------------
+
+  const addToLedger = (record, player, buyIn) => {
+    const entry = record.ledger[player.id] || { player_name: playerName(player), starting_stack: 0, final_stack: 0 };
+    entry.starting_stack = roundCents(entry.starting_stack + buyIn);
+    record.ledger[player.id] = entry;
+  };
+
+  const finishGame = (record) => {
+    const { game } = record;
+    // Bots finish a hand the humans left, so nothing is left in the pot
+    clearTimeout(record.botTimer);
+    let bot = botToAct(record);
+    while (bot) {
+      playBot(record, bot);
+      bot = botToAct(record);
+    }
+
+    game.players.forEach((player) => {
+      if (!player.cashed_out) {
+        player.cashed_out = true;
+        record.ledger[player.id].final_stack = player.stack;
+      }
+      player.is_active = false;
+    });
+    Object.assign(game, { status: "FINISHED", phase: "WAITING_FOR_PLAYERS", current_player: null });
+
+    record.summary = {
+      game_id: game.id,
+      table_name: game.table.name,
+      completed_at: new Date().toISOString(),
+      total_hands: game.hand_count,
+      players: Object.values(record.ledger).map((entry) => ({
+        ...entry,
+        win_loss: roundCents(entry.final_stack - entry.starting_stack),
+      })),
+    };
+  };
+
+  // --- Public API ------------------------------------------------------
+
+  /**
+   * A game as the given account sees it: other players' hole cards are
+   * hidden until they are shown down.
+   *
+   * @param {number|string} gameId
+   * @param {Object|null} account - From getAccount; null for a spectator
+   * @returns {Object} Game in the API's shape
+   */
+  const viewGame = (gameId, account = null) => {
+    const { game, hand } = getRecord(gameId);
+    const revealed = hand ? hand.revealed : [];
+    return {
+      ...game,
+      table: { ...game.table },
+      community_cards: [...game.community_cards],
+      current_player: game.current_player ? { ...game.current_player } : null,
+      winner_info: game.winner_info ? { ...game.winner_info } : null,
+      players: game.players.map((player) => {
+        const visible = (account && player.player.id === account.id) || revealed.includes(player.id);
+        return {
+          ...player,
+          player: { ...player.player, user: { ...player.player.user } },
+          cards: visible ? [...player.cards] : [],
+        };
+      }),
+    };
+  };
+
+  const listGames = (account) => [...records.keys()].map((gameId) => viewGame(gameId, account));
+
+  const createGame = (table) => {
+    const game = {
+      id: newId(),
+      table,
+      status: "WAITING",
+      phase: "WAITING_FOR_PLAYERS",
+      pot: 0,
+      current_bet: 0,
+      dealer_position: null,
+      current_player: null,
+      community_cards: [],
+      hand_count: 0,
+      winner_info: null,
+      players: [],
+      created_at: new Date().toISOString(),
+    };
+    const record = { game, hand: null, ledger: {}, summary: null, listeners: new Set(), botTimer: null };
+    records.set(game.id, record);
+    return record;
+  };
+
+  const seatAccount = (record, account, buyIn) => {
+    const { game } = record;
+    const { table } = game;
+    const amount = Number(buyIn);
+    if (!Number.isFinite(amount) || amount < table.min_buy_in || amount > table.max_buy_in) {
+      throw mockError(400, `Buy-in must be between ${table.min_buy_in} and ${table.max_buy_in}`);
+    }
+
+    const taken = new Set(game.players.map((player) => player.seat_position));
+    const seat = [...Array(table.max_players).keys()].find((index) => !taken.has(index));
+    if (seat === undefined) throw mockError(400, "This table is full");
+
+    const player = {
+      id: newId(),
+      player: {
+        id: account.id,
+        user: { ...account.user },
+        is_bot: account.is_bot,
+        ...(account.is_bot && {
+          bot_config: { id: account.id, difficulty: account.difficulty, play_style: account.play_style },
+        }),
+      },
+      seat_position: seat,
+      stack: amount,
+      current_bet: 0,
+      is_active: false,
+      cashed_out: false,
+      cards: [],
+      ready_for_next_hand: account.is_bot,
+    };
+    game.players.push(player);
+    addToLedger(record, player, amount);
+    return player;
+  };
+
+  // The table's unfinished game, opening a new one if there is none
+  const openGameFor = (table) =>
+    [...records.values()].find((record) => record.game.table.id === table.id && record.game.status !== "FINISHED") ||
+    createGame(table);
+
+  /**
+   * Seat an account at a table's current game.
+   *
+   * @returns {Object} The game, seen by that account
+   */
+  const joinTable = (tableId, account, buyIn) => {
+    const record = openGameFor(getTable(tableId));
+    if (!findSeat(record.game, account)) {
+      update(record, () => {
+        seatAccount(record, account, buyIn);
+        maybeStartNextHand(record);
+      });
+    }
+    return viewGame(record.game.id, account);
+  };
+
+  /**
+   * Seat a bot at a table's current game: an existing idle bot when botId
+   * is given, otherwise a new one with the given tuning.
+   *
+   * @returns {{bot_id: number, player_name: string, game_id: number}}
+   */
+  const addBot = (tableId, buyIn, { botId = null, ...config } = {}) => {
+    const table = getTable(tableId);
+    const record = openGameFor(table);
+    const account = botId !== null && botId !== undefined ? findBot(botId) : createBotAccount(config);
+    if (isSeatedAnywhere(account)) throw mockError(400, "That bot is already playing");
+    const player = update(record, () => seatAccount(record, account, buyIn ?? table.min_buy_in));
+    return { success: true, bot_id: account.id, player_name: playerName(player), game_id: record.game.id };
+  };
+
+  const removeBot = (tableId, botId) => {
+    const table = getTable(tableId);
+    const record = [...records.values()].find((entry) =>
+      entry.game.table.id === table.id && entry.game.players.some((player) => player.player.id === Number(botId)));
+    if (!record) throw mockError(404, "Bot not found at this table");
+
+    const { game } = record;
+    const bot = game.players.find((player) => player.player.id === Number(botId));
+    if (!bot.player.is_bot) throw mockError(400, "That player is not a bot");
+    if (bot.is_active && game.phase !== "WAITING_FOR_PLAYERS") {
+      throw mockError(400, "Bots can only be removed between hands");
+    }
+    update(record, () => {
+      record.ledger[bot.id].final_stack = bot.stack;
+      game.players = game.players.filter((player) => player !== bot);
+    });
+  };
+
+  const startGame = (gameId, account) => {
+    const record = getRecord(gameId);
+    requireSeat(record.game, account);
+    if (record.game.status !== "WAITING") throw mockError(400, "The game has already started");
+    update(record, () => {
+      if (!startHand(record)) throw mockError(400, "At least two players with chips are needed to start");
+    });
+    return viewGame(gameId, account);
+  };
+
+  const takeAction = (gameId, account, actionType, amount = 0) => {
+    const record = getRecord(gameId);
+    const { game } = record;
+    const player = requireSeat(game, account);
+    if (game.status !== "PLAYING" || game.phase === "WAITING_FOR_PLAYERS") {
+      throw mockError(400, "No hand is in progress");
+    }
+    if (!game.current_player || game.current_player.id !== account.id) {
+      throw mockError(400, "It is not your turn");
+    }
+    update(record, () => applyAction(record, player, String(actionType).toUpperCase(), amount));
+    return viewGame(gameId, account);
+  };
+
+  const setReady = (gameId, account) => {
+    const record = getRecord(gameId);
+    const player = requireSeat(record.game, account);
+    if (record.game.phase !== "WAITING_FOR_PLAYERS") throw mockError(400, "The hand is still in progress");
+    update(record, () => {
+      player.ready_for_next_hand = true;
+      maybeStartNextHand(record);
+    });
+    return viewGame(gameId, account);
+  };
+
+  const cashOut = (gameId, account) => {
+    const record = getRecord(gameId);
+    const { game } = record;
+    const player = requireSeat(game, account);
+    if (player.cashed_out) throw mockError(400, "You have already cashed out");
+
+    return update(record, () => {
+      if (player.is_active && game.phase !== "WAITING_FOR_PLAYERS") {
+        player.is_active = false;
+        advance(record);
+      }
+      player.cashed_out = true;
+      player.is_active = false;
+      player.ready_for_next_hand = false;
+      record.ledger[player.id].final_stack = player.stack;
+
+      const humansLeft = game.players.some((entry) => !entry.player.is_bot && !entry.cashed_out);
+      if (!humansLeft) {
+        finishGame(record);
+        notify(record, { type: "summary" });
+        return { success: true, message: "Cashed out - the game is over", game_summary_generated: true };
+      }
+      maybeStartNextHand(record);
+      return { success: true, message: `Cashed out with ${player.stack}`, game_summary_generated: false };
+    });
+  };
+
+  const buyBackIn = (gameId, account, amount) => {
+    const record = getRecord(gameId);
+    const { game } = record;
+    const player = requireSeat(game, account);
+    if (game.status === "FINISHED") throw mockError(400, "The game is over");
+    if (!player.cashed_out && player.stack > 0) throw mockError(400, "You still have chips in play");
+
+    const buyIn = Number(amount);
+    if (!Number.isFinite(buyIn) || buyIn < game.table.min_buy_in || buyIn > game.table.max_buy_in) {
+      throw mockError(400, `Buy-in must be between ${game.table.min_buy_in} and ${game.table.max_buy_in}`);
+    }
+    update(record, () => {
+      player.cashed_out = false;
+      player.stack = roundCents(player.stack + buyIn);
+      addToLedger(record, player, buyIn);
+    });
+    return { success: true, buy_in_amount: buyIn, total_stack: player.stack };
+  };
+
+  const leaveGame = (gameId, account) => {
+    const record = getRecord(gameId);
+    const player = requireSeat(record.game, account);
+    if (!player.cashed_out) throw mockError(400, "Cash out before leaving the table");
+    update(record, () => {
+      record.game.players = record.game.players.filter((entry) => entry !== player);
+    });
+    return { success: true, left_with: player.stack };
+  };
+
+  const getSummary = (gameId) => {
+    const record = getRecord(gameId);
+    if (!record.summary) throw mockError(404, "The summary is available once the game is over");
+    return { game_summary: record.summary };
+  };
+
+  // --- Admin -----------------------------------------------------------
+
+  const deleteAllTables = () => {
+    const count = tables.size;
+    records.forEach((record) => clearTimeout(record.botTimer));
+    tables.clear();
+    records.clear();
+    changed();
+    return { message: `Deleted ${count} tables` };
+  };
+
+  const deleteGame = (gameId) => {
+    const record = getRecord(gameId);
+    clearTimeout(record.botTimer);
+    records.delete(record.game.id);
+    changed();
+  };
+
+  // Abandon the hand in progress: chips bet in it go back to their owners
+  // and everyone is dealt in again once they are ready
+  const resetGameState = (gameId) => {
+    const record = getRecord(gameId);
+    const { game, hand } = record;
+    update(record, () => {
+      game.players.forEach((player) => {
+        if (hand) player.stack = roundCents(player.stack + (hand.committed[player.id] || 0));
+        Object.assign(player, {
+          current_bet: 0,
+          cards: [],
+          is_active: !player.cashed_out && player.stack > 0,
+          ready_for_next_hand: player.player.is_bot,
+        });
+      });
+      record.hand = null;
+      Object.assign(game, {
+        phase: "WAITING_FOR_PLAYERS",
+        pot: 0,
+        current_bet: 0,
+        current_player: null,
+        community_cards: [],
+        winner_info: null,
+      });
+    });
+    return { success: true, message: "Game state reset", game: viewGame(gameId) };
+  };
+
+  const isSeatedAnywhere = (account) => [...records.values()].some(({ game }) =>
+    game.status !== "FINISHED" && game.players.some((player) => player.player.id === account.id));
+
+  // --- Bots ------------------------------------------------------------
+
+  const createBot = (config) => {
+    const bot = createBotAccount(config);
+    changed();
+    return bot;
+  };
+
+  /**
+   * Results for a bot over every hand it has been dealt.
+   *
+   * @returns {{bot_id: number, hands_played: number, hands_won: number,
+   *   vpip: number, win_rate: number, net_winnings: number}} vpip and
+   *   win_rate are percentages
+   */
+  const getBotStats = (botId) => {
+    const bot = findBot(botId);
+    const entry = stats.get(bot.id) || { hands_played: 0, vpip_hands: 0, hands_won: 0, net: 0 };
+    return {
+      bot_id: bot.id,
+      hands_played: entry.hands_played,
+      hands_won: entry.hands_won,
+      vpip: percent(entry.vpip_hands, entry.hands_played),
+      win_rate: percent(entry.hands_won, entry.hands_played),
+      net_winnings: entry.net,
+    };
+  };
+
+  // Bot accounts that aren't playing in an unfinished game
+  const listBots = () => [...accounts.values()].filter((account) => account.is_bot && !isSeatedAnywhere(account));
+
+  const deleteBot = (botId) => {
+    const bot = findBot(botId);
+    if (isSeatedAnywhere(bot)) throw mockError(400, "Remove the bot from its table first");
+    accounts.delete(bot.user.username);
+    changed();
+  };
+
+  /**
+   * Listen for changes to one game.
+   *
+   * @param {number|string} gameId
+   * @param {Function} listener - Called with { type: "update" | "summary" }
+   * @returns {Function} Unsubscribe
+   */
+  const subscribe = (gameId, listener) => {
+    const record = getRecord(gameId);
+    record.listeners.add(listener);
+    return () => record.listeners.delete(listener);
+  };
+
+  /**
+   * Everything needed to resume this engine with createMockEngine({ state }).
+   *
+   * @returns {Object} JSON-serialisable state
+   */
+  const exportState = () => ({
+    nextId,
+    botCount,
+    accounts: [...accounts],
+    stats: [...stats],
+    tables: [...tables],
+    games: [...records].map(([id, { game, hand, ledger, summary }]) => [id, { game, hand, ledger, summary }]),
+  });
+
+  if (!state) initialTables.forEach(createTable);
+  // A restored game may have been left on a bot's turn
+  records.forEach((record) => runBots(record));
+
+  return {
+    getAccount,
+    findAccount,
+    listTables,
+    getTable,
+    createTable,
+    deleteTable,
+    joinTable,
+    addBot,
+    removeBot,
+    listGames,
+    viewGame,
+    startGame,
+    takeAction,
+    setReady,
+    cashOut,
+    buyBackIn,
+    leaveGame,
+    getSummary,
+    deleteAllTables,
+    deleteGame,
+    resetGameState,
+    listBots,
+    createBot,
+    getBotStats,
+    deleteBot,
+    subscribe,
+    exportState,
+  };
+};
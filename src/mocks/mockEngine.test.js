@@ -0,0 +1,258 @@
+import { createMockEngine, createDeck, createRandom } from './mockEngine';
+
+const TABLE = { name: 'Test Table', small_blind: 1, big_blind: 2, min_buy_in: 20, max_buy_in: 200, max_players: 6 };
+const BOARD = ['2C', '7D', '9S', 'JC', '3H'];
+
+// Deal the given cards first (two per player in seat order, then the board)
+const stackDeck = (cards) => () => [...cards, ...createDeck().filter(card => !cards.includes(card))];
+
+const setup = ({ cards = [], names = ['alice', 'bob'], buyIns = [], bots = 0 } = {}) => {
+  const engine = createMockEngine({ shuffle: stackDeck(cards), tables: [TABLE] });
+  const [table] = engine.listTables();
+  const accounts = names.map(name => engine.getAccount(name));
+  let game;
+  accounts.forEach((account, i) => {
+    game = engine.joinTable(table.id, account, buyIns[i] ?? 100);
+  });
+  for (let i = 0; i < bots; i++) engine.addBot(table.id, 100);
+  return { engine, table, gameId: game.id, accounts };
+};
+
+const stackOf = (game, name) => game.players.find(p => p.player.user.username === name).stack;
+
+describe('createRandom', () => {
+  test('repeats the same sequence for a seed', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    expect([a(), a(), a()]).toEqual([b(), b(), b()]);
+  });
+});
+
+describe('a heads-up hand', () => {
+  test('posts blinds with the button on the small blind, acting first preflop', () => {
+    const { engine, gameId, accounts: [alice] } = setup();
+    const game = engine.startGame(gameId, alice);
+
+    expect(game).toMatchObject({ status: 'PLAYING', phase: 'PREFLOP', hand_count: 1, pot: 3, current_bet: 2, dealer_position: 0 });
+    expect(game.current_player.id).toBe(alice.id);
+  });
+
+  test('plays to showdown and pays the best hand', () => {
+    const { engine, gameId, accounts: [alice, bob] } = setup({ cards: ['AS', 'AH', 'KS', 'KH', ...BOARD] });
+    engine.startGame(gameId, alice);
+    engine.takeAction(gameId, alice, 'CALL');
+    engine.takeAction(gameId, bob, 'CHECK');
+    ['FLOP', 'TURN', 'RIVER'].forEach(() => {
+      engine.takeAction(gameId, bob, 'CHECK');
+      engine.takeAction(gameId, alice, 'CHECK');
+    });
+
+    const game = engine.viewGame(gameId, alice);
+    expect(game.phase).toBe('WAITING_FOR_PLAYERS');
+    expect(game.community_cards).toEqual(BOARD);
+    expect(game.winner_info).toMatchObject({ pot_amount: 4, type: 'showdown' });
+    expect(game.winner_info.winners).toEqual([
+      expect.objectContaining({ player_name: 'alice', winning_amount: 4, hand_name: 'Pair' }),
+    ]);
+    expect(stackOf(game, 'alice')).toBe(102);
+    expect(stackOf(game, 'bob')).toBe(98);
+    // Hands that went to showdown are shown to everyone
+    expect(game.players[1].cards).toEqual(['KS', 'KH']);
+  });
+
+  test('gives the pot to the last player in when everyone else folds', () => {
+    const { engine, gameId, accounts: [alice] } = setup();
+    engine.startGame(gameId, alice);
+    const game = engine.takeAction(gameId, alice, 'FOLD');
+
+    expect(game.winner_info).toMatchObject({ type: 'fold', winners: [{ player_name: 'bob', winning_amount: 3 }] });
+    expect(stackOf(game, 'bob')).toBe(101);
+  });
+
+  test('hides other players\' hole cards while the hand is on', () => {
+    const { engine, gameId, accounts: [alice] } = setup({ cards: ['AS', 'AH', 'KS', 'KH'] });
+    engine.startGame(gameId, alice);
+
+    expect(engine.viewGame(gameId, alice).players.map(p => p.cards)).toEqual([['AS', 'AH'], []]);
+    expect(engine.viewGame(gameId, null).players.map(p => p.cards)).toEqual([[], []]);
+  });
+});
+
+describe('action validation', () => {
+  const expectError = (fn, status, message) => {
+    expect(fn).toThrow(message);
+    try {
+      fn();
+    } catch (error) {
+      expect(error.status).toBe(status);
+    }
+  };
+
+  test('rejects acting out of turn and illegal actions', () => {
+    const { engine, gameId, accounts: [alice, bob] } = setup();
+    engine.startGame(gameId, alice);
+
+    expectError(() => engine.takeAction(gameId, bob, 'CHECK'), 400, 'It is not your turn');
+    expectError(() => engine.takeAction(gameId, alice, 'CHECK'), 400, 'Cannot check');
+    expectError(() => engine.takeAction(gameId, alice, 'RAISE', 3), 400, 'Minimum raise is 4');
+    expectError(() => engine.takeAction(gameId, alice, 'RAISE', 500), 400, 'Not enough chips');
+  });
+
+  test('accepts an all-in below the minimum raise', () => {
+    const { engine, gameId, accounts: [alice, bob] } = setup({ buyIns: [20, 100] });
+    engine.startGame(gameId, alice);
+    engine.takeAction(gameId, alice, 'RAISE', 10);
+    engine.takeAction(gameId, bob, 'RAISE', 18);
+    const game = engine.takeAction(gameId, alice, 'RAISE', 20);
+    expect(game.current_bet).toBe(20);
+    expect(stackOf(game, 'alice')).toBe(0);
+  });
+});
+
+describe('side pots', () => {
+  test('runs out the board and splits main and side pots when everyone is all in', () => {
+    const { engine, gameId, accounts: [alice, bob, carol] } = setup({
+      names: ['alice', 'bob', 'carol'],
+      buyIns: [20, 100, 100],
+      cards: ['AS', 'AH', 'KS', 'KH', 'QS', 'QH', ...BOARD],
+    });
+    engine.startGame(gameId, alice);
+    engine.takeAction(gameId, alice, 'RAISE', 20);
+    engine.takeAction(gameId, bob, 'RAISE', 100);
+    const game = engine.takeAction(gameId, carol, 'CALL');
+
+    expect(game.community_cards).toEqual(BOARD);
+    expect(game.winner_info.pot_amount).toBe(220);
+    expect([stackOf(game, 'alice'), stackOf(game, 'bob'), stackOf(game, 'carol')]).toEqual([60, 160, 0]);
+  });
+});
+
+describe('bots and the next hand', () => {
+  test('bots check or call until it is the human\'s turn', () => {
+    const { engine, gameId, accounts: [alice] } = setup({ names: ['alice'], bots: 1 });
+    engine.startGame(gameId, alice);
+    const game = engine.takeAction(gameId, alice, 'CALL');
+
+    expect(game.phase).toBe('FLOP');
+    expect(game.current_player.id).toBe(alice.id);
+  });
+
+  test('deals the next hand once the human is ready, moving the button', () => {
+    const { engine, gameId, accounts: [alice] } = setup({ names: ['alice'], bots: 1 });
+    engine.startGame(gameId, alice);
+    let game = engine.takeAction(gameId, alice, 'FOLD');
+    expect(game.phase).toBe('WAITING_FOR_PLAYERS');
+
+    game = engine.setReady(gameId, alice);
+    expect(game).toMatchObject({ hand_count: 2, dealer_position: 1 });
+    // The bot on the button called, so the big blind is on the clock
+    expect(game.current_player.id).toBe(alice.id);
+  });
+});
+
+describe('bot accounts', () => {
+  test('creates a tuned bot and seats it at a table', () => {
+    const { engine, table } = setup({ names: ['alice'] });
+    const bot = engine.createBot({ difficulty: 'ADVANCED', play_style: 'LOOSE_AGGRESSIVE', aggression_factor: 0, bluff_frequency: 0.3 });
+    expect(bot).toMatchObject({ is_bot: true, difficulty: 'ADVANCED', aggression_factor: 0, bluff_frequency: 0.3 });
+    expect(engine.listBots().map(b => b.id)).toEqual([bot.id]);
+
+    const seated = engine.addBot(table.id, 50, { botId: bot.id });
+    expect(seated.bot_id).toBe(bot.id);
+    const game = engine.viewGame(seated.game_id);
+    expect(game.players[1].player.bot_config).toEqual({ id: bot.id, difficulty: 'ADVANCED', play_style: 'LOOSE_AGGRESSIVE' });
+    expect(engine.listBots()).toEqual([]);
+    expect(() => engine.addBot(table.id, 50, { botId: bot.id })).toThrow('already playing');
+    expect(() => engine.addBot(table.id, 50, { botId: 999 })).toThrow('Bot not found');
+
+    engine.removeBot(table.id, bot.id);
+    expect(engine.listBots().map(b => b.id)).toEqual([bot.id]);
+  });
+
+  test('keeps stats for every hand a bot is dealt', () => {
+    const { engine, gameId, accounts: [alice] } = setup({ names: ['alice'], bots: 1, cards: ['AS', 'AH', 'KS', 'KH', ...BOARD] });
+    const botId = engine.viewGame(gameId).players[1].player.id;
+    expect(engine.getBotStats(botId)).toMatchObject({ hands_played: 0, vpip: 0, win_rate: 0 });
+
+    // In the big blind the bot wins alice's small blind without acting
+    engine.startGame(gameId, alice);
+    engine.takeAction(gameId, alice, 'FOLD');
+    // On the button it calls, then loses a checked-down pot to alice's aces
+    let game = engine.setReady(gameId, alice);
+    while (game.phase !== 'WAITING_FOR_PLAYERS') game = engine.takeAction(gameId, alice, 'CHECK');
+
+    expect(engine.getBotStats(botId)).toEqual({
+      bot_id: botId,
+      hands_played: 2,
+      hands_won: 1,
+      vpip: 50,
+      win_rate: 50,
+      net_winnings: -1,
+    });
+  });
+});
+
+describe('cashing out', () => {
+  test('ends the game with a summary once every human has cashed out', () => {
+    const { engine, gameId, accounts: [alice, bob] } = setup();
+    const events = [];
+    engine.subscribe(gameId, event => events.push(event.type));
+
+    expect(engine.cashOut(gameId, alice).game_summary_generated).toBe(false);
+    expect(() => engine.getSummary(gameId)).toThrow('available once the game is over');
+    expect(engine.cashOut(gameId, bob).game_summary_generated).toBe(true);
+
+    const { game_summary: summary } = engine.getSummary(gameId);
+    expect(summary).toMatchObject({ game_id: gameId, table_name: 'Test Table', total_hands: 0 });
+    expect(summary.players).toEqual([
+      { player_name: 'alice', starting_stack: 100, final_stack: 100, win_loss: 0 },
+      { player_name: 'bob', starting_stack: 100, final_stack: 100, win_loss: 0 },
+    ]);
+    expect(engine.viewGame(gameId).status).toBe('FINISHED');
+    expect(events).toContain('summary');
+  });
+
+  test('folds a player who cashes out mid-hand', () => {
+    const { engine, gameId, accounts: [alice, bob] } = setup({ names: ['alice', 'bob', 'carol'] });
+    engine.startGame(gameId, alice);
+    engine.cashOut(gameId, bob);
+
+    const game = engine.viewGame(gameId, alice);
+    const bobSeat = game.players.find(p => p.player.id === bob.id);
+    expect(bobSeat).toMatchObject({ cashed_out: true, is_active: false, stack: 99 });
+    expect(game.current_player.id).toBe(alice.id);
+  });
+});
+
+describe('admin operations', () => {
+  test('resetting a game hands back the chips bet in the current hand', () => {
+    const { engine, gameId, accounts: [alice, bob] } = setup();
+    engine.startGame(gameId, alice);
+    engine.takeAction(gameId, alice, 'RAISE', 10);
+
+    const { game } = engine.resetGameState(gameId);
+    expect(game).toMatchObject({ status: 'PLAYING', phase: 'WAITING_FOR_PLAYERS', pot: 0, current_player: null });
+    expect([stackOf(game, 'alice'), stackOf(game, 'bob')]).toEqual([100, 100]);
+
+    engine.setReady(gameId, alice);
+    expect(engine.setReady(gameId, bob).hand_count).toBe(2);
+  });
+
+  test('deleting a game removes it from the listing', () => {
+    const { engine, gameId } = setup();
+    engine.deleteGame(gameId);
+    expect(engine.listGames(null)).toEqual([]);
+    expect(() => engine.viewGame(gameId)).toThrow('Game not found');
+  });
+});
+
+describe('exportState', () => {
+  test('resumes a game where it left off', () => {
+    const { engine, gameId, accounts: [alice] } = setup();
+    engine.startGame(gameId, alice);
+
+    const restored = createMockEngine({ state: JSON.parse(JSON.stringify(engine.exportState())) });
+    expect(restored.viewGame(gameId, alice)).toEqual(engine.viewGame(gameId, alice));
+    expect(restored.takeAction(gameId, alice, 'CALL').phase).toBe('PREFLOP');
+  });
+});
@@ -0,0 +1,159 @@
+// src/mocks/mockServer.js
+//
+// The REST side of the mock backend: maps API routes onto the mock engine.
+// Requests use the same paths as the real API (relative to /api) and answer
+// with the same status codes and { error } bodies the components read.
+//
+// Tokens are derived from the username, so they stay valid across page
+// reloads and any username/password pair logs in.
+
+import { mockError } from "./mockEngine";
+
+const ACCESS_PREFIX = "mock-access:";
+const REFRESH_PREFIX = "mock-refresh:";
+
+const issueTokens = (username) => ({
+  access: `${ACCESS_PREFIX}${encodeURIComponent(username)}`,
+  refresh: `${REFRESH_PREFIX}${encodeURIComponent(username)}`,
+});
+
+/**
+ * Username encoded in a mock token, or null if it isn't one.
+ *
+ * @param {string|null} token
+ * @param {string} [prefix] - Token kind, access by default
+ * @returns {string|null}
+ */
+export const getTokenUsername = (token, prefix = ACCESS_PREFIX) => {
+  if (!token || !token.startsWith(prefix)) return null;
+  return decodeURIComponent(token.slice(prefix.length)) || null;
+};
+
+// "/games/:id/action/" -> a regex with one capture group per parameter
+const compileRoute = (pattern) =>
+  new RegExp(`^${pattern.replace(/:\w+/g, "([^/]+)")}$`);
+
+/**
+ * Create the route handler for a mock engine.
+ *
+ * @param {Object} engine - From createMockEngine
+ * @returns {{handleRequest: Function, getAccountForToken: Function}}
+ *   handleRequest({ method, path, body, token }) resolves to { status, data }
+ */
+export const createMockServer = (engine) => {
+  const getAccountForToken = (token) => {
+    const username = getTokenUsername(token);
+    return username ? engine.getAccount(username) : null;
+  };
+
+  const login = ({ body }) => {
+    const { username, password } = body;
+    if (!username || !password) throw mockError(400, "Username and password are required");
+    engine.getAccount(username);
+    return issueTokens(username);
+  };
+
+  const refresh = ({ body }) => {
+    const username = getTokenUsername(body.refresh, REFRESH_PREFIX);
+    if (!username) throw mockError(401, "Token is invalid or expired");
+    return { access: issueTokens(username).access };
+  };
+
+  const register = ({ body }) => {
+    if (!body.username || !body.password) throw mockError(400, "Username and password are required");
+    if (engine.findAccount(body.username)) throw mockError(400, "A user with that username already exists");
+    const account = engine.getAccount(body.username);
+    return [201, { id: account.user.id, username: body.username, email: body.email || "" }];
+  };
+
+  // [method, path, handler, options]; handlers get { params, body, account }
+  // and return data, or [status, data] for anything other than 200. Options:
+  // public routes need no token, admin routes need a staff account.
+  const routes = [
+    ["POST", "/token/", login, { public: true }],
+    ["POST", "/token/refresh/", refresh, { public: true }],
+    ["POST", "/register/", register, { public: true }],
+
+    ["GET", "/players/me/", ({ account }) => account],
+    ["GET", "/players/match_history/", () => ({ match_history: [] })],
+
+    ["GET", "/tables/", () => engine.listTables()],
+    ["POST", "/tables/", ({ body }) => [201, engine.createTable(body)]],
+    ["DELETE", "/tables/delete_all/", () => engine.deleteAllTables(), { admin: true }],
+    ["GET", "/tables/:id/", ({ params }) => engine.getTable(params[0])],
+    ["DELETE", "/tables/:id/", ({ params }) => [204, engine.deleteTable(params[0])]],
+    ["POST", "/tables/:id/join_table/", ({ params, body, account }) =>
+      engine.joinTable(params[0], account, body.buy_in)],
+    ["POST", "/tables/:id/add-bot/", ({ params, body }) => [201, engine.addBot(params[0], body.buy_in, {
+      botId: body.bot_id,
+      difficulty: body.difficulty,
+      play_style: body.play_style,
+    })]],
+    ["DELETE", "/tables/:id/remove-bot/:botId/", ({ params }) => [204, engine.removeBot(params[0], params[1])]],
+
+    ["GET", "/games/", ({ account }) => engine.listGames(account)],
+    ["GET", "/games/:id/", ({ params, account }) => engine.viewGame(params[0], account)],
+    ["POST", "/games/:id/start/", ({ params, account }) => engine.startGame(params[0], account)],
+    ["POST", "/games/:id/action/", ({ params, body, account }) =>
+      engine.takeAction(params[0], account, body.action_type, body.amount)],
+    ["POST", "/games/:id/ready/", ({ params, account }) => engine.setReady(params[0], account)],
+    ["POST", "/games/:id/cash_out/", ({ params, account }) => engine.cashOut(params[0], account)],
+    ["POST", "/games/:id/buy_back_in/", ({ params, body, account }) =>
+      engine.buyBackIn(params[0], account, body.amount)],
+    ["POST", "/games/:id/leave/", ({ params, account }) => engine.leaveGame(params[0], account)],
+    ["GET", "/games/:id/summary/", ({ params }) => engine.getSummary(params[0])],
+    ["GET", "/games/:id/hand-history/", () => ({ hands: [] })],
+    ["DELETE", "/games/:id/", ({ params }) => [204, engine.deleteGame(params[0])], { admin: true }],
+    ["POST", "/games/:id/reset_game_state/", ({ params }) => engine.resetGameState(params[0])],
+
+    ["GET", "/bots/", () => engine.listBots()],
+    ["POST", "/bots/create/", ({ body }) => [201, engine.createBot(body)]],
+    ["GET", "/bots/:id/stats/", ({ params }) => engine.getBotStats(params[0])],
+    ["DELETE", "/bots/:id/", ({ params }) => [204, engine.deleteBot(params[0])], { admin: true }],
+  ].map(([method, pattern, handler, options = {}]) => ({
+    method,
+    regex: compileRoute(pattern),
+    handler,
+    ...options,
+  }));
+
+  /**
+   * Answer one API request.
+   *
+   * @param {Object} request
+   * @param {string} request.method - HTTP method
+   * @param {string} request.path - Path relative to /api, e.g. "/games/3/"
+   * @param {Object} [request.body] - Parsed JSON body
+   * @param {string|null} [request.token] - Bearer token
+   * @returns {Promise<{status: number, data: *}>}
+   */
+  const handleRequest = async ({ method, path, body = {}, token = null }) => {
+    const normalized = path.endsWith("/") ? path : `${path}/`;
+    const upperMethod = method.toUpperCase();
+    const candidates = routes.filter((route) => route.regex.test(normalized));
+    if (candidates.length === 0) return { status: 404, data: { error: `No mock for ${normalized}` } };
+
+    const route = candidates.find((candidate) => candidate.method === upperMethod);
+    if (!route) return { status: 405, data: { error: `Method ${upperMethod} not allowed` } };
+
+    const account = getAccountForToken(token);
+    if (!route.public && !account) {
+      return { status: 401, data: { detail: "Authentication credentials were not provided." } };
+    }
+    if (route.admin && !account.user.is_staff) {
+      return { status: 403, data: { error: "Only admins can do that" } };
+    }
+
+    try {
+      const params = normalized.match(route.regex).slice(1);
+      const result = route.handler({ params, body: body || {}, account });
+      const [status, data] = Array.isArray(result) && typeof result[0] === "number" ? result : [200, result];
+      return { status, data: data === undefined ? null : data };
+    } catch (error) {
+      if (!error.status) throw error;
+      return { status: error.status, data: { error: error.message } };
+    }
+  };
+
+  return { handleRequest, getAccountForToken };
+};
@@ -0,0 +1,143 @@
+import { createMockEngine } from './mockEngine';
+import { createMockServer, getTokenUsername } from './mockServer';
+
+const setup = () => {
+  const engine = createMockEngine({ seed: 7 });
+  return createMockServer(engine);
+};
+
+const login = async (server, username) => {
+  const { data } = await server.handleRequest({ method: 'post', path: '/token/', body: { username, password: 'secret' } });
+  return data.access;
+};
+
+describe('auth', () => {
+  test('issues tokens for any username and resolves them to the same account', async () => {
+    const server = setup();
+    const token = await login(server, 'alice');
+    expect(getTokenUsername(token)).toBe('alice');
+
+    const { status, data } = await server.handleRequest({ method: 'get', path: '/players/me/', token });
+    expect(status).toBe(200);
+    expect(data.user).toMatchObject({ username: 'alice', is_staff: false });
+  });
+
+  test('refuses protected routes without a token', async () => {
+    const { status } = await setup().handleRequest({ method: 'get', path: '/tables/' });
+    expect(status).toBe(401);
+  });
+
+  test('refreshes an access token', async () => {
+    const server = setup();
+    const { data: tokens } = await server.handleRequest({ method: 'post', path: '/token/', body: { username: 'bob', password: 'x' } });
+    const { data } = await server.handleRequest({ method: 'post', path: '/token/refresh/', body: { refresh: tokens.refresh } });
+    expect(data.access).toBe(tokens.access);
+  });
+});
+
+describe('routes', () => {
+  test('joins a table and plays through the game endpoints', async () => {
+    const server = setup();
+    const alice = await login(server, 'alice');
+    const bob = await login(server, 'bob');
+
+    const { data: tables } = await server.handleRequest({ method: 'get', path: '/tables/', token: alice });
+    const tableId = tables[0].id;
+    const { data: joined } = await server.handleRequest({ method: 'post', path: `/tables/${tableId}/join_table/`, body: { buy_in: 100 }, token: alice });
+    await server.handleRequest({ method: 'post', path: `/tables/${tableId}/join_table/`, body: { buy_in: 100 }, token: bob });
+
+    const start = await server.handleRequest({ method: 'post', path: `/games/${joined.id}/start/`, token: alice });
+    expect(start.data.phase).toBe('PREFLOP');
+
+    const action = await server.handleRequest({
+      method: 'post',
+      path: `/games/${joined.id}/action/`,
+      body: { action_type: 'FOLD', amount: 0 },
+      token: alice,
+    });
+    expect(action.data.winner_info.type).toBe('fold');
+
+    const { data: game } = await server.handleRequest({ method: 'get', path: `/games/${joined.id}`, token: bob });
+    expect(game.phase).toBe('WAITING_FOR_PLAYERS');
+  });
+
+  test('answers engine errors with their status and an error message', async () => {
+    const server = setup();
+    const token = await login(server, 'alice');
+
+    expect(await server.handleRequest({ method: 'get', path: '/games/999/', token }))
+      .toEqual({ status: 404, data: { error: 'Game not found' } });
+    expect(await server.handleRequest({ method: 'post', path: '/tables/', body: { name: '' }, token }))
+      .toEqual({ status: 400, data: { error: 'Table name is required' } });
+    expect((await server.handleRequest({ method: 'get', path: '/nowhere/', token })).status).toBe(404);
+    expect((await server.handleRequest({ method: 'put', path: '/tables/', token })).status).toBe(405);
+  });
+
+  test('serves the summary only once the game is over', async () => {
+    const server = setup();
+    const token = await login(server, 'alice');
+    const { data: tables } = await server.handleRequest({ method: 'get', path: '/tables/', token });
+    const { data: game } = await server.handleRequest({ method: 'post', path: `/tables/${tables[0].id}/join_table/`, body: { buy_in: 100 }, token });
+
+    expect((await server.handleRequest({ method: 'get', path: `/games/${game.id}/summary/`, token })).status).toBe(404);
+    await server.handleRequest({ method: 'post', path: `/games/${game.id}/cash_out/`, token });
+    const { status, data } = await server.handleRequest({ method: 'get', path: `/games/${game.id}/summary/`, token });
+    expect(status).toBe(200);
+    expect(data.game_summary.players).toHaveLength(1);
+  });
+
+  test('keeps admin operations to staff accounts', async () => {
+    const server = setup();
+    const alice = await login(server, 'alice');
+    const admin = await login(server, 'admin');
+
+    expect(await server.handleRequest({ method: 'delete', path: '/tables/delete_all/', token: alice }))
+      .toEqual({ status: 403, data: { error: 'Only admins can do that' } });
+
+    const { status, data } = await server.handleRequest({ method: 'delete', path: '/tables/delete_all/', token: admin });
+    expect(status).toBe(200);
+    expect(data.message).toMatch(/^Deleted \d+ tables$/);
+    expect((await server.handleRequest({ method: 'get', path: '/tables/', token: admin })).data).toEqual([]);
+  });
+
+  test('lists and deletes bots that are not seated', async () => {
+    const server = setup();
+    const admin = await login(server, 'admin');
+    const { data: tables } = await server.handleRequest({ method: 'get', path: '/tables/', token: admin });
+    const { data: added } = await server.handleRequest({ method: 'post', path: `/tables/${tables[0].id}/add-bot/`, body: {}, token: admin });
+
+    expect((await server.handleRequest({ method: 'get', path: '/bots/', token: admin })).data).toEqual([]);
+    expect((await server.handleRequest({ method: 'delete', path: `/bots/${added.bot_id}/`, token: admin })).status).toBe(400);
+
+    await server.handleRequest({ method: 'delete', path: `/tables/${tables[0].id}/remove-bot/${added.bot_id}/`, token: admin });
+    const { data: bots } = await server.handleRequest({ method: 'get', path: '/bots/', token: admin });
+    expect(bots.map(bot => bot.id)).toEqual([added.bot_id]);
+    expect((await server.handleRequest({ method: 'delete', path: `/bots/${added.bot_id}/`, token: admin })).status).toBe(204);
+  });
+
+  test('creates a bot, seats it by id and reports its stats', async () => {
+    const server = setup();
+    const token = await login(server, 'alice');
+    const { data: tables } = await server.handleRequest({ method: 'get', path: '/tables/', token });
+    const created = await server.handleRequest({
+      method: 'post',
+      path: '/bots/create/',
+      body: { difficulty: 'INTERMEDIATE', play_style: 'TIGHT_PASSIVE', aggression_factor: 0.2, bluff_frequency: 0 },
+      token,
+    });
+    expect(created.status).toBe(201);
+    expect(created.data).toMatchObject({ difficulty: 'INTERMEDIATE', play_style: 'TIGHT_PASSIVE', bluff_frequency: 0 });
+
+    const seated = await server.handleRequest({
+      method: 'post',
+      path: `/tables/${tables[0].id}/add-bot/`,
+      body: { bot_id: created.data.id, buy_in: tables[0].min_buy_in },
+      token,
+    });
+    expect(seated.data.bot_id).toBe(created.data.id);
+
+    const { data: stats } = await server.handleRequest({ method: 'get', path: `/bots/${created.data.id}/stats/`, token });
+    expect(stats).toEqual({ bot_id: created.data.id, hands_played: 0, hands_won: 0, vpip: 0, win_rate: 0, net_winnings: 0 });
+    expect((await server.handleRequest({ method: 'get', path: '/bots/999/stats/', token })).status).toBe(404);
+  });
+});
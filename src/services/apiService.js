@@ -2,6 +2,8 @@
 // It uses axios for HTTP requests and handles token management for authentication.
 // It also includes a WebSocket connection for real-time game updates.
 import axios from "axios";
+import { createSocketManager, SOCKET_STATUS } from "./socketManager";
+import { createTokenManager, TOKEN_EVENTS } from "./tokenManager";
 
 // Use production URLs directly since Railway environment variables aren't working
 const API_URL = process.env.REACT_APP_API_URL || "https://poker-backend-production-da44.up.railway.app/api";
@@ -20,10 +22,34 @@ const apiClient = axios.create({
   },
 });
 
-// Add request interceptor to attach auth token
+// Game socket class of the in-browser mock backend, once installed
+let mockWebSocket = null;
+
+/**
+ * Serve every request and game socket from the in-browser mock backend,
+ * including the components that call axios directly. src/index.js loads the
+ * mocks and calls this before rendering when REACT_APP_USE_MOCKS=true.
+ *
+ * @param {{adapter: Function, WebSocket: Function}} backend - From getMockBackend
+ */
+export const installMockBackend = ({ adapter, WebSocket }) => {
+  axios.defaults.adapter = adapter;
+  apiClient.defaults.adapter = adapter;
+  mockWebSocket = WebSocket;
+};
+
+// Shared by the API client, the game socket and the app's session sync
+export const tokenManager = createTokenManager({
+  refreshRequest: (refresh) =>
+    axios.post(`${API_URL}/token/refresh/`, { refresh }).then((response) => response.data),
+});
+tokenManager.start();
+
+// Add request interceptor to attach auth token, refreshing it first when it
+// is about to expire
 apiClient.interceptors.request.use(
-  (config) => {
-    const token = localStorage.getItem("accessToken");
+  async (config) => {
+    const token = await tokenManager.getValidAccessToken();
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -34,33 +60,22 @@ apiClient.interceptors.request.use(
   }
 );
 
-// Handle token refresh if access token expires
+// Handle token refresh if access token expires anyway. Concurrent 401s wait
+// on the same refresh; if the refresh token is rejected the token manager
+// ends the session. Network errors have no response and pass straight through.
 apiClient.interceptors.response.use(
   (response) => response,
   async (error) => {
     const originalRequest = error.config;
 
-    if (error.response.status === 401 && !originalRequest._retry) {
+    if (error.response?.status === 401 && originalRequest && !originalRequest._retry) {
       originalRequest._retry = true;
 
-      try {
-        const refreshToken = localStorage.getItem("refreshToken");
-        const response = await axios.post(`${API_URL}/token/refresh/`, {
-          refresh: refreshToken,
-        });
-
-        localStorage.setItem("accessToken", response.data.access);
-
-        // Retry original request with new token
-        originalRequest.headers.Authorization = `Bearer ${response.data.access}`;
-        return apiClient(originalRequest);
-      } catch (refreshError) {
-        // If refresh fails, logout
-        localStorage.removeItem("accessToken");
-        localStorage.removeItem("refreshToken");
-        window.location.href = "/login";
-        return Promise.reject(refreshError);
-      }
+      const access = await tokenManager.refresh();
+
+      // Retry original request with new token
+      originalRequest.headers.Authorization = `Bearer ${access}`;
+      return apiClient(originalRequest);
     }
 
     return Promise.reject(error);
@@ -68,42 +83,43 @@ apiClient.interceptors.response.use(
 );
 
 const authService = {
+  ROLES: { PLAYER: "player", ADMIN: "admin" },
+
   // Authenticate user with username and password
   login: async (username, password) => {
     const response = await axios.post(`${API_URL}/token/`, {
       username,
       password,
     });
-    localStorage.setItem("accessToken", response.data.access);
-    localStorage.setItem("refreshToken", response.data.refresh);
+    tokenManager.setTokens(response.data);
     return response.data;
   },
 
   // Log out user by removing stored tokens
   logout: () => {
-    localStorage.removeItem("accessToken");
-    localStorage.removeItem("refreshToken");
+    tokenManager.clearTokens();
   },
 
   // Check if user is currently authenticated
   isAuthenticated: () => {
-    return !!localStorage.getItem("accessToken");
+    return !!tokenManager.getAccessToken();
   },
   
-  // Check if current user has admin privileges
-  isAdmin: () => {
-    try {
-      const userStr = localStorage.getItem("user");
-      if (userStr) {
-        const user = JSON.parse(userStr);
-        return user.is_superuser || user.is_staff || user.username === 'admin';
-      }
-      return false;
-    } catch (e) {
-      return false;
-    }
+  // Roles the current user holds, from the profile saved at login. Every
+  // signed-in user is a player; staff and superusers are also admins.
+  getRoles: () => {
+    const user = authService.isAuthenticated() ? authService.getCurrentUser() : null;
+    if (!user) return [];
+    const roles = [authService.ROLES.PLAYER];
+    if (user.is_superuser || user.is_staff) roles.push(authService.ROLES.ADMIN);
+    return roles;
   },
 
+  hasRole: (role) => authService.getRoles().includes(role),
+
+  // Check if current user has admin privileges
+  isAdmin: () => authService.hasRole(authService.ROLES.ADMIN),
+
   // Get current user information
   getCurrentUser: () => {
     try {
@@ -144,6 +160,9 @@ const tableService = {
 
 // Updated sections for src/services/apiService.js
 
+// Game socket close code 4001
+const AUTH_FAILED_MESSAGE = "Authentication failed";
+
 const gameService = {
   // Get all games
   getGames: () => apiClient.get(`/games/`),
@@ -174,83 +193,73 @@ const gameService = {
   deleteGame: (id) => apiClient.delete(`/games/${id}/`),
 
   // Connect to WebSocket for real-time game updates
+  // Returns a socket manager that reconnects with exponential backoff and
+  // detects dead connections with a ping/pong heartbeat. The token is read
+  // on every attempt so reconnects pick up a refreshed one.
   connectToGameSocket: (
     gameId,
-    onMessageCallback,
-    onErrorCallback = null,
-    onCloseCallback = null
+    { onMessage, onStatusChange = null, onError = null, options = {} }
   ) => {
-    const token = localStorage.getItem("accessToken");
-
-    if (!token) {
-      console.error("No access token found for WebSocket connection");
-      if (onErrorCallback) onErrorCallback("No authentication token");
-      return null;
-    }
-
-    // Construct WebSocket URL
     const wsBaseUrl = process.env.REACT_APP_WS_URL || "wss://poker-backend-production-da44.up.railway.app/ws";
-    const wsUrl = `${wsBaseUrl}/game/${gameId}/?token=${token}`;
 
-    try {
-      const socket = new WebSocket(wsUrl);
-
-      // Handle successful WebSocket connection
-      socket.onopen = (event) => {
-      };
-
-      // Handle incoming WebSocket messages
-      socket.onmessage = (event) => {
-        try {
-          const data = JSON.parse(event.data);
-          onMessageCallback(data);
-        } catch (error) {
-          console.error("Error parsing WebSocket message:", error);
-          if (onErrorCallback) onErrorCallback("Failed to parse message");
+    let refreshingAfterAuthFailure = false;
+
+    const manager = createSocketManager({
+      getUrl: () => {
+        const token = tokenManager.getAccessToken();
+        if (!token) {
+          console.error("No access token found for WebSocket connection");
+          return null;
         }
-      };
-
-      // Handle WebSocket errors
-      socket.onerror = (error) => {
-        console.error("WebSocket error:", error);
-        if (onErrorCallback) onErrorCallback("WebSocket connection error");
-      };
-
-      // Handle WebSocket connection close
-      socket.onclose = (event) => {
-
-        // Handle different close codes
-        switch (event.code) {
-          case 4001:
-            console.error("WebSocket closed: Authentication failed");
-            if (onErrorCallback) onErrorCallback("Authentication failed");
-            break;
-          case 4003:
-            console.error("WebSocket closed: Permission denied");
-            if (onErrorCallback) onErrorCallback("Permission denied");
-            break;
-          case 4004:
-            console.error("WebSocket closed: Game not found");
-            if (onErrorCallback) onErrorCallback("Game not found");
-            break;
-          case 1006:
-            console.error("WebSocket closed: Connection lost");
-            if (onErrorCallback) onErrorCallback("Connection lost");
-            break;
-          default:
-            break;
+        return `${wsBaseUrl}/game/${gameId}/?token=${token}`;
+      },
+      onMessage,
+      onStatusChange: (status) => {
+        if (status === SOCKET_STATUS.CONNECTED) refreshingAfterAuthFailure = false;
+        if (onStatusChange) onStatusChange(status);
+      },
+      // The socket was turned away with an expired token: refresh it once
+      // and reconnect before telling the caller
+      onError: (message) => {
+        if (message === AUTH_FAILED_MESSAGE && !refreshingAfterAuthFailure && tokenManager.getRefreshToken()) {
+          refreshingAfterAuthFailure = true;
+          tokenManager.refresh().then(
+            () => manager.reconnect(),
+            () => onError && onError(message)
+          );
+          return;
         }
+        if (onError) onError(message);
+      },
+      WebSocketImpl: mockWebSocket,
+      options: {
+        fatalCloseCodes: {
+          4001: AUTH_FAILED_MESSAGE,
+          4003: "Permission denied",
+          4004: "Game not found",
+        },
+        ...options,
+      },
+    });
 
-        if (onCloseCallback) onCloseCallback(event);
-      };
+    // The socket only authenticates on connect, so a live connection is left
+    // alone; one that is down or retrying comes back with the new token
+    const unsubscribe = tokenManager.subscribe((event) => {
+      if (event !== TOKEN_EVENTS.REFRESHED && event !== TOKEN_EVENTS.LOGIN) return;
+      const status = manager.getStatus();
+      if (status === SOCKET_STATUS.FAILED || status === SOCKET_STATUS.RECONNECTING) {
+        manager.reconnect();
+      }
+    });
 
-      return socket;
-    } catch (error) {
-      console.error("Error creating WebSocket:", error);
-      if (onErrorCallback)
-        onErrorCallback("Failed to create WebSocket connection");
-      return null;
-    }
+    manager.connect();
+    return {
+      ...manager,
+      close: () => {
+        unsubscribe();
+        manager.close();
+      },
+    };
   },
 
   // Check if WebSocket is supported by the browser
@@ -302,16 +311,23 @@ const botService = {
   removeBotFromTable: (tableId, botId) =>
     apiClient.delete(`/tables/${tableId}/remove-bot/${botId}/`),
   
+  // Seat an existing idle bot at a table
+  seatBot: (tableId, botId, buyIn) =>
+    apiClient.post(`/tables/${tableId}/add-bot/`, {
+      bot_id: botId,
+      buy_in: buyIn
+    }),
+  
   // List all available bots not currently in games
   listAvailableBots: () => apiClient.get(`/bots/`),
   
   // Create a new bot player
   createBot: (config = {}) => {
     const botConfig = {
-      difficulty: config.difficulty || 'BASIC',
-      play_style: config.playStyle || 'TIGHT_AGGRESSIVE',
-      aggression_factor: config.aggressionFactor || 0.5,
-      bluff_frequency: config.bluffFrequency || 0.1
+      difficulty: config.difficulty ?? 'BASIC',
+      play_style: config.playStyle ?? 'TIGHT_AGGRESSIVE',
+      aggression_factor: config.aggressionFactor ?? 0.5,
+      bluff_frequency: config.bluffFrequency ?? 0.1
     };
     return apiClient.post(`/bots/create/`, botConfig);
   },
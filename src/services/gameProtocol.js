@@ -0,0 +1,189 @@
+// src/services/gameProtocol.js
+//
+// The game WebSocket message protocol. Every frame is checked against a
+// small schema before anything reaches game state, so a malformed payload is
+// dropped (and reported) instead of being merged into the table.
+//
+// Version 1 frames are envelopes: { type, version: 1, data: {...} }.
+// Frames without a version are the older flat format: the fields sit next
+// to `type`, and a bare game object with no type at all is a snapshot.
+
+export const PROTOCOL_VERSION = 1;
+
+export const MESSAGE_TYPES = {
+  SNAPSHOT: "snapshot",                   // Full game state
+  DELTA: "delta",                         // Changed game fields within a hand
+  ACTION: "action",                       // A player acted
+  HAND_RESULT: "hand_result",             // Winners of the hand just finished
+  SUMMARY_AVAILABLE: "summary_available", // Game over, summary page is ready
+  ERROR: "error",                         // Server-side error for this client
+  CHAT: "chat_message",                   // Table chat
+  SPECTATOR_COUNT: "spectator_count",     // People watching the table
+};
+
+// Older names still sent by the backend
+const TYPE_ALIASES = {
+  game_summary_available: MESSAGE_TYPES.SUMMARY_AVAILABLE,
+  game_update: MESSAGE_TYPES.SNAPSHOT,
+};
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+const isString = (value) => typeof value === "string";
+const isNumberLike = (value) =>
+  (typeof value === "number" && Number.isFinite(value)) ||
+  (typeof value === "string" && value.trim() !== "" && Number.isFinite(Number(value)));
+const optional = (check) => (value) => value === undefined || value === null || check(value);
+const arrayOf = (check) => (value) => Array.isArray(value) && value.every(check);
+
+const isPlayer = (player) => isObject(player) && player.id !== undefined && isObject(player.player);
+
+// Game fields that the table reads; anything else is passed through as is
+const GAME_FIELDS = {
+  id: optional((value) => isString(value) || isNumberLike(value)),
+  status: optional(isString),
+  phase: optional(isString),
+  hand_count: optional(isNumberLike),
+  pot: optional(isNumberLike),
+  current_bet: optional(isNumberLike),
+  dealer_position: optional(isNumberLike),
+  players: optional(arrayOf(isPlayer)),
+  community_cards: optional(arrayOf(isString)),
+  current_player: optional(isObject),
+  winner_info: optional((value) => isObject(value) || isString(value)),
+};
+
+const checkFields = (value, schema) => {
+  if (!isObject(value)) return "expected an object";
+  const bad = Object.keys(schema).find((field) => !schema[field](value[field]));
+  return bad ? `invalid ${bad}` : null;
+};
+
+const requireFields = (...fields) => (value) => {
+  const missing = fields.find((field) => value[field] === undefined || value[field] === null);
+  return missing ? `missing ${missing}` : null;
+};
+
+const all = (...checks) => (value) => {
+  for (const check of checks) {
+    const problem = check(value);
+    if (problem) return problem;
+  }
+  return null;
+};
+
+// One validator per type; each returns a problem description or null
+const VALIDATORS = {
+  [MESSAGE_TYPES.SNAPSHOT]: (payload) => all(
+    (value) => checkFields(value, GAME_FIELDS),
+    requireFields("id", "status", "players")
+  )(payload.game),
+  [MESSAGE_TYPES.DELTA]: (payload) => all(
+    (value) => checkFields(value, GAME_FIELDS),
+    requireFields("hand_count")
+  )(payload.changes),
+  [MESSAGE_TYPES.ACTION]: (payload) => checkFields(payload, {
+    player: (value) => isString(value) || isNumberLike(value),
+    action_type: isString,
+    amount: optional(isNumberLike),
+  }),
+  [MESSAGE_TYPES.HAND_RESULT]: (payload) => checkFields(payload, {
+    hand_count: isNumberLike,
+    winner_info: (value) => isObject(value) || isString(value),
+  }),
+  [MESSAGE_TYPES.SUMMARY_AVAILABLE]: () => null,
+  [MESSAGE_TYPES.ERROR]: (payload) => checkFields(payload, {
+    message: isString,
+    code: optional((value) => isString(value) || isNumberLike(value)),
+  }),
+  [MESSAGE_TYPES.CHAT]: (payload) => checkFields(payload, {
+    message: isString,
+    username: optional(isString),
+  }),
+  [MESSAGE_TYPES.SPECTATOR_COUNT]: (payload) => checkFields(payload, {
+    count: (value) => isNumberLike(value) && Number(value) >= 0,
+  }),
+};
+
+// Flat (unversioned) frames keep their fields beside `type`; snapshots and
+// deltas carry the game itself
+const getPayload = (frame, type, versioned) => {
+  if (versioned) return isObject(frame.data) ? frame.data : {};
+
+  const { type: ignored, ...fields } = frame;
+  if (type === MESSAGE_TYPES.SNAPSHOT) return { game: isObject(frame.game) ? frame.game : fields };
+  if (type === MESSAGE_TYPES.DELTA) return { changes: isObject(frame.changes) ? frame.changes : fields };
+  return fields;
+};
+
+/**
+ * Validate one parsed frame.
+ *
+ * @param {*} frame - JSON-parsed WebSocket message
+ * @returns {{ok: true, message: {type: string, version: number, payload: Object}}
+ *   |{ok: false, reason: string, type: string|null, unknown: boolean}}
+ */
+export const parseMessage = (frame) => {
+  if (!isObject(frame)) {
+    return { ok: false, reason: "frame is not an object", type: null, unknown: false };
+  }
+
+  const versioned = frame.version !== undefined;
+  if (versioned && frame.version !== PROTOCOL_VERSION) {
+    return { ok: false, reason: `unsupported protocol version ${frame.version}`, type: frame.type ?? null, unknown: false };
+  }
+
+  // A bare game object from the original protocol
+  const rawType = frame.type ?? (!versioned && frame.players ? MESSAGE_TYPES.SNAPSHOT : null);
+  const type = TYPE_ALIASES[rawType] || rawType;
+  if (!VALIDATORS[type]) {
+    return { ok: false, reason: `unknown message type ${rawType}`, type: rawType, unknown: true };
+  }
+
+  const payload = getPayload(frame, type, versioned);
+  const problem = VALIDATORS[type](payload);
+  if (problem) {
+    return { ok: false, reason: `${type}: ${problem}`, type, unknown: false };
+  }
+
+  return { ok: true, message: { type, version: versioned ? frame.version : 0, payload } };
+};
+
+/**
+ * Route validated frames to subscribers by type.
+ *
+ * @param {Object} [handlers]
+ * @param {Function} [handlers.onInvalid] - Called with (reason, frame) for rejected frames
+ * @param {Function} [handlers.onUnknown] - Called with (type, frame) for unrecognised types
+ * @returns {{subscribe: Function, dispatch: Function}}
+ *   subscribe(type, handler) returns an unsubscribe function; handlers get
+ *   the payload and the whole message. dispatch(frame) returns whether the
+ *   frame was valid.
+ */
+export const createMessageDispatcher = ({ onInvalid, onUnknown } = {}) => {
+  const subscribers = {};
+
+  return {
+    subscribe: (type, handler) => {
+      subscribers[type] = [...(subscribers[type] || []), handler];
+      return () => {
+        subscribers[type] = (subscribers[type] || []).filter((existing) => existing !== handler);
+      };
+    },
+
+    dispatch: (frame) => {
+      const result = parseMessage(frame);
+      if (!result.ok) {
+        if (result.unknown) {
+          if (onUnknown) onUnknown(result.type, frame);
+        } else if (onInvalid) {
+          onInvalid(result.reason, frame);
+        }
+        return false;
+      }
+
+      const { message } = result;
+      (subscribers[message.type] || []).forEach((handler) => handler(message.payload, message));
+      return true;
+    },
+  };
+};
@@ -0,0 +1,92 @@
+import { parseMessage, createMessageDispatcher, MESSAGE_TYPES, PROTOCOL_VERSION } from './gameProtocol';
+
+const game = {
+  id: 7,
+  status: 'PLAYING',
+  phase: 'FLOP',
+  hand_count: 3,
+  pot: '45.00',
+  players: [{ id: 1, player: { user: { username: 'alice' } } }],
+};
+
+describe('parseMessage', () => {
+  test('accepts versioned envelopes', () => {
+    const result = parseMessage({ type: 'snapshot', version: PROTOCOL_VERSION, data: { game } });
+    expect(result).toEqual({ ok: true, message: { type: MESSAGE_TYPES.SNAPSHOT, version: 1, payload: { game } } });
+  });
+
+  test('treats a bare game object as a snapshot', () => {
+    const result = parseMessage(game);
+    expect(result.ok).toBe(true);
+    expect(result.message.type).toBe(MESSAGE_TYPES.SNAPSHOT);
+    expect(result.message.payload.game).toEqual(game);
+  });
+
+  test('maps older type names and reads flat fields', () => {
+    expect(parseMessage({ type: 'game_summary_available' }).message.type).toBe(MESSAGE_TYPES.SUMMARY_AVAILABLE);
+    expect(parseMessage({ type: 'chat_message', message: 'hi', username: 'bob' }).message.payload)
+      .toEqual({ message: 'hi', username: 'bob' });
+    expect(parseMessage({ type: 'delta', hand_count: 3, pot: 60 }).message.payload)
+      .toEqual({ changes: { hand_count: 3, pot: 60 } });
+  });
+
+  test('rejects malformed payloads', () => {
+    expect(parseMessage({ ...game, players: 'nope' })).toMatchObject({ ok: false, reason: 'snapshot: invalid players' });
+    expect(parseMessage({ type: 'snapshot', version: 1, data: { game: { id: 7, players: [] } } }))
+      .toMatchObject({ ok: false, reason: 'snapshot: missing status' });
+    expect(parseMessage({ type: 'delta', version: 1, data: { changes: { pot: 'lots', hand_count: 3 } } }))
+      .toMatchObject({ ok: false, reason: 'delta: invalid pot' });
+    expect(parseMessage({ type: 'spectator_count', count: -1 })).toMatchObject({ ok: false });
+    expect(parseMessage('hello')).toMatchObject({ ok: false, unknown: false });
+  });
+
+  test('rejects other protocol versions', () => {
+    expect(parseMessage({ type: 'snapshot', version: 2, data: { game } }))
+      .toMatchObject({ ok: false, reason: 'unsupported protocol version 2' });
+  });
+
+  test('flags unknown types separately', () => {
+    expect(parseMessage({ type: 'confetti' })).toMatchObject({ ok: false, unknown: true, type: 'confetti' });
+  });
+});
+
+describe('createMessageDispatcher', () => {
+  test('delivers valid frames to subscribers of their type', () => {
+    const dispatcher = createMessageDispatcher();
+    const onChat = jest.fn();
+    const onSnapshot = jest.fn();
+    dispatcher.subscribe(MESSAGE_TYPES.CHAT, onChat);
+    dispatcher.subscribe(MESSAGE_TYPES.SNAPSHOT, onSnapshot);
+
+    expect(dispatcher.dispatch({ type: 'chat_message', message: 'gg' })).toBe(true);
+
+    expect(onChat).toHaveBeenCalledWith({ message: 'gg' }, expect.objectContaining({ type: 'chat_message' }));
+    expect(onSnapshot).not.toHaveBeenCalled();
+  });
+
+  test('stops delivering after unsubscribe', () => {
+    const dispatcher = createMessageDispatcher();
+    const handler = jest.fn();
+    const unsubscribe = dispatcher.subscribe(MESSAGE_TYPES.SUMMARY_AVAILABLE, handler);
+
+    unsubscribe();
+    dispatcher.dispatch({ type: 'summary_available' });
+
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('reports invalid and unknown frames without delivering them', () => {
+    const onInvalid = jest.fn();
+    const onUnknown = jest.fn();
+    const handler = jest.fn();
+    const dispatcher = createMessageDispatcher({ onInvalid, onUnknown });
+    dispatcher.subscribe(MESSAGE_TYPES.SNAPSHOT, handler);
+
+    expect(dispatcher.dispatch({ ...game, pot: {} })).toBe(false);
+    expect(dispatcher.dispatch({ type: 'confetti' })).toBe(false);
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(onInvalid).toHaveBeenCalledWith('snapshot: invalid pot', expect.any(Object));
+    expect(onUnknown).toHaveBeenCalledWith('confetti', { type: 'confetti' });
+  });
+});
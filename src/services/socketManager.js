@@ -0,0 +1,268 @@
+// src/services/socketManager.js
+//
+// Reusable WebSocket connection manager. Wraps a raw WebSocket with:
+// - exponential backoff with jitter between reconnect attempts
+// - ping/pong heartbeat so silently dead connections are detected
+// - a terminal "failed" state after too many consecutive failures
+// - immediate retry when the browser reports it is back online
+
+export const SOCKET_STATUS = {
+  CONNECTING: "connecting",
+  CONNECTED: "connected",
+  RECONNECTING: "reconnecting",
+  DISCONNECTED: "disconnected",
+  FAILED: "failed",
+};
+
+const DEFAULT_OPTIONS = {
+  maxRetries: 8,
+  baseDelay: 1000,
+  maxDelay: 30000,
+  heartbeatInterval: 20000,
+  heartbeatTimeout: 10000,
+  // Close codes that mean retrying cannot help, mapped to an error message
+  fatalCloseCodes: {},
+};
+
+/**
+ * Delay before the given reconnect attempt: exponential growth capped at
+ * maxDelay, with "equal jitter" so clients that dropped together don't all
+ * reconnect at the same moment.
+ *
+ * @param {number} attempt - Zero-based attempt number
+ * @param {Object} [options]
+ * @param {number} [options.baseDelay] - Delay for the first attempt in ms
+ * @param {number} [options.maxDelay] - Upper bound in ms
+ * @param {Function} [options.random] - Random source returning [0, 1)
+ * @returns {number} Delay in milliseconds
+ */
+export const computeBackoffDelay = (
+  attempt,
+  { baseDelay = DEFAULT_OPTIONS.baseDelay, maxDelay = DEFAULT_OPTIONS.maxDelay, random = Math.random } = {}
+) => {
+  const exponential = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  return Math.round(exponential / 2 + random() * (exponential / 2));
+};
+
+/**
+ * Create a managed WebSocket connection. Nothing happens until connect().
+ *
+ * @param {Object} config
+ * @param {Function} config.getUrl - Returns the URL to connect to, read on
+ *   every attempt so a refreshed token is picked up; return null to abort
+ * @param {Function} config.onMessage - Called with each parsed non-heartbeat message
+ * @param {Function} [config.onStatusChange] - Called with a SOCKET_STATUS value
+ * @param {Function} [config.onError] - Called with a human-readable error message
+ * @param {Object} [config.options] - Overrides for DEFAULT_OPTIONS
+ * @param {Function} [config.WebSocketImpl] - WebSocket constructor (for tests)
+ * @returns {{connect: Function, reconnect: Function, close: Function,
+ *   send: Function, getStatus: Function, isHealthy: Function}}
+ */
+export const createSocketManager = ({
+  getUrl,
+  onMessage,
+  onStatusChange = null,
+  onError = null,
+  options = {},
+  WebSocketImpl = null,
+}) => {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+
+  let socket = null;
+  let status = SOCKET_STATUS.DISCONNECTED;
+  let attempt = 0;
+  let reconnectTimer = null;
+  let heartbeatTimer = null;
+  let heartbeatDeadline = null;
+  let closedByClient = false;
+
+  const setStatus = (nextStatus) => {
+    if (status === nextStatus) return;
+    status = nextStatus;
+    if (onStatusChange) onStatusChange(nextStatus);
+  };
+
+  const reportError = (message) => {
+    if (onError) onError(message);
+  };
+
+  const clearTimers = () => {
+    clearTimeout(reconnectTimer);
+    clearInterval(heartbeatTimer);
+    clearTimeout(heartbeatDeadline);
+    reconnectTimer = null;
+    heartbeatTimer = null;
+    heartbeatDeadline = null;
+  };
+
+  const detachSocket = () => {
+    if (!socket) return;
+    socket.onopen = null;
+    socket.onmessage = null;
+    socket.onerror = null;
+    socket.onclose = null;
+    socket = null;
+  };
+
+  // Any inbound frame proves the connection is alive
+  const markAlive = () => {
+    clearTimeout(heartbeatDeadline);
+    heartbeatDeadline = null;
+  };
+
+  const startHeartbeat = () => {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = setInterval(() => {
+      if (!socket || heartbeatDeadline) return;
+      try {
+        socket.send(JSON.stringify({ type: "ping", timestamp: Date.now() }));
+      } catch (error) {
+        // A failed send is handled by the deadline below
+      }
+      heartbeatDeadline = setTimeout(() => {
+        // No pong (or any other traffic) in time - the connection is dead
+        heartbeatDeadline = null;
+        const deadSocket = socket;
+        detachSocket();
+        if (deadSocket) deadSocket.close();
+        reportError("Connection timed out");
+        scheduleReconnect();
+      }, settings.heartbeatTimeout);
+    }, settings.heartbeatInterval);
+  };
+
+  const scheduleReconnect = () => {
+    clearTimers();
+    if (closedByClient) return;
+
+    if (attempt >= settings.maxRetries) {
+      setStatus(SOCKET_STATUS.FAILED);
+      reportError("Unable to reconnect");
+      return;
+    }
+
+    const delay = computeBackoffDelay(attempt, settings);
+    attempt += 1;
+    setStatus(SOCKET_STATUS.RECONNECTING);
+    reconnectTimer = setTimeout(open, delay);
+  };
+
+  const open = () => {
+    clearTimers();
+    detachSocket();
+
+    const url = getUrl();
+    if (!url) {
+      setStatus(SOCKET_STATUS.FAILED);
+      reportError("No authentication token");
+      return;
+    }
+
+    const SocketClass = WebSocketImpl || window.WebSocket;
+    if (status !== SOCKET_STATUS.RECONNECTING) {
+      setStatus(SOCKET_STATUS.CONNECTING);
+    }
+
+    try {
+      socket = new SocketClass(url);
+    } catch (error) {
+      console.error("Error creating WebSocket:", error);
+      reportError("Failed to create WebSocket connection");
+      scheduleReconnect();
+      return;
+    }
+
+    socket.onopen = () => {
+      attempt = 0;
+      setStatus(SOCKET_STATUS.CONNECTED);
+      startHeartbeat();
+    };
+
+    socket.onmessage = (event) => {
+      markAlive();
+      let data;
+      try {
+        data = JSON.parse(event.data);
+      } catch (error) {
+        console.error("Error parsing WebSocket message:", error);
+        reportError("Failed to parse message");
+        return;
+      }
+      if (data && data.type === "pong") return;
+      onMessage(data);
+    };
+
+    socket.onerror = () => {
+      // onclose always follows onerror and drives reconnection
+    };
+
+    socket.onclose = (event) => {
+      detachSocket();
+      clearTimers();
+
+      if (closedByClient) {
+        setStatus(SOCKET_STATUS.DISCONNECTED);
+        return;
+      }
+
+      const fatalMessage = settings.fatalCloseCodes[event.code];
+      if (fatalMessage) {
+        console.error(`WebSocket closed: ${fatalMessage}`);
+        setStatus(SOCKET_STATUS.FAILED);
+        reportError(fatalMessage);
+        return;
+      }
+
+      if (event.code === 1006) {
+        reportError("Connection lost");
+      }
+      scheduleReconnect();
+    };
+  };
+
+  // Retry straight away when the device regains connectivity
+  const handleOnline = () => {
+    if (closedByClient || status === SOCKET_STATUS.CONNECTED || status === SOCKET_STATUS.CONNECTING) return;
+    attempt = 0;
+    open();
+  };
+
+  return {
+    connect: () => {
+      closedByClient = false;
+      attempt = 0;
+      window.addEventListener("online", handleOnline);
+      open();
+    },
+
+    // Manual retry, e.g. from a "Reconnect" button after max retries
+    reconnect: () => {
+      closedByClient = false;
+      attempt = 0;
+      const oldSocket = socket;
+      detachSocket();
+      if (oldSocket) oldSocket.close();
+      open();
+    },
+
+    close: () => {
+      closedByClient = true;
+      clearTimers();
+      window.removeEventListener("online", handleOnline);
+      const oldSocket = socket;
+      detachSocket();
+      if (oldSocket) oldSocket.close(1000);
+      setStatus(SOCKET_STATUS.DISCONNECTED);
+    },
+
+    send: (data) => {
+      if (!socket || status !== SOCKET_STATUS.CONNECTED) return false;
+      socket.send(typeof data === "string" ? data : JSON.stringify(data));
+      return true;
+    },
+
+    getStatus: () => status,
+
+    isHealthy: () => status === SOCKET_STATUS.CONNECTED && !heartbeatDeadline,
+  };
+};
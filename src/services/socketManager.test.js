@@ -0,0 +1,200 @@
+import { createSocketManager, computeBackoffDelay, SOCKET_STATUS } from './socketManager';
+
+// Minimal WebSocket stand-in that records every instance it creates
+class FakeSocket {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.sent = [];
+    this.closed = false;
+    FakeSocket.instances.push(this);
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.closed = true;
+  }
+
+  open() {
+    this.onopen && this.onopen();
+  }
+
+  receive(data) {
+    this.onmessage && this.onmessage({ data: JSON.stringify(data) });
+  }
+
+  drop(code = 1006) {
+    this.onclose && this.onclose({ code });
+  }
+}
+
+const latestSocket = () => FakeSocket.instances[FakeSocket.instances.length - 1];
+
+const createManager = (overrides = {}) => {
+  const statuses = [];
+  const messages = [];
+  const errors = [];
+  const manager = createSocketManager({
+    getUrl: () => 'ws://test/game/1/',
+    onMessage: (data) => messages.push(data),
+    onStatusChange: (status) => statuses.push(status),
+    onError: (message) => errors.push(message),
+    WebSocketImpl: FakeSocket,
+    ...overrides,
+    options: {
+      maxRetries: 3,
+      baseDelay: 100,
+      maxDelay: 1000,
+      heartbeatInterval: 1000,
+      heartbeatTimeout: 500,
+      ...overrides.options,
+    },
+  });
+  return { manager, statuses, messages, errors };
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  FakeSocket.instances = [];
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('computeBackoffDelay', () => {
+  test('doubles per attempt with jitter in the upper half', () => {
+    const options = { baseDelay: 1000, maxDelay: 30000 };
+    expect(computeBackoffDelay(0, { ...options, random: () => 0 })).toBe(500);
+    expect(computeBackoffDelay(0, { ...options, random: () => 0.999 })).toBeLessThanOrEqual(1000);
+    expect(computeBackoffDelay(3, { ...options, random: () => 0 })).toBe(4000);
+  });
+
+  test('never exceeds the maximum delay', () => {
+    const delay = computeBackoffDelay(20, { baseDelay: 1000, maxDelay: 30000, random: () => 0.999 });
+    expect(delay).toBeLessThanOrEqual(30000);
+  });
+});
+
+describe('createSocketManager', () => {
+  test('reports connected and forwards messages but swallows pongs', () => {
+    const { manager, statuses, messages } = createManager();
+    manager.connect();
+    latestSocket().open();
+    latestSocket().receive({ type: 'pong' });
+    latestSocket().receive({ id: 1, phase: 'FLOP' });
+
+    expect(statuses).toEqual([SOCKET_STATUS.CONNECTING, SOCKET_STATUS.CONNECTED]);
+    expect(messages).toEqual([{ id: 1, phase: 'FLOP' }]);
+    manager.close();
+  });
+
+  test('reconnects after an unexpected close and resets the retry count on success', () => {
+    const { manager, statuses } = createManager();
+    manager.connect();
+    latestSocket().open();
+    latestSocket().drop();
+
+    expect(manager.getStatus()).toBe(SOCKET_STATUS.RECONNECTING);
+    jest.advanceTimersByTime(100);
+    expect(FakeSocket.instances).toHaveLength(2);
+
+    latestSocket().open();
+    expect(statuses[statuses.length - 1]).toBe(SOCKET_STATUS.CONNECTED);
+    manager.close();
+  });
+
+  test('gives up after the maximum number of retries', () => {
+    const { manager, errors } = createManager();
+    manager.connect();
+
+    for (let i = 0; i < 3; i++) {
+      latestSocket().drop();
+      jest.advanceTimersByTime(1000);
+    }
+    latestSocket().drop();
+
+    expect(FakeSocket.instances).toHaveLength(4);
+    expect(manager.getStatus()).toBe(SOCKET_STATUS.FAILED);
+    expect(errors).toContain('Unable to reconnect');
+
+    // A manual reconnect starts over
+    manager.reconnect();
+    expect(FakeSocket.instances).toHaveLength(5);
+    expect(manager.getStatus()).toBe(SOCKET_STATUS.CONNECTING);
+    manager.close();
+  });
+
+  test('does not retry on fatal close codes', () => {
+    const { manager, errors } = createManager({
+      options: { fatalCloseCodes: { 4004: 'Game not found' } },
+    });
+    manager.connect();
+    latestSocket().drop(4004);
+    jest.advanceTimersByTime(5000);
+
+    expect(FakeSocket.instances).toHaveLength(1);
+    expect(manager.getStatus()).toBe(SOCKET_STATUS.FAILED);
+    expect(errors).toEqual(['Game not found']);
+  });
+
+  test('treats a missed heartbeat as a dead connection', () => {
+    const { manager, errors } = createManager();
+    manager.connect();
+    const first = latestSocket();
+    first.open();
+
+    jest.advanceTimersByTime(1000);
+    expect(first.sent[0].type).toBe('ping');
+    expect(manager.isHealthy()).toBe(false);
+
+    jest.advanceTimersByTime(500);
+    expect(first.closed).toBe(true);
+    expect(errors).toContain('Connection timed out');
+    expect(manager.getStatus()).toBe(SOCKET_STATUS.RECONNECTING);
+    manager.close();
+  });
+
+  test('stays connected while pongs arrive', () => {
+    const { manager } = createManager();
+    manager.connect();
+    latestSocket().open();
+
+    for (let i = 0; i < 3; i++) {
+      jest.advanceTimersByTime(1000);
+      latestSocket().receive({ type: 'pong' });
+    }
+    jest.advanceTimersByTime(400);
+
+    expect(FakeSocket.instances).toHaveLength(1);
+    expect(manager.isHealthy()).toBe(true);
+    manager.close();
+  });
+
+  test('close() stops reconnecting', () => {
+    const { manager } = createManager();
+    manager.connect();
+    latestSocket().open();
+    manager.close();
+    jest.advanceTimersByTime(5000);
+
+    expect(FakeSocket.instances).toHaveLength(1);
+    expect(manager.getStatus()).toBe(SOCKET_STATUS.DISCONNECTED);
+  });
+
+  test('reads the URL on every attempt', () => {
+    let token = 'old';
+    const { manager } = createManager({ getUrl: () => `ws://test/?token=${token}` });
+    manager.connect();
+    token = 'new';
+    latestSocket().drop();
+    jest.advanceTimersByTime(100);
+
+    expect(latestSocket().url).toBe('ws://test/?token=new');
+    manager.close();
+  });
+});
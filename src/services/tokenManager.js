@@ -0,0 +1,221 @@
+// src/services/tokenManager.js
+//
+// Keeps the JWT pair in localStorage fresh for the API client and the game
+// socket:
+// - decodes the access token's expiry and refreshes shortly before it
+// - shares a single refresh request between concurrent callers
+// - tells subscribers when the tokens change so sockets can reconnect
+// - follows logins, logouts and refreshes made in other tabs
+
+export const ACCESS_TOKEN_KEY = "accessToken";
+export const REFRESH_TOKEN_KEY = "refreshToken";
+
+export const TOKEN_EVENTS = {
+  LOGIN: "login",
+  REFRESHED: "refreshed",
+  LOGOUT: "logout",
+};
+
+const DEFAULT_OPTIONS = {
+  // Refresh this long before the access token expires
+  refreshMargin: 60000,
+};
+
+/**
+ * Expiry of a JWT, from the "exp" claim of its payload.
+ *
+ * @param {string} token
+ * @returns {number|null} Expiry in ms since the epoch, or null when the
+ *   token isn't a JWT or has no expiry
+ */
+export const decodeTokenExpiry = (token) => {
+  if (typeof token !== "string") return null;
+  const [, payload] = token.split(".");
+  if (!payload) return null;
+
+  try {
+    const base64 = payload.replace(/-/g, "+").replace(/_/g, "/");
+    const padded = base64.padEnd(Math.ceil(base64.length / 4) * 4, "=");
+    const { exp } = JSON.parse(atob(padded));
+    return Number.isFinite(exp) ? exp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// The server turned the refresh token down, as opposed to being unreachable
+const isRefreshRejected = (error) => [400, 401, 403].includes(error?.response?.status);
+
+/**
+ * Create a token manager. Call start() to begin proactive refreshes and
+ * cross-tab syncing.
+ *
+ * @param {Object} config
+ * @param {Function} config.refreshRequest - Called with the refresh token;
+ *   resolves to {access, refresh?}
+ * @param {Storage} [config.storage] - Where the tokens live
+ * @param {Function} [config.now] - Clock returning ms since the epoch
+ * @param {Object} [config.options] - Overrides for DEFAULT_OPTIONS
+ * @returns {{start: Function, stop: Function, getAccessToken: Function,
+ *   getRefreshToken: Function, getValidAccessToken: Function, refresh: Function,
+ *   needsRefresh: Function, setTokens: Function, clearTokens: Function,
+ *   subscribe: Function}}
+ */
+export const createTokenManager = ({
+  refreshRequest,
+  storage = window.localStorage,
+  now = Date.now,
+  options = {},
+}) => {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const listeners = new Set();
+  let pendingRefresh = null;
+  let refreshTimer = null;
+
+  const emit = (event, details = { fromOtherTab: false }) => {
+    listeners.forEach((listener) => listener(event, details));
+  };
+
+  const getAccessToken = () => storage.getItem(ACCESS_TOKEN_KEY);
+  const getRefreshToken = () => storage.getItem(REFRESH_TOKEN_KEY);
+
+  const needsRefresh = (token = getAccessToken()) => {
+    const expiry = decodeTokenExpiry(token);
+    return expiry !== null && expiry - now() <= settings.refreshMargin;
+  };
+
+  const cancelScheduledRefresh = () => {
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+  };
+
+  const removeTokens = () => {
+    cancelScheduledRefresh();
+    storage.removeItem(ACCESS_TOKEN_KEY);
+    storage.removeItem(REFRESH_TOKEN_KEY);
+  };
+
+  const scheduleRefresh = () => {
+    cancelScheduledRefresh();
+    const expiry = decodeTokenExpiry(getAccessToken());
+    if (expiry === null || !getRefreshToken()) return;
+
+    const delay = Math.max(0, expiry - settings.refreshMargin - now());
+    refreshTimer = setTimeout(() => {
+      refreshTimer = null;
+      // Another tab may have refreshed in the meantime
+      if (!needsRefresh()) {
+        scheduleRefresh();
+        return;
+      }
+      refresh().catch(() => {
+        // A rejected refresh ends the session; a network error is retried
+        // by the next request
+      });
+    }, delay);
+  };
+
+  const refresh = () => {
+    if (pendingRefresh) return pendingRefresh;
+
+    const refreshToken = getRefreshToken();
+    if (!refreshToken) {
+      removeTokens();
+      emit(TOKEN_EVENTS.LOGOUT);
+      return Promise.reject(new Error("No refresh token"));
+    }
+
+    pendingRefresh = refreshRequest(refreshToken)
+      .then(
+        ({ access, refresh: rotatedRefreshToken }) => {
+          storage.setItem(ACCESS_TOKEN_KEY, access);
+          if (rotatedRefreshToken) storage.setItem(REFRESH_TOKEN_KEY, rotatedRefreshToken);
+          scheduleRefresh();
+          emit(TOKEN_EVENTS.REFRESHED);
+          return access;
+        },
+        (error) => {
+          // Another tab rotated the refresh token first, so this one was
+          // spent; its new tokens are already in storage
+          if (getRefreshToken() !== refreshToken && getAccessToken()) {
+            return getAccessToken();
+          }
+          if (isRefreshRejected(error)) {
+            removeTokens();
+            emit(TOKEN_EVENTS.LOGOUT);
+          }
+          throw error;
+        }
+      )
+      .finally(() => {
+        pendingRefresh = null;
+      });
+    return pendingRefresh;
+  };
+
+  // The access token to send now, refreshed first if it is about to expire.
+  // If the refresh can't reach the server the old token is sent anyway and
+  // the 401 handling decides what happens.
+  const getValidAccessToken = async () => {
+    const token = getAccessToken();
+    if (!token || !getRefreshToken() || !needsRefresh(token)) return token;
+    try {
+      return await refresh();
+    } catch (error) {
+      return getAccessToken();
+    }
+  };
+
+  // Another tab logged in, logged out or refreshed the token
+  const handleStorage = (event) => {
+    if (event.storageArea && event.storageArea !== storage) return;
+    if (event.key !== ACCESS_TOKEN_KEY && event.key !== null) return;
+
+    if (!getAccessToken()) {
+      cancelScheduledRefresh();
+      emit(TOKEN_EVENTS.LOGOUT, { fromOtherTab: true });
+      return;
+    }
+    if (event.key === null) return;
+
+    scheduleRefresh();
+    emit(event.oldValue ? TOKEN_EVENTS.REFRESHED : TOKEN_EVENTS.LOGIN, { fromOtherTab: true });
+  };
+
+  return {
+    start: () => {
+      window.addEventListener("storage", handleStorage);
+      scheduleRefresh();
+    },
+
+    stop: () => {
+      window.removeEventListener("storage", handleStorage);
+      cancelScheduledRefresh();
+    },
+
+    getAccessToken,
+    getRefreshToken,
+    getValidAccessToken,
+    refresh,
+    needsRefresh,
+
+    setTokens: ({ access, refresh: refreshToken }) => {
+      storage.setItem(ACCESS_TOKEN_KEY, access);
+      if (refreshToken) storage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+      scheduleRefresh();
+      emit(TOKEN_EVENTS.LOGIN);
+    },
+
+    clearTokens: () => {
+      removeTokens();
+      emit(TOKEN_EVENTS.LOGOUT);
+    },
+
+    // Listen for TOKEN_EVENTS, called as listener(event, {fromOtherTab});
+    // returns an unsubscribe function
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
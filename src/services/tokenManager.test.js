@@ -0,0 +1,195 @@
+import { createTokenManager, decodeTokenExpiry, TOKEN_EVENTS } from './tokenManager';
+
+const NOW = 1700000000000;
+
+// An unsigned JWT that expires the given number of seconds after NOW
+const makeToken = (expiresIn, name = 'access') => {
+  const encode = (value) => btoa(JSON.stringify(value)).replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+  return `${encode({ alg: 'HS256' })}.${encode({ exp: NOW / 1000 + expiresIn, name })}.signature`;
+};
+
+const rejectedWith = (status) => Object.assign(new Error(`Request failed with status ${status}`), { response: { status } });
+
+let refreshRequest;
+let events;
+
+const createManager = (overrides = {}) => {
+  const manager = createTokenManager({
+    refreshRequest: (...args) => refreshRequest(...args),
+    storage: localStorage,
+    now: () => Date.now(),
+    options: { refreshMargin: 60000 },
+    ...overrides,
+  });
+  manager.subscribe((event, details) => events.push([event, details.fromOtherTab]));
+  return manager;
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.setSystemTime(NOW);
+  localStorage.clear();
+  refreshRequest = jest.fn(() => Promise.resolve({ access: makeToken(300, 'fresh') }));
+  events = [];
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('decodeTokenExpiry', () => {
+  test('reads the exp claim in milliseconds', () => {
+    expect(decodeTokenExpiry(makeToken(300))).toBe(NOW + 300000);
+  });
+
+  test('returns null for tokens that are not JWTs', () => {
+    expect(decodeTokenExpiry('mock-access:alice')).toBeNull();
+    expect(decodeTokenExpiry('a.not-base64!.c')).toBeNull();
+    expect(decodeTokenExpiry(null)).toBeNull();
+  });
+});
+
+describe('refresh', () => {
+  test('shares one request between concurrent callers', async () => {
+    const manager = createManager();
+    manager.setTokens({ access: makeToken(10), refresh: 'refresh-1' });
+
+    const results = await Promise.all([manager.refresh(), manager.refresh(), manager.getValidAccessToken()]);
+
+    expect(refreshRequest).toHaveBeenCalledTimes(1);
+    expect(refreshRequest).toHaveBeenCalledWith('refresh-1');
+    expect(new Set(results).size).toBe(1);
+    expect(manager.getAccessToken()).toBe(results[0]);
+  });
+
+  test('stores a rotated refresh token', async () => {
+    refreshRequest = jest.fn(() => Promise.resolve({ access: makeToken(300), refresh: 'refresh-2' }));
+    const manager = createManager();
+    manager.setTokens({ access: makeToken(10), refresh: 'refresh-1' });
+
+    await manager.refresh();
+    expect(manager.getRefreshToken()).toBe('refresh-2');
+    expect(events).toEqual([[TOKEN_EVENTS.LOGIN, false], [TOKEN_EVENTS.REFRESHED, false]]);
+  });
+
+  test('ends the session when the refresh token is rejected', async () => {
+    refreshRequest = jest.fn(() => Promise.reject(rejectedWith(401)));
+    const manager = createManager();
+    manager.setTokens({ access: makeToken(10), refresh: 'refresh-1' });
+
+    await expect(manager.refresh()).rejects.toThrow('401');
+    expect(manager.getAccessToken()).toBeNull();
+    expect(manager.getRefreshToken()).toBeNull();
+    expect(events).toContainEqual([TOKEN_EVENTS.LOGOUT, false]);
+  });
+
+  test('keeps the session through a network error', async () => {
+    refreshRequest = jest.fn(() => Promise.reject(new Error('Network Error')));
+    const manager = createManager();
+    const token = makeToken(10);
+    manager.setTokens({ access: token, refresh: 'refresh-1' });
+
+    await expect(manager.refresh()).rejects.toThrow('Network Error');
+    expect(manager.getAccessToken()).toBe(token);
+    expect(events).not.toContainEqual([TOKEN_EVENTS.LOGOUT, false]);
+    // Requests go out with the old token rather than failing outright
+    await expect(manager.getValidAccessToken()).resolves.toBe(token);
+  });
+
+  test('keeps the tokens another tab rotated while this refresh was in flight', async () => {
+    let rejectRefresh;
+    refreshRequest = jest.fn(() => new Promise((resolve, reject) => { rejectRefresh = reject; }));
+    const manager = createManager();
+    manager.setTokens({ access: makeToken(10), refresh: 'refresh-1' });
+
+    const refreshing = manager.refresh();
+    localStorage.setItem('accessToken', 'from-other-tab');
+    localStorage.setItem('refreshToken', 'refresh-2');
+    rejectRefresh(rejectedWith(401));
+
+    await expect(refreshing).resolves.toBe('from-other-tab');
+    expect(manager.getRefreshToken()).toBe('refresh-2');
+  });
+});
+
+describe('getValidAccessToken', () => {
+  test('returns a token with time left without refreshing', async () => {
+    const manager = createManager();
+    const token = makeToken(300);
+    manager.setTokens({ access: token, refresh: 'refresh-1' });
+
+    await expect(manager.getValidAccessToken()).resolves.toBe(token);
+    expect(refreshRequest).not.toHaveBeenCalled();
+  });
+
+  test('leaves tokens without an expiry alone', async () => {
+    const manager = createManager();
+    manager.setTokens({ access: 'mock-access:alice', refresh: 'mock-refresh:alice' });
+
+    await expect(manager.getValidAccessToken()).resolves.toBe('mock-access:alice');
+    expect(refreshRequest).not.toHaveBeenCalled();
+  });
+});
+
+describe('proactive refresh', () => {
+  test('refreshes a minute before the access token expires', async () => {
+    const manager = createManager();
+    manager.setTokens({ access: makeToken(300), refresh: 'refresh-1' });
+
+    jest.advanceTimersByTime(239000);
+    expect(refreshRequest).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1000);
+    expect(refreshRequest).toHaveBeenCalledTimes(1);
+
+    await Promise.resolve();
+    await Promise.resolve();
+    expect(manager.getAccessToken()).toBe(makeToken(300, 'fresh'));
+    manager.stop();
+  });
+
+  test('stops after logout', () => {
+    const manager = createManager();
+    manager.setTokens({ access: makeToken(300), refresh: 'refresh-1' });
+    manager.clearTokens();
+
+    jest.advanceTimersByTime(300000);
+    expect(refreshRequest).not.toHaveBeenCalled();
+  });
+});
+
+describe('cross-tab sync', () => {
+  const storageEvent = (key, oldValue, newValue) => {
+    if (newValue === null) localStorage.removeItem(key);
+    else localStorage.setItem(key, newValue);
+    window.dispatchEvent(new StorageEvent('storage', { key, oldValue, newValue }));
+  };
+
+  test('reports logins, refreshes and logouts from other tabs', () => {
+    const manager = createManager();
+    manager.start();
+
+    storageEvent('accessToken', null, makeToken(300));
+    storageEvent('accessToken', makeToken(300), makeToken(600));
+    storageEvent('refreshToken', null, 'refresh-1');
+    storageEvent('accessToken', makeToken(600), null);
+    manager.stop();
+
+    expect(events).toEqual([
+      [TOKEN_EVENTS.LOGIN, true],
+      [TOKEN_EVENTS.REFRESHED, true],
+      [TOKEN_EVENTS.LOGOUT, true],
+    ]);
+  });
+
+  test('reschedules the proactive refresh for a token another tab refreshed', () => {
+    const manager = createManager();
+    manager.start();
+    manager.setTokens({ access: makeToken(120), refresh: 'refresh-1' });
+
+    storageEvent('accessToken', makeToken(120), makeToken(600));
+    jest.advanceTimersByTime(120000);
+    manager.stop();
+
+    expect(refreshRequest).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,215 @@
+// src/state/gameReducer.js
+//
+// Single source of truth for the table's game state. Both the WebSocket and
+// the HTTP poll feed this reducer, and every update is versioned by
+// hand_count (plus sequence when the backend sends one) so a slow poll
+// response can never overwrite a newer socket update.
+
+import { getCompletedPots } from "../utils/sidePots";
+import { trackBetting } from "../utils/bettingMath";
+
+export const GAME_ACTIONS = {
+  SNAPSHOT: "SNAPSHOT",                   // Full game state from the REST API
+  DELTA: "DELTA",                         // Game update pushed over the WebSocket
+  PATCH: "PATCH",                         // Changed fields only, merged onto the current game
+  HAND_RESULT: "HAND_RESULT",             // Winners pushed over the WebSocket on their own
+  HAND_COMPLETED: "HAND_COMPLETED",       // Check a game state for a newly finished hand
+  SUMMARY_AVAILABLE: "SUMMARY_AVAILABLE", // Game over, summary page is ready
+};
+
+export const initialGameState = {
+  game: null,
+  handCount: 0,          // hand_count of the accepted game state
+  sequence: null,        // Backend sequence number within the hand, if provided
+  lastDeltaAt: 0,        // When the last socket update was applied
+  completedHand: null,   // Result of the most recently finished hand
+  handStart: null,       // { handCount, stacks } at the start of the current hand, for side pots
+  betting: null,         // Last full raise on the current street, for the minimum raise
+  summaryAvailable: false,
+};
+
+/**
+ * winner_info arrives either as an object or as a JSON string.
+ *
+ * @param {Object|string|null} winnerInfo
+ * @returns {Object|null} Parsed winner info, or null when absent or invalid
+ */
+export const parseWinnerInfo = (winnerInfo) => {
+  if (!winnerInfo) return null;
+  if (typeof winnerInfo !== "string") return winnerInfo;
+  try {
+    return JSON.parse(winnerInfo);
+  } catch (e) {
+    console.warn("Failed to parse winner_info as JSON:", e);
+    return null;
+  }
+};
+
+const getSequence = (game) => {
+  const sequence = game.sequence ?? game.state_version;
+  return typeof sequence === "number" ? sequence : null;
+};
+
+// An update is stale if it belongs to an earlier hand, or to the same hand
+// with a lower sequence number
+const isStale = (state, game) => {
+  if (!state.game) return false;
+  const handCount = game.hand_count || 0;
+  if (handCount !== state.handCount) return handCount < state.handCount;
+
+  const sequence = getSequence(game);
+  return sequence !== null && state.sequence !== null && sequence < state.sequence;
+};
+
+const hasNoCards = (cards) =>
+  !cards ||
+  (Array.isArray(cards) && cards.length === 0) ||
+  (cards.cards && cards.cards.length === 0);
+
+// Socket updates omit hole cards that the REST API returned; keep them for
+// the rest of the hand so they don't flicker
+const preserveCards = (previousGame, nextGame) => {
+  if (!previousGame || !previousGame.players || !nextGame.players) return nextGame;
+  if ((nextGame.hand_count || 0) !== (previousGame.hand_count || 0)) return nextGame;
+
+  return {
+    ...nextGame,
+    players: nextGame.players.map((player) => {
+      const existing = previousGame.players.find((p) => p.id === player.id);
+      if (existing && !hasNoCards(existing.cards) && hasNoCards(player.cards)) {
+        return { ...player, cards: existing.cards };
+      }
+      return player;
+    }),
+  };
+};
+
+const allPlayersCashedOut = (game) =>
+  game.status === "FINISHED" &&
+  Array.isArray(game.players) &&
+  game.players.length > 0 &&
+  game.players.every((player) => player.cashed_out);
+
+// Stacks at the start of each hand, so what everyone has put in can be
+// worked out from stack changes. Blinds and preflop bets are still in
+// current_bet, so this is only known when the hand is first seen preflop.
+const trackHandStart = (handStart, game) => {
+  const handCount = game.hand_count || 0;
+  if (handStart && handStart.handCount === handCount) return handStart;
+  if (game.status !== "PLAYING" || game.phase !== "PREFLOP" || !game.players) return null;
+
+  const stacks = {};
+  game.players.forEach((player) => {
+    stacks[player.id] = (parseFloat(player.stack) || 0) + (parseFloat(player.current_bet) || 0);
+  });
+  return { handCount, stacks };
+};
+
+const acceptGame = (state, game, extra = {}) => {
+  const nextState = {
+    ...state,
+    ...extra,
+    game,
+    handStart: trackHandStart(state.handStart, game),
+    betting: trackBetting(state.betting, game),
+    handCount: game.hand_count || 0,
+    sequence: getSequence(game),
+    summaryAvailable: state.summaryAvailable || allPlayersCashedOut(game),
+  };
+  return gameReducer(nextState, {
+    type: GAME_ACTIONS.HAND_COMPLETED,
+    game,
+    previousGame: state.game,
+  });
+};
+
+/**
+ * @param {Object} state - Current state, see initialGameState
+ * @param {Object} action
+ * @param {string} action.type - One of GAME_ACTIONS
+ * @param {Object} [action.game] - Game payload for SNAPSHOT, DELTA and HAND_COMPLETED
+ * @param {number} [action.requestedAt] - SNAPSHOT: when the HTTP request was sent
+ * @param {boolean} [action.force] - SNAPSHOT: apply even if it looks stale
+ * @param {number} [action.receivedAt] - DELTA/PATCH: when the socket message arrived
+ * @param {Object} [action.changes] - PATCH: changed game fields, including hand_count
+ * @param {number} [action.handCount] - HAND_RESULT: hand the result belongs to
+ * @param {Object|string} [action.winnerInfo] - HAND_RESULT: winner_info for that hand
+ * @returns {Object} Next state
+ */
+export function gameReducer(state, action) {
+  switch (action.type) {
+    case GAME_ACTIONS.SNAPSHOT: {
+      const { game, requestedAt, force = false } = action;
+      if (!game) return state;
+
+      if (!force) {
+        if (isStale(state, game)) return state;
+        // A socket update arrived while this request was in flight, so the
+        // response may already be out of date for the current hand
+        const sameHand = (game.hand_count || 0) === state.handCount;
+        if (sameHand && requestedAt && requestedAt < state.lastDeltaAt) return state;
+      }
+
+      return acceptGame(state, game);
+    }
+
+    case GAME_ACTIONS.DELTA: {
+      const { game, receivedAt = Date.now() } = action;
+      if (!game || isStale(state, game)) return state;
+      return acceptGame(state, preserveCards(state.game, game), { lastDeltaAt: receivedAt });
+    }
+
+    case GAME_ACTIONS.PATCH: {
+      const { changes, receivedAt = Date.now() } = action;
+      if (!state.game || !changes) return state;
+      const game = { ...state.game, ...changes };
+      if (isStale(state, game)) return state;
+      return acceptGame(state, preserveCards(state.game, game), { lastDeltaAt: receivedAt });
+    }
+
+    case GAME_ACTIONS.HAND_RESULT: {
+      const handCount = Number(action.handCount) || 0;
+      if (!state.game || handCount < state.handCount) return state;
+      return gameReducer(state, {
+        type: GAME_ACTIONS.HAND_COMPLETED,
+        game: { ...state.game, hand_count: handCount, winner_info: action.winnerInfo },
+      });
+    }
+
+    case GAME_ACTIONS.HAND_COMPLETED: {
+      const { game, previousGame = state.game } = action;
+      const winnerInfo = parseWinnerInfo(game && game.winner_info);
+      if (!winnerInfo) return state;
+
+      const handNumber = game.hand_count || 0;
+      const key = `${handNumber}:${JSON.stringify(winnerInfo)}`;
+      if (state.completedHand && state.completedHand.key === key) return state;
+
+      // On first load, only restore a result that is still on the table
+      if (!previousGame && game.phase !== "WAITING_FOR_PLAYERS") return state;
+
+      const winners = winnerInfo.winners || [];
+      const potAmount = winnerInfo.pot_amount || 0;
+
+      return {
+        ...state,
+        completedHand: {
+          key,
+          timestamp: Date.now(),
+          winners,
+          potAmount,
+          pots: getCompletedPots(game, winners, potAmount, state.handStart), // Per-pot winners, when known
+          type: winnerInfo.type || "Unknown",
+          handNumber,
+          allPlayers: game.players || [], // Players at completion, for money change tracking
+        },
+      };
+    }
+
+    case GAME_ACTIONS.SUMMARY_AVAILABLE:
+      return state.summaryAvailable ? state : { ...state, summaryAvailable: true };
+
+    default:
+      return state;
+  }
+}
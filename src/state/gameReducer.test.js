@@ -0,0 +1,213 @@
+import { gameReducer, initialGameState, GAME_ACTIONS, parseWinnerInfo } from './gameReducer';
+
+const makePlayer = (id, cards = []) => ({
+  id,
+  player: { id, user: { id, username: `player${id}` } },
+  cards,
+  cashed_out: false,
+});
+
+const makeGame = (overrides = {}) => ({
+  id: 1,
+  status: 'PLAYING',
+  phase: 'PREFLOP',
+  hand_count: 1,
+  pot: 30,
+  players: [makePlayer(1, ['AS', 'KD']), makePlayer(2)],
+  winner_info: null,
+  ...overrides,
+});
+
+const snapshot = (state, game, extra = {}) =>
+  gameReducer(state, { type: GAME_ACTIONS.SNAPSHOT, game, ...extra });
+
+const delta = (state, game, receivedAt = 1000) =>
+  gameReducer(state, { type: GAME_ACTIONS.DELTA, game, receivedAt });
+
+describe('versioning', () => {
+  test('accepts the initial snapshot', () => {
+    const state = snapshot(initialGameState, makeGame());
+    expect(state.game.pot).toBe(30);
+    expect(state.handCount).toBe(1);
+  });
+
+  test('ignores a poll response from an earlier hand', () => {
+    let state = snapshot(initialGameState, makeGame());
+    state = delta(state, makeGame({ hand_count: 2, pot: 15 }));
+    state = snapshot(state, makeGame({ hand_count: 1, pot: 90 }));
+    expect(state.game.hand_count).toBe(2);
+    expect(state.game.pot).toBe(15);
+  });
+
+  test('ignores a poll that was requested before the latest socket update', () => {
+    let state = snapshot(initialGameState, makeGame());
+    state = delta(state, makeGame({ pot: 60 }), 2000);
+    state = snapshot(state, makeGame({ pot: 30 }), { requestedAt: 1500 });
+    expect(state.game.pot).toBe(60);
+
+    state = snapshot(state, makeGame({ pot: 80 }), { requestedAt: 2500 });
+    expect(state.game.pot).toBe(80);
+  });
+
+  test('uses sequence numbers within a hand when the backend sends them', () => {
+    let state = delta(initialGameState, makeGame({ sequence: 5, pot: 50 }));
+    state = delta(state, makeGame({ sequence: 4, pot: 40 }));
+    expect(state.game.pot).toBe(50);
+  });
+
+  test('a forced snapshot always applies', () => {
+    let state = snapshot(initialGameState, makeGame({ hand_count: 3 }));
+    state = snapshot(state, makeGame({ hand_count: 0, phase: 'WAITING_FOR_PLAYERS' }), { force: true });
+    expect(state.game.hand_count).toBe(0);
+  });
+});
+
+describe('card preservation', () => {
+  test('keeps hole cards the socket omits within the same hand', () => {
+    let state = snapshot(initialGameState, makeGame());
+    state = delta(state, makeGame({ phase: 'FLOP', players: [makePlayer(1), makePlayer(2)] }));
+    expect(state.game.players[0].cards).toEqual(['AS', 'KD']);
+    expect(state.game.phase).toBe('FLOP');
+  });
+
+  test('drops old hole cards once a new hand starts', () => {
+    let state = snapshot(initialGameState, makeGame());
+    state = delta(state, makeGame({ hand_count: 2, players: [makePlayer(1), makePlayer(2)] }));
+    expect(state.game.players[0].cards).toEqual([]);
+  });
+});
+
+describe('hand completion', () => {
+  const winnerInfo = {
+    winners: [{ player_name: 'player1', winning_amount: 60, hand_name: 'Pair of Aces' }],
+    pot_amount: 60,
+    type: 'showdown',
+  };
+
+  test('records the result when winner_info appears', () => {
+    let state = snapshot(initialGameState, makeGame());
+    state = delta(state, makeGame({ phase: 'WAITING_FOR_PLAYERS', winner_info: winnerInfo }));
+    expect(state.completedHand).toMatchObject({ handNumber: 1, potAmount: 60, type: 'showdown' });
+    expect(state.completedHand.winners).toHaveLength(1);
+  });
+
+  test('does not report the same result twice', () => {
+    let state = snapshot(initialGameState, makeGame());
+    state = delta(state, makeGame({ phase: 'WAITING_FOR_PLAYERS', winner_info: winnerInfo }));
+    const first = state.completedHand;
+    state = snapshot(state, makeGame({ phase: 'WAITING_FOR_PLAYERS', winner_info: JSON.stringify(winnerInfo) }));
+    expect(state.completedHand).toBe(first);
+  });
+
+  test('restores a pending result on first load only while waiting for players', () => {
+    const waiting = snapshot(initialGameState, makeGame({ phase: 'WAITING_FOR_PLAYERS', winner_info: winnerInfo }));
+    expect(waiting.completedHand).not.toBeNull();
+
+    const playing = snapshot(initialGameState, makeGame({ winner_info: winnerInfo }));
+    expect(playing.completedHand).toBeNull();
+  });
+});
+
+describe('side pots', () => {
+  const withStacks = (players, stacks, extra = {}) =>
+    players.map((player, i) => ({ ...player, stack: stacks[i], is_active: true, ...extra }));
+
+  test('remembers stacks from the start of a hand seen preflop', () => {
+    const players = withStacks([makePlayer(1), makePlayer(2)], [99, 98]).map((player, i) => ({ ...player, current_bet: i + 1 }));
+    const state = snapshot(initialGameState, makeGame({ players }));
+    expect(state.handStart).toEqual({ handCount: 1, stacks: { 1: 100, 2: 100 } });
+  });
+
+  test('does not guess stacks for a hand joined after preflop', () => {
+    const state = snapshot(initialGameState, makeGame({ phase: 'TURN', players: withStacks([makePlayer(1)], [50]) }));
+    expect(state.handStart).toBeNull();
+  });
+
+  test('splits the result into pots when the hand completes', () => {
+    const start = withStacks([makePlayer(1, ['AS', 'AD']), makePlayer(2, ['KS', 'KD']), makePlayer(3, ['QS', 'QD'])], [50, 200, 200]);
+    let state = snapshot(initialGameState, makeGame({ players: start }));
+
+    const winnerInfo = {
+      winners: [{ player_name: 'player1', winning_amount: 150 }, { player_name: 'player2', winning_amount: 300 }],
+      pot_amount: 450,
+    };
+    state = delta(state, makeGame({
+      phase: 'WAITING_FOR_PLAYERS',
+      community_cards: ['2C', '7D', '9H', 'JS', '3C'],
+      players: withStacks(start, [150, 300, 0]),
+      winner_info: winnerInfo,
+    }));
+
+    expect(state.completedHand.pots.map(pot => [pot.amount, pot.winners])).toEqual([
+      [150, ['player1']],
+      [300, ['player2']],
+    ]);
+  });
+});
+
+describe('socket messages', () => {
+  test('merges a delta onto the current game', () => {
+    let state = snapshot(initialGameState, makeGame());
+    state = gameReducer(state, { type: GAME_ACTIONS.PATCH, changes: { hand_count: 1, pot: 60 }, receivedAt: 2000 });
+
+    expect(state.game.pot).toBe(60);
+    expect(state.game.players).toHaveLength(2);
+    expect(state.lastDeltaAt).toBe(2000);
+  });
+
+  test('ignores a delta before the first snapshot or from an earlier hand', () => {
+    expect(gameReducer(initialGameState, { type: GAME_ACTIONS.PATCH, changes: { hand_count: 1 } })).toBe(initialGameState);
+
+    const state = snapshot(initialGameState, makeGame({ hand_count: 2 }));
+    expect(gameReducer(state, { type: GAME_ACTIONS.PATCH, changes: { hand_count: 1, pot: 5 } })).toBe(state);
+  });
+
+  test('records a hand result sent on its own', () => {
+    let state = snapshot(initialGameState, makeGame());
+    state = gameReducer(state, {
+      type: GAME_ACTIONS.HAND_RESULT,
+      handCount: '1',
+      winnerInfo: { pot_amount: 30, winners: [{ player_name: 'player1', winning_amount: 30 }] },
+    });
+
+    expect(state.completedHand).toMatchObject({ handNumber: 1, potAmount: 30 });
+  });
+});
+
+describe('betting', () => {
+  test('tracks the last full raise across updates', () => {
+    const table = { big_blind: 10 };
+    let state = snapshot(initialGameState, makeGame({ current_bet: 10, table }));
+    expect(state.betting.lastRaise).toBe(10);
+
+    state = delta(state, makeGame({ current_bet: 35, table }));
+    expect(state.betting.lastRaise).toBe(25);
+
+    state = delta(state, makeGame({ phase: 'FLOP', current_bet: 0, table }));
+    expect(state.betting).toMatchObject({ street: 'FLOP', lastRaise: 10 });
+  });
+});
+
+describe('summary', () => {
+  test('flags the summary when every player has cashed out', () => {
+    const players = [makePlayer(1), makePlayer(2)].map((p) => ({ ...p, cashed_out: true }));
+    const state = snapshot(initialGameState, makeGame({ status: 'FINISHED', players }));
+    expect(state.summaryAvailable).toBe(true);
+  });
+
+  test('flags the summary on an explicit notification', () => {
+    const state = gameReducer(initialGameState, { type: GAME_ACTIONS.SUMMARY_AVAILABLE });
+    expect(state.summaryAvailable).toBe(true);
+  });
+});
+
+describe('parseWinnerInfo', () => {
+  test('handles objects, JSON strings and garbage', () => {
+    expect(parseWinnerInfo({ pot_amount: 5 })).toEqual({ pot_amount: 5 });
+    expect(parseWinnerInfo('{"pot_amount":5}')).toEqual({ pot_amount: 5 });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(parseWinnerInfo('{not json')).toBeNull();
+    console.warn.mockRestore();
+    expect(parseWinnerInfo(null)).toBeNull();
+  });
+});
@@ -0,0 +1,340 @@
+// src/utils/actionLog.js
+//
+// Builds human-readable action log entries by diffing two successive game
+// states (WebSocket pushes or poll responses). The backend only sends
+// snapshots, so every action here is inferred from what changed between them.
+
+// Streets in the order they are dealt; used to label entries
+export const STREET_NAMES = {
+  PREFLOP: "Preflop",
+  FLOP: "Flop",
+  TURN: "Turn",
+  RIVER: "River",
+  SHOWDOWN: "Showdown",
+  WAITING_FOR_PLAYERS: "Hand Complete",
+};
+
+// Keep the log bounded so long sessions don't grow memory without limit
+export const MAX_LOG_ENTRIES = 300;
+
+let entrySequence = 0;
+
+const toNumber = (value) => parseFloat(value || 0) || 0;
+
+const getPlayerName = (player) => player?.player?.user?.username || "Unknown";
+
+const formatAmount = (amount) => {
+  const num = toNumber(amount);
+  return num % 1 === 0 ? `$${num}` : `$${num.toFixed(2)}`;
+};
+
+const parseWinnerInfo = (winnerInfo) => {
+  if (!winnerInfo) return null;
+  if (typeof winnerInfo === "string") {
+    try {
+      return JSON.parse(winnerInfo);
+    } catch (e) {
+      return null;
+    }
+  }
+  return winnerInfo;
+};
+
+const createEntry = (game, fields) => {
+  entrySequence += 1;
+  return {
+    id: `${Date.now()}-${entrySequence}`,
+    timestamp: Date.now(),
+    handNumber: game.hand_count || 0,
+    street: game.phase || null,
+    ...fields,
+  };
+};
+
+// Describe a single player's change in committed chips within one street
+const describeBetChange = (prevGame, prevPlayer, nextPlayer) => {
+  const prevBet = toNumber(prevPlayer.current_bet);
+  const nextBet = toNumber(nextPlayer.current_bet);
+  const prevTableBet = toNumber(prevGame.current_bet);
+  const allIn = toNumber(nextPlayer.stack) === 0;
+
+  if (nextBet <= prevBet) return null;
+
+  let action;
+  if (prevTableBet === 0) {
+    action = "BET";
+  } else if (nextBet > prevTableBet) {
+    action = "RAISE";
+  } else {
+    action = "CALL";
+  }
+
+  const amount = action === "CALL" ? nextBet - prevBet : nextBet;
+  const verb = { BET: "bets", RAISE: "raises to", CALL: "calls" }[action];
+
+  return {
+    action,
+    amount,
+    allIn,
+    text: `${verb} ${formatAmount(amount)}${allIn ? " (all-in)" : ""}`,
+  };
+};
+
+// Infer the action of the player who closed the previous street. Bets are
+// reset when the street advances, so the final call or check is never
+// visible as a bet change.
+const describeClosingAction = (prevGame, nextGame) => {
+  const actorId = prevGame.current_player?.id;
+  if (!actorId) return null;
+
+  const prevPlayer = prevGame.players?.find((p) => p.player.id === actorId);
+  const nextPlayer = nextGame.players?.find((p) => p.player.id === actorId);
+  if (!prevPlayer || !nextPlayer || !nextPlayer.is_active) return null;
+
+  const owed = toNumber(prevGame.current_bet) - toNumber(prevPlayer.current_bet);
+  if (owed > 0) {
+    const allIn = toNumber(nextPlayer.stack) === 0;
+    return createEntry(prevGame, {
+      type: "action",
+      player: getPlayerName(prevPlayer),
+      action: "CALL",
+      amount: owed,
+      text: `calls ${formatAmount(owed)}${allIn ? " (all-in)" : ""}`,
+    });
+  }
+
+  return createEntry(prevGame, {
+    type: "action",
+    player: getPlayerName(prevPlayer),
+    action: "CHECK",
+    amount: 0,
+    text: "checks",
+  });
+};
+
+const describeWinners = (nextGame) => {
+  const winnerInfo = parseWinnerInfo(nextGame.winner_info);
+  if (!winnerInfo || !winnerInfo.winners) return [];
+
+  return winnerInfo.winners.map((winner) =>
+    createEntry(nextGame, {
+      type: "result",
+      player: winner.player_name,
+      action: "WIN",
+      amount: toNumber(winner.winning_amount),
+      text: `wins ${formatAmount(winner.winning_amount)}${
+        winner.hand_name ? ` with ${winner.hand_name}` : ""
+      }`,
+    })
+  );
+};
+
+/**
+ * Compare two game snapshots and return the log entries describing what
+ * happened between them, oldest first.
+ *
+ * @param {Object|null} prevGame - Previously rendered game state
+ * @param {Object|null} nextGame - Newly received game state
+ * @returns {Array<Object>} Entries with type, player, action, amount and text
+ */
+export const diffGameStates = (prevGame, nextGame) => {
+  if (!prevGame || !nextGame) return [];
+
+  const entries = [];
+  const prevPlayers = prevGame.players || [];
+  const nextPlayers = nextGame.players || [];
+  const prevHand = prevGame.hand_count || 0;
+  const nextHand = nextGame.hand_count || 0;
+  const newHand = nextHand > prevHand;
+  const streetChanged = !newHand && nextGame.phase !== prevGame.phase;
+
+  // Seat changes
+  nextPlayers.forEach((player) => {
+    if (!prevPlayers.some((p) => p.id === player.id)) {
+      entries.push(
+        createEntry(nextGame, {
+          type: "join",
+          player: getPlayerName(player),
+          bot: player.player?.is_bot === true,
+          amount: toNumber(player.stack),
+          text: `joins the table with ${formatAmount(player.stack)}`,
+        })
+      );
+    }
+  });
+  prevPlayers.forEach((player) => {
+    if (!nextPlayers.some((p) => p.id === player.id)) {
+      entries.push(
+        createEntry(nextGame, {
+          type: "leave",
+          player: getPlayerName(player),
+          text: "leaves the table",
+        })
+      );
+    }
+  });
+
+  // Closing action of the previous street happens before the street changes
+  if (streetChanged && prevGame.status === "PLAYING") {
+    const closing = describeClosingAction(prevGame, nextGame);
+    if (closing) entries.push(closing);
+  }
+
+  // A fold that ends the street belongs to the street it happened on
+  if (streetChanged) {
+    nextPlayers.forEach((nextPlayer) => {
+      const prevPlayer = prevPlayers.find((p) => p.id === nextPlayer.id);
+      if (prevPlayer && prevPlayer.is_active && !nextPlayer.is_active && !nextPlayer.cashed_out) {
+        entries.push(
+          createEntry(prevGame, {
+            type: "action",
+            player: getPlayerName(nextPlayer),
+            action: "FOLD",
+            amount: 0,
+            text: "folds",
+          })
+        );
+      }
+    });
+  }
+
+  if (newHand) {
+    entries.push(
+      createEntry(nextGame, {
+        type: "hand_start",
+        text: `Hand #${nextHand} dealt`,
+      })
+    );
+  } else if (streetChanged && STREET_NAMES[nextGame.phase]) {
+    const newCards = (nextGame.community_cards || []).slice(
+      (prevGame.community_cards || []).length
+    );
+    entries.push(
+      createEntry(nextGame, {
+        type: "street",
+        text: newCards.length > 0
+          ? `${STREET_NAMES[nextGame.phase]}: ${newCards.join(" ")}`
+          : STREET_NAMES[nextGame.phase],
+        cards: newCards,
+      })
+    );
+  }
+
+  nextPlayers.forEach((nextPlayer) => {
+    const prevPlayer = prevPlayers.find((p) => p.id === nextPlayer.id);
+    if (!prevPlayer) return;
+    const name = getPlayerName(nextPlayer);
+
+    if (!prevPlayer.cashed_out && nextPlayer.cashed_out) {
+      entries.push(
+        createEntry(nextGame, {
+          type: "cash_out",
+          player: name,
+          amount: toNumber(nextPlayer.stack),
+          text: `cashes out ${formatAmount(nextPlayer.stack)}`,
+        })
+      );
+      return;
+    }
+
+    if (newHand) {
+      // Anything committed at the start of a hand is a blind
+      const blind = toNumber(nextPlayer.current_bet);
+      if (blind > 0) {
+        entries.push(
+          createEntry(nextGame, {
+            type: "action",
+            player: name,
+            action: "BLIND",
+            amount: blind,
+            text: `posts blind ${formatAmount(blind)}`,
+          })
+        );
+      }
+      return;
+    }
+
+    if (streetChanged) return;
+
+    const betChange = describeBetChange(prevGame, prevPlayer, nextPlayer);
+    if (betChange) {
+      entries.push(
+        createEntry(nextGame, {
+          type: "action",
+          player: name,
+          ...betChange,
+        })
+      );
+    }
+
+    if (prevPlayer.is_active && !nextPlayer.is_active && !nextPlayer.cashed_out) {
+      entries.push(
+        createEntry(nextGame, {
+          type: "action",
+          player: name,
+          action: "FOLD",
+          amount: 0,
+          text: "folds",
+        })
+      );
+    }
+  });
+
+  // A check leaves every bet unchanged but passes the turn
+  if (!newHand && !streetChanged && prevGame.current_player &&
+      nextGame.current_player?.id !== prevGame.current_player.id) {
+    const actorId = prevGame.current_player.id;
+    const prevActor = prevPlayers.find((p) => p.player.id === actorId);
+    const nextActor = nextPlayers.find((p) => p.player.id === actorId);
+    if (prevActor && nextActor && nextActor.is_active &&
+        toNumber(prevActor.current_bet) === toNumber(nextActor.current_bet) &&
+        toNumber(prevActor.current_bet) === toNumber(prevGame.current_bet)) {
+      entries.push(
+        createEntry(nextGame, {
+          type: "action",
+          player: getPlayerName(nextActor),
+          action: "CHECK",
+          amount: 0,
+          text: "checks",
+        })
+      );
+    }
+  }
+
+  const prevWinners = JSON.stringify(parseWinnerInfo(prevGame.winner_info));
+  const nextWinners = JSON.stringify(parseWinnerInfo(nextGame.winner_info));
+  if (nextGame.winner_info && nextWinners !== prevWinners) {
+    entries.push(...describeWinners(nextGame));
+  }
+
+  return entries;
+};
+
+/**
+ * Group a flat list of entries by hand number and then by street, keeping
+ * the order in which they were logged.
+ *
+ * @param {Array<Object>} entries - Entries produced by diffGameStates
+ * @returns {Array<{handNumber: number, streets: Array<{street: string, entries: Array}>}>}
+ */
+export const groupLogEntries = (entries) => {
+  const hands = [];
+
+  entries.forEach((entry) => {
+    let hand = hands[hands.length - 1];
+    if (!hand || hand.handNumber !== entry.handNumber) {
+      hand = { handNumber: entry.handNumber, streets: [] };
+      hands.push(hand);
+    }
+
+    let street = hand.streets[hand.streets.length - 1];
+    if (!street || street.street !== entry.street) {
+      street = { street: entry.street, entries: [] };
+      hand.streets.push(street);
+    }
+
+    street.entries.push(entry);
+  });
+
+  return hands;
+};
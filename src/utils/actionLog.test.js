@@ -0,0 +1,198 @@
+import { diffGameStates, groupLogEntries } from './actionLog';
+
+const seat = (id, username, extra = {}) => ({
+  id,
+  player: { id, user: { id, username }, is_bot: false },
+  stack: 100,
+  current_bet: 0,
+  is_active: true,
+  cashed_out: false,
+  ...extra,
+});
+
+// Alice (1) and Bob (2) on the flop, nothing bet yet, Alice to act
+const game = (overrides = {}) => ({
+  status: 'PLAYING',
+  phase: 'FLOP',
+  hand_count: 4,
+  current_bet: 0,
+  community_cards: ['AS', 'KD', '7C'],
+  current_player: { id: 1 },
+  players: [seat(1, 'alice'), seat(2, 'bob')],
+  ...overrides,
+});
+
+const summarize = (entries) => entries.map(({ type, player, action, amount, text }) => ({
+  type, player, action, amount, text,
+}));
+
+describe('diffGameStates', () => {
+  test('logs nothing without a previous state', () => {
+    expect(diffGameStates(null, game())).toEqual([]);
+  });
+
+  test('an opening bet is a bet', () => {
+    const next = game({
+      current_bet: 10,
+      current_player: { id: 2 },
+      players: [seat(1, 'alice', { current_bet: 10, stack: 90 }), seat(2, 'bob')],
+    });
+
+    expect(summarize(diffGameStates(game(), next))).toEqual([
+      { type: 'action', player: 'alice', action: 'BET', amount: 10, text: 'bets $10' },
+    ]);
+  });
+
+  test('going over the current bet is a raise, matching it is a call', () => {
+    const bet = game({
+      current_bet: 10,
+      current_player: { id: 2 },
+      players: [seat(1, 'alice', { current_bet: 10, stack: 90 }), seat(2, 'bob')],
+    });
+    const raised = game({
+      current_bet: 30,
+      current_player: { id: 1 },
+      players: [seat(1, 'alice', { current_bet: 10, stack: 90 }), seat(2, 'bob', { current_bet: 30, stack: 70 })],
+    });
+    const called = game({
+      current_bet: 30,
+      current_player: { id: 2 },
+      players: [seat(1, 'alice', { current_bet: 30, stack: 70 }), seat(2, 'bob', { current_bet: 30, stack: 70 })],
+    });
+
+    expect(summarize(diffGameStates(bet, raised))).toEqual([
+      { type: 'action', player: 'bob', action: 'RAISE', amount: 30, text: 'raises to $30' },
+    ]);
+    expect(summarize(diffGameStates(raised, called))).toEqual([
+      { type: 'action', player: 'alice', action: 'CALL', amount: 20, text: 'calls $20' },
+    ]);
+  });
+
+  test('flags a bet that empties the stack as all-in', () => {
+    const next = game({
+      current_bet: 100,
+      current_player: { id: 2 },
+      players: [seat(1, 'alice', { current_bet: 100, stack: 0 }), seat(2, 'bob')],
+    });
+
+    const [entry] = diffGameStates(game(), next);
+    expect(entry.allIn).toBe(true);
+    expect(entry.text).toBe('bets $100 (all-in)');
+  });
+
+  test('a check passes the turn without changing any bet', () => {
+    const next = game({ current_player: { id: 2 } });
+
+    expect(summarize(diffGameStates(game(), next))).toEqual([
+      { type: 'action', player: 'alice', action: 'CHECK', amount: 0, text: 'checks' },
+    ]);
+  });
+
+  test('logs the closing call before the next street', () => {
+    const prev = game({
+      current_bet: 10,
+      current_player: { id: 2 },
+      players: [seat(1, 'alice', { current_bet: 10, stack: 90 }), seat(2, 'bob')],
+    });
+    const next = game({
+      phase: 'TURN',
+      community_cards: ['AS', 'KD', '7C', '2H'],
+      current_player: { id: 1 },
+      players: [seat(1, 'alice', { stack: 90 }), seat(2, 'bob', { stack: 90 })],
+    });
+
+    const entries = diffGameStates(prev, next);
+    expect(summarize(entries)).toEqual([
+      { type: 'action', player: 'bob', action: 'CALL', amount: 10, text: 'calls $10' },
+      { type: 'street', player: undefined, action: undefined, amount: undefined, text: 'Turn: 2H' },
+    ]);
+    // The call belongs to the flop, the new card to the turn
+    expect(entries.map(entry => entry.street)).toEqual(['FLOP', 'TURN']);
+    expect(entries[1].cards).toEqual(['2H']);
+  });
+
+  test('logs a fold', () => {
+    const prev = game({
+      current_bet: 10,
+      current_player: { id: 2 },
+      players: [seat(1, 'alice', { current_bet: 10, stack: 90 }), seat(2, 'bob')],
+    });
+    const next = game({
+      current_bet: 10,
+      current_player: null,
+      players: [seat(1, 'alice', { current_bet: 10, stack: 90 }), seat(2, 'bob', { is_active: false })],
+    });
+
+    expect(summarize(diffGameStates(prev, next))).toContainEqual(
+      { type: 'action', player: 'bob', action: 'FOLD', amount: 0, text: 'folds' }
+    );
+  });
+
+  test('logs the showdown winners once', () => {
+    const winnerInfo = { winners: [{ player_name: 'alice', winning_amount: 60, hand_name: 'Two Pair' }] };
+    const prev = game({ phase: 'RIVER', current_player: null });
+    const next = game({ phase: 'WAITING_FOR_PLAYERS', current_player: null, winner_info: JSON.stringify(winnerInfo) });
+
+    const results = diffGameStates(prev, next).filter(entry => entry.type === 'result');
+    expect(summarize(results)).toEqual([
+      { type: 'result', player: 'alice', action: 'WIN', amount: 60, text: 'wins $60 with Two Pair' },
+    ]);
+    expect(diffGameStates(next, { ...next, winner_info: winnerInfo })).toEqual([]);
+  });
+
+  test('starts a new hand with its blinds', () => {
+    const next = game({
+      phase: 'PREFLOP',
+      hand_count: 5,
+      current_bet: 2,
+      community_cards: [],
+      players: [seat(1, 'alice', { current_bet: 1, stack: 99 }), seat(2, 'bob', { current_bet: 2, stack: 98 })],
+    });
+
+    expect(summarize(diffGameStates(game(), next)).map(entry => entry.text)).toEqual([
+      'Hand #5 dealt',
+      'posts blind $1',
+      'posts blind $2',
+    ]);
+  });
+
+  test('logs players joining, leaving and cashing out', () => {
+    const prev = game({ players: [seat(1, 'alice'), seat(2, 'bob')] });
+    const next = game({
+      players: [seat(1, 'alice', { cashed_out: true, is_active: false }), seat(3, 'carol', { stack: 200 })],
+    });
+
+    expect(summarize(diffGameStates(prev, next)).map(entry => `${entry.player} ${entry.text}`)).toEqual([
+      'carol joins the table with $200',
+      'bob leaves the table',
+      'alice cashes out $100',
+    ]);
+  });
+});
+
+describe('groupLogEntries', () => {
+  test('groups entries by hand, then street, in logged order', () => {
+    const entry = (handNumber, street, text) => ({ handNumber, street, text });
+    const entries = [
+      entry(1, 'PREFLOP', 'a'),
+      entry(1, 'PREFLOP', 'b'),
+      entry(1, 'FLOP', 'c'),
+      entry(2, 'PREFLOP', 'd'),
+    ];
+
+    expect(groupLogEntries(entries)).toEqual([
+      {
+        handNumber: 1,
+        streets: [
+          { street: 'PREFLOP', entries: [entries[0], entries[1]] },
+          { street: 'FLOP', entries: [entries[2]] },
+        ],
+      },
+      { handNumber: 2, streets: [{ street: 'PREFLOP', entries: [entries[3]] }] },
+    ]);
+  });
+
+  test('is empty for no entries', () => {
+    expect(groupLogEntries([])).toEqual([]);
+  });
+});
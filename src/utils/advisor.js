@@ -0,0 +1,166 @@
+// src/utils/advisor.js
+//
+// A simple rules-based advisor for practice mode: how strong the hero's hand
+// is, what the pot is offering, and a suggested action. It is deliberately
+// basic (compare a win chance against the price of calling) so the hints can
+// explain themselves in one sentence. After the hand, reviewDecisions marks
+// where the player went another way.
+
+import { parseCard, evaluateHand, HAND_CATEGORIES } from "./handEvaluator";
+import { calculatePotOdds } from "./equity";
+
+export const ADVICE_ACTIONS = {
+  FOLD: "FOLD",
+  CHECK: "CHECK",
+  CALL: "CALL",
+  BET: "BET",
+  RAISE: "RAISE",
+};
+
+// Win chance needed to bet when checked to, and to raise when facing a bet
+export const BET_THRESHOLD = 0.6;
+export const RAISE_THRESHOLD = 0.7;
+
+// Rough heads-up win chance for each made hand category, used when no
+// equity estimate is available
+const CATEGORY_STRENGTH = {
+  [HAND_CATEGORIES.HIGH_CARD]: 0.3,
+  [HAND_CATEGORIES.PAIR]: 0.55,
+  [HAND_CATEGORIES.TWO_PAIR]: 0.75,
+  [HAND_CATEGORIES.THREE_OF_A_KIND]: 0.82,
+  [HAND_CATEGORIES.STRAIGHT]: 0.88,
+  [HAND_CATEGORIES.FLUSH]: 0.9,
+  [HAND_CATEGORIES.FULL_HOUSE]: 0.95,
+  [HAND_CATEGORIES.FOUR_OF_A_KIND]: 0.98,
+  [HAND_CATEGORIES.STRAIGHT_FLUSH]: 0.99,
+};
+
+const PREFLOP_TIERS = [
+  { min: 10, label: "Premium" },
+  { min: 8, label: "Strong" },
+  { min: 5, label: "Playable" },
+  { min: -Infinity, label: "Weak" },
+];
+
+const percent = (fraction) => `${Math.round(fraction * 100)}%`;
+
+/**
+ * Chen formula score for two hole cards, from -1 (7-2 offsuit) to 20
+ * (pocket aces).
+ *
+ * @param {Array<string>} holeCards
+ * @returns {number}
+ */
+export const getChenScore = (holeCards) => {
+  const [high, low] = holeCards.map(parseCard).sort((a, b) => b.rank - a.rank);
+  const cardPoints = (rank) => ({ 14: 10, 13: 8, 12: 7, 11: 6 }[rank] ?? rank / 2);
+
+  if (high.rank === low.rank) {
+    return Math.max(5, cardPoints(high.rank) * 2);
+  }
+
+  let score = cardPoints(high.rank);
+  if (high.suit === low.suit) score += 2;
+  const gap = high.rank - low.rank - 1;
+  score -= [0, 1, 2, 4][gap] ?? 5;
+  if (gap <= 1 && high.rank < 12) score += 1;
+  return Math.ceil(score);
+};
+
+/**
+ * How strong the hero's hand is right now.
+ *
+ * @param {Array<string>} holeCards
+ * @param {Array<string>} [board]
+ * @returns {{label: string, value: number}} value is a rough heads-up win
+ *   chance between 0 and 1
+ */
+export const getHandStrength = (holeCards, board = []) => {
+  if (board.length === 0) {
+    const score = getChenScore(holeCards);
+    const { label } = PREFLOP_TIERS.find((tier) => score >= tier.min);
+    return { label: `${label} starting hand`, value: Math.min(0.85, Math.max(0.3, 0.32 + score * 0.026)) };
+  }
+
+  const hand = evaluateHand([...holeCards, ...board]);
+  // A hand the board makes on its own (a paired board, say) is shared by
+  // everyone, so it counts for no more than high card
+  const boardHand = board.length >= 2 ? evaluateHand(board) : null;
+  const category = boardHand && boardHand.category >= hand.category ? HAND_CATEGORIES.HIGH_CARD : hand.category;
+  return { label: hand.description, value: CATEGORY_STRENGTH[category] };
+};
+
+/**
+ * Suggested action at the hero's turn.
+ *
+ * @param {Object} params
+ * @param {Array<string>} params.holeCards
+ * @param {Array<string>} [params.board]
+ * @param {Object|null} [params.equity] - From useEquity; preferred over the
+ *   rough hand strength when available
+ * @param {number} [params.opponents] - Opponents still in the hand
+ * @param {number} params.callAmount - Chips needed to call
+ * @param {number} params.pot - Chips in the pot, including bets this street
+ * @param {boolean} params.canCheck
+ * @param {boolean} params.canRaise
+ * @returns {{action: string, reason: string, strength: string,
+ *   winChance: number, potOdds: number}|null} null without hole cards
+ */
+export const getAdvice = ({
+  holeCards,
+  board = [],
+  equity = null,
+  opponents = 1,
+  callAmount,
+  pot,
+  canCheck,
+  canRaise,
+}) => {
+  if (!holeCards || holeCards.length !== 2) return null;
+
+  const strength = getHandStrength(holeCards, board);
+  // Each extra opponent is another hand to beat
+  const winChance = equity ? equity.equity : strength.value ** Math.max(1, opponents);
+  const potOdds = calculatePotOdds(callAmount, pot);
+  const advice = (action, reason) => ({ action, reason, strength: strength.label, winChance, potOdds });
+
+  if (canCheck) {
+    if (canRaise && winChance >= BET_THRESHOLD) {
+      return advice(ADVICE_ACTIONS.BET, `You win about ${percent(winChance)} of the time, so bet for value`);
+    }
+    return advice(ADVICE_ACTIONS.CHECK, "Checking is free, and your hand isn't strong enough to bet");
+  }
+
+  if (canRaise && winChance >= RAISE_THRESHOLD) {
+    return advice(ADVICE_ACTIONS.RAISE, `You win about ${percent(winChance)} of the time, so raise for value`);
+  }
+  if (winChance >= potOdds) {
+    return advice(
+      ADVICE_ACTIONS.CALL,
+      `Calling needs ${percent(potOdds)} and you win about ${percent(winChance)}, so the price is right`
+    );
+  }
+  return advice(
+    ADVICE_ACTIONS.FOLD,
+    `Calling needs ${percent(potOdds)} but you only win about ${percent(winChance)}`
+  );
+};
+
+// Bets and raises are the same decision: put more money in
+const actionFamily = (action) => (action === ADVICE_ACTIONS.BET ? ADVICE_ACTIONS.RAISE : action);
+
+/**
+ * Compare what the player did with what the advisor suggested.
+ *
+ * @param {Array<{street: string, action: string, amount: number, advice: Object}>} decisions
+ *   The player's actions in one hand, in order
+ * @returns {{entries: Array<Object>, deviations: number}} entries are the
+ *   decisions with followed: boolean added
+ */
+export const reviewDecisions = (decisions) => {
+  const entries = decisions.map((decision) => ({
+    ...decision,
+    followed: actionFamily(decision.action) === actionFamily(decision.advice.action),
+  }));
+  return { entries, deviations: entries.filter((entry) => !entry.followed).length };
+};
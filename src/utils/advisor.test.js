@@ -0,0 +1,67 @@
+import { getChenScore, getHandStrength, getAdvice, reviewDecisions, ADVICE_ACTIONS } from './advisor';
+
+const spot = (overrides) => ({ holeCards: ['AS', 'AH'], board: [], callAmount: 0, pot: 3, canCheck: true, canRaise: true, ...overrides });
+
+describe('getChenScore', () => {
+  test('scores pairs, suited and connected cards', () => {
+    expect(getChenScore(['AS', 'AH'])).toBe(20);
+    expect(getChenScore(['KS', 'AS'])).toBe(12);
+    expect(getChenScore(['AS', 'KD'])).toBe(10);
+    expect(getChenScore(['JS', '10S'])).toBe(9);
+    expect(getChenScore(['2S', '2D'])).toBe(5);
+    expect(getChenScore(['7S', '2D'])).toBe(-1);
+  });
+});
+
+describe('getHandStrength', () => {
+  test('rates starting hands by tier', () => {
+    expect(getHandStrength(['AS', 'AH']).label).toBe('Premium starting hand');
+    expect(getHandStrength(['7S', '2D'])).toEqual({ label: 'Weak starting hand', value: 0.3 });
+  });
+
+  test('rates made hands after the flop', () => {
+    expect(getHandStrength(['AS', 'KD'], ['AH', '7C', '2D'])).toMatchObject({ label: 'Pair of Aces', value: 0.55 });
+  });
+
+  test('does not credit a pair the board makes on its own', () => {
+    expect(getHandStrength(['AS', 'KD'], ['7H', '7C', '2D']).value).toBe(0.3);
+  });
+});
+
+describe('getAdvice', () => {
+  test('bets strong hands and checks weak ones when checked to', () => {
+    expect(getAdvice(spot()).action).toBe(ADVICE_ACTIONS.BET);
+    expect(getAdvice(spot({ holeCards: ['7S', '2D'] })).action).toBe(ADVICE_ACTIONS.CHECK);
+  });
+
+  test('calls when the win chance beats the pot odds and folds when it does not', () => {
+    const facingBet = { canCheck: false, callAmount: 10, pot: 20 };
+    const call = getAdvice(spot({ ...facingBet, equity: { equity: 0.4 } }));
+    expect(call).toMatchObject({ action: ADVICE_ACTIONS.CALL, winChance: 0.4 });
+    expect(call.potOdds).toBeCloseTo(1 / 3);
+    expect(call.reason).toBe('Calling needs 33% and you win about 40%, so the price is right');
+
+    expect(getAdvice(spot({ ...facingBet, equity: { equity: 0.25 } })).action).toBe(ADVICE_ACTIONS.FOLD);
+    expect(getAdvice(spot({ ...facingBet, equity: { equity: 0.8 } })).action).toBe(ADVICE_ACTIONS.RAISE);
+    expect(getAdvice(spot({ ...facingBet, equity: { equity: 0.8 }, canRaise: false })).action).toBe(ADVICE_ACTIONS.CALL);
+  });
+
+  test('discounts the rough strength for each extra opponent', () => {
+    expect(getAdvice(spot({ opponents: 3 })).action).toBe(ADVICE_ACTIONS.CHECK);
+  });
+
+  test('has nothing to say without hole cards', () => {
+    expect(getAdvice(spot({ holeCards: [] }))).toBeNull();
+  });
+});
+
+describe('reviewDecisions', () => {
+  test('marks decisions that went against the advice, treating bets and raises alike', () => {
+    const review = reviewDecisions([
+      { street: 'PREFLOP', action: 'RAISE', amount: 6, advice: { action: 'BET' } },
+      { street: 'FLOP', action: 'CALL', amount: 0, advice: { action: 'FOLD' } },
+    ]);
+    expect(review.entries.map(entry => entry.followed)).toEqual([true, false]);
+    expect(review.deviations).toBe(1);
+  });
+});
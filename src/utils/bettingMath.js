@@ -0,0 +1,227 @@
+// src/utils/bettingMath.js
+//
+// No-limit betting arithmetic. Bet and raise amounts are "raise to" totals
+// for the street, which is what the backend expects. A raise must grow the
+// current bet by at least the last full raise (never less than the big
+// blind); an all-in short of that is an incomplete raise and is always
+// allowed, but it doesn't change the minimum for the next raise.
+
+export const BETTING_STREETS = ['PREFLOP', 'FLOP', 'TURN', 'RIVER'];
+
+export const BET_PRESET_TYPES = {
+  POT: 'pot',       // Fraction of the pot, counting the call
+  MULTIPLE: 'x',    // Multiple of the current bet, or of the big blind when unopened
+};
+
+export const DEFAULT_BET_PRESETS = {
+  PREFLOP: [
+    { type: BET_PRESET_TYPES.MULTIPLE, value: 2.5 },
+    { type: BET_PRESET_TYPES.MULTIPLE, value: 3 },
+    { type: BET_PRESET_TYPES.POT, value: 1 },
+  ],
+  FLOP: [
+    { type: BET_PRESET_TYPES.POT, value: 0.33 },
+    { type: BET_PRESET_TYPES.POT, value: 0.5 },
+    { type: BET_PRESET_TYPES.POT, value: 0.75 },
+    { type: BET_PRESET_TYPES.POT, value: 1 },
+  ],
+  TURN: [
+    { type: BET_PRESET_TYPES.POT, value: 0.5 },
+    { type: BET_PRESET_TYPES.POT, value: 0.75 },
+    { type: BET_PRESET_TYPES.POT, value: 1 },
+  ],
+  RIVER: [
+    { type: BET_PRESET_TYPES.POT, value: 0.5 },
+    { type: BET_PRESET_TYPES.POT, value: 0.75 },
+    { type: BET_PRESET_TYPES.POT, value: 1 },
+  ],
+};
+
+const toNumber = (value) => parseFloat(value || 0) || 0;
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Street being bet on, from game.phase or, failing that, the board.
+ *
+ * @param {Object} game
+ * @returns {string} One of BETTING_STREETS
+ */
+export const getBettingStreet = (game) => {
+  if (BETTING_STREETS.includes(game?.phase)) return game.phase;
+  const boardSize = (game?.community_cards || []).length;
+  if (boardSize >= 5) return 'RIVER';
+  if (boardSize === 4) return 'TURN';
+  if (boardSize === 3) return 'FLOP';
+  return 'PREFLOP';
+};
+
+/**
+ * Follow the current bet across game updates to learn the last full raise.
+ * When a street is first seen mid-way, the current bet is assumed to come
+ * from a single bet or raise, which is exact for opens and c-bets.
+ *
+ * @param {Object|null} betting - Previous result, or null
+ * @param {Object} game
+ * @returns {{handCount: number, street: string, currentBet: number, lastRaise: number}}
+ */
+export const trackBetting = (betting, game) => {
+  const handCount = game.hand_count || 0;
+  const street = game.phase;
+  const currentBet = toNumber(game.current_bet);
+  const bigBlind = toNumber(game.table?.big_blind);
+
+  if (!betting || betting.handCount !== handCount || betting.street !== street || currentBet < betting.currentBet) {
+    const opened = street === 'PREFLOP' ? currentBet - bigBlind : currentBet;
+    return { handCount, street, currentBet, lastRaise: Math.max(bigBlind, roundCents(opened)) };
+  }
+  if (currentBet === betting.currentBet) return betting;
+
+  const increment = roundCents(currentBet - betting.currentBet);
+  return {
+    ...betting,
+    currentBet,
+    // An incomplete (all-in) raise leaves the minimum where it was
+    lastRaise: increment >= betting.lastRaise ? increment : betting.lastRaise,
+  };
+};
+
+/**
+ * What the player may do this turn.
+ *
+ * @param {Object} options
+ * @param {number} options.currentBet - Highest bet on the street
+ * @param {number} options.playerBet - The player's bet on the street
+ * @param {number} options.playerStack - Chips behind
+ * @param {number} options.bigBlind
+ * @param {number} [options.lastRaise] - Last full raise increment, see trackBetting
+ * @returns {{callAmount: number, canCheck: boolean, allInToCall: boolean,
+ *   canRaise: boolean, minAmount: number, maxAmount: number,
+ *   allInOnly: boolean, action: string}}
+ *   minAmount/maxAmount are raise-to totals. allInOnly means the stack is
+ *   short of a full raise, so the only raise is all-in.
+ */
+export const getBettingLimits = ({ currentBet, playerBet, playerStack, bigBlind, lastRaise = 0 }) => {
+  const bet = toNumber(currentBet);
+  const committed = toNumber(playerBet);
+  const stack = toNumber(playerStack);
+  const blind = toNumber(bigBlind);
+
+  const toCall = Math.max(0, bet - committed);
+  const maxAmount = roundCents(committed + stack);
+  const fullMin = roundCents(bet === 0 ? blind : bet + Math.max(toNumber(lastRaise), blind));
+  const allInOnly = maxAmount < fullMin;
+
+  return {
+    callAmount: roundCents(Math.min(toCall, stack)),
+    canCheck: toCall === 0,
+    allInToCall: toCall > 0 && stack <= toCall,
+    canRaise: maxAmount > bet,
+    minAmount: allInOnly ? maxAmount : fullMin,
+    maxAmount,
+    allInOnly,
+    action: bet === 0 ? 'BET' : 'RAISE',
+  };
+};
+
+/**
+ * The action to send for an action queued before the user's turn, now that
+ * the turn has come, or null if the table moved on and it no longer applies
+ * (a queued check after a bet, a raise below the new minimum).
+ *
+ * @param {string} preAction - FOLD, CHECK, CALL, CHECK_FOLD, BET or RAISE
+ * @param {number} amount - Raise-to total for a queued bet or raise
+ * @param {Object} limits - Result of getBettingLimits for the turn
+ * @returns {{action: string, amount: number}|null}
+ */
+export const resolvePreAction = (preAction, amount, limits) => {
+  const { canCheck, canRaise, minAmount, maxAmount, action } = limits;
+
+  switch (preAction) {
+    case 'CHECK_FOLD':
+      return { action: canCheck ? 'CHECK' : 'FOLD', amount: 0 };
+    case 'FOLD':
+      return { action: 'FOLD', amount: 0 };
+    case 'CHECK':
+      return canCheck ? { action: 'CHECK', amount: 0 } : null;
+    case 'CALL':
+      return canCheck ? null : { action: 'CALL', amount: 0 };
+    case 'BET':
+    case 'RAISE': {
+      const value = toNumber(amount);
+      if (preAction !== action || !canRaise || value < minAmount || value > maxAmount) return null;
+      return { action, amount: value };
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Pot-sized raise: call first, then raise by a fraction of the pot that
+ * includes the call.
+ *
+ * @param {Object} options
+ * @param {number} options.currentBet
+ * @param {number} options.playerBet
+ * @param {number} options.pot - Chips in the pot, including bets this street
+ * @param {number} [fraction=1]
+ * @returns {number} Raise-to total
+ */
+export const getPotRaise = ({ currentBet, playerBet, pot }, fraction = 1) => {
+  const bet = toNumber(currentBet);
+  const toCall = Math.max(0, bet - toNumber(playerBet));
+  return roundCents(bet + fraction * (toNumber(pot) + toCall));
+};
+
+/**
+ * Raise-to total for a bet-sizing preset, before any limits apply.
+ *
+ * @param {{type: string, value: number}} preset
+ * @param {Object} options - currentBet, playerBet, pot and bigBlind
+ * @returns {number}
+ */
+export const getPresetAmount = (preset, { currentBet, playerBet, pot, bigBlind }) => {
+  if (preset.type === BET_PRESET_TYPES.MULTIPLE) {
+    return roundCents((toNumber(currentBet) || toNumber(bigBlind)) * preset.value);
+  }
+  return getPotRaise({ currentBet, playerBet, pot }, preset.value);
+};
+
+/**
+ * Bring an amount up to the minimum raise. Amounts over the stack stay as
+ * they are so callers can tell the size isn't available.
+ *
+ * @param {number} amount
+ * @param {Object} limits - From getBettingLimits
+ * @returns {number}
+ */
+export const applyMinimum = (amount, limits) => roundCents(Math.max(amount, limits.minAmount));
+
+/**
+ * @param {{type: string, value: number}} preset
+ * @returns {string} e.g. "2.5x", "33%", "Pot"
+ */
+export const formatPresetLabel = (preset) => {
+  if (preset.type === BET_PRESET_TYPES.MULTIPLE) return `${preset.value}x`;
+  return preset.value === 1 ? 'Pot' : `${Math.round(preset.value * 100)}%`;
+};
+
+const isValidPreset = (preset) =>
+  !!preset &&
+  Object.values(BET_PRESET_TYPES).includes(preset.type) &&
+  Number.isFinite(preset.value) &&
+  preset.value > 0;
+
+/**
+ * A street's presets: the user's own when they have saved some, otherwise
+ * the defaults. Malformed entries are dropped.
+ *
+ * @param {Object|null} savedPresets - The betPresets preference, keyed by street
+ * @param {string} street - One of BETTING_STREETS
+ * @returns {Array<{type: string, value: number}>}
+ */
+export const getStreetPresets = (savedPresets, street) => {
+  const saved = savedPresets?.[street];
+  if (Array.isArray(saved)) return saved.filter(isValidPreset);
+  return DEFAULT_BET_PRESETS[street] || [];
+};
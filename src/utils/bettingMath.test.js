@@ -0,0 +1,200 @@
+import {
+  getBettingLimits,
+  getBettingStreet,
+  getPotRaise,
+  getPresetAmount,
+  getStreetPresets,
+  applyMinimum,
+  formatPresetLabel,
+  trackBetting,
+  resolvePreAction,
+  BET_PRESET_TYPES,
+  DEFAULT_BET_PRESETS,
+} from './bettingMath';
+
+const pot = (value) => ({ type: BET_PRESET_TYPES.POT, value });
+const times = (value) => ({ type: BET_PRESET_TYPES.MULTIPLE, value });
+
+describe('getBettingLimits', () => {
+  test('the minimum bet on an unopened street is the big blind', () => {
+    expect(getBettingLimits({ currentBet: 0, playerBet: 0, playerStack: 500, bigBlind: 10 })).toMatchObject({
+      canCheck: true,
+      callAmount: 0,
+      minAmount: 10,
+      maxAmount: 500,
+      action: 'BET',
+    });
+  });
+
+  test('a raise must grow the bet by the last raise increment', () => {
+    // Blinds 5/10, opened to 30: the last raise was 20, so the minimum is 50
+    const limits = getBettingLimits({ currentBet: 30, playerBet: 10, playerStack: 490, bigBlind: 10, lastRaise: 20 });
+
+    expect(limits.minAmount).toBe(50);
+    expect(limits.callAmount).toBe(20);
+    expect(limits.maxAmount).toBe(500);
+    expect(limits.action).toBe('RAISE');
+  });
+
+  test('the increment is never smaller than the big blind', () => {
+    expect(getBettingLimits({ currentBet: 10, playerBet: 0, playerStack: 500, bigBlind: 10, lastRaise: 0 }).minAmount).toBe(20);
+  });
+
+  test('a stack short of a full raise can only go all-in', () => {
+    const limits = getBettingLimits({ currentBet: 100, playerBet: 0, playerStack: 150, bigBlind: 10, lastRaise: 100 });
+
+    expect(limits.allInOnly).toBe(true);
+    expect(limits.canRaise).toBe(true);
+    expect(limits.minAmount).toBe(150);
+    expect(limits.maxAmount).toBe(150);
+  });
+
+  test('a stack that cannot cover the call calls all-in for less', () => {
+    const limits = getBettingLimits({ currentBet: 100, playerBet: 20, playerStack: 50, bigBlind: 10, lastRaise: 90 });
+
+    expect(limits.callAmount).toBe(50);
+    expect(limits.allInToCall).toBe(true);
+    expect(limits.canRaise).toBe(false);
+  });
+
+  test('a short stack can still bet all-in below the big blind', () => {
+    const limits = getBettingLimits({ currentBet: 0, playerBet: 0, playerStack: 6, bigBlind: 10 });
+
+    expect(limits.allInOnly).toBe(true);
+    expect(limits.minAmount).toBe(6);
+  });
+});
+
+describe('resolvePreAction', () => {
+  test('sends a queued min raise after a raise that did not double the bet', () => {
+    // Blinds 1/2, bet 10 and raised to 16: the last raise was 6, so the
+    // minimum is 22, well short of doubling the bet
+    const limits = getBettingLimits({ currentBet: 16, playerBet: 0, playerStack: 200, bigBlind: 2, lastRaise: 6 });
+
+    expect(resolvePreAction('RAISE', 22, limits)).toEqual({ action: 'RAISE', amount: 22 });
+  });
+
+  test('sends a queued all-in when only an all-in raise is left', () => {
+    const limits = getBettingLimits({ currentBet: 100, playerBet: 0, playerStack: 150, bigBlind: 10, lastRaise: 100 });
+
+    expect(resolvePreAction('RAISE', 150, limits)).toEqual({ action: 'RAISE', amount: 150 });
+  });
+
+  test('drops a queued raise the table has outgrown', () => {
+    const limits = getBettingLimits({ currentBet: 40, playerBet: 0, playerStack: 200, bigBlind: 2, lastRaise: 24 });
+
+    expect(resolvePreAction('RAISE', 22, limits)).toBeNull();
+    expect(resolvePreAction('BET', 22, limits)).toBeNull();
+  });
+
+  test('turns check/fold into whichever applies', () => {
+    const unopened = getBettingLimits({ currentBet: 0, playerBet: 0, playerStack: 200, bigBlind: 2 });
+    const facingBet = getBettingLimits({ currentBet: 10, playerBet: 0, playerStack: 200, bigBlind: 2, lastRaise: 10 });
+
+    expect(resolvePreAction('CHECK_FOLD', 0, unopened)).toEqual({ action: 'CHECK', amount: 0 });
+    expect(resolvePreAction('CHECK_FOLD', 0, facingBet)).toEqual({ action: 'FOLD', amount: 0 });
+    expect(resolvePreAction('CHECK', 0, facingBet)).toBeNull();
+    expect(resolvePreAction('CALL', 0, unopened)).toBeNull();
+  });
+});
+
+describe('trackBetting', () => {
+  const game = (overrides) => ({ hand_count: 3, phase: 'PREFLOP', current_bet: 10, table: { big_blind: 10 }, ...overrides });
+
+  test('starts each street at the big blind', () => {
+    expect(trackBetting(null, game())).toEqual({ handCount: 3, street: 'PREFLOP', currentBet: 10, lastRaise: 10 });
+    expect(trackBetting(null, game({ phase: 'FLOP', current_bet: 0 })).lastRaise).toBe(10);
+  });
+
+  test('records full raises', () => {
+    let betting = trackBetting(null, game());
+    betting = trackBetting(betting, game({ current_bet: 30 }));
+    expect(betting.lastRaise).toBe(20);
+
+    betting = trackBetting(betting, game({ current_bet: 90 }));
+    expect(betting.lastRaise).toBe(60);
+  });
+
+  test('ignores incomplete all-in raises', () => {
+    let betting = trackBetting(null, game({ current_bet: 30 }));
+    expect(betting.lastRaise).toBe(20);
+
+    // All-in for 45 is only 15 more than 30
+    betting = trackBetting(betting, game({ current_bet: 45 }));
+    expect(betting).toMatchObject({ currentBet: 45, lastRaise: 20 });
+  });
+
+  test('resets on a new street or hand', () => {
+    const preflop = trackBetting(null, game({ current_bet: 40 }));
+    expect(trackBetting(preflop, game({ phase: 'FLOP', current_bet: 0 }))).toMatchObject({ street: 'FLOP', lastRaise: 10 });
+    expect(trackBetting(preflop, game({ hand_count: 4 }))).toMatchObject({ handCount: 4, lastRaise: 10 });
+  });
+
+  test('treats a bet seen mid-street as a single bet', () => {
+    expect(trackBetting(null, game({ phase: 'TURN', current_bet: 45 })).lastRaise).toBe(45);
+  });
+
+  test('returns the same object when nothing changed', () => {
+    const betting = trackBetting(null, game());
+    expect(trackBetting(betting, game())).toBe(betting);
+  });
+});
+
+describe('getPotRaise', () => {
+  test('counts the call in the pot', () => {
+    // Pot 60 including a 20 bet; calling makes it 80, so pot is a raise to 100
+    expect(getPotRaise({ currentBet: 20, playerBet: 0, pot: 60 })).toBe(100);
+  });
+
+  test('is a plain fraction of the pot with nothing to call', () => {
+    expect(getPotRaise({ currentBet: 0, playerBet: 0, pot: 90 }, 0.33)).toBe(29.7);
+  });
+});
+
+describe('getPresetAmount', () => {
+  const state = { currentBet: 10, playerBet: 0, pot: 15, bigBlind: 10 };
+
+  test('multiplies the current bet', () => {
+    expect(getPresetAmount(times(2.5), state)).toBe(25);
+  });
+
+  test('multiplies the big blind when nobody has bet', () => {
+    expect(getPresetAmount(times(3), { ...state, currentBet: 0 })).toBe(30);
+  });
+
+  test('sizes pot presets with the call included', () => {
+    expect(getPresetAmount(pot(1), state)).toBe(35);
+  });
+});
+
+test('applyMinimum raises small amounts to the minimum', () => {
+  const limits = { minAmount: 50, maxAmount: 500 };
+  expect(applyMinimum(35, limits)).toBe(50);
+  expect(applyMinimum(80, limits)).toBe(80);
+  expect(applyMinimum(800, limits)).toBe(800);
+});
+
+test('formatPresetLabel', () => {
+  expect(formatPresetLabel(times(2.5))).toBe('2.5x');
+  expect(formatPresetLabel(pot(0.33))).toBe('33%');
+  expect(formatPresetLabel(pot(1))).toBe('Pot');
+});
+
+describe('getStreetPresets', () => {
+  test('falls back to the defaults', () => {
+    expect(getStreetPresets(null, 'FLOP')).toBe(DEFAULT_BET_PRESETS.FLOP);
+    expect(getStreetPresets({ TURN: [pot(1)] }, 'FLOP')).toBe(DEFAULT_BET_PRESETS.FLOP);
+  });
+
+  test('uses saved presets and drops bad entries', () => {
+    expect(getStreetPresets({ FLOP: [pot(0.33), { type: 'pot', value: -1 }, { type: 'bogus', value: 2 }] }, 'FLOP'))
+      .toEqual([pot(0.33)]);
+    expect(getStreetPresets({ RIVER: [] }, 'RIVER')).toEqual([]);
+  });
+});
+
+test('getBettingStreet uses the phase, then the board', () => {
+  expect(getBettingStreet({ phase: 'TURN' })).toBe('TURN');
+  expect(getBettingStreet({ phase: 'SHOWDOWN', community_cards: ['AS', 'KD', '2C'] })).toBe('FLOP');
+  expect(getBettingStreet({ community_cards: [] })).toBe('PREFLOP');
+});
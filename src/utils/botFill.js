@@ -0,0 +1,77 @@
+// src/utils/botFill.js
+//
+// Planning for bots that fill seats: the line-up for filling a table's empty
+// seats in one go, and the add/remove step that keeps an auto-balanced table
+// at its minimum player count.
+
+import { isBot, getBotConfig } from "./format";
+
+/**
+ * Seats still open at a table. Cashed out players keep their seat until
+ * they leave, matching canAddBot.
+ *
+ * @param {Object} game
+ * @returns {number}
+ */
+export const getFreeSeatCount = (game) => {
+  if (!game?.table) return 0;
+  return Math.max(0, game.table.max_players - (game.players || []).length);
+};
+
+// Seated humans who are still playing
+export const getHumanPlayers = (game) =>
+  (game?.players || []).filter((player) => !isBot(player) && !player.cashed_out);
+
+/**
+ * The bots to add when filling seats: difficulties and play styles taken
+ * from the mix in turn, and buy-ins either all the same or spread evenly
+ * across a range.
+ *
+ * @param {Object} options
+ * @param {number} options.count - Bots to add
+ * @param {Array<{difficulty: string, playStyle: string}>} options.mix
+ * @param {number} options.buyIn - Buy-in for every bot when not staggered
+ * @param {{min: number, max: number}|null} [options.stagger] - Range to
+ *   spread buy-ins over, lowest first
+ * @returns {Array<{difficulty: string, playStyle: string, buyIn: number}>}
+ */
+export const planBotFill = ({ count, mix, buyIn, stagger = null }) => {
+  if (count <= 0 || mix.length === 0) return [];
+
+  return [...Array(count).keys()].map((index) => {
+    const { difficulty, playStyle } = mix[index % mix.length];
+    const amount = stagger && count > 1
+      ? Math.round(stagger.min + ((stagger.max - stagger.min) * index) / (count - 1))
+      : buyIn;
+    return { difficulty, playStyle, buyIn: amount };
+  });
+};
+
+/**
+ * The next step for a table with bot auto-balancing on. Each human short of
+ * the table's minimum gets a bot in their place, and a bot gives up its
+ * seat when a human joins. Bots only come and go between hands.
+ *
+ * @param {Object} game
+ * @param {number|null} minPlayers - The table's auto-balance minimum, null when off
+ * @returns {{action: "add"}|{action: "remove", botId: number, name: string}|null}
+ */
+export const planAutoBalance = (game, minPlayers) => {
+  if (!game?.table || !minPlayers) return null;
+  const betweenHands = game.status === "WAITING" ||
+    (game.status === "PLAYING" && game.phase === "WAITING_FOR_PLAYERS");
+  if (!betweenHands) return null;
+
+  const bots = (game.players || []).filter((player) => isBot(player) && !player.cashed_out);
+  const wanted = Math.max(0, minPlayers - getHumanPlayers(game).length);
+
+  if (bots.length < wanted && getFreeSeatCount(game) > 0) {
+    return { action: "add" };
+  }
+  if (bots.length > wanted) {
+    // The most recently seated bot leaves first
+    const bot = bots[bots.length - 1];
+    return { action: "remove", botId: getBotConfig(bot)?.id || bot.id, name: bot.player.user.username };
+  }
+  return null;
+};
@@ -0,0 +1,80 @@
+import { getFreeSeatCount, getHumanPlayers, planBotFill, planAutoBalance } from './botFill';
+
+const human = (id, extra = {}) => ({ id, player: { id: id * 10, is_bot: false, user: { username: `human${id}` } }, cashed_out: false, ...extra });
+const bot = (id) => ({ id, player: { id: id * 10, is_bot: true, user: { username: `Bot ${id}` }, bot_config: { id: id * 10 } }, cashed_out: false });
+
+const table = { max_players: 4 };
+const waitingGame = (players, overrides = {}) => ({ status: 'WAITING', phase: 'WAITING_FOR_PLAYERS', table, players, ...overrides });
+
+describe('getFreeSeatCount', () => {
+  test('counts every seated player, cashed out or not', () => {
+    expect(getFreeSeatCount(waitingGame([human(1), human(2, { cashed_out: true })]))).toBe(2);
+    expect(getFreeSeatCount(waitingGame([human(1), bot(2), bot(3), bot(4)]))).toBe(0);
+    expect(getFreeSeatCount({ players: [] })).toBe(0);
+  });
+});
+
+describe('getHumanPlayers', () => {
+  test('leaves out bots and players who cashed out', () => {
+    const game = waitingGame([human(1), bot(2), human(3, { cashed_out: true })]);
+    expect(getHumanPlayers(game).map(p => p.id)).toEqual([1]);
+  });
+});
+
+describe('planBotFill', () => {
+  const mix = [
+    { difficulty: 'BASIC', playStyle: 'TIGHT_PASSIVE' },
+    { difficulty: 'ADVANCED', playStyle: 'LOOSE_AGGRESSIVE' },
+  ];
+
+  test('takes difficulties and styles from the mix in turn', () => {
+    const plan = planBotFill({ count: 3, mix, buyIn: 100 });
+    expect(plan).toEqual([
+      { difficulty: 'BASIC', playStyle: 'TIGHT_PASSIVE', buyIn: 100 },
+      { difficulty: 'ADVANCED', playStyle: 'LOOSE_AGGRESSIVE', buyIn: 100 },
+      { difficulty: 'BASIC', playStyle: 'TIGHT_PASSIVE', buyIn: 100 },
+    ]);
+  });
+
+  test('spreads staggered buy-ins evenly across the range', () => {
+    const plan = planBotFill({ count: 4, mix, buyIn: 100, stagger: { min: 20, max: 200 } });
+    expect(plan.map(b => b.buyIn)).toEqual([20, 80, 140, 200]);
+  });
+
+  test('there is nothing to stagger with a single bot', () => {
+    expect(planBotFill({ count: 1, mix, buyIn: 100, stagger: { min: 20, max: 200 } })[0].buyIn).toBe(100);
+  });
+
+  test('plans nothing without bots or a mix', () => {
+    expect(planBotFill({ count: 0, mix, buyIn: 100 })).toEqual([]);
+    expect(planBotFill({ count: 2, mix: [], buyIn: 100 })).toEqual([]);
+  });
+});
+
+describe('planAutoBalance', () => {
+  test('adds a bot for each human short of the minimum', () => {
+    expect(planAutoBalance(waitingGame([human(1)]), 3)).toEqual({ action: 'add' });
+    expect(planAutoBalance(waitingGame([human(1), bot(2)]), 3)).toEqual({ action: 'add' });
+    expect(planAutoBalance(waitingGame([human(1), bot(2), bot(3)]), 3)).toBeNull();
+  });
+
+  test('counts a cashed out human as gone', () => {
+    expect(planAutoBalance(waitingGame([human(1), human(2, { cashed_out: true }), bot(3)]), 3)).toEqual({ action: 'add' });
+  });
+
+  test('removes the newest bot when a human joins', () => {
+    expect(planAutoBalance(waitingGame([human(1), bot(2), bot(3), human(4)]), 3))
+      .toEqual({ action: 'remove', botId: 30, name: 'Bot 3' });
+  });
+
+  test('does not add past a full table', () => {
+    const game = waitingGame([human(1), human(2, { cashed_out: true }), human(3, { cashed_out: true }), bot(4)]);
+    expect(planAutoBalance(game, 3)).toBeNull();
+  });
+
+  test('only acts between hands on tables that have it turned on', () => {
+    expect(planAutoBalance(waitingGame([human(1)], { status: 'PLAYING', phase: 'FLOP' }), 3)).toBeNull();
+    expect(planAutoBalance(waitingGame([human(1)], { status: 'PLAYING' }), 3)).toEqual({ action: 'add' });
+    expect(planAutoBalance(waitingGame([human(1)]), null)).toBeNull();
+  });
+});
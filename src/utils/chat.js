@@ -0,0 +1,117 @@
+// src/utils/chat.js
+//
+// Table chat messages. Players talk over the game WebSocket with
+// chat_message frames; the dealer's own lines (joins, cash-outs, bots) are
+// derived from the action log. Text is always rendered as plain text, with
+// profanity masked and control characters stripped.
+
+import { MESSAGE_TYPES } from "../services/gameProtocol";
+
+export const MAX_CHAT_LENGTH = 200;     // Characters per message
+export const MAX_CHAT_MESSAGES = 150;   // Messages kept in the panel
+
+export const CHAT_KINDS = {
+  PLAYER: "player",
+  DEALER: "dealer",
+};
+
+// Matched as whole words, with common endings
+const BLOCKED_WORDS = [
+  "fuck", "shit", "bitch", "cunt", "dick", "cock", "pussy", "asshole",
+  "bastard", "motherfucker", "retard", "slut", "whore", "fag", "nigger",
+];
+const BLOCKED_PATTERN = new RegExp(
+  `\\b(${BLOCKED_WORDS.join("|")})(s|es|ed|er|ers|ing)?\\b`,
+  "gi"
+);
+
+// eslint-disable-next-line no-control-regex
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f]/g;
+
+let messageSequence = 0;
+
+const nextId = () => {
+  messageSequence += 1;
+  return `${Date.now()}-${messageSequence}`;
+};
+
+/**
+ * Replace blocked words with asterisks, keeping the first letter.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export const maskProfanity = (text) =>
+  text.replace(BLOCKED_PATTERN, (word) => word[0] + "*".repeat(word.length - 1));
+
+/**
+ * Tidy user-typed text: no control characters, trimmed and length-limited.
+ *
+ * @param {string} text
+ * @returns {string} Empty when there is nothing worth sending
+ */
+export const cleanChatText = (text) =>
+  String(text ?? "").replace(CONTROL_CHARACTERS, " ").trim().slice(0, MAX_CHAT_LENGTH);
+
+/**
+ * @param {string} text - What the user typed
+ * @returns {Object|null} Frame for the game socket, or null for empty text
+ */
+export const createChatFrame = (text) => {
+  const message = cleanChatText(text);
+  return message ? { type: MESSAGE_TYPES.CHAT, message } : null;
+};
+
+/**
+ * Turn an incoming chat_message frame into a panel message.
+ *
+ * @param {Object} data - { message, username, user_id, timestamp, id }
+ * @returns {Object|null} { id, kind, username, userId, text, timestamp },
+ *   or null when the frame has no text
+ */
+export const parseChatMessage = (data) => {
+  const text = cleanChatText(data?.message ?? data?.text);
+  if (!text) return null;
+
+  return {
+    id: data.id ? `chat-${data.id}` : nextId(),
+    kind: CHAT_KINDS.PLAYER,
+    username: data.username || data.player_name || "Unknown",
+    userId: data.user_id ?? null,
+    text: maskProfanity(text),
+    timestamp: data.timestamp ? Date.parse(data.timestamp) || Date.now() : Date.now(),
+  };
+};
+
+const DEALER_LINES = {
+  join: (entry) => (entry.bot ? `🤖 ${entry.player} was added to the table` : `${entry.player} ${entry.text}`),
+  leave: (entry) => `${entry.player} left the table`,
+  cash_out: (entry) => `${entry.player} ${entry.text}`,
+};
+
+/**
+ * Dealer announcements for the seat changes in a batch of action log
+ * entries.
+ *
+ * @param {Array<Object>} entries - From diffGameStates
+ * @returns {Array<Object>} Dealer messages, oldest first
+ */
+export const getDealerMessages = (entries) =>
+  entries
+    .filter((entry) => DEALER_LINES[entry.type])
+    .map((entry) => ({
+      id: nextId(),
+      kind: CHAT_KINDS.DEALER,
+      username: null,
+      userId: null,
+      text: DEALER_LINES[entry.type](entry),
+      timestamp: entry.timestamp,
+    }));
+
+/**
+ * @param {Object} message - A panel message
+ * @param {Array<string>} mutedPlayers - Muted usernames
+ * @returns {boolean} Whether the message should be hidden
+ */
+export const isMutedMessage = (message, mutedPlayers) =>
+  message.kind === CHAT_KINDS.PLAYER && mutedPlayers.includes(message.username);
@@ -0,0 +1,73 @@
+import {
+  maskProfanity,
+  cleanChatText,
+  createChatFrame,
+  parseChatMessage,
+  getDealerMessages,
+  isMutedMessage,
+  CHAT_KINDS,
+  MAX_CHAT_LENGTH,
+} from './chat';
+
+describe('maskProfanity', () => {
+  test('masks whole words and common endings, keeping the first letter', () => {
+    expect(maskProfanity('well SHIT that river')).toBe('well S*** that river');
+    expect(maskProfanity('stop bitching')).toBe('stop b*******');
+  });
+
+  test('leaves words that merely contain a blocked word', () => {
+    expect(maskProfanity('Scunthorpe and cockpit')).toBe('Scunthorpe and cockpit');
+  });
+});
+
+test('cleanChatText strips control characters, trims and limits length', () => {
+  expect(cleanChatText('  nice\nhand\u0007 ')).toBe('nice hand');
+  expect(cleanChatText('x'.repeat(MAX_CHAT_LENGTH + 10))).toHaveLength(MAX_CHAT_LENGTH);
+  expect(cleanChatText(null)).toBe('');
+});
+
+test('createChatFrame builds a chat_message frame, or nothing for blank text', () => {
+  expect(createChatFrame(' gl ')).toEqual({ type: 'chat_message', message: 'gl' });
+  expect(createChatFrame('   ')).toBeNull();
+});
+
+describe('parseChatMessage', () => {
+  test('reads the sender and masks the text', () => {
+    expect(parseChatMessage({ id: 7, message: 'shit', username: 'bob', user_id: 2, timestamp: '2024-01-01T00:00:00Z' }))
+      .toEqual({
+        id: 'chat-7',
+        kind: CHAT_KINDS.PLAYER,
+        username: 'bob',
+        userId: 2,
+        text: 's***',
+        timestamp: Date.parse('2024-01-01T00:00:00Z'),
+      });
+  });
+
+  test('ignores empty frames', () => {
+    expect(parseChatMessage({ message: ' ' })).toBeNull();
+  });
+});
+
+test('getDealerMessages announces joins, bots, departures and cash-outs', () => {
+  const entries = [
+    { type: 'join', player: 'alice', text: 'joins the table with $100', timestamp: 1 },
+    { type: 'join', player: 'Robo', bot: true, text: 'joins the table with $50', timestamp: 2 },
+    { type: 'action', player: 'alice', text: 'checks', timestamp: 3 },
+    { type: 'cash_out', player: 'alice', text: 'cashes out $120', timestamp: 4 },
+    { type: 'leave', player: 'Robo', text: 'leaves the table', timestamp: 5 },
+  ];
+
+  expect(getDealerMessages(entries).map(message => [message.kind, message.text])).toEqual([
+    [CHAT_KINDS.DEALER, 'alice joins the table with $100'],
+    [CHAT_KINDS.DEALER, '🤖 Robo was added to the table'],
+    [CHAT_KINDS.DEALER, 'alice cashes out $120'],
+    [CHAT_KINDS.DEALER, 'Robo left the table'],
+  ]);
+});
+
+test('isMutedMessage only hides player messages', () => {
+  expect(isMutedMessage({ kind: CHAT_KINDS.PLAYER, username: 'bob' }, ['bob'])).toBe(true);
+  expect(isMutedMessage({ kind: CHAT_KINDS.PLAYER, username: 'amy' }, ['bob'])).toBe(false);
+  expect(isMutedMessage({ kind: CHAT_KINDS.DEALER, username: null }, ['bob'])).toBe(false);
+});
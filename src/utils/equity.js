@@ -0,0 +1,125 @@
+// src/utils/equity.js
+//
+// Monte Carlo equity estimation and pot odds for the action controls. The
+// simulation is pure so it can run inside the equity Web Worker or directly
+// in tests.
+
+import { parseCard, scoreParsedHand } from "./handEvaluator";
+
+export const DEFAULT_ITERATIONS = 4000;
+
+const RANKS = ["2", "3", "4", "5", "6", "7", "8", "9", "10", "J", "Q", "K", "A"];
+const SUITS = ["S", "H", "D", "C"];
+
+const cardKey = (card) => `${card.rank}${card.suit}`;
+
+const buildDeck = (excluded) => {
+  const used = new Set(excluded.map(cardKey));
+  const deck = [];
+  RANKS.forEach((rank) => {
+    SUITS.forEach((suit) => {
+      const card = parseCard(`${rank}${suit}`);
+      if (!used.has(cardKey(card))) deck.push(card);
+    });
+  });
+  return deck;
+};
+
+/**
+ * Estimate the hero's share of the pot against random opponent holdings.
+ *
+ * @param {Object} params
+ * @param {Array<string>} params.holeCards - The hero's two hole cards
+ * @param {Array<string>} [params.board] - Community cards dealt so far
+ * @param {number} params.opponents - Number of opponents still in the hand
+ * @param {number} [params.iterations] - Number of simulated run-outs
+ * @param {Function} [params.random] - Random source returning [0, 1)
+ * @returns {{equity: number, win: number, tie: number, iterations: number}}
+ *   Fractions between 0 and 1; equity counts split pots as partial wins
+ */
+export const estimateEquity = ({
+  holeCards,
+  board = [],
+  opponents,
+  iterations = DEFAULT_ITERATIONS,
+  random = Math.random,
+}) => {
+  if (!holeCards || holeCards.length !== 2) {
+    throw new Error("Equity needs exactly two hole cards");
+  }
+  if (board.length > 5) {
+    throw new Error("Board cannot have more than five cards");
+  }
+  if (!opponents || opponents < 1) {
+    return { equity: 1, win: 1, tie: 0, iterations: 0 };
+  }
+
+  const hero = holeCards.map(parseCard);
+  const knownBoard = board.map(parseCard);
+  const deck = buildDeck([...hero, ...knownBoard]);
+  const boardNeeded = 5 - knownBoard.length;
+  const cardsNeeded = boardNeeded + opponents * 2;
+
+  if (cardsNeeded > deck.length) {
+    throw new Error("Not enough cards left in the deck for that many opponents");
+  }
+
+  let wins = 0;
+  let ties = 0;
+  let equityTotal = 0;
+
+  for (let i = 0; i < iterations; i++) {
+    // Partial Fisher-Yates: only shuffle the cards we are about to deal
+    for (let j = 0; j < cardsNeeded; j++) {
+      const swap = j + Math.floor(random() * (deck.length - j));
+      const temp = deck[j];
+      deck[j] = deck[swap];
+      deck[swap] = temp;
+    }
+
+    const fullBoard = knownBoard.concat(deck.slice(0, boardNeeded));
+    const heroScore = scoreParsedHand(hero.concat(fullBoard));
+
+    let bestOpponent = -1;
+    let tiedOpponents = 0;
+    for (let o = 0; o < opponents; o++) {
+      const start = boardNeeded + o * 2;
+      const score = scoreParsedHand(deck.slice(start, start + 2).concat(fullBoard));
+      if (score > bestOpponent) {
+        bestOpponent = score;
+        tiedOpponents = 1;
+      } else if (score === bestOpponent) {
+        tiedOpponents += 1;
+      }
+    }
+
+    if (heroScore > bestOpponent) {
+      wins += 1;
+      equityTotal += 1;
+    } else if (heroScore === bestOpponent) {
+      ties += 1;
+      equityTotal += 1 / (tiedOpponents + 1);
+    }
+  }
+
+  return {
+    equity: equityTotal / iterations,
+    win: wins / iterations,
+    tie: ties / iterations,
+    iterations,
+  };
+};
+
+/**
+ * Equity needed for a call to break even.
+ *
+ * @param {number} callAmount - Chips required to call
+ * @param {number} pot - Chips already in the pot, including bets this street
+ * @returns {number} Fraction between 0 and 1 (0 when there is nothing to call)
+ */
+export const calculatePotOdds = (callAmount, pot) => {
+  const call = parseFloat(callAmount) || 0;
+  const total = (parseFloat(pot) || 0) + call;
+  if (call <= 0 || total <= 0) return 0;
+  return call / total;
+};
@@ -0,0 +1,64 @@
+import { estimateEquity, calculatePotOdds } from './equity';
+
+// Small deterministic PRNG so simulations are repeatable
+const seededRandom = (seed) => () => {
+  seed = (seed * 16807) % 2147483647;
+  return (seed - 1) / 2147483646;
+};
+
+describe('estimateEquity', () => {
+  test('pocket aces are a big favourite against one random hand', () => {
+    const result = estimateEquity({
+      holeCards: ['AS', 'AH'],
+      opponents: 1,
+      iterations: 2000,
+      random: seededRandom(42),
+    });
+    expect(result.equity).toBeGreaterThan(0.8);
+    expect(result.equity).toBeLessThan(0.9);
+  });
+
+  test('equity drops as more opponents stay in', () => {
+    const params = { holeCards: ['KS', 'QS'], iterations: 1500 };
+    const headsUp = estimateEquity({ ...params, opponents: 1, random: seededRandom(7) });
+    const multiway = estimateEquity({ ...params, opponents: 4, random: seededRandom(7) });
+    expect(multiway.equity).toBeLessThan(headsUp.equity);
+  });
+
+  test('the nuts on the river never loses', () => {
+    const result = estimateEquity({
+      holeCards: ['AS', 'KS'],
+      board: ['QS', 'JS', '10S', '2D', '3C'],
+      opponents: 3,
+      iterations: 200,
+      random: seededRandom(1),
+    });
+    expect(result.equity).toBe(1);
+  });
+
+  test('a board that plays splits the pot', () => {
+    const result = estimateEquity({
+      holeCards: ['2C', '3D'],
+      board: ['10S', 'JS', 'QD', 'KH', 'AC'],
+      opponents: 1,
+      iterations: 200,
+      random: seededRandom(3),
+    });
+    expect(result.win).toBe(0);
+    expect(result.equity).toBeCloseTo(0.5, 1);
+  });
+
+  test('requires two hole cards', () => {
+    expect(() => estimateEquity({ holeCards: ['AS'], opponents: 1 })).toThrow();
+  });
+});
+
+describe('calculatePotOdds', () => {
+  test('calling 50 into a pot of 150 needs 25% equity', () => {
+    expect(calculatePotOdds(50, 150)).toBeCloseTo(0.25);
+  });
+
+  test('nothing to call needs no equity', () => {
+    expect(calculatePotOdds(0, 100)).toBe(0);
+  });
+});
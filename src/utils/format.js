@@ -0,0 +1,73 @@
+// src/utils/format.js
+//
+// Display helpers shared by the poker table components.
+
+export const SUIT_SYMBOLS = { S: "♠", H: "♥", D: "♦", C: "♣" };
+
+// Format currency amounts without unnecessary decimals
+export const formatCurrency = (amount) => {
+  const num = parseFloat(amount) || 0;
+  return num % 1 === 0 ? `$${num}` : `$${num.toFixed(2)}`;
+};
+
+// Format currency amounts in abbreviated form for mobile
+export const formatCurrencyAbbr = (amount) => {
+  const num = parseFloat(amount) || 0;
+  if (num >= 1000000) {
+    return `$${(num / 1000000).toFixed(1)}M`;
+  } else if (num >= 1000) {
+    return `$${(num / 1000).toFixed(1)}K`;
+  } else {
+    return num % 1 === 0 ? `$${num}` : `$${num.toFixed(2)}`;
+  }
+};
+
+// Abbreviate player names for compact display
+export const abbreviateName = (fullName) => {
+  if (!fullName) return '';
+  const parts = fullName.trim().split(' ');
+  if (parts.length === 1) {
+    return parts[0].length > 8 ? parts[0].substring(0, 8) : parts[0];
+  }
+  const firstName = parts[0];
+  const lastInitial = parts[parts.length - 1][0];
+  return `${firstName} ${lastInitial}.`;
+};
+
+// Detect mobile-sized viewports
+export const isMobile = () => {
+  return window.innerWidth <= 768;
+};
+
+export const isBot = (player) => {
+  return player.player.is_bot === true;
+};
+
+export const getBotDisplayName = (player) => {
+  if (!isBot(player)) return player.player.user.username;
+  return `🤖 ${player.player.user.username}`;
+};
+
+// Abbreviated name with the bot marker, for seats and status grids
+export const getShortDisplayName = (player) => {
+  const name = abbreviateName(player.player.user.username);
+  return isBot(player) ? `🤖 ${name}` : name;
+};
+
+export const getBotConfig = (player) => {
+  return player.player.bot_config;
+};
+
+// Hole cards arrive either as an array of card strings or as
+// { cards: [...] } with owner info
+export const getPlayerCards = (player) => {
+  if (!player || !player.cards) return [];
+  if (Array.isArray(player.cards)) return player.cards;
+  return player.cards.cards || [];
+};
+
+// Split a card string like "10H" into rank and suit
+export const splitCard = (card) => ({
+  rank: card.slice(0, -1),
+  suit: card.slice(-1),
+});
@@ -0,0 +1,145 @@
+// src/utils/gameHealth.js
+//
+// Client-side checks for games that have got stuck or inconsistent, the
+// cases where an admin or the table host needs to reset the game state, and
+// the before/after comparison shown once they have.
+
+import { getContributions } from "./sidePots";
+import { formatCurrency } from "./format";
+
+export const HEALTH_ISSUES = {
+  MISSING_CURRENT_PLAYER: "missing_current_player",
+  POT_MISMATCH: "pot_mismatch",
+  STUCK_PHASE: "stuck_phase",
+  READY_NO_HAND: "ready_no_hand",
+};
+
+// A hand with no action for this long is treated as stuck
+export const STUCK_PHASE_MS = 5 * 60 * 1000;
+// How long everyone may sit ready before the next hand should have been dealt
+export const READY_GRACE_MS = 30 * 1000;
+
+const toNumber = (value) => parseFloat(value) || 0;
+const roundCents = (value) => Math.round(value * 100) / 100;
+const playerName = (player) => player?.player?.user?.username || "Unknown";
+
+/**
+ * Identifies the state a game is sitting in; the stuck timers restart
+ * whenever it changes.
+ *
+ * @param {Object|null} game
+ * @returns {string|null}
+ */
+export const getProgressKey = (game) => {
+  if (!game || game.status !== "PLAYING") return null;
+  const ready = (game.players || []).filter((player) => player.ready_for_next_hand).length;
+  return [game.hand_count, game.phase, game.current_player?.id ?? "", game.pot, ready].join(":");
+};
+
+/**
+ * The table host: the first human who joined the game and is still
+ * playing. Bots can't host.
+ *
+ * @param {Object|null} game
+ * @returns {Object|null} Entry from game.players
+ */
+export const getHostPlayer = (game) =>
+  (game?.players || []).find((player) => !player.player?.is_bot && !player.cashed_out) || null;
+
+/**
+ * Problems with a game that a reset would fix.
+ *
+ * @param {Object} game - Current game state
+ * @param {Object} [context]
+ * @param {Object|null} [context.handStart] - From the game reducer, for the pot check
+ * @param {number|null} [context.since] - When the game entered its current
+ *   progress key (see getProgressKey)
+ * @param {number} [context.now] - Current time in ms
+ * @returns {Array<{type: string, message: string}>}
+ */
+export const checkGameHealth = (game, { handStart = null, since = null, now = Date.now() } = {}) => {
+  if (!game || game.status !== "PLAYING" || !Array.isArray(game.players)) return [];
+
+  const issues = [];
+  const betweenHands = game.phase === "WAITING_FOR_PLAYERS";
+  const stalled = since !== null ? now - since : 0;
+
+  if (game.current_player && !game.players.some((player) => player.player?.id === game.current_player.id)) {
+    issues.push({
+      type: HEALTH_ISSUES.MISSING_CURRENT_PLAYER,
+      message: "The player whose turn it is isn't at the table",
+    });
+  }
+
+  if (!betweenHands) {
+    const contributions = getContributions(game.players, handStart, game.hand_count || 0);
+    if (contributions) {
+      const contributed = roundCents(contributions.reduce((sum, c) => sum + c.amount, 0));
+      const pot = toNumber(game.pot);
+      if (Math.abs(contributed - pot) >= 0.01) {
+        issues.push({
+          type: HEALTH_ISSUES.POT_MISMATCH,
+          message: `The pot is ${formatCurrency(pot)} but players have put in ${formatCurrency(contributed)}`,
+        });
+      }
+    }
+
+    if (stalled >= STUCK_PHASE_MS) {
+      issues.push({
+        type: HEALTH_ISSUES.STUCK_PHASE,
+        message: `No action on the ${String(game.phase).toLowerCase()} for ${Math.floor(stalled / 60000)} minutes`,
+      });
+    }
+  } else {
+    const waiting = game.players.filter((player) => !player.cashed_out && toNumber(player.stack) > 0);
+    if (waiting.length >= 2 && waiting.every((player) => player.ready_for_next_hand) && stalled >= READY_GRACE_MS) {
+      issues.push({
+        type: HEALTH_ISSUES.READY_NO_HAND,
+        message: "Everyone is ready but the next hand hasn't been dealt",
+      });
+    }
+  }
+
+  return issues;
+};
+
+/**
+ * What a reset changed, field by field, for the before/after view.
+ *
+ * @param {Object} before - Game state before the reset
+ * @param {Object} after - Game state after it
+ * @returns {Array<{label: string, before: string, after: string}>} Changed fields only
+ */
+export const describeStateChanges = (before, after) => {
+  const currentPlayerName = (game) => {
+    if (!game.current_player) return "—";
+    const player = (game.players || []).find((entry) => entry.player?.id === game.current_player.id);
+    return player ? playerName(player) : `Missing player #${game.current_player.id}`;
+  };
+
+  const fields = [
+    ["Status", (game) => game.status || "—"],
+    ["Phase", (game) => game.phase || "—"],
+    ["Hand", (game) => String(game.hand_count ?? 0)],
+    ["Pot", (game) => formatCurrency(toNumber(game.pot))],
+    ["Current bet", (game) => formatCurrency(toNumber(game.current_bet))],
+    ["To act", currentPlayerName],
+    ["Board", (game) => (game.community_cards || []).join(" ") || "—"],
+  ];
+
+  const rows = fields.map(([label, read]) => ({ label, before: read(before), after: read(after) }));
+
+  const describePlayer = (player) => {
+    if (!player) return "Not seated";
+    const bet = toNumber(player.current_bet);
+    return `${formatCurrency(toNumber(player.stack))}${bet > 0 ? ` (bet ${formatCurrency(bet)})` : ""}`;
+  };
+  const playerIds = [...new Set([...(before.players || []), ...(after.players || [])].map((player) => player.id))];
+  playerIds.forEach((id) => {
+    const previous = (before.players || []).find((player) => player.id === id);
+    const next = (after.players || []).find((player) => player.id === id);
+    rows.push({ label: playerName(previous || next), before: describePlayer(previous), after: describePlayer(next) });
+  });
+
+  return rows.filter((row) => row.before !== row.after);
+};
@@ -0,0 +1,124 @@
+import {
+  checkGameHealth, describeStateChanges, getHostPlayer, getProgressKey,
+  HEALTH_ISSUES, READY_GRACE_MS, STUCK_PHASE_MS,
+} from './gameHealth';
+
+const NOW = 1700000000000;
+
+const seat = (id, name, extra = {}) => ({
+  id,
+  player: { id: id * 10, user: { username: name }, is_bot: false },
+  stack: 90,
+  current_bet: 10,
+  is_active: true,
+  cashed_out: false,
+  ready_for_next_hand: false,
+  ...extra,
+});
+
+const playingGame = (extra = {}) => ({
+  status: 'PLAYING',
+  phase: 'FLOP',
+  hand_count: 3,
+  pot: 20,
+  current_bet: 10,
+  current_player: { id: 10 },
+  community_cards: ['2C', '7D', '9S'],
+  players: [seat(1, 'alice'), seat(2, 'bob')],
+  ...extra,
+});
+
+const handStart = { handCount: 3, stacks: { 1: 100, 2: 100 } };
+const types = issues => issues.map(issue => issue.type);
+
+describe('checkGameHealth', () => {
+  test('a healthy hand has no issues', () => {
+    expect(checkGameHealth(playingGame(), { handStart, since: NOW, now: NOW + 1000 })).toEqual([]);
+  });
+
+  test('flags a turn held by someone who is not at the table', () => {
+    const issues = checkGameHealth(playingGame({ current_player: { id: 99 } }), { handStart });
+    expect(types(issues)).toEqual([HEALTH_ISSUES.MISSING_CURRENT_PLAYER]);
+  });
+
+  test('flags a pot that does not match what players put in', () => {
+    const [issue] = checkGameHealth(playingGame({ pot: 35 }), { handStart });
+    expect(issue.type).toBe(HEALTH_ISSUES.POT_MISMATCH);
+    expect(issue.message).toBe('The pot is $35 but players have put in $20');
+  });
+
+  test('skips the pot check when the hand was not seen from the start', () => {
+    expect(checkGameHealth(playingGame({ pot: 35 }), { handStart: null })).toEqual([]);
+  });
+
+  test('flags a hand with no action for too long', () => {
+    const game = playingGame();
+    expect(checkGameHealth(game, { handStart, since: NOW, now: NOW + STUCK_PHASE_MS - 1 })).toEqual([]);
+
+    const [issue] = checkGameHealth(game, { handStart, since: NOW, now: NOW + STUCK_PHASE_MS + 60000 });
+    expect(issue).toEqual({ type: HEALTH_ISSUES.STUCK_PHASE, message: 'No action on the flop for 6 minutes' });
+  });
+
+  test('flags everyone ready with no new hand after a grace period', () => {
+    const game = playingGame({
+      phase: 'WAITING_FOR_PLAYERS',
+      current_player: null,
+      players: [
+        seat(1, 'alice', { ready_for_next_hand: true }),
+        seat(2, 'bob', { ready_for_next_hand: true }),
+        seat(3, 'carol', { cashed_out: true }),
+      ],
+    });
+    expect(checkGameHealth(game, { since: NOW, now: NOW + 1000 })).toEqual([]);
+    expect(types(checkGameHealth(game, { since: NOW, now: NOW + READY_GRACE_MS }))).toEqual([HEALTH_ISSUES.READY_NO_HAND]);
+  });
+
+  test('ignores games that are not being played', () => {
+    expect(checkGameHealth(playingGame({ status: 'WAITING', current_player: { id: 99 } }))).toEqual([]);
+  });
+});
+
+describe('getProgressKey', () => {
+  test('changes when anyone acts or readies up', () => {
+    const game = playingGame();
+    expect(getProgressKey(game)).not.toBe(getProgressKey({ ...game, current_player: { id: 20 } }));
+    expect(getProgressKey(game)).not.toBe(getProgressKey({
+      ...game,
+      players: [seat(1, 'alice', { ready_for_next_hand: true }), seat(2, 'bob')],
+    }));
+    expect(getProgressKey({ ...game, status: 'FINISHED' })).toBeNull();
+  });
+});
+
+describe('getHostPlayer', () => {
+  test('is the first human still playing', () => {
+    const bot = seat(1, 'Bot 1', { player: { id: 10, user: { username: 'Bot 1' }, is_bot: true } });
+    const game = playingGame({ players: [bot, seat(2, 'alice', { cashed_out: true }), seat(3, 'bob')] });
+    expect(getHostPlayer(game).id).toBe(3);
+    expect(getHostPlayer(null)).toBeNull();
+  });
+});
+
+describe('describeStateChanges', () => {
+  test('lists only the fields and players a reset changed', () => {
+    const before = playingGame({ current_player: { id: 99 } });
+    const after = playingGame({
+      phase: 'WAITING_FOR_PLAYERS',
+      pot: 0,
+      current_bet: 0,
+      current_player: null,
+      community_cards: [],
+      players: [seat(1, 'alice', { stack: 100, current_bet: 0 }), seat(2, 'bob', { stack: 100, current_bet: 0 })],
+    });
+
+    expect(describeStateChanges(before, after)).toEqual([
+      { label: 'Phase', before: 'FLOP', after: 'WAITING_FOR_PLAYERS' },
+      { label: 'Pot', before: '$20', after: '$0' },
+      { label: 'Current bet', before: '$10', after: '$0' },
+      { label: 'To act', before: 'Missing player #99', after: '—' },
+      { label: 'Board', before: '2C 7D 9S', after: '—' },
+      { label: 'alice', before: '$90 (bet $10)', after: '$100' },
+      { label: 'bob', before: '$90 (bet $10)', after: '$100' },
+    ]);
+  });
+});
@@ -0,0 +1,288 @@
+// src/utils/handEvaluator.js
+//
+// Pure Texas Hold'em hand evaluator. Cards use the same strings as the
+// backend ("AS", "10H", "TD", "7C"). Works on anywhere from 1 to 7 cards so
+// it can describe a partial hand preflop as well as rank a full showdown.
+
+// Hand categories from weakest to strongest
+export const HAND_CATEGORIES = {
+  HIGH_CARD: 0,
+  PAIR: 1,
+  TWO_PAIR: 2,
+  THREE_OF_A_KIND: 3,
+  STRAIGHT: 4,
+  FLUSH: 5,
+  FULL_HOUSE: 6,
+  FOUR_OF_A_KIND: 7,
+  STRAIGHT_FLUSH: 8,
+};
+
+export const CATEGORY_NAMES = [
+  "High Card",
+  "Pair",
+  "Two Pair",
+  "Three of a Kind",
+  "Straight",
+  "Flush",
+  "Full House",
+  "Four of a Kind",
+  "Straight Flush",
+];
+
+const RANK_VALUES = {
+  2: 2, 3: 3, 4: 4, 5: 5, 6: 6, 7: 7, 8: 8, 9: 9,
+  10: 10, T: 10, J: 11, Q: 12, K: 13, A: 14,
+};
+
+const RANK_NAMES = {
+  2: "Two", 3: "Three", 4: "Four", 5: "Five", 6: "Six", 7: "Seven",
+  8: "Eight", 9: "Nine", 10: "Ten", 11: "Jack", 12: "Queen", 13: "King", 14: "Ace",
+};
+
+const pluralRank = (value) => {
+  const name = RANK_NAMES[value];
+  return name === "Six" ? "Sixes" : `${name}s`;
+};
+
+/**
+ * Parse a card string into its numeric rank and suit.
+ *
+ * @param {string} card - Card such as "KH" or "10S"
+ * @returns {{code: string, rank: number, suit: string}}
+ * @throws {Error} When the card string is not recognised
+ */
+export const parseCard = (card) => {
+  if (typeof card !== "string" || card.length < 2) {
+    throw new Error(`Invalid card: ${card}`);
+  }
+  const suit = card.slice(-1).toUpperCase();
+  const rank = RANK_VALUES[card.slice(0, -1).toUpperCase()];
+  if (!rank || !"SHDC".includes(suit)) {
+    throw new Error(`Invalid card: ${card}`);
+  }
+  return { code: card, rank, suit };
+};
+
+// Highest straight in a list of distinct ranks sorted high to low, or null.
+// Returns the ranks of the five cards, high first (the wheel is 5-4-3-2-A,
+// so its first rank is 5).
+const findStraight = (distinctRanks) => {
+  const ranks = distinctRanks.includes(14) ? [...distinctRanks, 1] : distinctRanks;
+  for (let i = 0; i + 4 < ranks.length; i++) {
+    if (ranks[i] - ranks[i + 4] === 4) {
+      return ranks.slice(i, i + 5).map((r) => (r === 1 ? 14 : r));
+    }
+  }
+  return null;
+};
+
+// Pick one card of each requested rank from a pool, preferring pool order
+const takeByRanks = (pool, ranks) => {
+  const used = new Set();
+  return ranks.map((rank) => {
+    const card = pool.find((c, index) => c.rank === rank && !used.has(index));
+    used.add(pool.indexOf(card));
+    return card;
+  });
+};
+
+const evaluateParsed = (cards) => {
+  const sorted = [...cards].sort((a, b) => b.rank - a.rank);
+
+  // Group by rank, largest groups first, then by rank
+  const groups = {};
+  sorted.forEach((card) => {
+    (groups[card.rank] = groups[card.rank] || []).push(card);
+  });
+  const rankGroups = Object.values(groups).sort(
+    (a, b) => b.length - a.length || b[0].rank - a[0].rank
+  );
+
+  // Flush / straight flush
+  const suits = {};
+  sorted.forEach((card) => {
+    (suits[card.suit] = suits[card.suit] || []).push(card);
+  });
+  const flushCards = Object.values(suits).find((group) => group.length >= 5);
+
+  if (flushCards) {
+    const flushRanks = [...new Set(flushCards.map((c) => c.rank))];
+    const straightFlush = findStraight(flushRanks);
+    if (straightFlush) {
+      return {
+        category: HAND_CATEGORIES.STRAIGHT_FLUSH,
+        ranks: [straightFlush[0]],
+        cards: takeByRanks(flushCards, straightFlush),
+      };
+    }
+  }
+
+  const [first = [], second = []] = rankGroups;
+  const kickersExcluding = (excluded, count) =>
+    sorted.filter((c) => !excluded.includes(c.rank)).slice(0, count);
+
+  if (first.length === 4) {
+    const kicker = kickersExcluding([first[0].rank], 1);
+    return {
+      category: HAND_CATEGORIES.FOUR_OF_A_KIND,
+      ranks: [first[0].rank, ...kicker.map((c) => c.rank)],
+      cards: [...first, ...kicker],
+    };
+  }
+
+  if (first.length === 3 && second.length >= 2) {
+    return {
+      category: HAND_CATEGORIES.FULL_HOUSE,
+      ranks: [first[0].rank, second[0].rank],
+      cards: [...first, ...second.slice(0, 2)],
+    };
+  }
+
+  if (flushCards) {
+    const best = flushCards.slice(0, 5);
+    return {
+      category: HAND_CATEGORIES.FLUSH,
+      ranks: best.map((c) => c.rank),
+      cards: best,
+    };
+  }
+
+  const straight = findStraight([...new Set(sorted.map((c) => c.rank))]);
+  if (straight) {
+    return {
+      category: HAND_CATEGORIES.STRAIGHT,
+      ranks: [straight[0]],
+      cards: takeByRanks(sorted, straight),
+    };
+  }
+
+  if (first.length === 3) {
+    const kickers = kickersExcluding([first[0].rank], 2);
+    return {
+      category: HAND_CATEGORIES.THREE_OF_A_KIND,
+      ranks: [first[0].rank, ...kickers.map((c) => c.rank)],
+      cards: [...first, ...kickers],
+    };
+  }
+
+  if (first.length === 2 && second.length === 2) {
+    const kicker = kickersExcluding([first[0].rank, second[0].rank], 1);
+    return {
+      category: HAND_CATEGORIES.TWO_PAIR,
+      ranks: [first[0].rank, second[0].rank, ...kicker.map((c) => c.rank)],
+      cards: [...first, ...second, ...kicker],
+    };
+  }
+
+  if (first.length === 2) {
+    const kickers = kickersExcluding([first[0].rank], 3);
+    return {
+      category: HAND_CATEGORIES.PAIR,
+      ranks: [first[0].rank, ...kickers.map((c) => c.rank)],
+      cards: [...first, ...kickers],
+    };
+  }
+
+  const best = sorted.slice(0, 5);
+  return {
+    category: HAND_CATEGORIES.HIGH_CARD,
+    ranks: best.map((c) => c.rank),
+    cards: best,
+  };
+};
+
+// Human-readable description, e.g. "Two Pair, Kings and Sevens"
+const describe = ({ category, ranks }) => {
+  switch (category) {
+    case HAND_CATEGORIES.STRAIGHT_FLUSH:
+      return ranks[0] === 14 ? "Royal Flush" : `Straight Flush, ${RANK_NAMES[ranks[0]]} High`;
+    case HAND_CATEGORIES.FOUR_OF_A_KIND:
+      return `Four of a Kind, ${pluralRank(ranks[0])}`;
+    case HAND_CATEGORIES.FULL_HOUSE:
+      return `Full House, ${pluralRank(ranks[0])} full of ${pluralRank(ranks[1])}`;
+    case HAND_CATEGORIES.FLUSH:
+      return `Flush, ${RANK_NAMES[ranks[0]]} High`;
+    case HAND_CATEGORIES.STRAIGHT:
+      return `Straight, ${RANK_NAMES[ranks[0]]} High`;
+    case HAND_CATEGORIES.THREE_OF_A_KIND:
+      return `Three of a Kind, ${pluralRank(ranks[0])}`;
+    case HAND_CATEGORIES.TWO_PAIR:
+      return `Two Pair, ${pluralRank(ranks[0])} and ${pluralRank(ranks[1])}`;
+    case HAND_CATEGORIES.PAIR:
+      return `Pair of ${pluralRank(ranks[0])}`;
+    default:
+      return `High Card, ${RANK_NAMES[ranks[0]]}`;
+  }
+};
+
+// Pack category and tie-break ranks into one comparable number
+const toScore = (category, ranks) => {
+  let score = category;
+  for (let i = 0; i < 5; i++) {
+    score = score * 15 + (ranks[i] || 0);
+  }
+  return score;
+};
+
+/**
+ * Evaluate the best five-card hand available from up to seven cards.
+ *
+ * @param {Array<string>} cards - Hole cards plus any community cards
+ * @returns {{category: number, name: string, description: string,
+ *   ranks: Array<number>, score: number, bestCards: Array<string>}|null}
+ *   null when no cards were given
+ */
+export const evaluateHand = (cards) => {
+  if (!cards || cards.length === 0) return null;
+  if (cards.length > 7) {
+    throw new Error("Cannot evaluate more than 7 cards");
+  }
+
+  const parsed = cards.map(parseCard);
+  const codes = new Set(parsed.map((c) => `${c.rank}${c.suit}`));
+  if (codes.size !== parsed.length) {
+    throw new Error("Duplicate cards in hand");
+  }
+
+  const result = evaluateParsed(parsed);
+  return {
+    category: result.category,
+    name: CATEGORY_NAMES[result.category],
+    description: describe(result),
+    ranks: result.ranks,
+    score: toScore(result.category, result.ranks),
+    bestCards: result.cards.map((c) => c.code),
+  };
+};
+
+/**
+ * Fast path for simulations: the comparable score only, with no validation.
+ *
+ * @param {Array<{rank: number, suit: string}>} parsedCards - Output of parseCard
+ * @returns {number} Higher is better; equal scores tie
+ */
+export const scoreParsedHand = (parsedCards) => {
+  const result = evaluateParsed(parsedCards);
+  return toScore(result.category, result.ranks);
+};
+
+/**
+ * Compare two evaluated hands.
+ *
+ * @param {Object} a - Result of evaluateHand
+ * @param {Object} b - Result of evaluateHand
+ * @returns {number} Positive if a wins, negative if b wins, 0 for a tie
+ */
+export const compareHands = (a, b) => a.score - b.score;
+
+/**
+ * Determine the winner(s) among several players sharing a board.
+ *
+ * @param {Array<{id: *, cards: Array<string>}>} hands - Each player's full card set
+ * @returns {Array<*>} Ids of every player holding the best hand (several on a tie)
+ */
+export const findWinners = (hands) => {
+  const evaluated = hands.map((hand) => ({ id: hand.id, result: evaluateHand(hand.cards) }));
+  const best = Math.max(...evaluated.map((h) => h.result.score));
+  return evaluated.filter((h) => h.result.score === best).map((h) => h.id);
+};
@@ -0,0 +1,127 @@
+import {
+  evaluateHand,
+  compareHands,
+  findWinners,
+  parseCard,
+  HAND_CATEGORIES,
+} from './handEvaluator';
+
+describe('parseCard', () => {
+  test('parses numeric and face ranks, including ten written both ways', () => {
+    expect(parseCard('AS')).toEqual({ code: 'AS', rank: 14, suit: 'S' });
+    expect(parseCard('10H').rank).toBe(10);
+    expect(parseCard('TD').rank).toBe(10);
+    expect(parseCard('2C').rank).toBe(2);
+  });
+
+  test('rejects malformed cards', () => {
+    expect(() => parseCard('1S')).toThrow('Invalid card');
+    expect(() => parseCard('AX')).toThrow('Invalid card');
+    expect(() => parseCard('')).toThrow('Invalid card');
+  });
+});
+
+describe('evaluateHand categories', () => {
+  const cases = [
+    ['Royal Flush', ['AS', 'KS', 'QS', 'JS', '10S', '2D', '3C'], HAND_CATEGORIES.STRAIGHT_FLUSH],
+    ['Straight Flush, Nine High', ['9H', '8H', '7H', '6H', '5H', 'AH', 'KD'], HAND_CATEGORIES.STRAIGHT_FLUSH],
+    ['Straight Flush, Five High', ['AC', '2C', '3C', '4C', '5C', 'KD', 'QD'], HAND_CATEGORIES.STRAIGHT_FLUSH],
+    ['Four of a Kind, Nines', ['9S', '9H', '9D', '9C', 'KD', '2C', '3C'], HAND_CATEGORIES.FOUR_OF_A_KIND],
+    ['Full House, Kings full of Sevens', ['KS', 'KH', 'KD', '7C', '7D', '2C', '3H'], HAND_CATEGORIES.FULL_HOUSE],
+    ['Flush, Ace High', ['AD', '10D', '8D', '4D', '2D', 'KS', 'QH'], HAND_CATEGORIES.FLUSH],
+    ['Straight, Ace High', ['AS', 'KD', 'QH', 'JC', '10S', '2D', '2C'], HAND_CATEGORIES.STRAIGHT],
+    ['Straight, Five High', ['AS', '2D', '3H', '4C', '5S', 'KD', '9C'], HAND_CATEGORIES.STRAIGHT],
+    ['Three of a Kind, Queens', ['QS', 'QH', 'QD', '9C', '4D', '2C', '7H'], HAND_CATEGORIES.THREE_OF_A_KIND],
+    ['Two Pair, Kings and Sevens', ['KS', 'KH', '7D', '7C', '4D', '2C', '9H'], HAND_CATEGORIES.TWO_PAIR],
+    ['Pair of Sixes', ['6S', '6H', 'AD', 'KC', '4D', '2C', '9H'], HAND_CATEGORIES.PAIR],
+    ['High Card, Ace', ['AS', 'JH', '9D', '7C', '4D', '2C', '3H'], HAND_CATEGORIES.HIGH_CARD],
+  ];
+
+  test.each(cases)('recognises %s', (description, cards, category) => {
+    const result = evaluateHand(cards);
+    expect(result.category).toBe(category);
+    expect(result.description).toBe(description);
+    expect(result.bestCards).toHaveLength(5);
+  });
+
+  test('every category beats the one below it', () => {
+    const scores = [...cases].reverse().map(([, cards]) => evaluateHand(cards).score);
+    for (let i = 1; i < scores.length; i++) {
+      expect(scores[i]).toBeGreaterThan(scores[i - 1]);
+    }
+  });
+
+  test('describes partial hands before the flop', () => {
+    expect(evaluateHand(['AS', 'AD']).description).toBe('Pair of Aces');
+    expect(evaluateHand(['KS', '7D']).description).toBe('High Card, King');
+  });
+
+  test('returns null for no cards and rejects duplicates', () => {
+    expect(evaluateHand([])).toBeNull();
+    expect(() => evaluateHand(['AS', 'AS'])).toThrow('Duplicate');
+  });
+});
+
+describe('best five cards from seven', () => {
+  test('uses the higher two pair when three pairs are available', () => {
+    const result = evaluateHand(['AS', 'AH', 'KD', 'KC', '5D', '5C', '9H']);
+    expect(result.description).toBe('Two Pair, Aces and Kings');
+    expect(result.bestCards).toEqual(expect.arrayContaining(['AS', 'AH', 'KD', 'KC', '9H']));
+  });
+
+  test('makes a full house from two sets of trips', () => {
+    const result = evaluateHand(['8S', '8H', '8D', '4C', '4D', '4H', 'AS']);
+    expect(result.description).toBe('Full House, Eights full of Fours');
+  });
+
+  test('prefers a flush over a straight', () => {
+    const result = evaluateHand(['9D', '8D', '7S', '6D', '5C', '2D', 'KD']);
+    expect(result.category).toBe(HAND_CATEGORIES.FLUSH);
+  });
+
+  test('picks the highest straight on a six-card run', () => {
+    const result = evaluateHand(['4S', '5D', '6H', '7C', '8S', '9D', '2C']);
+    expect(result.description).toBe('Straight, Nine High');
+  });
+});
+
+describe('kicker comparison and ties', () => {
+  test('higher kicker wins with the same pair', () => {
+    const board = ['KS', 'KD', '8H', '5C', '2D'];
+    const aceKicker = evaluateHand(['AH', '3C', ...board]);
+    const queenKicker = evaluateHand(['QH', '3D', ...board]);
+    expect(compareHands(aceKicker, queenKicker)).toBeGreaterThan(0);
+    expect(compareHands(queenKicker, aceKicker)).toBeLessThan(0);
+  });
+
+  test('kickers beyond the best five do not count', () => {
+    const board = ['AS', 'AD', 'KH', 'QC', 'JD'];
+    const a = evaluateHand(['3C', '2H', ...board]);
+    const b = evaluateHand(['4C', '2D', ...board]);
+    expect(compareHands(a, b)).toBe(0);
+  });
+
+  test('wheel loses to a six-high straight', () => {
+    const wheel = evaluateHand(['AS', '2D', '3H', '4C', '5S']);
+    const sixHigh = evaluateHand(['2S', '3D', '4H', '5C', '6S']);
+    expect(compareHands(sixHigh, wheel)).toBeGreaterThan(0);
+  });
+
+  test('findWinners returns every player when the board plays', () => {
+    const board = ['10S', 'JS', 'QD', 'KH', 'AC'];
+    const winners = findWinners([
+      { id: 1, cards: ['2C', '3D', ...board] },
+      { id: 2, cards: ['4C', '5D', ...board] },
+    ]);
+    expect(winners).toEqual([1, 2]);
+  });
+
+  test('findWinners picks a single winner on a kicker', () => {
+    const board = ['QS', '9D', '7H', '4C', '2S'];
+    const winners = findWinners([
+      { id: 'alice', cards: ['QH', 'JD', ...board] },
+      { id: 'bob', cards: ['QC', 'AD', ...board] },
+    ]);
+    expect(winners).toEqual(['bob']);
+  });
+});
@@ -0,0 +1,221 @@
+// src/utils/handReplay.js
+//
+// Normalizes hand history records returned by gameService.getHandHistory and
+// turns a single hand into an ordered list of replay steps (deal, actions,
+// board cards per street, showdown).
+
+// Number of community cards visible once each street has been dealt
+const BOARD_SIZE_BY_STREET = {
+  PREFLOP: 0,
+  FLOP: 3,
+  TURN: 4,
+  RIVER: 5,
+  SHOWDOWN: 5,
+};
+
+const STREET_ORDER = ["PREFLOP", "FLOP", "TURN", "RIVER", "SHOWDOWN"];
+
+const toNumber = (value) => parseFloat(value || 0) || 0;
+
+const parseJsonField = (value, fallback) => {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value === "string") {
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return fallback;
+    }
+  }
+  return value;
+};
+
+/**
+ * Extract the list of hands from a hand history response, whichever shape
+ * the backend used (plain array, DRF pagination or a wrapping object).
+ *
+ * @param {*} data - response.data from getHandHistory
+ * @returns {Array<Object>} Hands sorted by hand number
+ */
+export const extractHands = (data) => {
+  let hands = [];
+  if (Array.isArray(data)) {
+    hands = data;
+  } else if (data && Array.isArray(data.results)) {
+    hands = data.results;
+  } else if (data && Array.isArray(data.hands)) {
+    hands = data.hands;
+  } else if (data && Array.isArray(data.hand_history)) {
+    hands = data.hand_history;
+  }
+
+  return [...hands].sort(
+    (a, b) => toNumber(a.hand_number) - toNumber(b.hand_number)
+  );
+};
+
+// Hole cards may arrive as { name: [cards] } or [{ player_name, cards }]
+const normalizePlayerCards = (playerCards) => {
+  const parsed = parseJsonField(playerCards, {});
+  if (Array.isArray(parsed)) {
+    return parsed.reduce((acc, entry) => {
+      const name = entry.player_name || entry.player;
+      if (name) acc[name] = entry.cards || [];
+      return acc;
+    }, {});
+  }
+  return parsed || {};
+};
+
+const normalizeAction = (action) => ({
+  player: action.player_name || action.player || "Unknown",
+  type: (action.action_type || action.type || "").toUpperCase(),
+  amount: toNumber(action.amount),
+  street: (action.phase || action.street || "PREFLOP").toUpperCase(),
+  potAfter: action.pot_after !== undefined ? toNumber(action.pot_after) : null,
+});
+
+const describeAction = (action) => {
+  const amount = action.amount % 1 === 0 ? `$${action.amount}` : `$${action.amount.toFixed(2)}`;
+  switch (action.type) {
+    case "FOLD":
+      return `${action.player} folds`;
+    case "CHECK":
+      return `${action.player} checks`;
+    case "CALL":
+      return `${action.player} calls ${amount}`;
+    case "BET":
+      return `${action.player} bets ${amount}`;
+    case "RAISE":
+      return `${action.player} raises to ${amount}`;
+    case "BLIND":
+    case "SMALL_BLIND":
+    case "BIG_BLIND":
+      return `${action.player} posts blind ${amount}`;
+    default:
+      return `${action.player} ${action.type.toLowerCase()} ${action.amount > 0 ? amount : ""}`.trim();
+  }
+};
+
+/**
+ * Build the ordered replay steps for one recorded hand. Every step is a full
+ * snapshot so the replayer can jump to any index without re-simulating.
+ *
+ * @param {Object} hand - A single hand history record
+ * @returns {Array<Object>} Steps with street, board, pot, folded players,
+ *   per-player contributions, description and winners on the final step
+ */
+export const buildReplaySteps = (hand) => {
+  if (!hand) return [];
+
+  const communityCards = parseJsonField(hand.community_cards, []) || [];
+  const actions = (parseJsonField(hand.actions, []) || []).map(normalizeAction);
+  const winnerInfo = parseJsonField(hand.winner_info, {}) || {};
+  const winners = winnerInfo.winners || hand.winners || [];
+
+  const steps = [];
+  let street = "PREFLOP";
+  let pot = 0;
+  const folded = new Set();
+  const contributions = {};
+  // Chips committed on the current street, to turn "raise to" into chips added
+  let streetCommitted = {};
+
+  const snapshot = (fields) => {
+    steps.push({
+      street,
+      board: communityCards.slice(0, BOARD_SIZE_BY_STREET[street] ?? communityCards.length),
+      pot,
+      folded: Array.from(folded),
+      contributions: { ...contributions },
+      action: null,
+      actionIndex: null,
+      winners: [],
+      ...fields,
+    });
+  };
+
+  const advanceTo = (nextStreet) => {
+    const from = STREET_ORDER.indexOf(street);
+    const to = STREET_ORDER.indexOf(nextStreet);
+    for (let i = from + 1; i <= to && i < STREET_ORDER.length; i++) {
+      street = STREET_ORDER[i];
+      streetCommitted = {};
+      if (street === "SHOWDOWN") break;
+      const board = communityCards.slice(0, BOARD_SIZE_BY_STREET[street]);
+      if (board.length === 0) continue;
+      snapshot({ description: `${street.charAt(0)}${street.slice(1).toLowerCase()}: ${board.slice(BOARD_SIZE_BY_STREET[STREET_ORDER[i - 1]]).join(" ")}` });
+    }
+  };
+
+  snapshot({ description: `Hand #${hand.hand_number || "?"} dealt` });
+
+  actions.forEach((action, index) => {
+    if (STREET_ORDER.indexOf(action.street) > STREET_ORDER.indexOf(street)) {
+      advanceTo(action.street);
+    }
+
+    if (action.type === "FOLD") {
+      folded.add(action.player);
+    }
+
+    // Raises are recorded as "raise to"; everything else as chips added
+    let added = action.amount;
+    if (action.type === "RAISE") {
+      added = Math.max(0, action.amount - (streetCommitted[action.player] || 0));
+    }
+    if (added > 0) {
+      streetCommitted[action.player] = (streetCommitted[action.player] || 0) + added;
+      contributions[action.player] = (contributions[action.player] || 0) + added;
+    }
+    pot = action.potAfter !== null ? action.potAfter : pot + added;
+
+    snapshot({
+      action,
+      actionIndex: index,
+      description: describeAction(action),
+    });
+  });
+
+  // Deal out any remaining board (all-in run-outs have no further actions)
+  const finalStreet = communityCards.length >= 5 ? "RIVER"
+    : communityCards.length === 4 ? "TURN"
+    : communityCards.length === 3 ? "FLOP" : street;
+  if (STREET_ORDER.indexOf(finalStreet) > STREET_ORDER.indexOf(street)) {
+    advanceTo(finalStreet);
+  }
+
+  if (winners.length > 0) {
+    const potAmount = toNumber(winnerInfo.pot_amount || hand.pot || hand.pot_amount) || pot;
+    street = communityCards.length >= 5 ? "SHOWDOWN" : street;
+    pot = potAmount;
+    snapshot({
+      board: communityCards,
+      description: winners.length === 1
+        ? `${winners[0].player_name} wins $${toNumber(winners[0].winning_amount) || potAmount}`
+        : `Split pot between ${winners.map((w) => w.player_name).join(", ")}`,
+      winners,
+    });
+  }
+
+  return steps;
+};
+
+/**
+ * Collect every player who appears in a hand record along with their hole
+ * cards, in the order they first appear.
+ *
+ * @param {Object} hand - A single hand history record
+ * @returns {Array<{name: string, cards: Array<string>}>}
+ */
+export const getReplayPlayers = (hand) => {
+  if (!hand) return [];
+
+  const playerCards = normalizePlayerCards(hand.player_cards || hand.hole_cards);
+  const names = Object.keys(playerCards);
+  (parseJsonField(hand.actions, []) || []).forEach((action) => {
+    const name = action.player_name || action.player;
+    if (name && !names.includes(name)) names.push(name);
+  });
+
+  return names.map((name) => ({ name, cards: playerCards[name] || [] }));
+};
@@ -0,0 +1,117 @@
+import { extractHands, buildReplaySteps, getReplayPlayers } from './handReplay';
+
+// Heads-up hand: raised preflop, bet and called on the flop, then the turn
+// and river run out with no more betting
+const sampleHand = {
+  hand_number: 3,
+  community_cards: JSON.stringify(['AS', 'KD', '7C', '2H', '9S']),
+  player_cards: { alice: ['AH', 'QC'], bob: ['KS', 'JD'] },
+  actions: [
+    { player_name: 'alice', action_type: 'small_blind', amount: 1, phase: 'PREFLOP' },
+    { player_name: 'bob', action_type: 'big_blind', amount: 2, phase: 'PREFLOP' },
+    { player_name: 'alice', action_type: 'raise', amount: 6, phase: 'PREFLOP' },
+    { player_name: 'bob', action_type: 'call', amount: 4, phase: 'PREFLOP' },
+    { player_name: 'bob', action_type: 'check', amount: 0, phase: 'FLOP' },
+    { player_name: 'alice', action_type: 'bet', amount: 10, phase: 'FLOP' },
+    { player_name: 'bob', action_type: 'call', amount: 10, phase: 'FLOP' },
+  ],
+  winner_info: { winners: [{ player_name: 'alice', winning_amount: 32, hand_name: 'Pair of Aces' }] },
+};
+
+describe('extractHands', () => {
+  test('accepts every response shape and sorts by hand number', () => {
+    const hands = [{ hand_number: 2 }, { hand_number: 1 }];
+
+    expect(extractHands(hands).map(hand => hand.hand_number)).toEqual([1, 2]);
+    expect(extractHands({ results: hands })).toHaveLength(2);
+    expect(extractHands({ hands })).toHaveLength(2);
+    expect(extractHands({ hand_history: hands })).toHaveLength(2);
+  });
+
+  test('is empty for anything else', () => {
+    expect(extractHands(null)).toEqual([]);
+    expect(extractHands({ detail: 'nope' })).toEqual([]);
+  });
+
+  test('does not reorder the response in place', () => {
+    const hands = [{ hand_number: 2 }, { hand_number: 1 }];
+    extractHands(hands);
+    expect(hands[0].hand_number).toBe(2);
+  });
+});
+
+describe('buildReplaySteps', () => {
+  const steps = buildReplaySteps(sampleHand);
+
+  test('walks the deal, every action, each street and the result', () => {
+    expect(steps.map(step => step.description)).toEqual([
+      'Hand #3 dealt',
+      'alice posts blind $1',
+      'bob posts blind $2',
+      'alice raises to $6',
+      'bob calls $4',
+      'Flop: AS KD 7C',
+      'bob checks',
+      'alice bets $10',
+      'bob calls $10',
+      'Turn: 2H',
+      'River: 9S',
+      'alice wins $32',
+    ]);
+  });
+
+  test('counts a raise as the chips added on top of what was already in', () => {
+    // Alice's raise to $6 adds $5 to her $1 blind
+    expect(steps[3].pot).toBe(8);
+    expect(steps[3].contributions).toEqual({ alice: 6, bob: 2 });
+    expect(steps[8].contributions).toEqual({ alice: 16, bob: 16 });
+    expect(steps[8].pot).toBe(32);
+  });
+
+  test('shows only the board dealt so far', () => {
+    expect(steps[4].board).toEqual([]);
+    expect(steps[5].board).toEqual(['AS', 'KD', '7C']);
+    expect(steps[9].board).toHaveLength(4);
+    expect(steps[10].board).toHaveLength(5);
+  });
+
+  test('ends on the winners at showdown', () => {
+    const last = steps[steps.length - 1];
+
+    expect(last.street).toBe('SHOWDOWN');
+    expect(last.winners).toEqual(sampleHand.winner_info.winners);
+    expect(last.pot).toBe(32);
+    expect(steps.slice(0, -1).every(step => step.winners.length === 0)).toBe(true);
+  });
+
+  test('tracks folded players and prefers the recorded pot', () => {
+    const foldSteps = buildReplaySteps({
+      hand_number: 1,
+      actions: JSON.stringify([
+        { player: 'alice', type: 'BET', amount: 4, street: 'PREFLOP', pot_after: 7 },
+        { player: 'bob', type: 'FOLD', amount: 0, street: 'PREFLOP' },
+      ]),
+      winners: [{ player_name: 'alice', winning_amount: 7 }, { player_name: 'carol', winning_amount: 7 }],
+    });
+
+    expect(foldSteps[1].pot).toBe(7);
+    expect(foldSteps[2].folded).toEqual(['bob']);
+    expect(foldSteps[foldSteps.length - 1].description).toBe('Split pot between alice, carol');
+  });
+
+  test('is empty without a hand', () => {
+    expect(buildReplaySteps(null)).toEqual([]);
+  });
+});
+
+test('getReplayPlayers lists players with cards, then anyone else who acted', () => {
+  const hand = {
+    player_cards: [{ player_name: 'alice', cards: ['AH', 'QC'] }],
+    actions: [{ player_name: 'alice' }, { player_name: 'bob' }],
+  };
+
+  expect(getReplayPlayers(hand)).toEqual([
+    { name: 'alice', cards: ['AH', 'QC'] },
+    { name: 'bob', cards: [] },
+  ]);
+});
@@ -0,0 +1,29 @@
+// src/utils/handResult.js
+//
+// Lookups against the result of the last completed hand, as built by the
+// game reducer ({ winners: [{ player_name, winning_amount, hand_name,
+// best_hand_cards }], potAmount, ... }).
+
+export const getWinnerData = (handResult, playerName) => {
+  if (!handResult || !handResult.winners) return null;
+  return handResult.winners.find(winner => winner.player_name === playerName) || null;
+};
+
+export const isWinningPlayer = (handResult, player) => {
+  return !!getWinnerData(handResult, player.player.user.username);
+};
+
+// Is this community card part of any winning hand?
+export const isWinningCard = (handResult, card) => {
+  if (!handResult || !handResult.winners) return false;
+  return handResult.winners.some(winner =>
+    winner.best_hand_cards && winner.best_hand_cards.includes(card)
+  );
+};
+
+// Is this hole card part of the given player's winning hand?
+export const isWinningPlayerCard = (handResult, card, playerName) => {
+  const winnerData = getWinnerData(handResult, playerName);
+  if (!winnerData || !winnerData.best_hand_cards) return false;
+  return winnerData.best_hand_cards.includes(card);
+};
@@ -0,0 +1,45 @@
+// src/utils/multiTable.js
+//
+// Helpers for the multi-table view: which games are open (kept in the
+// ?games= query string so the layout survives a reload) and which table the
+// keyboard acts on.
+
+export const MIN_TABLES = 2;
+export const MAX_TABLES = 4;
+
+/**
+ * Game ids from the view's query string, e.g. "?games=3,7".
+ *
+ * @param {string} search - location.search
+ * @returns {Array<number>} Unique ids, in order, at most MAX_TABLES
+ */
+export const parseGameIds = (search) => {
+  const value = new URLSearchParams(search).get("games") || "";
+  const ids = value
+    .split(",")
+    .map((part) => Number(part.trim()))
+    .filter((id) => Number.isInteger(id) && id > 0);
+  return [...new Set(ids)].slice(0, MAX_TABLES);
+};
+
+/**
+ * @param {Array<number>} gameIds
+ * @returns {string} Query string for the view
+ */
+export const formatGameIds = (gameIds) => `?games=${gameIds.join(",")}`;
+
+/**
+ * The table keyboard actions go to. The user's choice stands while that
+ * table needs them or none does; otherwise focus moves to the first table
+ * where it's their turn.
+ *
+ * @param {Array<number>} gameIds - Open tables, in display order
+ * @param {number|null} focusedId - Currently focused table
+ * @param {Array<number>} turnIds - Tables where it's the user's turn
+ * @returns {number|null}
+ */
+export const pickFocusedTable = (gameIds, focusedId, turnIds) => {
+  const current = gameIds.includes(focusedId) ? focusedId : gameIds[0] ?? null;
+  if (turnIds.includes(current)) return current;
+  return gameIds.find((id) => turnIds.includes(id)) ?? current;
+};
@@ -0,0 +1,36 @@
+import { parseGameIds, formatGameIds, pickFocusedTable, MAX_TABLES } from './multiTable';
+
+describe('parseGameIds', () => {
+  test('reads unique game ids from the query string', () => {
+    expect(parseGameIds('?games=3,7,3')).toEqual([3, 7]);
+  });
+
+  test('ignores junk and caps the number of tables', () => {
+    expect(parseGameIds('?games=1,x,-2,2,3,4,5')).toEqual([1, 2, 3, 4]);
+    expect(parseGameIds('?games=1,x,-2,2,3,4,5')).toHaveLength(MAX_TABLES);
+    expect(parseGameIds('')).toEqual([]);
+  });
+
+  test('round-trips through formatGameIds', () => {
+    expect(parseGameIds(formatGameIds([4, 9]))).toEqual([4, 9]);
+  });
+});
+
+describe('pickFocusedTable', () => {
+  test('keeps the chosen table while no other table needs the user', () => {
+    expect(pickFocusedTable([1, 2, 3], 2, [])).toBe(2);
+  });
+
+  test('keeps the chosen table while it is the user\'s turn there', () => {
+    expect(pickFocusedTable([1, 2, 3], 3, [1, 3])).toBe(3);
+  });
+
+  test('moves to the first table waiting on the user', () => {
+    expect(pickFocusedTable([1, 2, 3], 1, [3, 2])).toBe(2);
+  });
+
+  test('falls back to the first table when the focused one was closed', () => {
+    expect(pickFocusedTable([4, 5], 9, [])).toBe(4);
+    expect(pickFocusedTable([], 9, [])).toBeNull();
+  });
+});
@@ -0,0 +1,112 @@
+// src/utils/positions.js
+//
+// Table positions for the current hand, worked out from the dealer seat and
+// the occupied seats.
+
+// Positions between the big blind and the button, by how many seats there
+// are to fill
+const MIDDLE_POSITIONS = [
+  [],
+  ['UTG'],
+  ['UTG', 'CO'],
+  ['UTG', 'HJ', 'CO'],
+  ['UTG', 'LJ', 'HJ', 'CO'],
+  ['UTG', 'UTG+1', 'LJ', 'HJ', 'CO'],
+  ['UTG', 'UTG+1', 'MP', 'LJ', 'HJ', 'CO'],
+  ['UTG', 'UTG+1', 'UTG+2', 'MP', 'LJ', 'HJ', 'CO'],
+];
+
+export const POSITION_NAMES = {
+  BTN: 'Button',
+  SB: 'Small Blind',
+  BB: 'Big Blind',
+  UTG: 'Under the Gun',
+  'UTG+1': 'Under the Gun +1',
+  'UTG+2': 'Under the Gun +2',
+  MP: 'Middle Position',
+  LJ: 'Lojack',
+  HJ: 'Hijack',
+  CO: 'Cutoff',
+};
+
+/**
+ * Seats of players still in the game (not cashed out), in seat order.
+ *
+ * @param {Array<Object>} players - game.players
+ * @returns {Array<number>}
+ */
+export const getOccupiedSeats = (players = []) => {
+  return players
+    .filter(player => !player.cashed_out && player.seat_position != null)
+    .map(player => player.seat_position)
+    .sort((a, b) => a - b);
+};
+
+// First occupied seat clockwise after `seat`, wrapping around the table
+const nextOccupiedSeat = (seats, seat) => {
+  const next = seats.find(s => s > seat);
+  return next !== undefined ? next : seats[0];
+};
+
+/**
+ * Dealer button and blind seats.
+ *
+ * @param {Array<Object>} players - game.players
+ * @param {number|null} dealerSeat - game.dealer_position
+ * @returns {{dealer: number|null, smallBlind: number|null, bigBlind: number|null}}
+ */
+export const getBlindSeats = (players, dealerSeat) => {
+  const seats = getOccupiedSeats(players);
+  const dealer = dealerSeat ?? null;
+
+  if (dealer === null || seats.length < 2) {
+    return { dealer, smallBlind: null, bigBlind: null };
+  }
+
+  // Heads-up the button posts the small blind
+  const smallBlind = seats.length === 2 && seats.includes(dealer)
+    ? dealer
+    : nextOccupiedSeat(seats, dealer);
+
+  return { dealer, smallBlind, bigBlind: nextOccupiedSeat(seats, smallBlind) };
+};
+
+/**
+ * Position label for every occupied seat, e.g. { 0: 'BTN', 2: 'SB', 5: 'BB', 7: 'UTG' }.
+ * Heads-up the button is labelled BTN (it also posts the small blind).
+ *
+ * @param {Array<Object>} players - game.players
+ * @param {number|null} dealerSeat - game.dealer_position
+ * @returns {Object<number, string>}
+ */
+export const getTablePositions = (players, dealerSeat) => {
+  const { dealer, smallBlind, bigBlind } = getBlindSeats(players, dealerSeat);
+  if (smallBlind === null) return {};
+
+  const seats = getOccupiedSeats(players);
+  const positions = {};
+
+  // Walk clockwise from the seat after the big blind, stopping at the button
+  const middleSeats = [];
+  let seat = nextOccupiedSeat(seats, bigBlind);
+  while (seat !== smallBlind && seat !== dealer) {
+    middleSeats.push(seat);
+    seat = nextOccupiedSeat(seats, seat);
+  }
+
+  const labels = MIDDLE_POSITIONS[middleSeats.length]
+    // More seats than named positions: number the early ones
+    || [
+      ...middleSeats.slice(0, middleSeats.length - 4).map((_, i) => (i === 0 ? 'UTG' : `UTG+${i}`)),
+      'MP', 'LJ', 'HJ', 'CO',
+    ];
+  middleSeats.forEach((middleSeat, index) => {
+    positions[middleSeat] = labels[index];
+  });
+
+  if (seats.includes(dealer)) positions[dealer] = 'BTN';
+  if (smallBlind !== dealer) positions[smallBlind] = 'SB';
+  positions[bigBlind] = 'BB';
+
+  return positions;
+};
@@ -0,0 +1,58 @@
+import { getBlindSeats, getOccupiedSeats, getTablePositions } from './positions';
+
+const seated = (...seats) => seats.map(seat => ({ seat_position: seat, cashed_out: false }));
+
+describe('getOccupiedSeats', () => {
+  test('skips cashed out players and sorts by seat', () => {
+    const players = [...seated(5, 1), { seat_position: 3, cashed_out: true }];
+    expect(getOccupiedSeats(players)).toEqual([1, 5]);
+  });
+});
+
+describe('getBlindSeats', () => {
+  test('blinds follow the button clockwise past empty seats', () => {
+    expect(getBlindSeats(seated(0, 2, 5, 8), 2)).toEqual({ dealer: 2, smallBlind: 5, bigBlind: 8 });
+  });
+
+  test('wraps around the table', () => {
+    expect(getBlindSeats(seated(0, 2, 5, 8), 5)).toEqual({ dealer: 5, smallBlind: 8, bigBlind: 0 });
+  });
+
+  test('heads-up the button is the small blind', () => {
+    expect(getBlindSeats(seated(3, 7), 7)).toEqual({ dealer: 7, smallBlind: 7, bigBlind: 3 });
+  });
+
+  test('no blinds without a dealer or opponents', () => {
+    expect(getBlindSeats(seated(0, 1), null)).toEqual({ dealer: null, smallBlind: null, bigBlind: null });
+    expect(getBlindSeats(seated(4), 4)).toEqual({ dealer: 4, smallBlind: null, bigBlind: null });
+  });
+});
+
+describe('getTablePositions', () => {
+  test('labels a full ring from the button', () => {
+    const players = seated(0, 1, 2, 3, 4, 5, 6, 7, 8);
+    expect(getTablePositions(players, 8)).toEqual({
+      0: 'SB', 1: 'BB', 2: 'UTG', 3: 'UTG+1', 4: 'MP', 5: 'LJ', 6: 'HJ', 7: 'CO', 8: 'BTN',
+    });
+  });
+
+  test('six-handed skips the early positions', () => {
+    const players = seated(0, 2, 3, 5, 7, 9);
+    expect(getTablePositions(players, 3)).toEqual({
+      5: 'SB', 7: 'BB', 9: 'UTG', 0: 'HJ', 2: 'CO', 3: 'BTN',
+    });
+  });
+
+  test('heads-up has only the button and big blind', () => {
+    expect(getTablePositions(seated(1, 4), 1)).toEqual({ 1: 'BTN', 4: 'BB' });
+  });
+
+  test('ignores cashed out players', () => {
+    const players = [...seated(0, 1, 2), { seat_position: 3, cashed_out: true }];
+    expect(getTablePositions(players, 2)).toEqual({ 0: 'SB', 1: 'BB', 2: 'BTN' });
+  });
+
+  test('is empty before a dealer is chosen', () => {
+    expect(getTablePositions(seated(0, 1, 2), null)).toEqual({});
+  });
+});
@@ -0,0 +1,33 @@
+// src/utils/preferences.js
+//
+// Client-side player preferences, kept in localStorage.
+
+const STORAGE_KEY = "pokerPreferences";
+
+export const DEFAULT_PREFERENCES = {
+  autoCheckFoldOnTimeout: true,  // Check/fold for the user when their turn clock runs out
+  keyboardShortcuts: true,       // Action bar keyboard shortcuts
+  shortcutBindings: {},          // Overrides for DEFAULT_SHORTCUTS
+  betPresets: {},                // Quick bet presets by street, see DEFAULT_BET_PRESETS
+  mutedPlayers: [],              // Usernames whose table chat is hidden
+  practiceHints: true,           // Advisor hints on practice tables
+  tableSettings: [],             // Per-table settings the API doesn't store, see tableSettings.js
+};
+
+export const getPreferences = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    return { ...DEFAULT_PREFERENCES, ...stored };
+  } catch (e) {
+    console.warn("Ignoring unreadable preferences:", e);
+    return { ...DEFAULT_PREFERENCES };
+  }
+};
+
+export const getPreference = (key) => getPreferences()[key];
+
+export const setPreference = (key, value) => {
+  const preferences = { ...getPreferences(), [key]: value };
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+  return preferences;
+};
@@ -0,0 +1,73 @@
+// src/utils/seatLayout.js
+//
+// Geometry for seating players around an elliptical table. Seats keep the
+// (zero-based) number the server assigns; the ellipse is rotated so the
+// hero's seat is always drawn at the bottom centre, with the other seats
+// following clockwise.
+
+// Radii as a percentage of the positioned container, per layer
+export const SEAT_RADII = {
+  plate: { x: 43, y: 36 },  // Name plates, relative to .poker-table
+  cards: { x: 42, y: 34 },  // Hole cards, relative to .table-felt
+  bet: { x: 30, y: 20 },    // Bets, between the cards and the pot
+};
+
+// Drop floating point noise such as cos(90°) = 6e-17 (and -0)
+const round = (value) => Math.round(value * 10000) / 10000 + 0;
+
+/**
+ * Number of seats to draw: the table size, grown if the server reports a
+ * seat beyond it so nobody is left off the layout.
+ *
+ * @param {number} maxPlayers - table.max_players
+ * @param {Array<Object>} players - game.players
+ * @returns {number}
+ */
+export const getSeatCount = (maxPlayers, players = []) => {
+  const highestSeat = players.reduce(
+    (highest, player) => Math.max(highest, player.seat_position ?? -1),
+    -1
+  );
+  return Math.max(parseInt(maxPlayers, 10) || 0, highestSeat + 1, players.length, 2);
+};
+
+/**
+ * Place every seat of the table on a unit ellipse.
+ *
+ * @param {number} seatCount - Seats at the table
+ * @param {number} [heroSeat=0] - Seat drawn at the bottom centre
+ * @returns {Array<{seat: number, offset: number, angle: number, x: number, y: number}>}
+ *   One point per seat, indexed by seat number. `offset` counts seats
+ *   clockwise from the hero, `angle` is in degrees with 90 at the bottom,
+ *   and x/y run from -1 to 1 with y growing downward.
+ */
+export const computeSeatLayout = (seatCount, heroSeat = 0) => {
+  const step = 360 / seatCount;
+
+  return Array.from({ length: seatCount }, (_, seat) => {
+    const offset = (((seat - heroSeat) % seatCount) + seatCount) % seatCount;
+    const angle = (90 + offset * step) % 360;
+    const radians = (angle * Math.PI) / 180;
+
+    return {
+      seat,
+      offset,
+      angle,
+      x: round(Math.cos(radians)),
+      y: round(Math.sin(radians)),
+    };
+  });
+};
+
+/**
+ * CSS left/top for a layout point on an ellipse with the given radii.
+ * Pair with `transform: translate(-50%, -50%)` to centre the element.
+ *
+ * @param {{x: number, y: number}} point - Entry from computeSeatLayout
+ * @param {{x: number, y: number}} radii - One of SEAT_RADII
+ * @returns {{left: string, top: string}}
+ */
+export const toPercentPosition = (point, radii) => ({
+  left: `${round(50 + point.x * radii.x)}%`,
+  top: `${round(50 + point.y * radii.y)}%`,
+});
@@ -0,0 +1,49 @@
+import { computeSeatLayout, getSeatCount, toPercentPosition } from './seatLayout';
+
+describe('getSeatCount', () => {
+  test('uses the table size', () => {
+    expect(getSeatCount(9, [{ seat_position: 0 }, { seat_position: 4 }])).toBe(9);
+  });
+
+  test('grows to fit a seat beyond the table size', () => {
+    expect(getSeatCount(6, [{ seat_position: 7 }])).toBe(8);
+  });
+
+  test('falls back to the players present when the table is unknown', () => {
+    expect(getSeatCount(undefined, [{}, {}, {}])).toBe(3);
+    expect(getSeatCount(undefined, [])).toBe(2);
+  });
+});
+
+describe('computeSeatLayout', () => {
+  test('puts the hero at the bottom centre', () => {
+    const layout = computeSeatLayout(9, 4);
+    expect(layout[4]).toEqual({ seat: 4, offset: 0, angle: 90, x: 0, y: 1 });
+  });
+
+  test('keeps seat numbers and goes clockwise from the hero', () => {
+    const layout = computeSeatLayout(4, 2);
+
+    expect(layout.map(point => point.seat)).toEqual([0, 1, 2, 3]);
+    expect(layout[3]).toMatchObject({ offset: 1, x: -1, y: 0 });   // Left
+    expect(layout[0]).toMatchObject({ offset: 2, x: 0, y: -1 });   // Top
+    expect(layout[1]).toMatchObject({ offset: 3, x: 1, y: 0 });    // Right
+  });
+
+  test('spaces ten seats evenly without collisions', () => {
+    const layout = computeSeatLayout(10);
+    const points = new Set(layout.map(point => `${point.x},${point.y}`));
+
+    expect(points.size).toBe(10);
+    layout.forEach(point => {
+      expect(Math.hypot(point.x, point.y)).toBeCloseTo(1);
+    });
+    expect(layout[5]).toMatchObject({ angle: 270, x: 0, y: -1 });
+  });
+});
+
+describe('toPercentPosition', () => {
+  test('scales the unit ellipse by the radii', () => {
+    expect(toPercentPosition({ x: -1, y: 0.5 }, { x: 40, y: 30 })).toEqual({ left: '10%', top: '65%' });
+  });
+});
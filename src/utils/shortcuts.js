@@ -0,0 +1,74 @@
+// src/utils/shortcuts.js
+//
+// Keyboard shortcuts for the action bar. Bindings are KeyboardEvent.key
+// values (letters match either case) and can be overridden through the
+// "shortcutBindings" preference.
+
+export const SHORTCUT_ACTIONS = {
+  FOLD: "fold",
+  CHECK_CALL: "checkCall",
+  RAISE: "raise",
+  CONFIRM: "confirm",
+  CLEAR: "clear",
+  PRESET: "preset",
+};
+
+export const DEFAULT_SHORTCUTS = {
+  fold: "f",
+  checkCall: "c",
+  raise: "r",
+  confirm: "Enter",
+  clear: "Escape",
+  presets: ["1", "2", "3", "4", "5", "6", "7", "8", "9"],  // Quick bets, in button order
+};
+
+/**
+ * Default bindings with any user overrides applied.
+ *
+ * @param {Object} [overrides] - Partial DEFAULT_SHORTCUTS
+ * @returns {Object}
+ */
+export const getShortcutBindings = (overrides = {}) => ({ ...DEFAULT_SHORTCUTS, ...overrides });
+
+const normalizeKey = (key) => (key && key.length === 1 ? key.toLowerCase() : key);
+
+const isEditable = (target) =>
+  !!target && (target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName));
+
+/**
+ * Shortcut for a keydown event. Typing in a form field never triggers a
+ * shortcut, except Enter/Escape in fields marked data-shortcuts="allow"
+ * (the bet amount input).
+ *
+ * @param {KeyboardEvent} event
+ * @param {Object} [bindings] - Result of getShortcutBindings
+ * @returns {{type: string, index?: number}|null}
+ */
+export const getShortcutAction = (event, bindings = DEFAULT_SHORTCUTS) => {
+  if (event.ctrlKey || event.metaKey || event.altKey || event.repeat) return null;
+
+  const key = normalizeKey(event.key);
+  const editable = isEditable(event.target);
+  const allowedField = editable && event.target.dataset?.shortcuts === "allow";
+
+  if (key === normalizeKey(bindings.confirm) || key === normalizeKey(bindings.clear)) {
+    if (editable && !allowedField) return null;
+    return { type: key === normalizeKey(bindings.confirm) ? SHORTCUT_ACTIONS.CONFIRM : SHORTCUT_ACTIONS.CLEAR };
+  }
+  if (editable) return null;
+
+  if (key === normalizeKey(bindings.fold)) return { type: SHORTCUT_ACTIONS.FOLD };
+  if (key === normalizeKey(bindings.checkCall)) return { type: SHORTCUT_ACTIONS.CHECK_CALL };
+  if (key === normalizeKey(bindings.raise)) return { type: SHORTCUT_ACTIONS.RAISE };
+
+  const presetIndex = (bindings.presets || []).map(normalizeKey).indexOf(key);
+  if (presetIndex !== -1) return { type: SHORTCUT_ACTIONS.PRESET, index: presetIndex };
+
+  return null;
+};
+
+// Label for a binding in the cheat sheet
+export const formatShortcutKey = (key) => {
+  const names = { Enter: "Enter", Escape: "Esc", " ": "Space" };
+  return names[key] || key.toUpperCase();
+};
@@ -0,0 +1,45 @@
+import { getShortcutAction, getShortcutBindings, formatShortcutKey, SHORTCUT_ACTIONS } from './shortcuts';
+
+const keydown = (key, extra = {}) => ({ key, target: document.body, ...extra });
+
+describe('getShortcutAction', () => {
+  test('maps the default keys', () => {
+    expect(getShortcutAction(keydown('f'))).toEqual({ type: SHORTCUT_ACTIONS.FOLD });
+    expect(getShortcutAction(keydown('C'))).toEqual({ type: SHORTCUT_ACTIONS.CHECK_CALL });
+    expect(getShortcutAction(keydown('r'))).toEqual({ type: SHORTCUT_ACTIONS.RAISE });
+    expect(getShortcutAction(keydown('Enter'))).toEqual({ type: SHORTCUT_ACTIONS.CONFIRM });
+    expect(getShortcutAction(keydown('Escape'))).toEqual({ type: SHORTCUT_ACTIONS.CLEAR });
+    expect(getShortcutAction(keydown('3'))).toEqual({ type: SHORTCUT_ACTIONS.PRESET, index: 2 });
+    expect(getShortcutAction(keydown('x'))).toBeNull();
+  });
+
+  test('ignores modified and repeated keys', () => {
+    expect(getShortcutAction(keydown('c', { ctrlKey: true }))).toBeNull();
+    expect(getShortcutAction(keydown('f', { repeat: true }))).toBeNull();
+  });
+
+  test('ignores typing in form fields', () => {
+    const input = document.createElement('input');
+    expect(getShortcutAction(keydown('f', { target: input }))).toBeNull();
+    expect(getShortcutAction(keydown('Enter', { target: input }))).toBeNull();
+  });
+
+  test('lets the bet input confirm and clear', () => {
+    const input = document.createElement('input');
+    input.dataset.shortcuts = 'allow';
+    expect(getShortcutAction(keydown('Enter', { target: input }))).toEqual({ type: SHORTCUT_ACTIONS.CONFIRM });
+    expect(getShortcutAction(keydown('5', { target: input }))).toBeNull();
+  });
+
+  test('uses overridden bindings', () => {
+    const bindings = getShortcutBindings({ fold: 'q', presets: ['a', 's'] });
+    expect(getShortcutAction(keydown('q'), bindings)).toEqual({ type: SHORTCUT_ACTIONS.FOLD });
+    expect(getShortcutAction(keydown('f'), bindings)).toBeNull();
+    expect(getShortcutAction(keydown('s'), bindings)).toEqual({ type: SHORTCUT_ACTIONS.PRESET, index: 1 });
+  });
+});
+
+test('formatShortcutKey', () => {
+  expect(formatShortcutKey('f')).toBe('F');
+  expect(formatShortcutKey('Escape')).toBe('Esc');
+});
@@ -0,0 +1,158 @@
+// src/utils/sidePots.js
+//
+// Main and side pots from what each player has put in this hand. A new pot
+// starts at every all-in amount; players who are still in and not all-in
+// stay eligible for every pot because they can still match the bet.
+
+import { findWinners } from "./handEvaluator";
+import { getPlayerCards } from "./format";
+
+const toNumber = (value) => parseFloat(value) || 0;
+
+// Two amounts that agree to the cent
+const sameAmount = (a, b) => Math.abs(a - b) < 0.005;
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+const sameEligible = (a, b) =>
+  a.length === b.length && a.every((player, i) => player.id === b[i].id);
+
+/**
+ * Split contributions into a main pot and side pots.
+ *
+ * @param {Array<{id: *, name: string, amount: number, folded: boolean, allIn: boolean}>} contributions
+ * @returns {Array<{amount: number, eligible: Array<{id: *, name: string}>}>}
+ *   Main pot first. A pot with a single eligible player is an uncalled bet.
+ */
+export const calculateSidePots = (contributions) => {
+  const live = contributions.filter(c => !c.folded);
+  const levels = [...new Set(live.filter(c => c.allIn).map(c => c.amount))].sort((a, b) => a - b);
+  const pots = [];
+  let previousLevel = 0;
+
+  const addPot = (level, eligible) => {
+    const amount = contributions.reduce(
+      (sum, c) => sum + Math.min(c.amount, level) - Math.min(c.amount, previousLevel),
+      0
+    );
+    previousLevel = level;
+    if (amount <= 0) return;
+
+    const last = pots[pots.length - 1];
+    // Folded money above the last all-in, or a level nobody new is cut
+    // out of, belongs to the previous pot
+    if (last && (eligible.length === 0 || sameEligible(last.eligible, eligible))) {
+      last.amount = roundCents(last.amount + amount);
+      return;
+    }
+    pots.push({ amount: roundCents(amount), eligible });
+  };
+
+  const eligibleAt = (level) => live
+    .filter(c => !c.allIn || c.amount >= level)
+    .map(c => ({ id: c.id, name: c.name }));
+
+  levels.forEach(level => addPot(level, eligibleAt(level)));
+  addPot(Infinity, live.filter(c => !c.allIn).map(c => ({ id: c.id, name: c.name })));
+
+  return pots;
+};
+
+// "Main pot", "Side pot 1", ... by position in the list
+export const getPotLabel = (index) => (index === 0 ? "Main pot" : `Side pot ${index}`);
+
+/**
+ * What each player has put into the current hand, from their stack at the
+ * start of it. Null when the hand wasn't seen from the start.
+ *
+ * @param {Array<Object>} players - game.players
+ * @param {Object|null} handStart - { handCount, stacks } from the game reducer
+ * @param {number} handCount - hand_count the players belong to
+ * @param {Object} [winnings] - Username -> amount won, to undo at hand end
+ * @returns {Array<Object>|null} Input for calculateSidePots
+ */
+export const getContributions = (players, handStart, handCount, winnings = {}) => {
+  if (!players || !handStart || handStart.handCount !== handCount) return null;
+
+  return players
+    .filter(player => handStart.stacks[player.id] !== undefined)
+    .map(player => {
+      const name = player.player.user.username;
+      const stackBeforeWinnings = toNumber(player.stack) - toNumber(winnings[name]);
+      return {
+        id: player.id,
+        name,
+        amount: roundCents(Math.max(0, handStart.stacks[player.id] - stackBeforeWinnings)),
+        folded: !player.is_active || player.cashed_out,
+        allIn: sameAmount(stackBeforeWinnings, 0),
+      };
+    });
+};
+
+/**
+ * Pots for the hand in progress, or null while there is only one.
+ *
+ * @param {Object} game - Current game state
+ * @param {Object|null} handStart - { handCount, stacks } from the game reducer
+ * @returns {Array<Object>|null}
+ */
+export const getLiveSidePots = (game, handStart) => {
+  if (game.status !== "PLAYING") return null;
+
+  const contributions = getContributions(game.players, handStart, game.hand_count || 0);
+  if (!contributions) return null;
+
+  const pots = calculateSidePots(contributions);
+  return pots.length > 1 ? pots : null;
+};
+
+/**
+ * Pots of a finished hand with who won each. Winners are found by
+ * evaluating the showdown hands when every contender's cards are known,
+ * otherwise from the overall winners eligible for the pot.
+ *
+ * @param {Object} game - Game state at hand completion
+ * @param {Array<Object>} winners - winner_info.winners
+ * @param {number} potAmount - winner_info.pot_amount
+ * @param {Object|null} handStart - { handCount, stacks } from the game reducer
+ * @returns {Array<{amount: number, eligible: Array, winners: Array<string>, returned: boolean}>|null}
+ *   Null when the hand wasn't seen from the start or the pots don't add up
+ */
+export const getCompletedPots = (game, winners, potAmount, handStart) => {
+  const winnings = {};
+  winners.forEach(winner => {
+    winnings[winner.player_name] = toNumber(winnings[winner.player_name]) + toNumber(winner.winning_amount);
+  });
+
+  const contributions = getContributions(game.players, handStart, game.hand_count || 0, winnings);
+  if (!contributions) return null;
+
+  const pots = calculateSidePots(contributions);
+  const contested = pots.filter(pot => pot.eligible.length > 1);
+  const total = contested.reduce((sum, pot) => sum + pot.amount, 0);
+  const totalWithUncalled = pots.reduce((sum, pot) => sum + pot.amount, 0);
+  if (!sameAmount(total, toNumber(potAmount)) && !sameAmount(totalWithUncalled, toNumber(potAmount))) {
+    return null;
+  }
+
+  const board = game.community_cards || [];
+  const winnerNames = new Set(winners.map(winner => winner.player_name));
+  const cardsByName = {};
+  (game.players || []).forEach(player => {
+    cardsByName[player.player.user.username] = getPlayerCards(player);
+  });
+
+  return pots.map(pot => {
+    const names = pot.eligible.map(player => player.name);
+    if (names.length === 1) {
+      return { ...pot, winners: names, returned: true };
+    }
+
+    const showdown = board.length === 5 && names.every(name => cardsByName[name].length === 2);
+    const potWinners = showdown
+      ? findWinners(names.map(name => ({ id: name, cards: [...cardsByName[name], ...board] })))
+      : names.filter(name => winnerNames.has(name));
+
+    return { ...pot, winners: potWinners, returned: false };
+  });
+};
@@ -0,0 +1,130 @@
+import { calculateSidePots, getCompletedPots, getContributions, getLiveSidePots } from './sidePots';
+
+const contribution = (id, amount, extra = {}) => ({
+  id, name: `p${id}`, amount, folded: false, allIn: false, ...extra,
+});
+
+const ids = pot => pot.eligible.map(player => player.id);
+
+describe('calculateSidePots', () => {
+  test('a single pot when nobody is all-in', () => {
+    const pots = calculateSidePots([contribution(1, 40), contribution(2, 40), contribution(3, 10, { folded: true })]);
+    expect(pots).toHaveLength(1);
+    expect(pots[0].amount).toBe(90);
+    expect(ids(pots[0])).toEqual([1, 2]);
+  });
+
+  test('short all-in creates a side pot for the rest', () => {
+    const pots = calculateSidePots([
+      contribution(1, 50, { allIn: true }),
+      contribution(2, 200),
+      contribution(3, 200),
+    ]);
+    expect(pots.map(pot => pot.amount)).toEqual([150, 300]);
+    expect(ids(pots[0])).toEqual([1, 2, 3]);
+    expect(ids(pots[1])).toEqual([2, 3]);
+  });
+
+  test('several all-ins at different amounts', () => {
+    const pots = calculateSidePots([
+      contribution(1, 30, { allIn: true }),
+      contribution(2, 80, { allIn: true }),
+      contribution(3, 150, { allIn: true }),
+      contribution(4, 150),
+    ]);
+    expect(pots.map(pot => pot.amount)).toEqual([120, 150, 140]);
+    expect(pots.map(ids)).toEqual([[1, 2, 3, 4], [2, 3, 4], [3, 4]]);
+  });
+
+  test('folded chips go to the pots they were put into', () => {
+    const pots = calculateSidePots([
+      contribution(1, 20, { allIn: true }),
+      contribution(2, 100, { folded: true }),
+      contribution(3, 60, { allIn: true }),
+    ]);
+    expect(pots.map(pot => pot.amount)).toEqual([60, 120]);
+    expect(pots.map(ids)).toEqual([[1, 3], [3]]);
+  });
+
+  test('players yet to act stay eligible for every pot', () => {
+    const pots = calculateSidePots([
+      contribution(1, 50, { allIn: true }),
+      contribution(2, 200),
+      contribution(3, 10),
+    ]);
+    expect(pots.map(pot => pot.amount)).toEqual([110, 150]);
+    expect(pots.map(ids)).toEqual([[1, 2, 3], [2, 3]]);
+  });
+});
+
+const makePlayer = (id, stack, extra = {}) => ({
+  id,
+  player: { user: { username: `p${id}` } },
+  stack,
+  is_active: true,
+  cashed_out: false,
+  ...extra,
+});
+
+describe('getContributions', () => {
+  test('needs the stacks from the start of the same hand', () => {
+    const players = [makePlayer(1, 90)];
+    expect(getContributions(players, null, 3)).toBeNull();
+    expect(getContributions(players, { handCount: 2, stacks: { 1: 100 } }, 3)).toBeNull();
+    expect(getContributions(players, { handCount: 3, stacks: { 1: 100 } }, 3)).toEqual([
+      { id: 1, name: 'p1', amount: 10, folded: false, allIn: false },
+    ]);
+  });
+});
+
+describe('getLiveSidePots', () => {
+  const handStart = { handCount: 1, stacks: { 1: 50, 2: 300, 3: 300 } };
+
+  test('returns the pots once someone is all-in', () => {
+    const game = {
+      status: 'PLAYING',
+      hand_count: 1,
+      players: [makePlayer(1, 0), makePlayer(2, 100), makePlayer(3, 100)],
+    };
+    expect(getLiveSidePots(game, handStart).map(pot => pot.amount)).toEqual([150, 300]);
+  });
+
+  test('null while there is a single pot', () => {
+    const game = {
+      status: 'PLAYING',
+      hand_count: 1,
+      players: [makePlayer(1, 40), makePlayer(2, 290), makePlayer(3, 290)],
+    };
+    expect(getLiveSidePots(game, handStart)).toBeNull();
+  });
+});
+
+describe('getCompletedPots', () => {
+  const handStart = { handCount: 4, stacks: { 1: 50, 2: 200, 3: 200 } };
+  const board = ['2C', '7D', '9H', 'JS', '3C'];
+
+  test('awards each pot to the best eligible hand', () => {
+    // p1 (short, all-in) has aces and wins the main pot; p2 beats p3 for the side pot
+    const game = {
+      hand_count: 4,
+      community_cards: board,
+      players: [
+        makePlayer(1, 150, { cards: ['AS', 'AD'] }),
+        makePlayer(2, 100 + 200, { cards: ['KS', 'KD'] }),
+        makePlayer(3, 0, { cards: ['QS', 'QD'] }),
+      ],
+    };
+    const winners = [
+      { player_name: 'p1', winning_amount: 150 },
+      { player_name: 'p2', winning_amount: 300 },
+    ];
+
+    const pots = getCompletedPots(game, winners, 450, handStart);
+    expect(pots.map(pot => [pot.amount, pot.winners])).toEqual([[150, ['p1']], [300, ['p2']]]);
+  });
+
+  test('null when the pots do not add up to the reported pot', () => {
+    const game = { hand_count: 4, community_cards: board, players: [makePlayer(1, 100), makePlayer(2, 100)] };
+    expect(getCompletedPots(game, [{ player_name: 'p1', winning_amount: 100 }], 999, handStart)).toBeNull();
+  });
+});
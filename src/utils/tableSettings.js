@@ -0,0 +1,44 @@
+// src/utils/tableSettings.js
+//
+// Table settings the API doesn't store, kept in this browser by table id:
+// whether a table was started from practice mode, and its bot auto-balance
+// minimum. Only the browser that saved them sees them.
+
+import { getPreference, setPreference } from "./preferences";
+
+// Settings for the oldest tables are forgotten past this many
+export const MAX_TABLE_SETTINGS = 20;
+
+const getEntries = () => {
+  const entries = getPreference("tableSettings");
+  return Array.isArray(entries) ? entries : [];
+};
+
+/**
+ * @param {number|string|undefined} tableId
+ * @returns {Object} Settings saved for the table, empty if none
+ */
+export const getTableSettings = (tableId) => {
+  if (tableId === undefined || tableId === null) return {};
+  const entry = getEntries().find((saved) => saved.tableId === Number(tableId));
+  return entry ? entry.settings : {};
+};
+
+/**
+ * Merge settings into the ones saved for a table.
+ *
+ * @param {number|string} tableId
+ * @param {Object} settings
+ */
+export const saveTableSettings = (tableId, settings) => {
+  const id = Number(tableId);
+  const entries = getEntries().filter((saved) => saved.tableId !== id);
+  const entry = { tableId: id, settings: { ...getTableSettings(id), ...settings } };
+  setPreference("tableSettings", [...entries, entry].slice(-MAX_TABLE_SETTINGS));
+};
+
+/**
+ * @param {number|string|undefined} tableId
+ * @returns {boolean} Whether this browser started the table from practice mode
+ */
+export const isPracticeTable = (tableId) => !!getTableSettings(tableId).practice;
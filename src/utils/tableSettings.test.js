@@ -0,0 +1,30 @@
+import { getTableSettings, saveTableSettings, isPracticeTable, MAX_TABLE_SETTINGS } from './tableSettings';
+
+afterEach(() => {
+  localStorage.clear();
+});
+
+describe('table settings', () => {
+  test('saves settings by table and merges later ones in', () => {
+    saveTableSettings(12, { practice: true });
+    saveTableSettings('12', { turnTime: 30 });
+
+    expect(getTableSettings(12)).toEqual({ practice: true, turnTime: 30 });
+    expect(getTableSettings(13)).toEqual({});
+    expect(getTableSettings(undefined)).toEqual({});
+  });
+
+  test('knows the tables started from practice mode', () => {
+    saveTableSettings(12, { practice: true });
+
+    expect(isPracticeTable(12)).toBe(true);
+    expect(isPracticeTable(13)).toBe(false);
+  });
+
+  test('forgets the oldest tables past the limit', () => {
+    for (let id = 1; id <= MAX_TABLE_SETTINGS + 1; id++) saveTableSettings(id, { practice: true });
+
+    expect(isPracticeTable(1)).toBe(false);
+    expect(isPracticeTable(MAX_TABLE_SETTINGS + 1)).toBe(true);
+  });
+});
@@ -0,0 +1,55 @@
+// src/utils/turnTimer.js
+//
+// Turn clock arithmetic. Every decision gets the table's turn time; once that
+// runs out the acting player's time bank drains, and when both are gone the
+// turn has expired. Times are in seconds.
+
+export const DEFAULT_TURN_TIME = 30;  // Seconds per decision, for new tables
+export const DEFAULT_TIME_BANK = 60;  // Extra seconds per player for the whole game, for new tables
+
+export const TURN_PHASES = {
+  TURN: 'turn',
+  BANK: 'bank',
+  EXPIRED: 'expired',
+};
+
+/**
+ * Time limits for a table. Tables that never set a turn time (including
+ * those created before limits were configurable) have no clock, and neither
+ * do tables with a turn time of 0.
+ *
+ * @param {Object|null} table - game.table
+ * @returns {{turnTime: number, timeBank: number}|null} Null without a clock
+ */
+export const getTurnTimeLimits = (table) => {
+  const turnTime = parseFloat(table?.turn_time_limit);
+  const timeBank = parseFloat(table?.time_bank);
+  if (!(turnTime > 0)) return null;
+
+  return { turnTime, timeBank: timeBank >= 0 ? timeBank : 0 };
+};
+
+/**
+ * Where a turn stands after `elapsed` seconds.
+ *
+ * @param {number} elapsed - Seconds since the turn started
+ * @param {number} turnTime - Base seconds for the turn
+ * @param {number} bank - Time bank left when the turn started
+ * @returns {{phase: string, remaining: number, fraction: number, bankUsed: number}}
+ *   `remaining` and `fraction` describe the current phase, so the ring
+ *   refills when the time bank kicks in.
+ */
+export const computeTurnClock = (elapsed, turnTime, bank) => {
+  if (elapsed < turnTime) {
+    const remaining = turnTime - elapsed;
+    return { phase: TURN_PHASES.TURN, remaining, fraction: remaining / turnTime, bankUsed: 0 };
+  }
+
+  const bankUsed = Math.min(elapsed - turnTime, bank);
+  if (bankUsed < bank) {
+    const remaining = bank - bankUsed;
+    return { phase: TURN_PHASES.BANK, remaining, fraction: remaining / bank, bankUsed };
+  }
+
+  return { phase: TURN_PHASES.EXPIRED, remaining: 0, fraction: 0, bankUsed: bank };
+};
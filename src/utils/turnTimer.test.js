@@ -0,0 +1,45 @@
+import { computeTurnClock, getTurnTimeLimits, TURN_PHASES } from './turnTimer';
+
+describe('getTurnTimeLimits', () => {
+  test('reads the table settings', () => {
+    expect(getTurnTimeLimits({ turn_time_limit: 20, time_bank: '45' })).toEqual({ turnTime: 20, timeBank: 45 });
+  });
+
+  test('tables that never set a turn time have no clock', () => {
+    expect(getTurnTimeLimits({})).toBeNull();
+    expect(getTurnTimeLimits(null)).toBeNull();
+  });
+
+  test('a turn time of zero means no clock', () => {
+    expect(getTurnTimeLimits({ turn_time_limit: 0, time_bank: 60 })).toBeNull();
+  });
+
+  test('a missing time bank is no time bank', () => {
+    expect(getTurnTimeLimits({ turn_time_limit: 20 })).toEqual({ turnTime: 20, timeBank: 0 });
+    expect(getTurnTimeLimits({ turn_time_limit: 20, time_bank: 0 })).toEqual({ turnTime: 20, timeBank: 0 });
+  });
+});
+
+describe('computeTurnClock', () => {
+  test('counts down the turn time first', () => {
+    expect(computeTurnClock(5, 20, 30)).toEqual({
+      phase: TURN_PHASES.TURN, remaining: 15, fraction: 0.75, bankUsed: 0,
+    });
+  });
+
+  test('then drains the time bank', () => {
+    expect(computeTurnClock(26, 20, 30)).toEqual({
+      phase: TURN_PHASES.BANK, remaining: 24, fraction: 0.8, bankUsed: 6,
+    });
+  });
+
+  test('expires once the bank is empty', () => {
+    expect(computeTurnClock(60, 20, 30)).toEqual({
+      phase: TURN_PHASES.EXPIRED, remaining: 0, fraction: 0, bankUsed: 30,
+    });
+  });
+
+  test('expires straight after the turn time without a bank', () => {
+    expect(computeTurnClock(20, 20, 0).phase).toBe(TURN_PHASES.EXPIRED);
+  });
+});
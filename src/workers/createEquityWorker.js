@@ -0,0 +1,9 @@
+// src/workers/createEquityWorker.js
+//
+// Kept in its own module because `import.meta` cannot be loaded by Jest;
+// callers import this lazily and only where Web Workers exist.
+
+const createEquityWorker = () =>
+  new Worker(new URL("./equity.worker.js", import.meta.url));
+
+export default createEquityWorker;
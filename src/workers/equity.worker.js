@@ -0,0 +1,18 @@
+// src/workers/equity.worker.js
+//
+// Runs Monte Carlo equity simulations off the main thread so the table stays
+// responsive while thousands of run-outs are evaluated.
+
+/* eslint-disable no-restricted-globals */
+import { estimateEquity } from "../utils/equity";
+
+self.onmessage = (event) => {
+  const { requestId, ...params } = event.data;
+
+  try {
+    const result = estimateEquity(params);
+    self.postMessage({ requestId, result });
+  } catch (error) {
+    self.postMessage({ requestId, error: error.message });
+  }
+};